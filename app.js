@@ -269,6 +269,22 @@ let stop = code => {
 process.on('SIGINT', () => stop());
 process.on('SIGTERM', () => stop());
 
+// SIGUSR2 starts drain mode, see queue.drain in config
+process.on('SIGUSR2', () => {
+    let drainConfig = config.queue.drain || {};
+    log.info('Process', 'Received SIGUSR2, draining...');
+    queue.drain.start({
+        handoff: drainConfig.handoff,
+        exit: drainConfig.exit
+    });
+});
+
+queue.drain.on('drained', status => {
+    if (status.exit) {
+        stop();
+    }
+});
+
 process.on('uncaughtException', err => {
     log.error('Process', 'Uncaught exception');
     log.loggelf({
@@ -13,7 +13,7 @@ process.stdin.on('data', chunk => {
 
 process.stdin.on('end', () => {
     let str = Buffer.concat(chunks).toString().trim();
-    let bounceInfo = bounces.check(str);
+    let bounceInfo = bounces.check(str, false, { count: false });
     console.log('data     : %s', str.replace(/\n/g, '\n' + ' '.repeat(11)));
     Object.keys(bounceInfo || {}).forEach(key => {
         console.log('%s %s: %s', key, ' '.repeat(8 - key.length), bounceInfo[key]);
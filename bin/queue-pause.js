@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/* eslint no-console: 0 */
+'use strict';
+
+const config = require('@zone-eu/wild-config');
+const request = require('request');
+const argv = require('minimist')(process.argv.slice(2), {
+    string: ['api', 'reason']
+});
+
+const TYPES = ['zone', 'domain', 'sender', 'id'];
+
+let command = argv._[0];
+let type = (argv._[1] || '').toString().toLowerCase();
+let value = (argv._[2] || '').toString();
+
+let api = (argv.api || 'http://' + (config.api.host && config.api.host !== '0.0.0.0' ? config.api.host : '127.0.0.1') + ':' + config.api.port).replace(
+    /\/+$/,
+    ''
+);
+
+let usage = () => {
+    console.error('Usage: queue-pause list');
+    console.error('       queue-pause pause <zone|domain|sender|id> <value> [--reason="text"]');
+    console.error('       queue-pause resume <zone|domain|sender|id> <value>');
+    console.error('Options: --api=http://127.0.0.1:12080 API server URL');
+    process.exit(1);
+};
+
+let handleResponse = (err, res, body) => {
+    if (err) {
+        console.error('Request failed: %s', err.message);
+        return process.exit(2);
+    }
+    if (res.statusCode !== 200) {
+        console.error('Request failed: %s', (body && body.error) || res.statusCode);
+        return process.exit(2);
+    }
+
+    if (command === 'list') {
+        if (!body.list || !body.list.length) {
+            console.log('No paused deliveries');
+            return;
+        }
+        body.list.forEach(entry => {
+            console.log('%s %s %s%s', entry.created, entry.type, entry.value, entry.reason ? ' (' + entry.reason + ')' : '');
+        });
+        return;
+    }
+
+    if (command === 'pause') {
+        console.log('Paused %s %s', body.paused.type, body.paused.value);
+        return;
+    }
+
+    console.log(body.resumed ? 'Resumed %s %s' : 'Nothing to resume for %s %s', body.type, body.value);
+};
+
+switch (command) {
+    case 'list':
+        request.get({ url: api + '/pauses', json: true }, handleResponse);
+        break;
+
+    case 'pause':
+    case 'resume':
+        if (!TYPES.includes(type) || !value) {
+            usage();
+        }
+        if (command === 'pause') {
+            request.post({ url: api + '/pauses', json: { type, value, reason: argv.reason || '' } }, handleResponse);
+        } else {
+            request.del({ url: api + '/pauses', qs: { type, value }, json: true }, handleResponse);
+        }
+        break;
+
+    default:
+        usage();
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/* eslint no-console: 0 */
+'use strict';
+
+const config = require('@zone-eu/wild-config');
+const db = require('../lib/db');
+const Keyring = require('../lib/storage/encryption');
+const argv = require('minimist')(process.argv.slice(2), {
+    string: ['from'],
+    boolean: ['dry-run', 'help']
+});
+
+let usage = () => {
+    console.error('Usage: queue-reencrypt [--from=keyId] [--dry-run]');
+    console.error('Encrypts data keys of queued messages with the current encryption key (queue.storage.encryption.currentKey).');
+    console.error('Message contents are not changed, so this is fast even for large queues.');
+    console.error('Options: --from=keyId   only process messages encrypted with this key');
+    console.error('         --dry-run      only count messages that would be updated');
+    process.exit(1);
+};
+
+if (argv.help) {
+    usage();
+}
+
+let keyring;
+try {
+    keyring = new Keyring((config.queue.storage && config.queue.storage.encryption) || {});
+} catch (err) {
+    console.error('Failed to load encryption keys: %s', err.message);
+    process.exit(2);
+}
+
+if (!keyring.currentKey) {
+    console.error('Current encryption key not set');
+    process.exit(2);
+}
+
+let run = async () => {
+    let files = db.senderDb.collection(config.queue.gfs + '.files');
+
+    let query = {
+        'metadata.encryption.keyId': argv.from ? argv.from : { $ne: keyring.currentKey }
+    };
+
+    if (argv['dry-run']) {
+        let count = await files.countDocuments(query);
+        console.log('%s messages to re-encrypt', count);
+        return;
+    }
+
+    let updated = 0;
+    let failed = 0;
+
+    let cursor = files.find(query, {
+        projection: {
+            _id: true,
+            filename: true,
+            'metadata.encryption': true
+        }
+    });
+
+    let file;
+    while ((file = await cursor.next())) {
+        let encryption;
+        try {
+            encryption = keyring.rewrap(file.metadata.encryption);
+        } catch (err) {
+            console.error('%s: %s', file.filename, err.message);
+            failed++;
+            continue;
+        }
+
+        // skip if the message was deleted or updated in the meantime
+        let r = await files.updateOne(
+            {
+                _id: file._id,
+                'metadata.encryption.key': file.metadata.encryption.key
+            },
+            {
+                $set: {
+                    'metadata.encryption': encryption
+                }
+            }
+        );
+        updated += r.modifiedCount || 0;
+    }
+    await cursor.close();
+
+    console.log('Re-encrypted %s messages with key "%s"%s', updated, keyring.currentKey, failed ? ', failed ' + failed : '');
+    if (failed) {
+        process.exitCode = 3;
+    }
+};
+
+db.connect(err => {
+    if (err) {
+        console.error('Could not initialize database: %s', err.message);
+        return process.exit(2);
+    }
+
+    run()
+        .catch(err => {
+            console.error('Failed to re-encrypt messages: %s', err.message);
+            process.exitCode = 2;
+        })
+        .finally(() => {
+            db.redis.quit();
+            db.mongoclient.close();
+        });
+});
@@ -34,9 +34,66 @@ module.exports = {
         // this is needed to route deferred messages to correct instance
         instanceId: 'default',
 
-        // Collection name for GridFS storage
+        // Collection name for GridFS storage. Message metadata is stored in this collection even if
+        // message contents are stored elsewhere
         gfs: 'mail',
 
+        // Where to store message contents. Changing the driver only affects new messages, already queued
+        // messages are retrieved from wherever these were stored
+        storage: {
+            // one of 'gridfs' (MongoDB GridFS), 'fs' (local spool directory) or 's3' (S3 compatible object storage)
+            driver: 'gridfs',
+
+            // compress message contents before storing, either false, 'gzip' or 'zstd' (zstd requires Node.js 22.15 or newer).
+            // Compressed messages are decompressed when retrieved, regardless of the current setting
+            compression: false,
+            // compression level, use false for the default level of the algorithm
+            compressionLevel: false,
+
+            // if true, then identical message contents are stored only once and shared between messages,
+            // useful if the same newsletter is submitted separately for every recipient. If encryption is
+            // enabled, then contents are matched by a hash keyed with the current encryption key
+            deduplicate: false,
+
+            // Envelope encryption of message contents. Every message is encrypted with a random data key
+            // and the data key is stored in message metadata, encrypted with a master key
+            encryption: {
+                // if true, then new messages are encrypted with the current key
+                enabled: false,
+                // ID of the master key to use for new messages
+                currentKey: '',
+                // master keys by ID, 32 bytes as hex or base64, loaded from a file or an environment variable,
+                // eg. {key2: {file: '/etc/zone-mta/key2'}, key1: {env: 'ZONEMTA_KEY1'}}. Keep old keys here after
+                // rotating until "queue-reencrypt" has been run, otherwise messages encrypted with old keys can not be read
+                keys: {}
+            },
+
+            fs: {
+                // spool directory, must be shared between all processes of this instance
+                path: '/var/spool/zone-mta',
+                // set to true if the spool directory is on storage shared between all instances (eg. NFS). Otherwise
+                // deliveries of messages stored in the spool are not moved to other instances by failover, drain
+                // handoff or the migrate API, as other instances could not read these messages
+                shared: false
+            },
+
+            s3: {
+                // leave empty for AWS S3, eg. 'http://127.0.0.1:9000' for a local MinIO server
+                endpoint: '',
+                region: 'us-east-1',
+                bucket: 'zone-mta',
+                // prefix for object keys
+                prefix: 'messages/',
+                // if not set, then AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY environment variables are used
+                accessKeyId: '',
+                secretAccessKey: '',
+                // use https://host/bucket/key instead of https://bucket.host/key URLs
+                forcePathStyle: true,
+                // larger messages are uploaded in parts of this size, so only a single part is kept in memory
+                partSize: 8 * 1024 * 1024
+            }
+        },
+
         // Collection name for the queue
         collection: 'zone-queue',
 
@@ -49,6 +106,77 @@ module.exports = {
         // remove messages from queue if not delivered or bounced before maxQueueTime
         maxQueueTime: 30 * 24 * 3600 * 1000,
 
+        // deliveries held by plugins for manual review are resolved automatically after holdTime,
+        // set to 0 to keep held deliveries until released or rejected (or until maxQueueTime)
+        holdTime: 3 * 24 * 3600 * 1000,
+        // what to do with held deliveries after holdTime, either 'reject' (bounce) or 'release'
+        holdExpireAction: 'reject',
+
+        // Delivery priority lanes. Deliveries with "high" priority are fetched from the queue before "normal"
+        // and "normal" before "low". Priority can be set with the API, the X-Delivery-Priority header,
+        // by plugins or by the interface default
+        priority: {
+            // default priority by interface, eg. {bounce: 'low', api: 'high'}. Other interfaces use 'normal'
+            interfaces: {},
+            // every Nth delivery from a Sending Zone is fetched from lower lanes first, so a steady
+            // stream of higher priority deliveries would not block lower lanes forever. Set to 0 to disable
+            starvationLimit: 10,
+            // connections per Sending Zone that can only be used by a lane or higher lanes, eg. {high: 2}
+            // means that "normal" and "low" deliveries never use the last 2 free connections
+            reserved: {}
+        },
+
+        // Fair scheduling between tenants (customers, users etc.) that share a Sending Zone. If enabled then
+        // deliveries are fetched in a weighted round-robin order between tenants instead of the queue order,
+        // so a single tenant queuing a large batch of messages would not block everyone else
+        tenants: {
+            enabled: false,
+            // how to identify the tenant of a message, either 'user' (authenticated user) or 'senderDomain'
+            // (domain of the envelope sender). Plugins can set envelope.tenant to use any other value
+            key: 'user',
+            // relative share of deliveries per tenant, eg. {bigcustomer: 3}. Tenants not listed have the weight of 1
+            weights: {},
+            // max count of parallel deliveries per tenant in a Sending Zone, 0 means unlimited
+            maxConnections: 0,
+            // per-tenant overrides for maxConnections, eg. {bigcustomer: 20}
+            limits: {}
+        },
+
+        // Every instance reports a heartbeat to the "instances" collection. If failover is enabled, then
+        // deliveries assigned to an instance that has not reported a heartbeat for `timeout` ms are taken
+        // over by one of the surviving instances
+        failover: {
+            enabled: false,
+            heartbeatInterval: 10 * 1000,
+            // make sure this is a lot higher than heartbeatInterval, otherwise a slow instance might be
+            // considered dead and its deliveries could be sent out twice
+            timeout: 5 * 60 * 1000
+        },
+
+        // Drain mode for maintenance, started with the POST /drain API call or with the SIGUSR2 signal. While draining,
+        // new SMTP submissions are rejected at MAIL FROM with a temporary error, API submissions are rejected with
+        // HTTP 503 and no new deliveries are started
+        drain: {
+            // SMTP response code for new submissions, must be a 4xx code
+            responseCode: 421,
+            message: 'Server is going down for maintenance, try again later',
+            // what to do with the queue once in-flight deliveries are finished, when draining is started with SIGUSR2.
+            // false keeps the queue, true moves it to any live instance, or set the ID of the instance to move the queue to
+            handoff: false,
+            // if true, then the process exits once draining is finished, when draining is started with SIGUSR2
+            exit: true,
+            // stop waiting for in-flight deliveries after this time
+            timeout: 10 * 60 * 1000
+        },
+
+        // If enabled, then lifecycle events of every message (accepted, routed, queued, delivery attempts, deferred,
+        // delivered, bounced, dropped etc.) are stored to the "messageevents" collection and can be listed with the
+        // GET /message/:id/events API call. This adds a few database writes for every delivery attempt. Events are
+        // removed after 30 days by a TTL index, to change this edit the "events_ttl" index in indexes.yaml
+        events: {
+            enabled: false
+        },
+
         // log every poll query from queue
         logQueuePolling: false
     },
@@ -69,9 +197,21 @@ module.exports = {
             // Add missing headers (Message-ID, Date, etc.)
             addMissing: ['message-id', 'date'],
 
-            // If true then delay messages according to the Date header. Messages can be deferred up to 1 year.
+            // Header to schedule a message for later delivery. The value can be a date string or an unix timestamp.
+            // Messages can be scheduled up to 1 year. The header is removed from the message. Set to false to disable
+            scheduleHeader: 'X-Send-At',
+
+            // Header to set an expiration time for a message. The value can be a date string or an unix timestamp.
+            // Undelivered messages are bounced with an "expired" status once this time is reached. The header
+            // is removed from the message. Set to false to disable
+            expiresHeader: 'X-Expires',
+
+            // Header to set the delivery priority of a message, one of "high", "normal" or "low". Only used for
+            // interfaces listed in allowRoutingHeaders. The header is removed from the message. Set to false to disable
+            priorityHeader: 'X-Delivery-Priority',
+
+            // Deprecated, use scheduleHeader instead. If true then delay messages according to the Date header.
             // This only works if the Date header is higher than 5 minutes from now because of possible clock skew
-            // This should probably be a separate plugin
             futureDate: false,
 
             // add X-Originating-IP header
@@ -110,6 +250,7 @@ module.exports = {
             ignoreOrigins: [], // a list of source IP addresses to ignore spam results for
             maxSize: 5 * 1024 * 1024, // do not check for spam if the message is very large
             dropSpam: false, // if true then silently drop spam messages instead of rejecting
+            holdSpam: false, // if true then hold spam messages for manual review instead of rejecting
             rewriteSubject: false // if true adds a [**SPAM**] prefix to mail subject
             // ip: true // if true, then includes remote address in Rspamd input as the source IP
             // ip: '1.2.3.4' // if not true but a string, then includes this value in Rspamd input as the source IP
@@ -144,6 +285,38 @@ module.exports = {
                 after: 3 * 3600 * 1000 // 3h
             },
 
+            // Templates for the human readable part and the subject of notifications. Built-in English
+            // templates are used if nothing else is found. A template defines `subject` and `text` for any of
+            // the notification types 'failed', 'delayed', 'relayed' and 'delivered'. Available variables are
+            // {{recipient}}, {{originalRecipients}}, {{sender}}, {{reason}}, {{category}}, {{queueTime}},
+            // {{queueId}}, {{messageId}}, {{arrivalDate}} and {{reportingMta}}. Text between {{#key}} and {{/key}}
+            // is only included if the variable has a value
+            templates: {
+                // directory for template files named as <name>.<lang>.yaml (or .yml, .json), eg. 'brand.et.yaml'
+                path: false, // './config/bounce-templates'
+                // MongoDB collection for template documents {name, lang, failed: {subject, text}, delayed: {...}}
+                // Database templates take precedence over template files
+                collection: false, // 'bouncetemplates'
+                // how long to cache templates loaded from MongoDB
+                cacheTime: 5 * 60 * 1000,
+
+                // template name to use if sender domain does not have its own template
+                name: 'default',
+                // template names by sender domain
+                senderDomains: {
+                    // 'example.com': 'brand'
+                },
+
+                // header to read the language from (eg. 'Content-Language'), primary subtag is used
+                languageHeader: 'X-Bounce-Language',
+                // language by sender domain, used if language header is not set
+                languages: {
+                    // 'example.ee': 'et'
+                },
+                // fallback language if template for the requested language does not exist
+                defaultLanguage: 'en'
+            },
+
             zoneConfig: {
                 // specify zone specific bounce options
                 myzonename: {
@@ -157,7 +330,11 @@ module.exports = {
                     },
                     // use same queue for handling bounces as for the original message
                     // if not set then default queue is used
-                    sendingZone: 'myzonename'
+                    sendingZone: 'myzonename',
+                    // zone specific template options, keys listed here override keys from the global templates config
+                    templates: {
+                        name: 'myzonename'
+                    }
                 }
             }
         },
@@ -250,6 +427,11 @@ module.exports = {
             // set to true to see incoming SMTP transaction log
             logger: false,
 
+            // Set to false to advertise DSN (RFC 3461) support. NOTIFY, ORCPT, RET and ENVID values are
+            // stored with the message, relayed to the next hop and used when generating bounce messages.
+            // Bounce messages generated by ZoneMTA include only message headers, even if RET=FULL was requested
+            hideDSN: true,
+
             starttls: false, // set to true to enable STARTTLS (port 587)
             secure: false // set to true to start in TLS mode (port 465)
 
@@ -375,11 +557,68 @@ module.exports = {
                 // of the load this ip should handle.
                 // By default all messages are shared equally between different addresses
                 ratio: 1 / 10
+            },
+
+            {
+                address: '1.2.3.5',
+                name: 'mta2.example.com',
+                // Optional warm-up schedule for a new address. `schedule` lists how many messages this
+                // address is allowed to deliver on each day, starting from `start`. Messages over the limit
+                // are sent from addresses that are not warming up. Once the schedule is over the address
+                // gets its normal share of messages. `providers` sets additional daily limits for specific
+                // destination providers, see the `providers` option for provider names
+                warmup: {
+                    start: '2026-11-01',
+                    schedule: [1000, 2000, 5000, 10000, 20000, 50000, 100000],
+                    providers: {
+                        google: [200, 500, 1000, 2000, 5000, 10000, 20000]
+                    }
+                }
             }
              */
         ]
     },
 
+    // Named retry policies for deferred deliveries. A policy can be attached to a Sending Zone (zones.*.retryPolicy)
+    // or to a recipient domain (domainConfig.*.retryPolicy). Domain policy takes precedence over the zone policy and
+    // if neither is set then 'default' is used. A retry schedule is either a list of delays in milliseconds or an object:
+    //   {type: 'flat', delay: 5 * 60 * 1000, retries: 12}
+    //   {type: 'exponential', delay: 5 * 60 * 1000, factor: 2, maxDelay: 4 * 3600 * 1000, jitter: 0.2, retries: 20}
+    // `jitter` randomizes the delay by the given fraction. Once a schedule runs out of retries the delivery is bounced.
+    retryPolicies: {
+        default: {
+            // Default retry schedule. If not set then queue.deferTimes or the built-in schedule
+            // (5m, 7m, 8m, 25m, 75m, 2h, 4h and then after every 4h until 48h) is used
+            // schedule: [5 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000],
+
+            // Bounce if the next attempt would be made after the message has been queued for longer than this.
+            // Set to false to only rely on the schedule
+            maxQueueTime: false
+
+            // Example schedule overrides by bounce category (see bounces.txt for the categories). Category schedules
+            // may include their own maxQueueTime. Once a category schedule runs out of retries the default
+            // schedule is used for the remaining attempts
+            /*
+            categories: {
+                // greylisting usually clears quickly, so retry often
+                greylist: { type: 'flat', delay: 5 * 60 * 1000, retries: 12 },
+                // remote server is overloaded, back off exponentially and spread the retries
+                capacity: { type: 'exponential', delay: 5 * 60 * 1000, factor: 2, maxDelay: 4 * 3600 * 1000, jitter: 0.2, retries: 17 },
+                // blocklisting does not clear quickly, retrying too often only makes it worse
+                blacklist: { type: 'exponential', delay: 3600 * 1000, factor: 2, maxDelay: 12 * 3600 * 1000, retries: 8 }
+            }
+            */
+        }
+
+        /*
+        // example policy that gives up after 4 hours
+        transactional: {
+            schedule: { type: 'exponential', delay: 2 * 60 * 1000, factor: 2, maxDelay: 3600 * 1000 },
+            maxQueueTime: 4 * 3600 * 1000
+        }
+        */
+    },
+
     // Sending Zone definitions
     // Every Sending Zone can have multiple IPs that are rotated between connections
     zones: {
@@ -405,6 +644,14 @@ module.exports = {
             // Throttling applies per connection in a process
             // throttling: '100 messages/second', // max messages per minute, hour or second
 
+            // Retry policy to use for deferred deliveries from this zone, see retryPolicies
+            // retryPolicy: 'default',
+
+            // If set then deliveries of the same message to the same recipient domain are sent in a single
+            // SMTP transaction with multiple RCPT TO commands. Value is the max count of recipients per transaction,
+            // `true` means 100. Can be overridden per recipient domain in domainConfig
+            // bundleRecipients: 50,
+
             // Define address:name pairs (both IPv4 and IPv6) for outgoing IP addresses
             // This allows you to use different IP addresses for different messages:
             // For example, if you have 5 IP's listed and you open 5 parallel
@@ -487,8 +734,63 @@ module.exports = {
 
     blacklist: {
         // when an IP is blacklisted then disable using this ip for a domain for the next ttl ms
-        // this is in memory only, so if you restart or reload the server the blacklist gets cleared
-        ttl: 1 * 60 * 60 * 1000
+        // blacklist entries are stored in Redis, so these are shared between all instances and survive restarts
+        ttl: 1 * 60 * 60 * 1000,
+        // how often to reload the list of blacklisted addresses from Redis
+        refreshInterval: 10 * 1000
+    },
+
+    ipReputation: {
+        // if enabled then blacklist and spam responses are counted in Redis per local IP and destination provider.
+        // once a threshold is reached the IP is not used for any domain of that provider until disableTime has passed.
+        // providers are listed in the `providers` option
+        enabled: false,
+        // responses per bounce category that are allowed in the counting window before the IP is disabled
+        thresholds: {
+            blacklist: 3,
+            spam: 10
+        },
+        // counting window in ms, starts from the first counted response
+        window: 1 * 60 * 60 * 1000,
+        // how long to keep the IP disabled for the provider
+        disableTime: 6 * 60 * 60 * 1000,
+        // how often sender processes reload the list of disabled addresses from Redis
+        refreshInterval: 10 * 1000
+    },
+
+    ipWarmup: {
+        // how often sender processes reload daily warm-up counters from Redis
+        refreshInterval: 10 * 1000
+    },
+
+    adaptiveThrottling: {
+        // if enabled then slowdown and capacity responses reduce the count of parallel connections to the
+        // recipient domain and add a delay between deliveries. Throttling is kept per zone, domain and local IP,
+        // if several IPs are throttled for the same domain then the most restrictive values are used
+        enabled: false,
+        // bounce categories that trigger throttling in addition to responses with the `slowdown` action
+        categories: ['rate', 'capacity'],
+        // every slowdown response multiplies the allowed share of maxConnections by this value
+        decreaseFactor: 0.5,
+        // allowed share of maxConnections never goes below this value (at least 1 connection is always allowed)
+        minFactor: 0.1,
+        // delay in ms between deliveries after the first slowdown response, doubled on every following response
+        initialDelay: 1000,
+        maxDelay: 60 * 1000,
+        // after this many successful deliveries in a row the share is increased by increaseStep and the delay is halved
+        recoverAfter: 50,
+        increaseStep: 0.1,
+        // throttling is removed if there have been no changes for this long
+        resetTime: 60 * 60 * 1000
+    },
+
+    // Destination providers for IP reputation tracking and IP warm-up. Lists recipient domains that are handled
+    // by the same provider, wildcards are allowed. Domains not listed here are separate providers by themselves.
+    // Providers listed in the deprecated ipReputation.providers option are still used and override these
+    providers: {
+        google: ['gmail.com', 'googlemail.com'],
+        microsoft: ['outlook.com', 'hotmail.*', 'live.*', 'msn.com'],
+        yahoo: ['yahoo.*', 'ymail.com', 'aol.com']
     },
 
     // Domain specific configuration
@@ -508,17 +810,37 @@ module.exports = {
         'hot.ee': {
             maxConnections: 5,
             disabledAddresses: ['127.0.0.1'],
+            // retry policy for deliveries to this domain, overrides the zone policy
+            retryPolicy: 'transactional',
             // domain specific DNS options that override zone and general DNS options
             dnsOptions: {
                 preferIPv6: true,
                 ignoreIPv6: false
             }
+        },
+        'gmail.com': {
+            // rate limits are shared between all processes and instances. Limit is counted either per sending IP
+            // or per Sending Zone (default). Deliveries over the limit are postponed until the next time window,
+            // this does not count as a failed delivery attempt
+            rateLimit: '3000 messages/hour per ip'
+        },
+        'yahoo.com': {
+            // multiple limits can be set as a list, object form is also allowed
+            rateLimit: ['20 messages/minute per zone', { messages: 500, time: 'hour', per: 'ip' }]
+        },
+        'example.com': {
+            // send up to 50 recipients of a message in a single SMTP transaction, use false to disable
+            bundleRecipients: 50
         }
         */
     },
 
-    // Bounce rules file path
+    // Bounce rules file path. Can also be a list of files, rules are checked in the listed order.
+    // Files with .yaml, .yml or .json extension use the structured rules format that can match
+    // on response code, enhanced status code, SMTP command, MX hostname and recipient domain
+    // and can set custom retry schedules, see README for details
     bouncesFile: path.join(__dirname, 'bounces.txt'),
+    // bouncesFile: [path.join(__dirname, 'bounces.yaml'), path.join(__dirname, 'bounces.txt')],
 
     pluginsPath: './plugins',
     corePluginsPath: './plugins'
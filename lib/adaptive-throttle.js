@@ -0,0 +1,207 @@
+'use strict';
+
+const config = require('@zone-eu/wild-config');
+const log = require('npmlog');
+const promClient = require('prom-client');
+
+const logName = 'Throttle/' + process.pid;
+
+const DEFAULTS = {
+    enabled: false,
+    categories: ['rate', 'capacity'],
+    decreaseFactor: 0.5,
+    minFactor: 0.1,
+    initialDelay: 1000,
+    maxDelay: 60 * 1000,
+    recoverAfter: 50,
+    increaseStep: 0.1,
+    resetTime: 60 * 60 * 1000
+};
+
+// Throttling state by zone, recipient domain and sending IP. Only kept in the master process
+// as this is where the queue is processed
+const states = new Map();
+
+const factorGauge = new promClient.Gauge({
+    name: 'zonemta_throttle_factor',
+    help: 'Share of allowed connections for a throttled domain',
+    labelNames: ['zone', 'domain', 'address'],
+    collect() {
+        updateMetrics();
+    }
+});
+
+const delayGauge = new promClient.Gauge({
+    name: 'zonemta_throttle_delay',
+    help: 'Minimum delay in milliseconds between deliveries to a throttled domain',
+    labelNames: ['zone', 'domain', 'address']
+});
+
+function getOptions() {
+    return Object.assign({}, DEFAULTS, config.adaptiveThrottling || {});
+}
+
+function getKey(zone, domain, address) {
+    return [zone, domain, address || ''].join('|');
+}
+
+/**
+ * Checks if a deferred delivery should slow down sending to the domain
+ *
+ * @param {Object} data
+ * @param {String} [data.action] Bounce action, eg. 'slowdown'
+ * @param {String} [data.category] Bounce category
+ * @returns {Boolean}
+ */
+function isSlowdown(data) {
+    let options = getOptions();
+    return !!options.enabled && !!data && (data.action === 'slowdown' || [].concat(options.categories || []).includes(data.category));
+}
+
+/**
+ * Reduces concurrency and rate for a domain and sending IP after a slowdown or capacity response
+ *
+ * @param {String} zone Zone name
+ * @param {String} domain Recipient domain
+ * @param {String} [address] Sending IP
+ * @returns {Object} Updated state
+ */
+function slowdown(zone, domain, address) {
+    let options = getOptions();
+    let key = getKey(zone, domain, address);
+    let now = Date.now();
+
+    let state = states.get(key) || {
+        zone,
+        domain,
+        address: address || false,
+        factor: 1,
+        delay: 0,
+        slowdowns: 0,
+        successes: 0,
+        created: now
+    };
+
+    state.factor = Math.max(state.factor * options.decreaseFactor, options.minFactor);
+    state.delay = Math.min(state.delay ? state.delay * 2 : options.initialDelay, options.maxDelay);
+    state.slowdowns++;
+    state.successes = 0;
+    state.updated = now;
+    states.set(key, state);
+
+    log.info(logName, 'THROTTLE zone=%s domain=%s address=%s factor=%s delay=%sms', zone, domain, address || '', state.factor.toFixed(2), state.delay);
+
+    return state;
+}
+
+/**
+ * Counts a successful delivery. After enough successful deliveries in a row the throttling is reduced
+ * step by step until it is removed
+ *
+ * @param {String} zone Zone name
+ * @param {String} domain Recipient domain
+ * @param {String} [address] Sending IP
+ */
+function success(zone, domain, address) {
+    let key = getKey(zone, domain, address);
+    if (!states.has(key)) {
+        return;
+    }
+
+    let options = getOptions();
+    let state = states.get(key);
+    state.successes++;
+
+    if (state.successes < options.recoverAfter) {
+        return;
+    }
+
+    state.factor = Math.min(state.factor + options.increaseStep, 1);
+    state.delay = state.delay / 2 >= options.initialDelay ? Math.round(state.delay / 2) : 0;
+    state.successes = 0;
+    state.updated = Date.now();
+
+    if (state.factor >= 1 && !state.delay) {
+        states.delete(key);
+        log.info(logName, 'UNTHROTTLE zone=%s domain=%s address=%s', zone, domain, address || '');
+    }
+}
+
+/**
+ * Returns effective throttling for a zone and domain. If several sending IPs are throttled for the domain
+ * then the most restrictive values are used
+ *
+ * @param {String} zone Zone name
+ * @param {String} domain Recipient domain
+ * @returns {Object|Boolean} {factor, delay} or false if the domain is not throttled
+ */
+function get(zone, domain) {
+    let result = false;
+    list(zone, domain).forEach(state => {
+        result = result || { factor: 1, delay: 0 };
+        result.factor = Math.min(result.factor, state.factor);
+        result.delay = Math.max(result.delay, state.delay);
+    });
+    return result;
+}
+
+/**
+ * Lists current throttling states. Expired states are removed
+ *
+ * @param {String} [zone] Filter by zone
+ * @param {String} [domain] Filter by domain
+ * @returns {Array} List of states
+ */
+function list(zone, domain) {
+    let options = getOptions();
+    let now = Date.now();
+    let result = [];
+
+    states.forEach((state, key) => {
+        if (!options.enabled || state.updated < now - options.resetTime) {
+            // no news for a while, start from scratch
+            states.delete(key);
+            return;
+        }
+        if ((!zone || state.zone === zone) && (!domain || state.domain === domain)) {
+            result.push(state);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Removes throttling for a zone and domain
+ *
+ * @param {String} zone Zone name
+ * @param {String} domain Recipient domain
+ * @returns {Number} Count of removed states
+ */
+function reset(zone, domain) {
+    let removed = 0;
+    list(zone, domain).forEach(state => {
+        states.delete(getKey(state.zone, state.domain, state.address));
+        removed++;
+    });
+    return removed;
+}
+
+function updateMetrics() {
+    factorGauge.reset();
+    delayGauge.reset();
+    list().forEach(state => {
+        let labels = { zone: state.zone, domain: state.domain, address: state.address || '' };
+        factorGauge.set(labels, state.factor);
+        delayGauge.set(labels, state.delay);
+    });
+}
+
+module.exports = {
+    isSlowdown,
+    slowdown,
+    success,
+    get,
+    list,
+    reset
+};
@@ -0,0 +1,150 @@
+'use strict';
+
+const config = require('@zone-eu/wild-config');
+const RedisList = require('./redis-list');
+
+// Redis keys. Blacklisted domain:address combos are stored in a sorted set where the score is the expiration time,
+// entry details are stored in a hash
+const ENTRIES_KEY = 'blacklist:entries';
+const INFO_KEY = 'blacklist:info';
+
+function getMember(domain, address) {
+    return domain + '|' + address;
+}
+
+function parseMember(member) {
+    let pos = (member || '').indexOf('|');
+    return {
+        domain: member.substr(0, pos),
+        address: member.substr(pos + 1)
+    };
+}
+
+// Local copy of blacklisted addresses is kept by domain, so that the queue server can attach these
+// to deliveries without waiting for Redis
+const blacklist = new RedisList({
+    entriesKey: ENTRIES_KEY,
+    infoKey: INFO_KEY,
+    group: 'domain',
+    getMember: entry => getMember(entry.domain, entry.address),
+    parseMember,
+    getRefreshInterval: () => (config.blacklist && config.blacklist.refreshInterval) || 10 * 1000,
+    logName: 'Blacklist/' + process.pid,
+    errorCode: 'BLACKLIST_REDIS_ERROR',
+    errorMessage: 'Blacklist Redis error'
+});
+
+/**
+ * Replaces the local list of blacklisted addresses
+ *
+ * @param {Array} list List of {domain, address, expires} objects
+ */
+function setEntries(list) {
+    blacklist.setEntries(list);
+}
+
+/**
+ * Returns blacklisted local addresses for a recipient domain. Uses the locally cached list and
+ * schedules a refresh from Redis if the cached list is older than blacklist.refreshInterval
+ *
+ * @param {String} domain Recipient domain
+ * @returns {Array} List of local addresses
+ */
+function getAddresses(domain) {
+    return blacklist.getAddresses(domain);
+}
+
+/**
+ * Returns the count of currently blacklisted domain:address combos in the local list
+ *
+ * @returns {Number}
+ */
+function count() {
+    return blacklist.count();
+}
+
+/**
+ * Loads the list of blacklisted addresses from Redis
+ *
+ * @param {Function} callback
+ */
+function refresh(callback) {
+    blacklist.refresh(callback);
+}
+
+/**
+ * Blacklists a local address for a recipient domain. Existing entries are overwritten
+ *
+ * @param {Object} data
+ * @param {String} data.domain Recipient domain
+ * @param {String} data.address Local IP address
+ * @param {Number} [data.ttl] How long to keep the entry in ms, defaults to blacklist.ttl
+ * @param {String} [data.response] SMTP response that caused blacklisting
+ * @param {String} [data.id] Queue ID of the message that caused blacklisting
+ * @param {String} [data.seq] Delivery sequence of the message that caused blacklisting
+ * @param {String} [data.source] Either 'delivery' or 'api'
+ * @param {Function} callback Returns the stored entry
+ */
+function add(data, callback) {
+    let now = Date.now();
+    let entry = {
+        domain: data.domain,
+        address: data.address,
+        source: data.source || 'delivery',
+        response: data.response ? data.response.toString().substr(0, 256) : false,
+        id: data.id || false,
+        seq: data.seq || false,
+        created: now,
+        expires: now + (Number(data.ttl) || (config.blacklist && config.blacklist.ttl) || 60 * 60 * 1000)
+    };
+
+    blacklist.add(entry, false, callback);
+}
+
+/**
+ * Removes a blacklisted address
+ *
+ * @param {String} domain Recipient domain
+ * @param {String} [address] Local IP address. If not set then all addresses for the domain are removed
+ * @param {Function} callback Returns the count of removed entries
+ */
+function remove(domain, address, callback) {
+    list(domain, (err, list) => {
+        if (err) {
+            return callback(err);
+        }
+
+        blacklist.remove(
+            list.filter(entry => !address || entry.address === address),
+            callback
+        );
+    });
+}
+
+/**
+ * Lists blacklisted addresses
+ *
+ * @param {String} [domain] If set then only list entries for this domain
+ * @param {Function} callback Returns a list of {domain, address, source, response, id, seq, created, expires}
+ */
+function list(domain, callback) {
+    blacklist.list((err, list) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(
+            null,
+            list.filter(entry => !domain || entry.domain === domain)
+        );
+    });
+}
+
+module.exports = {
+    setEntries,
+    getAddresses,
+    count,
+    refresh,
+    add,
+    remove,
+    list
+};
@@ -6,12 +6,22 @@ const restify = require('restify');
 const ByteCounter = require('./byte-counter');
 const Headers = require('@zone-eu/mailsplit').Headers;
 const MailDrop = require('./mail-drop');
+const MailQueue = require('./mail-queue');
+const QueueBulk = require('./queue-bulk');
 const plugins = require('./plugins');
 const MailComposer = require('nodemailer/lib/mail-composer');
 const LeWindows = require('nodemailer/lib/mime-node/le-windows');
 const util = require('util');
+const net = require('net');
 const internalCounters = require('./counters');
 const addressTools = require('./address-tools');
+const bounces = require('./bounces');
+const sendingZone = require('./sending-zone');
+const ipReputation = require('./ip-reputation');
+const addressBlacklist = require('./address-blacklist');
+const adaptiveThrottle = require('./adaptive-throttle');
+const schedule = require('./schedule');
+const priorities = require('./priority');
 const promClient = require('prom-client');
 const ObjectId = require('mongodb').ObjectId;
 const { gelfCode, emitGelf } = require('./log-gelf');
@@ -135,8 +145,45 @@ class APIServer {
                 return next();
             }
 
+            if (this.queue && this.queue.drain.active) {
+                // new messages are not accepted while draining
+                res.json(503, {
+                    error: this.queue.drain.getResponse().message
+                });
+                return next();
+            }
+
             let data = req.body || {};
 
+            let sendAt = schedule.parseSendAt(data.sendAt);
+            if (sendAt === false && data.sendAt) {
+                res.json(400, {
+                    error: 'Invalid sendAt value'
+                });
+                return next();
+            }
+            delete data.sendAt;
+
+            let expires = schedule.parseExpires(data.expires, data.ttl);
+            if (expires === false && (data.expires || data.ttl)) {
+                res.json(400, {
+                    error: 'Invalid expires value'
+                });
+                return next();
+            }
+            delete data.expires;
+            delete data.ttl;
+
+            // not using "priority" as this is already used by MailComposer for the X-Priority header
+            let deliveryPriority = priorities.parsePriority(data.deliveryPriority);
+            if (!deliveryPriority && data.deliveryPriority) {
+                res.json(400, {
+                    error: 'Invalid deliveryPriority value'
+                });
+                return next();
+            }
+            delete data.deliveryPriority;
+
             data.disableFileAccess = true;
             data.disableUrlAccess = true;
             let mail = new MailComposer(data).compile();
@@ -148,6 +195,15 @@ class APIServer {
             envelope.transtype = 'HTTP';
             envelope.time = Date.now();
             envelope.user = req.header('X-Authenticated-User', false);
+            if (sendAt) {
+                envelope.sendAt = sendAt;
+            }
+            if (expires) {
+                envelope.expires = expires;
+            }
+            if (deliveryPriority) {
+                envelope.priority = deliveryPriority;
+            }
 
             let session = {
                 remoteAddress: req.connection.remoteAddress,
@@ -184,6 +240,8 @@ class APIServer {
                             id: envelope.id,
                             from: envelope.from,
                             to: envelope.to,
+                            sendAt: envelope.sendAt ? new Date(envelope.sendAt) : undefined,
+                            expires: envelope.expires ? new Date(envelope.expires) : undefined,
                             response
                         });
                     }
@@ -201,6 +259,38 @@ class APIServer {
                 return next();
             }
 
+            if (this.queue && this.queue.drain.active) {
+                // new messages are not accepted while draining
+                res.json(503, {
+                    error: this.queue.drain.getResponse().message
+                });
+                return next();
+            }
+
+            let sendAt = schedule.parseSendAt(req.query.sendAt);
+            if (sendAt === false && req.query.sendAt) {
+                res.json(400, {
+                    error: 'Invalid sendAt value'
+                });
+                return next();
+            }
+
+            let expires = schedule.parseExpires(req.query.expires, req.query.ttl);
+            if (expires === false && (req.query.expires || req.query.ttl)) {
+                res.json(400, {
+                    error: 'Invalid expires value'
+                });
+                return next();
+            }
+
+            let deliveryPriority = priorities.parsePriority(req.query.deliveryPriority);
+            if (!deliveryPriority && req.query.deliveryPriority) {
+                res.json(400, {
+                    error: 'Invalid deliveryPriority value'
+                });
+                return next();
+            }
+
             let payload = req.body ? req.body : req;
             let envelope = {
                 id: this.queue.seqIndex.get(),
@@ -212,6 +302,16 @@ class APIServer {
                 envelopeFromHeader: true
             };
 
+            if (sendAt) {
+                envelope.sendAt = sendAt;
+            }
+            if (expires) {
+                envelope.expires = expires;
+            }
+            if (deliveryPriority) {
+                envelope.priority = deliveryPriority;
+            }
+
             let session = {
                 remoteAddress: req.connection.remoteAddress,
                 transmissionType: 'HTTP',
@@ -240,6 +340,8 @@ class APIServer {
                             id: envelope.id,
                             from: envelope.from,
                             to: envelope.to,
+                            sendAt: envelope.sendAt ? new Date(envelope.sendAt) : undefined,
+                            expires: envelope.expires ? new Date(envelope.expires) : undefined,
                             response
                         });
                     }
@@ -388,7 +490,18 @@ class APIServer {
                     break;
             }
 
-            this.queue.listQueued(req.params.zone, type, sort, start, pageSize, (err, list) => {
+            let priority = false;
+            if (req.query.priority) {
+                priority = priorities.parsePriority(req.query.priority);
+                if (!priority) {
+                    res.json(400, {
+                        error: 'Invalid priority value'
+                    });
+                    return next();
+                }
+            }
+
+            this.queue.listQueued(req.params.zone, type, sort, start, pageSize, priority, (err, list) => {
                 if (err) {
                     res.json(500, {
                         error: err.message
@@ -399,6 +512,7 @@ class APIServer {
                 res.json({
                     zone: req.params.zone || 'all',
                     type,
+                    priority: priority || 'all',
                     list
                 });
 
@@ -406,6 +520,33 @@ class APIServer {
             });
         });
 
+        // list queue backlog per tenant, optionally for a single zone
+        this.server.get('/tenants', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            let zone = (req.query.zone || '').toString().trim() || false;
+
+            this.queue.listTenants(zone, (err, list) => {
+                if (err) {
+                    res.json(500, {
+                        error: err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    zone: zone || 'all',
+                    list
+                });
+                next();
+            });
+        });
+
         // Streams message contents
         this.server.get('/fetch/:id', (req, res, next) => {
             if (!this.queue) {
@@ -499,6 +640,48 @@ class APIServer {
             });
         });
 
+        // Returns the event timeline of a message, or of a single delivery if seq or recipient is set
+        this.server.get('/message/:id/events', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            if (!this.queue.events.enabled) {
+                res.json(404, {
+                    error: 'Message events are not enabled'
+                });
+                return next();
+            }
+
+            let seq = (req.query.seq || '').toString().trim();
+            let recipient = (req.query.recipient || '').toString().trim();
+
+            this.queue.events.list(req.params.id, { seq, recipient }, (err, events) => {
+                if (err) {
+                    res.json(500, {
+                        error: 'Database error: ' + err.message
+                    });
+                    return next();
+                }
+
+                if (!events.length) {
+                    res.json(404, {
+                        error: 'No events found for selected message'
+                    });
+                    return next();
+                }
+
+                res.json(200, {
+                    id: req.params.id,
+                    events
+                });
+                return next();
+            });
+        });
+
         // Deletes a message from the queue
         this.server.del('/message/:id/:seq', (req, res, next) => {
             if (!this.queue) {
@@ -554,8 +737,8 @@ class APIServer {
             );
         });
 
-        // Returns blacklisted domains
-        this.server.get('/blacklist', (req, res, next) => {
+        // Applies an action to all deliveries matching a filter, or only counts these if dryRun is set
+        this.server.post('/queue/bulk', (req, res, next) => {
             if (!this.queue) {
                 res.json(500, {
                     error: 'Service not yet started'
@@ -563,73 +746,68 @@ class APIServer {
                 return next();
             }
 
-            let list = this.queue.cache.sorted.filter(entry => /^blacklist:/.test(entry.key)).map(entry => entry.value);
-
-            res.json({
-                list
-            });
-
-            next();
-        });
-
-        // Returns message info in queue
-        this.server.get('/internals', (req, res, next) => {
-            if (!this.queue) {
-                res.json(500, {
-                    error: 'Service not yet started'
+            let data = req.body || {};
+            let filter;
+            try {
+                filter = QueueBulk.parseFilter(data.filter);
+            } catch (err) {
+                res.json(400, {
+                    error: 'Invalid filter: ' + err.message
                 });
                 return next();
             }
 
-            res.setHeader('content-type', 'text/plain; charset=utf-8');
-
-            res.send(
-                util.inspect(
-                    {
-                        caches: this.queue.cache.data,
-                        defaultTtl: (this.queue.locks.defaultTtl = 10 * 60 * 1000),
-                        locks: this.queue.locks.locks,
-                        zones: this.queue.locks.zones,
-                        lockOwners: this.queue.locks.lockOwners,
-                        nextTtlCheck: this.queue.locks.nextTtlCheck || false,
-                        counters: internalCounters.list()
-                    },
-                    false,
-                    22
-                )
-            );
-
-            return next();
-        });
+            let action = (data.action || '').toString().trim().toLowerCase();
+            let dryRun = data.dryRun === true || data.dryRun === 'true';
 
-        // Returns message info in queue
-        this.server.get('/internals/clear-counters', (req, res, next) => {
-            if (!this.queue) {
-                res.json(500, {
-                    error: 'Service not yet started'
+            if (!dryRun && !QueueBulk.ACTIONS.includes(action)) {
+                res.json(400, {
+                    error: 'Unknown action, allowed actions are: ' + QueueBulk.ACTIONS.join(', ')
                 });
                 return next();
             }
 
-            res.setHeader('content-type', 'text/plain; charset=utf-8');
+            if (dryRun) {
+                return this.queue.bulk.count(filter, (err, matched) => {
+                    if (err) {
+                        res.json(500, {
+                            error: 'Database error: ' + err.message
+                        });
+                        return next();
+                    }
 
-            internalCounters.clear();
+                    res.json({
+                        dryRun: true,
+                        filter,
+                        matched
+                    });
+                    next();
+                });
+            }
 
-            res.send(
-                util.inspect(
-                    {
-                        counters: internalCounters.list()
-                    },
-                    false,
-                    22
-                )
-            );
+            let options = {
+                time: data.time ? new Date(data.time) : false,
+                zone: (data.targetZone || '').toString().trim(),
+                reason: (data.reason || '').toString().trim() || 'Delivery cancelled by administrator'
+            };
 
-            return next();
+            this.queue.bulk.start(filter, action, options, (err, job) => {
+                if (err) {
+                    res.json(err.code === 'EINVALID' ? 400 : 500, {
+                        error: err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    job
+                });
+                next();
+            });
         });
 
-        // list skipped domains for a zone
-        this.server.get('/skipdomains/:zone', (req, res, next) => {
+        // Returns progress of a bulk operation
+        this.server.get('/queue/bulk/:job', (req, res, next) => {
             if (!this.queue) {
                 res.json(500, {
                     error: 'Service not yet started'
@@ -637,91 +815,440 @@ class APIServer {
                 return next();
             }
 
-            let skipDomains = this.queue.locks.listSkipDomains(req.params.zone);
+            let job = this.queue.bulk.get(req.params.job);
+            if (!job) {
+                res.json(404, {
+                    error: 'Selected job does not exist'
+                });
+                return next();
+            }
 
             res.json({
-                skipDomains
+                job
             });
             next();
         });
 
-        // list queued recipients for a zone
-        this.server.get('/suppressionlist', (req, res, next) => {
-            if (!this.queue) {
-                res.json(500, {
-                    error: 'Service not yet started'
+        // Returns blacklisted domain:address combos from all instances
+        this.server.get('/blacklist', (req, res, next) => {
+            let domain = (req.params.domain || '').trim().toLowerCase();
+
+            addressBlacklist.list(domain ? addressTools.normalizeDomain(domain) : false, (err, list) => {
+                if (err) {
+                    res.json(500, {
+                        error: err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    list: list.map(entry =>
+                        Object.assign(entry, {
+                            created: new Date(entry.created),
+                            expires: new Date(entry.expires)
+                        })
+                    )
+                });
+                next();
+            });
+        });
+
+        // Blacklists a local address for a recipient domain in all instances
+        this.server.post('/blacklist', (req, res, next) => {
+            let domain = (req.params.domain || '').toString().trim().toLowerCase();
+            let address = (req.params.address || '').toString().trim().toLowerCase();
+            let ttl = Number(req.params.ttl) || 0;
+
+            if (!domain || !net.isIP(address)) {
+                res.json(400, {
+                    error: 'Domain or address not defined'
                 });
                 return next();
             }
 
-            this.queue.mongodb
-                .collection('suppressionlist')
-                .find({})
-                .sort({
-                    created: -1
-                })
-                .toArray((err, suppressed) => {
+            addressBlacklist.add(
+                {
+                    domain: addressTools.normalizeDomain(domain),
+                    address,
+                    ttl,
+                    response: req.params.reason || false,
+                    source: 'api'
+                },
+                (err, entry) => {
                     if (err) {
                         res.json(500, {
-                            error: 'Database error: ' + err.message
+                            error: err.message
                         });
                         return next();
                     }
+
                     res.json({
-                        suppressed: (suppressed || []).map(entry => {
-                            let result = {
-                                id: entry._id.toString(),
-                                created: entry.created
-                            };
-                            if (entry.address) {
-                                result.address = entry.address;
-                            }
-                            if (entry.domain) {
-                                result.domain = entry.domain;
-                            }
-                            return result;
+                        blacklisted: Object.assign(entry, {
+                            created: new Date(entry.created),
+                            expires: new Date(entry.expires)
                         })
                     });
                     next();
-                });
+                }
+            );
         });
 
-        this.server.post('/suppressionlist', (req, res, next) => {
-            let address = (req.params.address || '').trim().toLowerCase();
-            let domain = (req.params.domain || '').trim().toLowerCase();
-
-            let entry = {
-                created: new Date()
-            };
-
-            if (address) {
-                entry.address = addressTools.normalizeAddress(address);
-            }
-
-            if (domain) {
-                entry.domain = addressTools.normalizeDomain(domain);
-            }
+        // Removes a blacklisted address, or all addresses for a domain if address is not set
+        this.server.del('/blacklist', (req, res, next) => {
+            let domain = (req.params.domain || '').toString().trim().toLowerCase();
+            let address = (req.params.address || '').toString().trim().toLowerCase();
 
-            if (!address && !domain) {
-                res.json({
-                    error: 'No address or domain defined'
+            if (!domain) {
+                res.json(400, {
+                    error: 'Domain not defined'
                 });
                 return next();
             }
 
-            this.queue.mongodb.collection('suppressionlist').insertOne(entry, (err, result) => {
+            domain = addressTools.normalizeDomain(domain);
+            addressBlacklist.remove(domain, address || false, (err, removed) => {
                 if (err) {
-                    res.json({
-                        error: 'Database error: ' + err.message
+                    res.json(500, {
+                        error: err.message
                     });
                     return next();
                 }
+
                 res.json({
-                    suppressed: {
-                        id: result.insertedId,
-                        address: entry.address,
-                        domain: entry.domain
-                    }
+                    domain,
+                    address: address || false,
+                    removed
+                });
+                next();
+            });
+        });
+
+        // list local addresses that are disabled due to bad reputation
+        this.server.get('/ip-reputation', (req, res, next) => {
+            ipReputation.listDisabled((err, list) => {
+                if (err) {
+                    res.json(500, {
+                        error: err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    enabled: ipReputation.isEnabled(),
+                    list: list.map(entry => formatReputationEntry(entry))
+                });
+                next();
+            });
+        });
+
+        // show reputation counters for a local address
+        this.server.get('/ip-reputation/:address', (req, res, next) => {
+            let address = (req.params.address || '').trim().toLowerCase();
+            ipReputation.getAddressInfo(address, (err, info) => {
+                if (err) {
+                    res.json(500, {
+                        error: err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    address: info.address,
+                    counters: info.counters.map(entry => formatReputationEntry(entry)),
+                    disabled: info.disabled.map(entry => formatReputationEntry(entry))
+                });
+                next();
+            });
+        });
+
+        // re-enable a local address for all providers or for a single provider and reset its counters
+        this.server.del('/ip-reputation/:address', (req, res, next) => {
+            let address = (req.params.address || '').trim().toLowerCase();
+            let provider = (req.params.provider || '').trim().toLowerCase();
+            ipReputation.reset(address, provider, (err, removed) => {
+                if (err) {
+                    res.json(500, {
+                        error: err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    address,
+                    provider: provider || false,
+                    removed
+                });
+                next();
+            });
+        });
+
+        // list domains that are currently throttled due to slowdown or capacity responses
+        this.server.get('/throttling', (req, res, next) => {
+            let zone = (req.params.zone || '').toString().trim();
+            let domain = (req.params.domain || '').toString().trim().toLowerCase();
+
+            res.json({
+                enabled: !!(config.adaptiveThrottling && config.adaptiveThrottling.enabled),
+                list: adaptiveThrottle.list(zone, domain ? addressTools.normalizeDomain(domain) : false).map(state => {
+                    let zoneObj = sendingZone.get(state.zone);
+                    let maxConnections = Number(zoneObj && zoneObj.domainConfig.get(state.domain, 'maxConnections')) || 5;
+                    return {
+                        zone: state.zone,
+                        domain: state.domain,
+                        address: state.address,
+                        factor: Number(state.factor.toFixed(2)),
+                        maxConnections: Math.max(Math.floor(maxConnections * state.factor), 1),
+                        delay: state.delay,
+                        slowdowns: state.slowdowns,
+                        successes: state.successes,
+                        created: new Date(state.created),
+                        updated: new Date(state.updated)
+                    };
+                })
+            });
+            next();
+        });
+
+        // removes throttling for a zone and domain
+        this.server.del('/throttling', (req, res, next) => {
+            let zone = (req.params.zone || '').toString().trim();
+            let domain = (req.params.domain || '').toString().trim().toLowerCase();
+
+            if (!zone || !domain) {
+                res.json(400, {
+                    error: 'Zone or domain not defined'
+                });
+                return next();
+            }
+
+            domain = addressTools.normalizeDomain(domain);
+            res.json({
+                zone,
+                domain,
+                removed: adaptiveThrottle.reset(zone, domain)
+            });
+            next();
+        });
+
+        // list loaded bounce rules with hit statistics from all sender processes
+        this.server.get('/bounce-rules', (req, res, next) => {
+            let rules = bounces.listRules();
+            res.json({
+                file: config.bouncesFile || false,
+                loaded: bounces.loaded || false,
+                total: rules.length,
+                rules
+            });
+            next();
+        });
+
+        // check which bounce rule matches a response string
+        this.server.post('/bounce-rules/test', (req, res, next) => {
+            let response = (req.params.response || '').toString().trim();
+            if (!response) {
+                res.json(400, {
+                    error: 'No response string defined'
+                });
+                return next();
+            }
+
+            let bounce = bounces.check(response, req.params.category || false, {
+                count: false,
+                context: {
+                    command: req.params.command || false,
+                    mx: req.params.mx || false,
+                    domain: req.params.domain || false
+                }
+            });
+            let rule = bounce.rule ? bounces.listRules().find(rule => rule.pattern === bounce.rule) : false;
+
+            res.json({
+                response: bounces.formatSMTPResponse(response),
+                matched: !!rule,
+                source: (rule && rule.source) || false,
+                line: bounce.line || false,
+                index: (rule && rule.index) || false,
+                pattern: (rule && rule.pattern) || false,
+                action: bounce.action,
+                category: bounce.category || false,
+                message: bounce.message,
+                code: bounce.code,
+                status: bounce.status,
+                deferTimes: bounce.deferTimes || false
+            });
+            next();
+        });
+
+        // reload bounce rules in the master process and in all sender processes
+        this.server.post('/bounce-rules/reload', (req, res, next) => {
+            if (!bounces.reloadBounces()) {
+                res.json(500, {
+                    error: 'Failed to load bounce rules, keeping existing rules'
+                });
+                return next();
+            }
+
+            sendingZone.list().forEach(zone => zone.reloadBounces());
+
+            res.json({
+                success: true,
+                loaded: bounces.loaded,
+                total: bounces.rules.length
+            });
+            next();
+        });
+
+        // Returns message info in queue
+        this.server.get('/internals', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            res.setHeader('content-type', 'text/plain; charset=utf-8');
+
+            res.send(
+                util.inspect(
+                    {
+                        caches: this.queue.cache.data,
+                        defaultTtl: (this.queue.locks.defaultTtl = 10 * 60 * 1000),
+                        locks: this.queue.locks.locks,
+                        zones: this.queue.locks.zones,
+                        lockOwners: this.queue.locks.lockOwners,
+                        nextTtlCheck: this.queue.locks.nextTtlCheck || false,
+                        drain: this.queue.drain.getStatus(),
+                        counters: internalCounters.list()
+                    },
+                    false,
+                    22
+                )
+            );
+
+            return next();
+        });
+
+        // Returns message info in queue
+        this.server.get('/internals/clear-counters', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            res.setHeader('content-type', 'text/plain; charset=utf-8');
+
+            internalCounters.clear();
+
+            res.send(
+                util.inspect(
+                    {
+                        counters: internalCounters.list()
+                    },
+                    false,
+                    22
+                )
+            );
+
+            return next();
+        });
+
+        // list skipped domains for a zone
+        this.server.get('/skipdomains/:zone', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            let skipDomains = this.queue.locks.listSkipDomains(req.params.zone);
+
+            res.json({
+                skipDomains
+            });
+            next();
+        });
+
+        // list queued recipients for a zone
+        this.server.get('/suppressionlist', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            this.queue.mongodb
+                .collection('suppressionlist')
+                .find({})
+                .sort({
+                    created: -1
+                })
+                .toArray((err, suppressed) => {
+                    if (err) {
+                        res.json(500, {
+                            error: 'Database error: ' + err.message
+                        });
+                        return next();
+                    }
+                    res.json({
+                        suppressed: (suppressed || []).map(entry => {
+                            let result = {
+                                id: entry._id.toString(),
+                                created: entry.created
+                            };
+                            if (entry.address) {
+                                result.address = entry.address;
+                            }
+                            if (entry.domain) {
+                                result.domain = entry.domain;
+                            }
+                            return result;
+                        })
+                    });
+                    next();
+                });
+        });
+
+        this.server.post('/suppressionlist', (req, res, next) => {
+            let address = (req.params.address || '').trim().toLowerCase();
+            let domain = (req.params.domain || '').trim().toLowerCase();
+
+            let entry = {
+                created: new Date()
+            };
+
+            if (address) {
+                entry.address = addressTools.normalizeAddress(address);
+            }
+
+            if (domain) {
+                entry.domain = addressTools.normalizeDomain(domain);
+            }
+
+            if (!address && !domain) {
+                res.json({
+                    error: 'No address or domain defined'
+                });
+                return next();
+            }
+
+            this.queue.mongodb.collection('suppressionlist').insertOne(entry, (err, result) => {
+                if (err) {
+                    res.json({
+                        error: 'Database error: ' + err.message
+                    });
+                    return next();
+                }
+                res.json({
+                    suppressed: {
+                        id: result.insertedId,
+                        address: entry.address,
+                        domain: entry.domain
+                    }
                 });
                 next();
             });
@@ -731,31 +1258,410 @@ class APIServer {
             let id = (req.params.id || '').trim().toLowerCase();
             if (!/^[a-f0-9]{24}$/.test(id)) {
                 res.json({
-                    error: 'Invalid entry ID'
+                    error: 'Invalid entry ID'
+                });
+                return next();
+            }
+
+            this.queue.mongodb.collection('suppressionlist').deleteOne(
+                {
+                    _id: new ObjectId(id)
+                },
+                err => {
+                    if (err) {
+                        res.json({
+                            error: 'Database error: ' + err.message
+                        });
+                        return next();
+                    }
+
+                    res.json({
+                        deleted: id
+                    });
+                    next();
+                }
+            );
+        });
+
+        // drain status of this instance
+        this.server.get('/drain', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            res.json(this.queue.drain.getStatus());
+            next();
+        });
+
+        // stop accepting new messages and finish in-flight deliveries
+        this.server.post('/drain', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            let handoff = (req.params.handoff || '').toString().trim();
+            if (/^(true|yes|1)$/i.test(handoff)) {
+                handoff = true;
+            } else if (/^(false|no|0)$/i.test(handoff)) {
+                handoff = false;
+            }
+
+            if (handoff === this.queue.instanceId) {
+                res.json(400, {
+                    error: 'Can not hand off the queue to the same instance'
+                });
+                return next();
+            }
+
+            let exit = /^(true|yes|1)$/i.test((req.params.exit || '').toString().trim());
+
+            res.json(this.queue.drain.start({ handoff: handoff || false, exit }));
+            next();
+        });
+
+        // cancel draining
+        this.server.del('/drain', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            let cancelled = this.queue.drain.cancel();
+            res.json({
+                cancelled
+            });
+            next();
+        });
+
+        // list instances that share the queue database
+        this.server.get('/instances', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            this.queue.failover.list((err, list) => {
+                if (err) {
+                    res.json(500, {
+                        error: err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    instanceId: this.queue.instanceId,
+                    list
+                });
+                next();
+            });
+        });
+
+        // move queued deliveries from one instance to another
+        this.server.post('/instances/migrate', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
                 });
                 return next();
             }
 
-            this.queue.mongodb.collection('suppressionlist').deleteOne(
+            let from = (req.params.from || '').toString().trim();
+            let to = (req.params.to || '').toString().trim() || this.queue.instanceId;
+
+            this.queue.failover.migrate(from, to, {}, (err, migrated) => {
+                if (err) {
+                    res.json(err.code === 'EINVALID' ? 400 : 500, {
+                        error: err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    from,
+                    to,
+                    migrated
+                });
+                next();
+            });
+        });
+
+        // list paused zones, domains, senders and messages
+        this.server.get('/pauses', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            this.queue.listPauses((err, list) => {
+                if (err) {
+                    res.json(500, {
+                        error: 'Database error: ' + err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    list
+                });
+                next();
+            });
+        });
+
+        // pause deliveries for a zone, recipient domain, sender address or domain, or a single message
+        this.server.post('/pauses', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            let pause = getPauseParams(req);
+            if (!pause) {
+                res.json(400, {
+                    error: 'Pause type or value not defined'
+                });
+                return next();
+            }
+
+            this.queue.pause(pause.type, pause.value, { reason: (req.params.reason || '').toString().trim() }, (err, entry) => {
+                if (err) {
+                    res.json(500, {
+                        error: 'Database error: ' + err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    paused: entry
+                });
+                next();
+            });
+        });
+
+        // resume paused deliveries
+        this.server.del('/pauses', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            let pause = getPauseParams(req);
+            if (!pause) {
+                res.json(400, {
+                    error: 'Pause type or value not defined'
+                });
+                return next();
+            }
+
+            this.queue.resume(pause.type, pause.value, (err, resumed) => {
+                if (err) {
+                    res.json(500, {
+                        error: 'Database error: ' + err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    type: pause.type,
+                    value: pause.value,
+                    resumed
+                });
+                next();
+            });
+        });
+
+        // list deliveries scheduled for later
+        this.server.get('/scheduled', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            let start = Math.max(Number((req.query.start || '').toString().trim()) || 0, 0);
+            let pageSize = Math.min(Math.max(Number((req.query.pageSize || '').toString().trim()) || 1000, 0), 1000);
+
+            this.queue.listScheduled(
                 {
-                    _id: new ObjectId(id)
+                    zone: (req.query.zone || '').toString().trim(),
+                    id: (req.query.id || '').toString().trim(),
+                    start,
+                    maxItems: pageSize
                 },
-                err => {
+                (err, list) => {
                     if (err) {
-                        res.json({
+                        res.json(500, {
                             error: 'Database error: ' + err.message
                         });
                         return next();
                     }
 
                     res.json({
-                        deleted: id
+                        zone: req.query.zone || 'all',
+                        list
+                    });
+                    next();
+                }
+            );
+        });
+
+        // cancel scheduled deliveries of a message, or a single delivery if seq is set
+        this.server.del('/scheduled/:id', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            this.queue.cancelScheduled(req.params.id, (req.query.seq || '').toString().trim(), (err, cancelled) => {
+                if (err) {
+                    res.json(500, {
+                        error: 'Database error: ' + err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    id: req.params.id,
+                    cancelled
+                });
+                next();
+            });
+        });
+
+        // list deliveries held for manual review
+        this.server.get('/held', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            let start = Math.max(Number((req.query.start || '').toString().trim()) || 0, 0);
+            let pageSize = Math.min(Math.max(Number((req.query.pageSize || '').toString().trim()) || 1000, 0), 1000);
+
+            this.queue.listHeld(
+                {
+                    zone: (req.query.zone || '').toString().trim(),
+                    start,
+                    maxItems: pageSize
+                },
+                (err, list) => {
+                    if (err) {
+                        res.json(500, {
+                            error: 'Database error: ' + err.message
+                        });
+                        return next();
+                    }
+
+                    res.json({
+                        zone: req.query.zone || 'all',
+                        list
                     });
                     next();
                 }
             );
         });
 
+        // preview headers of a held message
+        this.server.get('/held/:id', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            this.queue.getHeld(req.params.id, (err, info) => {
+                if (err) {
+                    res.json(500, {
+                        error: 'Database error: ' + err.message
+                    });
+                    return next();
+                }
+
+                if (!info) {
+                    res.json(404, {
+                        error: 'Selected message is not held'
+                    });
+                    return next();
+                }
+
+                res.json(info);
+                next();
+            });
+        });
+
+        // release held deliveries of a message, or a single delivery if seq is set
+        this.server.post('/held/:id/release', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            this.queue.releaseHeld(req.params.id, (req.params.seq || '').toString().trim(), (err, released) => {
+                if (err) {
+                    res.json(500, {
+                        error: 'Database error: ' + err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    id: req.params.id,
+                    released
+                });
+                next();
+            });
+        });
+
+        // reject held deliveries of a message, or a single delivery if seq is set. Sender gets a bounce
+        this.server.post('/held/:id/reject', (req, res, next) => {
+            if (!this.queue) {
+                res.json(500, {
+                    error: 'Service not yet started'
+                });
+                return next();
+            }
+
+            let reason = (req.params.reason || '').toString().trim() || 'Message was rejected after review';
+
+            this.queue.rejectHeld(req.params.id, (req.params.seq || '').toString().trim(), reason, (err, rejected) => {
+                if (err) {
+                    res.json(500, {
+                        error: 'Database error: ' + err.message
+                    });
+                    return next();
+                }
+
+                res.json({
+                    id: req.params.id,
+                    rejected
+                });
+                next();
+            });
+        });
+
         this.server.get('/metrics', async (req, res) => {
             res.setHeader('Content-Type', promClient.register.contentType);
             await promClient.register
@@ -774,4 +1680,34 @@ class APIServer {
     }
 }
 
+function getPauseParams(req) {
+    let type = (req.params.type || '').toString().trim().toLowerCase();
+    let value = (req.params.value || '').toString().trim();
+
+    if (!MailQueue.PAUSE_TYPES.includes(type) || !value) {
+        return false;
+    }
+
+    if (type === 'domain') {
+        value = addressTools.normalizeDomain(value);
+    } else if (type === 'sender') {
+        value = value.includes('@') ? addressTools.normalizeAddress(value) : addressTools.normalizeDomain(value);
+    }
+
+    return {
+        type,
+        value
+    };
+}
+
+function formatReputationEntry(entry) {
+    let result = Object.assign({}, entry);
+    ['created', 'expires'].forEach(key => {
+        if (result[key]) {
+            result[key] = new Date(result[key]);
+        }
+    });
+    return result;
+}
+
 module.exports = APIServer;
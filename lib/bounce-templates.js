@@ -0,0 +1,286 @@
+'use strict';
+
+const fs = require('fs');
+const pathlib = require('path');
+const yaml = require('js-yaml');
+const log = require('npmlog');
+const TtlCache = require('./ttl-cache');
+
+// Template types match the Action: field values of the delivery status report
+const TEMPLATE_TYPES = ['failed', 'delayed', 'relayed', 'delivered'];
+
+const DEFAULT_NAME = 'default';
+const DEFAULT_LANGUAGE = 'en';
+
+// Built-in English templates, used when nothing else matches
+const DEFAULT_TEMPLATES = {
+    failed: {
+        subject: 'Delivery Status Notification (Failure{{#recipient}}: {{recipient}}{{/recipient}})',
+        text: `Delivery to the following recipient failed permanently:
+    {{recipient}}{{#originalRecipients}}
+Original message recipients:
+    {{originalRecipients}}
+{{/originalRecipients}}
+
+Technical details of permanent failure:
+
+{{reason}}
+
+`
+    },
+    delayed: {
+        subject: 'Delivery Status Notification (Delay{{#recipient}}: {{recipient}}{{/recipient}})',
+        text: `Delivery incomplete
+
+There was a temporary problem delivering your message to:
+    {{recipient}}{{#originalRecipients}}
+Original message recipients:
+    {{originalRecipients}}
+{{/originalRecipients}}
+
+Delivery will be retried. You'll be notified if the delivery fails permanently.
+
+Technical details of the failure:
+
+{{reason}}
+
+`
+    },
+    relayed: {
+        subject: 'Delivery Status Notification (Relayed{{#recipient}}: {{recipient}}{{/recipient}})',
+        text: `Your message was relayed to:
+    {{recipient}}{{#originalRecipients}}
+Original message recipients:
+    {{originalRecipients}}
+{{/originalRecipients}}
+
+The receiving server does not support delivery status notifications,
+so no further notifications will be sent about this message.
+
+Technical details:
+
+{{reason}}
+
+`
+    },
+    delivered: {
+        subject: 'Delivery Status Notification (Success{{#recipient}}: {{recipient}}{{/recipient}})',
+        text: `Your message was delivered to:
+    {{recipient}}{{#originalRecipients}}
+Original message recipients:
+    {{originalRecipients}}
+{{/originalRecipients}}
+
+Technical details:
+
+{{reason}}
+
+`
+    }
+};
+
+/**
+ * Loads bounce notification templates from files and/or MongoDB. Templates are identified by
+ * a name and a language code, every template can define the subject and text for any of the
+ * notification types ('failed', 'delayed', 'relayed', 'delivered')
+ */
+class BounceTemplates {
+    /**
+     * @param {Object} options
+     * @param {String} [options.path] Directory with template files named as <name>.<lang>.yaml (or .yml, .json)
+     * @param {String} [options.collection] MongoDB collection name for template documents
+     * @param {Object} [options.mongodb] MongoDB database object
+     * @param {Number} [options.cacheTime] How long to cache templates loaded from MongoDB (ms)
+     */
+    constructor(options) {
+        this.options = options || {};
+        this.logName = 'Bounce';
+        this.files = new Map();
+        this.cache = new TtlCache({ defaultTtl: this.options.cacheTime || 5 * 60 * 1000 });
+
+        if (this.options.path) {
+            this.loadFiles(this.options.path);
+        }
+    }
+
+    loadFiles(path) {
+        let files;
+        try {
+            files = fs.readdirSync(path);
+        } catch (E) {
+            log.error(this.logName, 'Failed to list template files from %s. %s', path, E.message);
+            return;
+        }
+
+        files.forEach(file => {
+            let match = file.match(/^(.+)\.([a-z]{2,3})\.(ya?ml|json)$/i);
+            if (!match) {
+                return;
+            }
+
+            let template;
+            try {
+                let content = fs.readFileSync(pathlib.join(path, file), 'utf-8');
+                template = match[3].toLowerCase() === 'json' ? JSON.parse(content) : yaml.load(content);
+            } catch (E) {
+                log.error(this.logName, 'Failed to load template file %s. %s', file, E.message);
+                return;
+            }
+
+            if (!template || typeof template !== 'object') {
+                return;
+            }
+
+            this.files.set(getKey(match[1], match[2]), template);
+        });
+
+        log.verbose(this.logName, 'Loaded %s bounce templates from %s', this.files.size, path);
+    }
+
+    /**
+     * Finds subject and text templates for a notification. If the requested template or language does
+     * not exist then falls back to the default template name and to the default language
+     *
+     * @param {String} type Notification type, eg. 'failed'
+     * @param {Object} selection
+     * @param {String} [selection.name] Template name
+     * @param {String} [selection.lang] Language code
+     * @param {String} [selection.defaultLanguage] Fallback language code
+     * @param {Function} callback Returns {subject, text, name, lang}
+     */
+    get(type, selection, callback) {
+        selection = selection || {};
+        if (!TEMPLATE_TYPES.includes(type)) {
+            type = 'failed';
+        }
+
+        let names = unique([selection.name, DEFAULT_NAME]);
+        let langs = unique([selection.lang, selection.defaultLanguage, DEFAULT_LANGUAGE]);
+
+        let candidates = [];
+        names.forEach(name => langs.forEach(lang => candidates.push({ name, lang })));
+
+        this.getStored(names, langs, (err, stored) => {
+            if (err) {
+                log.error(this.logName, 'Failed to load bounce templates from database. %s', err.message);
+                stored = new Map();
+            }
+
+            let result = {
+                subject: false,
+                text: false
+            };
+
+            for (let candidate of candidates) {
+                let key = getKey(candidate.name, candidate.lang);
+                for (let template of [stored.get(key), this.files.get(key)]) {
+                    if (!template || !template[type]) {
+                        continue;
+                    }
+                    ['subject', 'text'].forEach(part => {
+                        if (!result[part] && typeof template[type][part] === 'string') {
+                            result[part] = template[type][part];
+                            if (part === 'text') {
+                                result.name = candidate.name;
+                                result.lang = candidate.lang;
+                            }
+                        }
+                    });
+                }
+            }
+
+            result.subject = result.subject || DEFAULT_TEMPLATES[type].subject;
+            if (!result.text) {
+                result.text = DEFAULT_TEMPLATES[type].text;
+                result.name = DEFAULT_NAME;
+                result.lang = DEFAULT_LANGUAGE;
+            }
+
+            return callback(null, result);
+        });
+    }
+
+    getStored(names, langs, callback) {
+        if (!this.options.collection || !this.options.mongodb) {
+            return setImmediate(() => callback(null, new Map()));
+        }
+
+        let cacheKey = getKey(names.join(','), langs.join(','));
+        let cached = this.cache.get(cacheKey);
+        if (cached) {
+            return setImmediate(() => callback(null, cached));
+        }
+
+        this.options.mongodb
+            .collection(this.options.collection)
+            .find({
+                name: { $in: names },
+                lang: { $in: langs }
+            })
+            .toArray((err, list) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                let stored = new Map();
+                (list || []).forEach(template => stored.set(getKey(template.name, template.lang), template));
+
+                this.cache.set(cacheKey, stored);
+                return callback(null, stored);
+            });
+    }
+}
+
+function getKey(name, lang) {
+    return (name || '') + ':' + (lang || '').toLowerCase();
+}
+
+function unique(list) {
+    return Array.from(new Set(list.filter(value => value)));
+}
+
+/**
+ * Replaces {{variable}} placeholders in a template string. Text between {{#variable}} and {{/variable}}
+ * is only included if the variable has a value
+ *
+ * @param {String} template Template string
+ * @param {Object} values Template variables
+ * @returns {String} Rendered string
+ */
+function render(template, values) {
+    values = values || {};
+    return (template || '')
+        .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, key, content) => (values[key] ? content : ''))
+        .replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] || values[key] === 0 ? values[key].toString() : ''));
+}
+
+/**
+ * Formats queue time as a short language neutral string, eg. "1d 3h 5m"
+ *
+ * @param {Number} time Time in milliseconds
+ * @returns {String} Formatted time
+ */
+function formatDuration(time) {
+    let minutes = Math.max(Math.round((Number(time) || 0) / (60 * 1000)), 0);
+    let days = Math.floor(minutes / (24 * 60));
+    let hours = Math.floor((minutes % (24 * 60)) / 60);
+    minutes = minutes % 60;
+
+    let parts = [];
+    if (days) {
+        parts.push(days + 'd');
+    }
+    if (hours) {
+        parts.push(hours + 'h');
+    }
+    if (minutes || !parts.length) {
+        parts.push(minutes + 'm');
+    }
+    return parts.join(' ');
+}
+
+module.exports = BounceTemplates;
+module.exports.TEMPLATE_TYPES = TEMPLATE_TYPES;
+module.exports.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
+module.exports.render = render;
+module.exports.formatDuration = formatDuration;
@@ -4,32 +4,52 @@ const config = require('@zone-eu/wild-config');
 const log = require('npmlog');
 const fs = require('fs');
 const path = require('path');
+const yaml = require('js-yaml');
 const { gelfCode, emitGelf } = require('./log-gelf');
 const DEFAULT_BOUNCES_FILE = path.join(__dirname, '..', 'config', 'bounces.txt');
 
+// Rule hit statistics are keyed by the rule pattern, so counters survive reloads even if rules are moved around.
+// ruleHits includes the total counts known to this process, pendingHits includes counts not yet reported
+// to the master process
+const ruleHits = new Map();
+const pendingHits = new Map();
+
 function reloadBounces() {
-    let body;
-    let bouncesFile = config.bouncesFile || DEFAULT_BOUNCES_FILE;
+    let bouncesFiles = [].concat(config.bouncesFile || DEFAULT_BOUNCES_FILE);
+    let rules = [];
 
-    try {
-        body = fs.readFileSync(bouncesFile, 'utf-8');
-    } catch (E) {
-        log.error('Bounces/' + process.pid, 'Could not load bounce rules. %s', E.message);
-        emitGelf({
-            short_message: `${gelfCode('BOUNCE_RULES_LOAD_FAILED')} Could not load bounce rules`,
-            full_message: E && E.stack ? E.stack : undefined,
-            _logger: 'Bounces/' + process.pid,
-            _file: bouncesFile,
-            _error: E.message
-        });
-        if (module.exports.rules && module.exports.rules.length) {
-            return;
+    for (let bouncesFile of bouncesFiles) {
+        try {
+            let body = fs.readFileSync(bouncesFile, 'utf-8');
+            // YAML and JSON files use the structured format, anything else is parsed as CSV
+            let parse = /\.(ya?ml|json)$/i.test(bouncesFile) ? parseStructuredRules : parseLegacyRules;
+            rules = rules.concat(parse(body, bouncesFile));
+        } catch (E) {
+            log.error('Bounces/' + process.pid, 'Could not load bounce rules from %s. %s', bouncesFile, E.message);
+            emitGelf({
+                short_message: `${gelfCode('BOUNCE_RULES_LOAD_FAILED')} Could not load bounce rules`,
+                full_message: E && E.stack ? E.stack : undefined,
+                _logger: 'Bounces/' + process.pid,
+                _file: bouncesFile,
+                _error: E.message
+            });
+            if (module.exports.rules && module.exports.rules.length) {
+                return false;
+            }
+            process.exit(1);
         }
-        process.exit(1);
     }
 
-    // Parse defined rules into an array of bounce rules
-    module.exports.rules = body
+    module.exports.rules = rules;
+    module.exports.loaded = new Date();
+
+    log.verbose('Bounces/' + process.pid, 'Loaded %s bounce rules', module.exports.rules.length);
+    return true;
+}
+
+// Parse legacy regex,action,category,message rules into an array of bounce rules
+function parseLegacyRules(body, bouncesFile) {
+    return body
         .split(/\r?\n/)
         .map((line, nr) => {
             line = line.trim();
@@ -39,41 +59,251 @@ function reloadBounces() {
             }
 
             let parts = line.split(',');
-            let re;
-
-            try {
-                re = new RegExp(parts[0], 'im');
-            } catch (E) {
-                log.error('Bounces/' + process.pid, 'Invalid bounce rule regex /%s/ on line %s', parts[0], nr + 1);
-                emitGelf({
-                    short_message: `${gelfCode('BOUNCE_RULE_REGEX_INVALID')} Invalid bounce rule regex`,
-                    _stack: E && E.stack ? E.stack : undefined,
-                    _logger: 'Bounces/' + process.pid,
-                    _pattern: parts[0],
-                    _line: nr + 1,
-                    _failure_msg: E.message
-                });
-            }
+            let re = compileRegex(parts[0], nr + 1);
 
             return {
                 re,
+                pattern: parts[0],
                 action: parts[1],
                 category: parts[2],
                 message: parts.slice(3).join(','),
+                source: path.basename(bouncesFile),
                 line: nr + 1
             };
         })
         .filter(rule => rule && rule.re);
-    body = null;
+}
 
-    log.verbose('Bounces/' + process.pid, 'Loaded %s bounce rules', module.exports.rules.length);
+/**
+ * Parse YAML or JSON rules. The file is either a list of rules or an object with a `rules` list.
+ * All listed conditions must match for a rule to apply:
+ *   response: regex to test against the response text
+ *   code: response code or a list of codes, eg. 421 or '4xx'
+ *   status: enhanced status code or a list of codes, eg. '4.7.1' or '4.7.x'
+ *   command: SMTP command stage or a list of stages, eg. 'RCPT' or ['MAIL', 'RCPT']
+ *   mx: MX hostname or a list of hostnames, wildcards allowed, eg. '*.outlook.com'
+ *   domain: recipient domain or a list of domains, wildcards allowed
+ *
+ * @param {String} body File contents
+ * @param {String} bouncesFile File path, used for logging
+ * @returns {Array} List of bounce rules
+ */
+function parseStructuredRules(body, bouncesFile) {
+    let data = yaml.load(body);
+    let list = Array.isArray(data) ? data : (data && data.rules) || [];
+    let source = path.basename(bouncesFile);
+
+    return list
+        .map((entry, i) => {
+            if (!entry || typeof entry !== 'object' || !entry.action) {
+                return false;
+            }
+
+            let conditions = {};
+
+            if (entry.response) {
+                conditions.response = compileRegex(entry.response, i + 1);
+                if (!conditions.response) {
+                    return false;
+                }
+            }
+
+            if (entry.code) {
+                conditions.code = [].concat(entry.code).map(code => compileWildcard(code, /x/gi, '\\d'));
+            }
+
+            if (entry.status) {
+                conditions.status = [].concat(entry.status).map(status => compileWildcard(status, /[x*]/gi, '\\d+'));
+            }
+
+            if (entry.command) {
+                conditions.command = [].concat(entry.command).map(normalizeCommand);
+            }
+
+            if (entry.mx) {
+                conditions.mx = [].concat(entry.mx).map(mx => compileWildcard(mx, /\*/g, '.*'));
+            }
+
+            if (entry.domain) {
+                conditions.domain = [].concat(entry.domain).map(domain => compileWildcard(domain, /\*/g, '.*'));
+            }
+
+            if (!Object.keys(conditions).length) {
+                // a rule without conditions would match everything
+                return false;
+            }
+
+            let rule = {
+                conditions,
+                pattern: entry.name || source + '#' + (i + 1),
+                action: entry.action,
+                category: entry.category,
+                message: entry.message || '',
+                source,
+                index: i + 1,
+                line: false
+            };
+
+            if (entry.deferTimes) {
+                // either a list of delays or a schedule object, see retryPolicies in config
+                rule.deferTimes = entry.deferTimes;
+            }
+
+            return rule;
+        })
+        .filter(rule => rule);
+}
+
+function compileRegex(pattern, nr) {
+    try {
+        return new RegExp(pattern, 'im');
+    } catch (E) {
+        log.error('Bounces/' + process.pid, 'Invalid bounce rule regex /%s/ on line %s', pattern, nr);
+        emitGelf({
+            short_message: `${gelfCode('BOUNCE_RULE_REGEX_INVALID')} Invalid bounce rule regex`,
+            _stack: E && E.stack ? E.stack : undefined,
+            _logger: 'Bounces/' + process.pid,
+            _pattern: pattern,
+            _line: nr,
+            _failure_msg: E.message
+        });
+    }
+    return false;
+}
+
+// converts a value with wildcards into an anchored regex, eg. '4.7.x' -> /^4\.7\.\d+$/
+function compileWildcard(value, wildcard, replacement) {
+    let parts = (value || '').toString().trim().toLowerCase().split(wildcard);
+    return new RegExp('^' + parts.map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join(replacement) + '$', 'i');
+}
+
+// uses the first word of a command, so 'RCPT TO' is the same as 'RCPT'
+function normalizeCommand(command) {
+    command = (command || '').toString().trim().split(/\s+/).shift().toUpperCase();
+    return command === 'CONNECT' ? 'CONN' : command;
+}
+
+function matchRule(rule, str, code, status, context) {
+    if (rule.re) {
+        return rule.re.test(str);
+    }
+
+    let conditions = rule.conditions;
+
+    if (conditions.response && !conditions.response.test(str)) {
+        return false;
+    }
+
+    if (conditions.code && !conditions.code.some(re => re.test(code))) {
+        return false;
+    }
+
+    if (conditions.status && !(status && conditions.status.some(re => re.test(status)))) {
+        return false;
+    }
+
+    if (conditions.command && !(context.command && conditions.command.includes(normalizeCommand(context.command)))) {
+        return false;
+    }
+
+    if (conditions.mx && !(context.mx && conditions.mx.some(re => re.test(context.mx)))) {
+        return false;
+    }
+
+    if (conditions.domain && !(context.domain && conditions.domain.some(re => re.test(context.domain)))) {
+        return false;
+    }
+
+    return true;
+}
+
+function countHit(rule, count, lastHit) {
+    let entry = ruleHits.get(rule.pattern);
+    if (!entry) {
+        entry = {
+            hits: 0,
+            lastHit: false
+        };
+        ruleHits.set(rule.pattern, entry);
+    }
+    entry.hits += count;
+    entry.lastHit = Math.max(entry.lastHit || 0, lastHit);
+}
+
+/**
+ * Returns rule hits that have not been reported yet and resets the pending counters.
+ * Sender processes send this list to the master process using the BOUNCEHITS command
+ *
+ * @returns {Array} List of {pattern, hits, lastHit} objects
+ */
+function flushHits() {
+    let list = [];
+    pendingHits.forEach((entry, pattern) => {
+        list.push({
+            pattern,
+            hits: entry.hits,
+            lastHit: entry.lastHit
+        });
+    });
+    pendingHits.clear();
+    return list;
+}
+
+/**
+ * Adds rule hits reported by another process
+ *
+ * @param {Array} list List of {pattern, hits, lastHit} objects
+ */
+function addHits(list) {
+    [].concat(list || []).forEach(entry => {
+        if (!entry || !entry.pattern || !entry.hits) {
+            return;
+        }
+        countHit({ pattern: entry.pattern }, Number(entry.hits) || 0, Number(entry.lastHit) || 0);
+    });
+}
+
+/**
+ * Lists loaded bounce rules with hit statistics
+ *
+ * @returns {Array} List of rules
+ */
+function listRules() {
+    return (module.exports.rules || []).map(rule => {
+        let entry = ruleHits.get(rule.pattern) || {};
+        return {
+            source: rule.source,
+            line: rule.line,
+            index: rule.index || false,
+            pattern: rule.pattern,
+            action: rule.action,
+            category: rule.category,
+            message: rule.message,
+            hits: entry.hits || 0,
+            lastHit: entry.lastHit ? new Date(entry.lastHit) : false
+        };
+    });
 }
 
 module.exports.reloadBounces = reloadBounces;
+module.exports.flushHits = flushHits;
+module.exports.addHits = addHits;
+module.exports.listRules = listRules;
 
 module.exports.formatSMTPResponse = formatSMTPResponse;
 
-module.exports.check = (input, category) => {
+/**
+ * Classifies an SMTP response using bounce rules
+ *
+ * @param {String} input SMTP response
+ * @param {String} [category] Preset category, eg. 'dns'
+ * @param {Object} [options]
+ * @param {Boolean} [options.count=true] If false then do not update rule hit statistics
+ * @param {Object} [options.context] Delivery details for structured rules, {command, mx, domain}
+ * @returns {Object} Bounce info
+ */
+module.exports.check = (input, category, options) => {
+    options = options || {};
     let str = formatSMTPResponse(input);
     if (!str) {
         return {
@@ -103,16 +333,34 @@ module.exports.check = (input, category) => {
             };
     }
 
+    let context = options.context || {};
     for (let i = 0, len = module.exports.rules.length; i < len; i++) {
-        if (module.exports.rules[i].re.test(str)) {
-            return {
-                action: module.exports.rules[i].action,
-                message: module.exports.rules[i].message,
-                category: module.exports.rules[i].category,
+        let rule = module.exports.rules[i];
+        if (matchRule(rule, str, code, status, context)) {
+            if (options.count !== false) {
+                let now = Date.now();
+                countHit(rule, 1, now);
+                let pending = pendingHits.get(rule.pattern) || { hits: 0, lastHit: 0 };
+                pending.hits++;
+                pending.lastHit = now;
+                pendingHits.set(rule.pattern, pending);
+            }
+
+            let result = {
+                action: rule.action,
+                message: rule.message,
+                category: rule.category,
                 code,
                 status,
-                line: module.exports.rules[i].line
+                line: rule.line,
+                rule: rule.pattern
             };
+
+            if (rule.deferTimes) {
+                result.deferTimes = rule.deferTimes;
+            }
+
+            return result;
         }
     }
 
@@ -0,0 +1,188 @@
+'use strict';
+
+const addressTools = require('./address-tools');
+
+// Helpers for Delivery Status Notification parameters (RFC 3461)
+// Message level values (RET, ENVID) are stored in envelope.dsn, recipient level
+// values (NOTIFY, ORCPT) are stored with the delivery entries as dsnNotify and dsnOrcpt.
+// RET is only relayed to the next hop. Notifications generated by ZoneMTA itself always
+// include message headers only, as with RET=HDRS, see plugins/core/email-bounce.js
+
+const NOTIFY_VALUES = ['NEVER', 'SUCCESS', 'FAILURE', 'DELAY'];
+
+module.exports = {
+    fromSession,
+    normalizeNotify,
+    getRecipientDsn,
+    getSendDsn,
+    shouldNotify,
+    getConnectionExtensions
+};
+
+/**
+ * Normalizes a NOTIFY value into an array of uppercase keywords
+ *
+ * @param {String|Array} notify Either a comma separated string or an array of keywords
+ * @returns {Array|Boolean} List of keywords or false if nothing valid was set
+ */
+function normalizeNotify(notify) {
+    if (!notify) {
+        return false;
+    }
+
+    let list = []
+        .concat(notify)
+        .join(',')
+        .split(',')
+        .map(value => value.trim().toUpperCase())
+        .filter(value => NOTIFY_VALUES.includes(value));
+
+    if (!list.length) {
+        return false;
+    }
+
+    if (list.includes('NEVER')) {
+        // NEVER can not be combined with other keywords
+        return ['NEVER'];
+    }
+
+    return Array.from(new Set(list));
+}
+
+/**
+ * Extracts DSN parameters from an SMTP session, assumes that smtp-server was started with hideDSN:false
+ *
+ * @param {Object} session SMTP session object
+ * @returns {Object|Boolean} DSN object for the envelope or false if no DSN parameters were used
+ */
+function fromSession(session) {
+    let envelope = (session && session.envelope) || {};
+    let dsn = {};
+
+    let mailDsn = envelope.dsn || {};
+    let mailArgs = (envelope.mailFrom && envelope.mailFrom.args) || {};
+
+    // RET=FULL is kept for the next hop, local notifications do not include the message body
+    let ret = (mailDsn.ret || mailArgs.RET || '').toString().trim().toUpperCase();
+    if (['FULL', 'HDRS'].includes(ret)) {
+        dsn.ret = ret;
+    }
+
+    let envid = (mailDsn.envid || mailArgs.ENVID || '').toString().trim();
+    if (envid) {
+        dsn.envid = envid;
+    }
+
+    let recipients = [];
+    [].concat(envelope.rcptTo || []).forEach(rcpt => {
+        if (!rcpt || !rcpt.address) {
+            return;
+        }
+        let rcptDsn = rcpt.dsn || {};
+        let rcptArgs = rcpt.args || {};
+
+        let notify = normalizeNotify(rcptDsn.notify || rcptArgs.NOTIFY);
+        let orcpt = (rcptDsn.orcpt || rcptArgs.ORCPT || '').toString().trim();
+
+        if (!notify && !orcpt) {
+            return;
+        }
+
+        let entry = {
+            recipient: addressTools.normalizeAddress(rcpt.address)
+        };
+        if (notify) {
+            entry.notify = notify;
+        }
+        if (orcpt) {
+            entry.orcpt = orcpt;
+        }
+        recipients.push(entry);
+    });
+
+    if (recipients.length) {
+        dsn.recipients = recipients;
+    }
+
+    return Object.keys(dsn).length ? dsn : false;
+}
+
+/**
+ * Finds recipient specific DSN parameters from the envelope DSN object
+ *
+ * @param {Object} dsn DSN object from the envelope
+ * @param {String} recipient Recipient address
+ * @returns {Object|Boolean} An object with notify and orcpt keys or false if not found
+ */
+function getRecipientDsn(dsn, recipient) {
+    if (!dsn || !Array.isArray(dsn.recipients) || !recipient) {
+        return false;
+    }
+
+    recipient = addressTools.normalizeAddress(recipient);
+    return dsn.recipients.find(entry => entry && addressTools.normalizeAddress(entry.recipient || '') === recipient) || false;
+}
+
+/**
+ * Builds a DSN object for Nodemailer SMTPConnection#send. Nodemailer only uses these values if the
+ * remote server advertises DSN support
+ *
+ * @param {Object} delivery Delivery object
+ * @returns {Object|Boolean} DSN object or false if nothing to relay
+ */
+function getSendDsn(delivery) {
+    let dsn = {};
+    let envelopeDsn = delivery.dsn || {};
+
+    if (envelopeDsn.ret) {
+        dsn.ret = envelopeDsn.ret;
+    }
+
+    if (envelopeDsn.envid) {
+        dsn.envid = envelopeDsn.envid;
+    }
+
+    let notify = normalizeNotify(delivery.dsnNotify);
+    if (notify) {
+        dsn.notify = notify;
+    }
+
+    if (delivery.dsnOrcpt) {
+        dsn.orcpt = delivery.dsnOrcpt;
+    }
+
+    return Object.keys(dsn).length ? dsn : false;
+}
+
+/**
+ * Checks if sender has requested a notification of specific type. If NOTIFY was not
+ * set then failure and delay notifications are sent but success notifications are not
+ *
+ * @param {Object} delivery Delivery or bounce object with an optional dsnNotify property
+ * @param {String} type One of 'success', 'failure', 'delay'
+ * @returns {Boolean} true if a notification should be generated
+ */
+function shouldNotify(delivery, type) {
+    let notify = normalizeNotify(delivery && delivery.dsnNotify);
+    type = (type || '').toString().toUpperCase();
+
+    if (!notify) {
+        return ['FAILURE', 'DELAY'].includes(type);
+    }
+
+    return notify.includes(type);
+}
+
+/**
+ * Returns SMTP extensions announced by the next hop in the EHLO response. nodemailer does not expose these
+ * with a public API (only custom authentication handlers get a copy), so these are read from the private
+ * _supportedExtensions property of the SMTP connection. The nodemailer version is pinned in package.json
+ * for this reason and test/dsn-test.js checks the property against the installed version, so check both
+ * when upgrading nodemailer
+ *
+ * @param {Object} connection SMTP connection object
+ * @returns {Array|null} List of extension keywords or null if not available, eg. for HTTP deliveries
+ */
+function getConnectionExtensions(connection) {
+    return Array.isArray(connection?._supportedExtensions) ? connection._supportedExtensions : null;
+}
@@ -0,0 +1,286 @@
+'use strict';
+
+const config = require('@zone-eu/wild-config');
+const db = require('./db');
+const RedisList = require('./redis-list');
+const { getProvider } = require('./providers');
+
+// Redis keys. Counters are stored in a hash per address and provider that expires after the counting window,
+// full key is iprep:count:<address>|<provider>. Disabled addresses are stored in a sorted set where the score
+// is the expiration time
+const COUNTER_PREFIX = 'iprep:count:';
+// separates address from provider in counter keys, this can not appear in an IPv4 or IPv6 address
+const COUNTER_SEPARATOR = '|';
+const DISABLED_KEY = 'iprep:disabled';
+const INFO_KEY = 'iprep:info';
+
+function getOptions() {
+    return config.ipReputation || {};
+}
+
+function isEnabled() {
+    return !!getOptions().enabled;
+}
+
+/**
+ * Checks if responses for a bounce category are counted
+ *
+ * @param {String} category Bounce category, eg. 'blacklist'
+ * @returns {Boolean}
+ */
+function tracks(category) {
+    let thresholds = getOptions().thresholds || {};
+    return isEnabled() && !!category && Number(thresholds[category]) > 0;
+}
+
+function getMember(address, provider) {
+    return address + '|' + provider;
+}
+
+function parseMember(member) {
+    let pos = (member || '').lastIndexOf('|');
+    return {
+        address: member.substr(0, pos),
+        provider: member.substr(pos + 1)
+    };
+}
+
+// Local copy of disabled addresses is kept by provider, so that SendingZone.getAddress() can check it synchronously
+const disabled = new RedisList({
+    entriesKey: DISABLED_KEY,
+    infoKey: INFO_KEY,
+    group: 'provider',
+    getMember: entry => getMember(entry.address, entry.provider),
+    parseMember,
+    getRefreshInterval: () => getOptions().refreshInterval || 10 * 1000,
+    logName: 'Reputation/' + process.pid,
+    errorCode: 'IP_REPUTATION_REDIS_ERROR',
+    errorMessage: 'IP reputation Redis error'
+});
+
+/**
+ * Replaces the local list of disabled addresses
+ *
+ * @param {Array} entries List of {address, provider, expires} objects
+ */
+function setDisabled(entries) {
+    disabled.setEntries(entries);
+}
+
+/**
+ * Returns local addresses that should not be used for a recipient domain. Uses the locally cached list and
+ * schedules a refresh from Redis if the cached list is older than ipReputation.refreshInterval
+ *
+ * @param {String} domain Recipient domain
+ * @returns {Array} List of disabled local addresses
+ */
+function getDisabledAddresses(domain) {
+    if (!isEnabled()) {
+        return [];
+    }
+
+    return disabled.getAddresses(getProvider(domain));
+}
+
+/**
+ * Loads the list of disabled addresses from Redis
+ *
+ * @param {Function} callback
+ */
+function refresh(callback) {
+    disabled.refresh(callback);
+}
+
+/**
+ * Counts a blacklist or spam response for a local address. If the count for the address and provider
+ * reaches the category threshold then the address is disabled for that provider
+ *
+ * @param {Object} data
+ * @param {String} data.address Local IP address used for the delivery
+ * @param {String} data.domain Recipient domain
+ * @param {String} data.category Bounce category
+ * @param {String} [data.response] SMTP response
+ * @param {Function} callback Returns the disabled entry if the address was disabled by this response, false otherwise
+ */
+function record(data, callback) {
+    let options = getOptions();
+
+    if (!db.redis || !data.address || !tracks(data.category) || ['0.0.0.0', '::'].includes(data.address)) {
+        return setImmediate(() => callback(null, false));
+    }
+
+    let provider = getProvider(data.domain);
+    let counterKey = getCounterKey(data.address, provider);
+    let window = options.window || 60 * 60 * 1000;
+
+    db.redis
+        .multi()
+        .hincrby(counterKey, data.category, 1)
+        .pttl(counterKey)
+        .exec((err, result) => {
+            if (!err && result) {
+                err = result.map(res => res && res[0]).find(err => err);
+            }
+            if (err) {
+                return handleError(err, 'record', callback);
+            }
+
+            let count = Number(result[0][1]) || 0;
+            let ttl = Number(result[1][1]);
+
+            if (ttl < 0) {
+                // first hit in the counting window
+                db.redis.pexpire(counterKey, window, () => false);
+            }
+
+            if (count < Number(options.thresholds[data.category])) {
+                return callback(null, false);
+            }
+
+            let now = Date.now();
+            let entry = {
+                address: data.address,
+                provider,
+                category: data.category,
+                count,
+                response: (data.response || '').toString().substr(0, 256),
+                created: now,
+                expires: now + (options.disableTime || 6 * 60 * 60 * 1000)
+            };
+
+            disabled.add(entry, multi => multi.del(counterKey), callback);
+        });
+}
+
+/**
+ * Lists currently disabled addresses
+ *
+ * @param {Function} callback Returns a list of {address, provider, category, count, response, created, expires}
+ */
+function listDisabled(callback) {
+    disabled.list(callback);
+}
+
+/**
+ * Returns reputation details for a local address: current counters and disabled providers
+ *
+ * @param {String} address Local IP address
+ * @param {Function} callback Returns {address, counters, disabled}
+ */
+function getAddressInfo(address, callback) {
+    listDisabled((err, list) => {
+        if (err) {
+            return callback(err);
+        }
+
+        findCounterKeys(address, (err, keys) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let counters = [];
+            let pos = 0;
+            let loadNext = () => {
+                if (pos >= keys.length) {
+                    return callback(null, {
+                        address,
+                        counters,
+                        disabled: list.filter(entry => entry.address === address)
+                    });
+                }
+                let key = keys[pos++];
+                db.redis
+                    .multi()
+                    .hgetall(key)
+                    .pttl(key)
+                    .exec((err, result) => {
+                        if (err) {
+                            return handleError(err, 'info', callback);
+                        }
+                        let values = result[0][1] || {};
+                        let ttl = Number(result[1][1]);
+                        Object.keys(values).forEach(category => {
+                            counters.push({
+                                provider: key.substr(getCounterKey(address, '').length),
+                                category,
+                                count: Number(values[category]) || 0,
+                                expires: ttl > 0 ? Date.now() + ttl : false
+                            });
+                        });
+                        setImmediate(loadNext);
+                    });
+            };
+            loadNext();
+        });
+    });
+}
+
+/**
+ * Re-enables a local address and clears its counters
+ *
+ * @param {String} address Local IP address
+ * @param {String} [provider] If set then only reset the address for this provider
+ * @param {Function} callback Returns the count of removed disabled entries
+ */
+function reset(address, provider, callback) {
+    listDisabled((err, list) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let entries = list.filter(entry => entry.address === address && (!provider || entry.provider === provider));
+
+        let clearCounters = done => {
+            if (provider) {
+                return db.redis.del(getCounterKey(address, provider), done);
+            }
+            findCounterKeys(address, (err, keys) => {
+                if (err || !keys.length) {
+                    return done(err);
+                }
+                db.redis.del(...keys, done);
+            });
+        };
+
+        clearCounters(err => {
+            if (err) {
+                return handleError(err, 'reset', callback);
+            }
+
+            disabled.remove(entries, callback);
+        });
+    });
+}
+
+function getCounterKey(address, provider) {
+    return COUNTER_PREFIX + address + COUNTER_SEPARATOR + provider;
+}
+
+function findCounterKeys(address, callback) {
+    let keys = [];
+    let stream = db.redis.scanStream({
+        match: getCounterKey(address.replace(/[*?[\]\\]/g, '\\$&'), '*'),
+        count: 100
+    });
+    stream.on('data', list => {
+        keys = keys.concat(list);
+    });
+    stream.once('error', err => callback(err));
+    stream.once('end', () => callback(null, Array.from(new Set(keys))));
+}
+
+function handleError(err, action, callback) {
+    return disabled.handleError(err, action, callback);
+}
+
+module.exports = {
+    isEnabled,
+    tracks,
+    setDisabled,
+    getDisabledAddresses,
+    refresh,
+    record,
+    listDisabled,
+    getAddressInfo,
+    reset
+};
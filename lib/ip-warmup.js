@@ -0,0 +1,343 @@
+'use strict';
+
+const config = require('@zone-eu/wild-config');
+const log = require('npmlog');
+const db = require('./db');
+const { getProvider } = require('./providers');
+const { gelfCode, emitGelf } = require('./log-gelf');
+
+const promClient = require('prom-client');
+
+const DAY = 24 * 3600 * 1000;
+
+// Counter key for the total daily volume of an address, provider specific counters use the provider name
+const ALL_PROVIDERS = 'all';
+
+// Redis key prefix for daily counters, full key is warmup:<address>:<provider>:<YYYY-MM-DD>
+const COUNTER_PREFIX = 'warmup:';
+// Daily counters are kept a bit longer than a day, so these do not disappear before the day ends in any timezone
+const COUNTER_TTL = 2 * 24 * 3600;
+
+const logName = 'Warmup/' + process.pid;
+
+// Local copy of daily counters, counter key -> count. Refreshed from Redis, so that
+// SendingZone.getAddress() can check limits synchronously
+let counters = new Map();
+let lastRefresh = 0;
+let refreshing = false;
+
+// Pool entries with warm-up settings by zone name
+let pools = new Map();
+
+const warmupDayGauge = new promClient.Gauge({
+    name: 'zonemta_ip_warmup_day',
+    help: 'Current day of IP warm-up schedule',
+    labelNames: ['zone', 'address'],
+    async collect() {
+        await updateMetrics();
+    }
+});
+
+const warmupSentGauge = new promClient.Gauge({
+    name: 'zonemta_ip_warmup_sent',
+    help: 'Messages sent today from a warming up IP',
+    labelNames: ['zone', 'address', 'provider']
+});
+
+const warmupLimitGauge = new promClient.Gauge({
+    name: 'zonemta_ip_warmup_limit',
+    help: 'Daily message limit for a warming up IP',
+    labelNames: ['zone', 'address', 'provider']
+});
+
+/**
+ * Registers pool entries of a sending zone. Only entries with warm-up settings are kept
+ *
+ * @param {String} zone Zone name
+ * @param {Array} pool List of pool entries
+ */
+function register(zone, pool) {
+    let entries = [].concat(pool || []).filter(entry => entry && entry.warmup && typeof entry.warmup === 'object');
+    if (entries.length) {
+        pools.set(zone, entries);
+    } else {
+        pools.delete(zone);
+    }
+}
+
+/**
+ * Returns the number of full days since the warm-up start date
+ *
+ * @param {Object} entry Pool entry
+ * @param {Number} [now] Current time
+ * @returns {Number|Boolean} Day number (negative if warm-up has not started yet) or false if there is no warm-up schedule
+ */
+function getWarmupDay(entry, now) {
+    if (!entry || !entry.warmup || !entry.warmup.start) {
+        return false;
+    }
+
+    let start = new Date(entry.warmup.start).getTime();
+    if (!start) {
+        return false;
+    }
+
+    return Math.floor((now || Date.now()) / DAY) - Math.floor(start / DAY);
+}
+
+/**
+ * Returns the daily message limit for a pool entry. Warm-up schedule is a list of daily volumes where the
+ * first element is used on the start day. Once the schedule is over, the address is considered to be warm
+ *
+ * @param {Object} entry Pool entry
+ * @param {String} provider Destination provider or 'all' for the total volume
+ * @param {Number} [now] Current time
+ * @returns {Number|Boolean} Daily limit or false if there is no limit
+ */
+function getDailyLimit(entry, provider, now) {
+    let day = getWarmupDay(entry, now);
+    if (day === false) {
+        return false;
+    }
+
+    let schedule = provider === ALL_PROVIDERS ? entry.warmup.schedule : entry.warmup.providers && entry.warmup.providers[provider];
+    if (!Array.isArray(schedule) || !schedule.length) {
+        return false;
+    }
+
+    if (day < 0) {
+        // warm-up has not started yet, do not use this address
+        return 0;
+    }
+
+    if (day >= schedule.length) {
+        // warm-up is over
+        return false;
+    }
+
+    return Math.max(Number(schedule[day]) || 0, 0);
+}
+
+function getScopes(entry) {
+    return [ALL_PROVIDERS].concat(Object.keys((entry && entry.warmup && entry.warmup.providers) || {}));
+}
+
+/**
+ * Checks if a pool entry is still warming up for any provider
+ *
+ * @param {Object} entry Pool entry
+ * @param {Number} [now] Current time
+ * @returns {Boolean}
+ */
+function isWarming(entry, now) {
+    return getScopes(entry).some(scope => getDailyLimit(entry, scope, now) !== false);
+}
+
+function getDate(now) {
+    return new Date(now || Date.now()).toISOString().substr(0, 10);
+}
+
+/**
+ * Returns the time until daily counters are reset
+ *
+ * @param {Number} [now] Current time
+ * @returns {Number} Time in milliseconds
+ */
+function getDayEnd(now) {
+    now = now || Date.now();
+    return DAY - (now % DAY);
+}
+
+function getKey(address, scope, now) {
+    return COUNTER_PREFIX + address + ':' + scope + ':' + getDate(now);
+}
+
+/**
+ * Checks if a warming up pool entry can be used for a recipient domain today. Uses the locally cached
+ * counters and schedules a refresh from Redis if the counters are older than ipWarmup.refreshInterval
+ *
+ * @param {Object} entry Pool entry
+ * @param {String} domain Recipient domain
+ * @param {Number} [now] Current time
+ * @returns {Boolean}
+ */
+function hasCapacity(entry, domain, now) {
+    return !getExceededLimit(entry, domain, now);
+}
+
+/**
+ * Returns the daily limit that does not allow using a warming up pool entry for a recipient domain today
+ *
+ * @param {Object} entry Pool entry
+ * @param {String} domain Recipient domain
+ * @param {Number} [now] Current time
+ * @returns {Object|Boolean} Exceeded limit as {provider, messages} or false if the entry can be used
+ */
+function getExceededLimit(entry, domain, now) {
+    if (Date.now() - lastRefresh > ((config.ipWarmup && config.ipWarmup.refreshInterval) || 10 * 1000)) {
+        refresh(() => false);
+    }
+
+    let exceeded = false;
+    [ALL_PROVIDERS, getProvider(domain)].some(scope => {
+        let limit = getDailyLimit(entry, scope, now);
+        if (limit !== false && (counters.get(getKey(entry.address, scope, now)) || 0) >= limit) {
+            exceeded = {
+                provider: scope,
+                messages: limit
+            };
+            return true;
+        }
+        return false;
+    });
+    return exceeded;
+}
+
+/**
+ * Counts a delivered message for a warming up address
+ *
+ * @param {String} zone Zone name
+ * @param {String} address Local IP address
+ * @param {String} domain Recipient domain
+ */
+function record(zone, address, domain) {
+    let entry = (pools.get(zone) || []).find(entry => entry.address === address);
+    let now = Date.now();
+    if (!entry || !isWarming(entry, now)) {
+        return;
+    }
+
+    let keys = [ALL_PROVIDERS, getProvider(domain)].filter(scope => getDailyLimit(entry, scope, now) !== false).map(scope => getKey(address, scope, now));
+
+    keys.forEach(key => counters.set(key, (counters.get(key) || 0) + 1));
+
+    if (!db.redis || !keys.length) {
+        return;
+    }
+
+    let multi = db.redis.multi();
+    keys.forEach(key => multi.incr(key).expire(key, COUNTER_TTL));
+    multi.exec(err => {
+        if (err) {
+            handleError(err, 'record');
+        }
+    });
+}
+
+/**
+ * Loads current counters for all registered warming up addresses from Redis
+ *
+ * @param {Function} callback
+ */
+function refresh(callback) {
+    if (!db.redis || refreshing) {
+        return setImmediate(() => callback(null, false));
+    }
+
+    let now = Date.now();
+    let keys = new Set();
+    pools.forEach(entries =>
+        entries.forEach(entry => {
+            if (isWarming(entry, now)) {
+                getScopes(entry).forEach(scope => keys.add(getKey(entry.address, scope, now)));
+            }
+        })
+    );
+    keys = Array.from(keys);
+
+    lastRefresh = now;
+    if (!keys.length) {
+        counters = new Map();
+        return setImmediate(() => callback(null, true));
+    }
+
+    refreshing = true;
+    db.redis.mget(...keys, (err, values) => {
+        refreshing = false;
+        if (err) {
+            handleError(err, 'refresh');
+            return callback(err);
+        }
+
+        counters = new Map();
+        keys.forEach((key, i) => counters.set(key, Number(values[i]) || 0));
+        return callback(null, true);
+    });
+}
+
+/**
+ * Lists warm-up progress for all registered addresses
+ *
+ * @param {Number} [now] Current time
+ * @returns {Array} List of {zone, address, day, providers: [{provider, sent, limit}]}
+ */
+function getProgress(now) {
+    now = now || Date.now();
+    let list = [];
+    pools.forEach((entries, zone) =>
+        entries.forEach(entry => {
+            if (!isWarming(entry, now)) {
+                return;
+            }
+            list.push({
+                zone,
+                address: entry.address,
+                day: getWarmupDay(entry, now),
+                providers: getScopes(entry)
+                    .map(provider => ({
+                        provider,
+                        sent: counters.get(getKey(entry.address, provider, now)) || 0,
+                        limit: getDailyLimit(entry, provider, now)
+                    }))
+                    .filter(scope => scope.limit !== false)
+            });
+        })
+    );
+    return list;
+}
+
+function updateMetrics() {
+    return new Promise(resolve => {
+        refresh(() => {
+            warmupDayGauge.reset();
+            warmupSentGauge.reset();
+            warmupLimitGauge.reset();
+
+            getProgress().forEach(entry => {
+                warmupDayGauge.set({ zone: entry.zone, address: entry.address }, entry.day);
+                entry.providers.forEach(scope => {
+                    let labels = { zone: entry.zone, address: entry.address, provider: scope.provider };
+                    warmupSentGauge.set(labels, scope.sent);
+                    warmupLimitGauge.set(labels, scope.limit);
+                });
+            });
+
+            resolve();
+        });
+    });
+}
+
+function handleError(err, action) {
+    log.error(logName, 'Redis error action=%s error=%s', action, err.message);
+    emitGelf({
+        short_message: `${gelfCode('IP_WARMUP_REDIS_ERROR')} IP warm-up Redis error`,
+        _stack: err && err.stack ? err.stack : undefined,
+        _logger: logName,
+        _action: action,
+        _failure_msg: err.message
+    });
+}
+
+module.exports = {
+    ALL_PROVIDERS,
+    register,
+    getWarmupDay,
+    getDailyLimit,
+    isWarming,
+    hasCapacity,
+    getExceededLimit,
+    getDayEnd,
+    record,
+    refresh,
+    getProgress
+};
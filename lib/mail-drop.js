@@ -44,6 +44,22 @@ class MailDrop {
 
         let id = envelope.id;
 
+        // plugins can accept a message and silently drop it, the drop is recorded in the event timeline
+        let done = callback;
+        callback = (err, ...args) => {
+            if (err && err.name === 'SMTPResponse' && !err.responseCode && id) {
+                this.queue.events.record({
+                    id,
+                    event: 'dropped',
+                    from: envelope.from,
+                    to: envelope.to,
+                    reason: plugins.getDropDescription(id) || undefined,
+                    response: err.message
+                });
+            }
+            done(err, ...args);
+        };
+
         let messageInfo = {
             'message-id': '<>',
             from: envelope.from || '<>',
@@ -7,14 +7,23 @@ const SeqIndex = require('@zone-eu/seq-index');
 const QueueLocker = require('./queue-locker');
 const TtlCache = require('./ttl-cache');
 const crypto = require('crypto');
+const util = require('util');
 const plugins = require('./plugins');
 const Headers = require('@zone-eu/mailsplit').Headers;
 const db = require('./db');
-const GridFSBucket = require('mongodb').GridFSBucket;
 const ObjectId = require('mongodb').ObjectId;
 const internalCounters = require('./counters');
 const bounces = require('./bounces');
+const addressBlacklist = require('./address-blacklist');
+const dsnTools = require('./dsn');
 const MailDrop = require('./mail-drop');
+const QueueBulk = require('./queue-bulk');
+const priorities = require('./priority');
+const TenantScheduler = require('./tenant-scheduler');
+const QueueFailover = require('./queue-failover');
+const QueueDrain = require('./queue-drain');
+const MessageStorage = require('./storage');
+const MessageEvents = require('./message-events');
 const yaml = require('js-yaml');
 const fs = require('fs');
 const pathlib = require('path');
@@ -27,11 +36,27 @@ const queueSizeGauge = new promClient.Gauge({
     help: 'Current size of the queue',
     labelNames: ['type']
 });
+const queuePriorityGauge = new promClient.Gauge({
+    name: 'zonemta_queue_priority_size',
+    help: 'Current size of the queue by priority',
+    labelNames: ['type', 'priority']
+});
+const compressionRatioGauge = new promClient.Gauge({
+    name: 'zonemta_storage_compression_ratio',
+    help: 'Size of uncompressed message contents divided by stored size for currently stored compressed messages',
+    labelNames: ['algorithm']
+});
 const blacklistedGauge = new promClient.Gauge({
     name: 'zonemta_blacklisted',
     help: 'Blacklisted addresses'
 });
 
+// deliveries can be paused by these values
+const PAUSE_TYPES = ['zone', 'domain', 'sender', 'id'];
+
+// deliveries can be sent in the same SMTP transaction only if these values are equal
+const BUNDLE_MATCH_KEYS = ['mx', 'mxPort', 'mxAuth', 'mxSecure', 'skipSRS', 'skipSTS', 'dsnNotify'];
+
 /**
  * MailQueue class for generating mail queue instances. These instances handle
  * storing and retrieving emails and delivery data from a MongoDB database
@@ -47,14 +72,24 @@ class MailQueue {
         this.options = options || {};
         this.instanceId = this.options.instanceId || 'default';
         this.mongodb = false;
-        this.gridstore = false;
+        this.storage = false;
+        this.events = new MessageEvents(false);
         this.closing = false;
         this.garbageTimer = null;
         this.seqIndex = new SeqIndex();
         this.maildrop = new MailDrop(this);
+        this.bulk = new QueueBulk(this);
+        this.failover = new QueueFailover(this);
+        this.drain = new QueueDrain(this);
 
         this.cache = new TtlCache(); // shared cache for workers
         this.locks = new QueueLocker();
+
+        // count of deliveries fetched per zone, used to let lower priority lanes through
+        this.shiftCounters = new Map();
+
+        // fair scheduling between tenants that share a zone
+        this.tenantScheduler = new TenantScheduler();
     }
 
     /**
@@ -71,12 +106,7 @@ class MailQueue {
 
         id = id || this.seqIndex.get();
         let returned = false;
-        let store = this.gridstore.openUploadStream('message ' + id, {
-            contentType: 'message/rfc822',
-            metadata: {
-                created: new Date()
-            }
-        });
+        let store = this.storage.createWriteStream(id);
 
         stream.once('error', err => {
             if (returned) {
@@ -169,7 +199,7 @@ class MailQueue {
      * @return {Stream} Stream
      */
     retrieve(id) {
-        return this.gridstore.openDownloadStreamByName('message ' + id);
+        return this.storage.retrieve(id);
     }
 
     /**
@@ -209,6 +239,18 @@ class MailQueue {
         let inserted = [];
         let seq = 0;
         let documents = [];
+        let events = [
+            {
+                id,
+                event: 'accepted',
+                from: envelope.from,
+                to: recipients,
+                messageId: envelope.messageId,
+                interface: envelope.interface,
+                origin: envelope.origin,
+                user: envelope.user
+            }
+        ];
 
         // function to insert the batch values
         let recipientsProcessed = () => {
@@ -225,20 +267,55 @@ class MailQueue {
             internalCounters.count('delivery:push');
 
             let collection = this.mongodb.collection(this.options.collection);
-            collection.insertMany(
-                documents,
-                {
-                    writeConcern: 1,
-                    ordered: false
-                },
-                err => {
+            let insertDeliveries = next => {
+                // keep the storage driver with deliveries, failover can not move messages that other instances can not read
+                this.storage.getStorage(id, (err, storage) => {
                     if (err) {
-                        return callback(err);
+                        return next(err);
                     }
+                    documents.forEach(delivery => {
+                        delivery.storage = storage;
+                    });
+                    collection.insertMany(
+                        documents,
+                        {
+                            writeConcern: 1,
+                            ordered: false
+                        },
+                        next
+                    );
+                });
+            };
 
-                    callback(null, id);
+            insertDeliveries(err => {
+                if (err) {
+                    return callback(err);
                 }
-            );
+
+                documents
+                    .filter(delivery => delivery.hold)
+                    .forEach(delivery => {
+                        log.info('Queue', '%s.%s HOLD to=%s (%s)', delivery.id, delivery.seq, delivery.recipient, delivery.hold.reason);
+                        plugins.handler.remotelog(delivery.id, delivery.seq, 'HELD', {
+                            zone: delivery.sendingZone,
+                            from: delivery.from,
+                            to: delivery.recipient,
+                            reason: delivery.hold.reason
+                        });
+                        events.push({
+                            id: delivery.id,
+                            seq: delivery.seq,
+                            event: 'held',
+                            recipient: delivery.recipient,
+                            zone: delivery.sendingZone,
+                            reason: delivery.hold.reason
+                        });
+                    });
+
+                this.events.record(events);
+
+                callback(null, id);
+            });
         };
 
         let pos = 0;
@@ -286,11 +363,15 @@ class MailQueue {
                 deliveryZone = this.options.defaultZone || 'default';
             }
 
+            let originalRecipient = recipient;
             let routing = {
                 recipient,
                 deliveryZone
             };
 
+            // DSN parameters are set for the original recipient, routing might change the address
+            let rcptDsn = dsnTools.getRecipientDsn(envelope.dsn, recipient);
+
             plugins.handler.runHooks('queue:route', [envelope, routing], err => {
                 if (err) {
                     return callback(err);
@@ -314,6 +395,9 @@ class MailQueue {
                     // actual recipient address
                     recipient,
 
+                    // envelope sender, needed to pause deliveries by sender
+                    from: envelope.from || '',
+
                     locked: false,
                     lockTime: 0,
                     assigned: 'no',
@@ -328,17 +412,42 @@ class MailQueue {
                     sessionId: envelope.sessionId
                 };
 
-                if (envelope.deferDelivery && envelope.deferDelivery > Date.now()) {
-                    // Setup defer data
-                    delivery._deferred = delivery._deferred || {
-                        first: Date.now(),
-                        count: 0
-                    };
-                    delivery._deferred.last = Date.now();
-                    delivery._deferred.next = envelope.deferDelivery;
-                    delivery._deferred.response = 'Deferred by router';
+                // deferDelivery is the legacy name for sendAt
+                let sendAt = Number(envelope.sendAt || envelope.deferDelivery) || 0;
+                if (sendAt > Date.now()) {
+                    // scheduled deliveries are not considered as deferred, the queue time starts from the scheduled time
+                    delivery.scheduled = new Date(sendAt);
+                    delivery.queued = delivery.scheduled;
+                }
+
+                let expires = Number(envelope.expires) || 0;
+                if (expires) {
+                    // undelivered recipients are bounced after this time
+                    delivery.expires = new Date(expires);
+                }
+
+                // tenant is needed for fair scheduling and per-tenant limits
+                let tenant = TenantScheduler.getTenant(envelope, (this.options.tenants || {}).key);
+                if (tenant) {
+                    delivery.tenant = tenant;
+                }
 
-                    delivery.queued = new Date(envelope.deferDelivery);
+                // plugins can set a priority for the entire message or for a single delivery, otherwise
+                // the default priority of the interface is used
+                let priorityOptions = this.options.priority || {};
+                delivery.priority =
+                    priorities.parsePriority(routing.priority) ||
+                    priorities.parsePriority(envelope.priority) ||
+                    priorities.parsePriority(priorityOptions.interfaces && priorityOptions.interfaces[envelope.interface]) ||
+                    priorities.DEFAULT_PRIORITY;
+
+                // plugins can hold the entire message or a single delivery for manual review
+                let holdReason = getHoldReason(routing.hold) || getHoldReason(envelope.hold);
+                if (holdReason) {
+                    delivery.hold = {
+                        reason: holdReason,
+                        created: date
+                    };
                 }
 
                 // Outbound relay specified
@@ -356,8 +465,40 @@ class MailQueue {
                     delivery.skipSTS = true;
                 }
 
+                if (rcptDsn && rcptDsn.notify) {
+                    delivery.dsnNotify = rcptDsn.notify;
+                }
+
+                if (rcptDsn && rcptDsn.orcpt) {
+                    delivery.dsnOrcpt = rcptDsn.orcpt;
+                }
+
                 documents.push(delivery);
 
+                events.push(
+                    {
+                        id,
+                        seq: delivery.seq,
+                        event: 'routed',
+                        recipient: delivery.recipient,
+                        // set if the queue:route hook changed the recipient address
+                        originalRecipient: delivery.recipient !== originalRecipient ? originalRecipient : undefined,
+                        zone: delivery.sendingZone,
+                        mx: delivery.mx
+                    },
+                    {
+                        id,
+                        seq: delivery.seq,
+                        event: 'queued',
+                        recipient: delivery.recipient,
+                        zone: delivery.sendingZone,
+                        priority: delivery.priority,
+                        tenant: delivery.tenant,
+                        scheduled: delivery.scheduled,
+                        expires: delivery.expires
+                    }
+                );
+
                 // emit an event about the new element
                 ev.emit('queued', {
                     event: 'queued',
@@ -373,7 +514,7 @@ class MailQueue {
                 inserted.push({
                     zone: delivery.sendingZone,
                     domain: recipientDomain,
-                    deferred: !!envelope.deferDelivery
+                    deferred: !!delivery.scheduled
                 });
 
                 return setImmediate(processRecipients);
@@ -391,6 +532,7 @@ class MailQueue {
      * @param {Object} [options] optional options objects
      * @param {String} [options.domain] If set prefer deliveries to that domain
      * @param {Boolean} [options.toDomainOnly] If true, then does not look for alternative deliveries once there are none left for the selected domain
+     * @param {Number} [options.capacity] Count of connections the Zone has in total, needed for reserved priority capacity
      * @param {Function} callback Callback to run with the delivery object
      */
     shift(zone, options, callback) {
@@ -407,12 +549,18 @@ class MailQueue {
         zone = zone || this.options.defaultZone || 'default';
         options = options || {};
 
-        if (this.cache.get('empty:' + zone)) {
+        if (this.cache.get('empty:' + zone) || this.locks.isPaused('zone', zone)) {
+            return setImmediate(() => callback(null, false));
+        }
+
+        if (this.drain.active) {
+            // do not start new deliveries while draining
             return setImmediate(() => callback(null, false));
         }
 
         let lockOwner = options.lockOwner || false;
         let getDomainConfig = options.getDomainConfig || (() => false);
+        let getThrottling = options.getThrottling || (() => false);
 
         let collection = this.mongodb.collection(this.options.collection);
         let query = {
@@ -428,7 +576,11 @@ class MailQueue {
                 {
                     assigned: this.instanceId
                 }
-            ]
+            ],
+            // held deliveries wait for manual review
+            hold: {
+                $exists: false
+            }
         };
         let skipDomains = this.locks.listSkipDomains(zone);
         if (skipDomains && skipDomains.length) {
@@ -437,6 +589,88 @@ class MailQueue {
             };
         }
 
+        // higher priority lanes are checked first
+        let priorityOptions = this.options.priority || {};
+        let shiftCounter = (this.shiftCounters.get(zone) || 0) + 1;
+        this.shiftCounters.set(zone, shiftCounter);
+        let allowedLanes = priorities.getLanes({
+            active: this.locks.countZoneLocks(zone),
+            capacity: options.capacity,
+            reserved: priorityOptions.reserved,
+            counter: shiftCounter,
+            starvationLimit: priorityOptions.starvationLimit
+        });
+        // if some lanes are not allowed to use the remaining connections, then the zone might not be empty
+        let allLanes = allowedLanes.length === priorities.PRIORITIES.length;
+        let lanes = allowedLanes.filter(priority => !this.cache.get('empty:' + zone + ':' + priority));
+
+        // paused deliveries are not touched at all, so these do not count as deferred
+        let pausedIds = this.locks.listPaused('id');
+        if (pausedIds.length) {
+            query.id = {
+                $nin: pausedIds
+            };
+        }
+        if (this.locks.senderPattern) {
+            query.from = {
+                $not: this.locks.senderPattern
+            };
+        }
+
+        let tenantOptions = this.options.tenants || {};
+        let tenants = false;
+        let laneTenants = [];
+        let laneComplete = true;
+        let lane = false;
+        let tenant = false;
+
+        // select the next tenant from the current lane, once all known tenants are checked look for any other
+        // deliveries from tenants that are not over their concurrency limit
+        let selectTenant = () => {
+            if (laneTenants.length) {
+                tenant = this.tenantScheduler.next(zone, laneTenants, tenantOptions.weights);
+                laneTenants = laneTenants.filter(value => value !== tenant);
+                // deliveries without a tenant are handled as a single tenant
+                query.tenant = tenant || null;
+                return true;
+            }
+
+            if (tenant !== false) {
+                tenant = false;
+                let capped = tenants.filter(value => value && this.isTenantCapped(zone, value));
+                if (capped.length) {
+                    // lane might still have deliveries from capped tenants
+                    laneComplete = false;
+                    query.tenant = {
+                        $nin: capped
+                    };
+                } else {
+                    delete query.tenant;
+                }
+                return true;
+            }
+
+            return false;
+        };
+
+        let selectLane = () => {
+            if (!lanes.length) {
+                return false;
+            }
+
+            lane = lanes.shift();
+            query.priority = priorities.getLaneQuery(lane);
+            if (!tenants) {
+                return true;
+            }
+
+            laneComplete = true;
+            laneTenants = tenants.filter(value => !this.cache.get('empty:' + zone + ':' + lane + ':' + value) && !this.isTenantCapped(zone, value));
+            // forces a final check without a tenant after all tenants are checked
+            tenant = null;
+            return selectTenant();
+        };
+
         let tryNext = () => {
             collection.findOneAndUpdate(
                 query,
@@ -469,8 +703,28 @@ class MailQueue {
                     }
 
                     if (!item || !item.value) {
-                        // nothing found, disable this zone for few seconds
-                        this.cache.set('empty:' + zone, true, 5 * 1000);
+                        if (typeof tenant === 'string') {
+                            // nothing found for this tenant, skip it for few seconds
+                            this.cache.set('empty:' + zone + ':' + lane + ':' + tenant, true, 5 * 1000);
+                        }
+                        if (tenants && selectTenant()) {
+                            return setImmediate(tryNext);
+                        }
+
+                        if (laneComplete) {
+                            // nothing found from this lane, skip it for few seconds
+                            this.cache.set('empty:' + zone + ':' + lane, true, 5 * 1000);
+                        } else {
+                            allLanes = false;
+                        }
+
+                        if (selectLane()) {
+                            return setImmediate(tryNext);
+                        }
+                        if (allLanes) {
+                            // nothing found, disable this zone for few seconds
+                            this.cache.set('empty:' + zone, true, 5 * 1000);
+                        }
                         return setImmediate(() => callback(null, false));
                     }
 
@@ -479,17 +733,28 @@ class MailQueue {
                     let lockKey = 'lock ' + delivery.id + ' ' + delivery.seq;
                     let maxConnections = Number(getDomainConfig(delivery.domain, 'maxConnections')) || 5;
 
+                    let throttling = getThrottling(delivery.domain);
+                    if (throttling) {
+                        // domain has responded with slowdown or capacity errors, use fewer connections
+                        maxConnections = Math.max(Math.floor(maxConnections * throttling.factor), 1);
+                    }
+
                     // Check if the key is already locked
                     // Lock TTL is relatively high, this is because if the MX has several IP addresses and
                     // all of them refuse to accept connections then connecting to all possible IPs might take time
                     let lockTtl = 60 * 60 * 1000;
-                    if (!this.locks.lock(lockKey, zone, delivery.domain, lockOwner, maxConnections, lockTtl)) {
+                    if (!this.locks.lock(lockKey, zone, delivery.domain, lockOwner, maxConnections, lockTtl, delivery.tenant)) {
                         // nothing to do here, already locked by someone else
                         return setImmediate(tryNext);
                     }
 
                     delivery._lock = lockKey;
 
+                    if (throttling && throttling.delay) {
+                        // do not start another delivery to this domain before the delay has passed
+                        this.locks.delayDomain(zone, delivery.domain, throttling.delay);
+                    }
+
                     this.getMeta(delivery.id, (err, meta) => {
                         if (err) {
                             this.locks.release(delivery._lock);
@@ -508,6 +773,11 @@ class MailQueue {
                                     plugins.handler.remotelog(delivery.id, false, 'DELETED', {
                                         reason: 'Not found from GridStore'
                                     });
+                                    this.events.record({
+                                        id: delivery.id,
+                                        event: 'deleted',
+                                        reason: 'Message contents not found'
+                                    });
                                     // try to find another delivery
                                     return setImmediate(tryNext);
                                 }
@@ -520,6 +790,29 @@ class MailQueue {
                             }
                         });
 
+                        if (this.locks.isSenderPaused(delivery.from)) {
+                            // deliveries queued by older versions do not have the sender address set, so these
+                            // can not be filtered out by the query
+                            query.id = {
+                                $nin: [delivery.id].concat((query.id && query.id.$nin) || [])
+                            };
+                            return collection.updateOne(
+                                {
+                                    id: delivery.id,
+                                    seq: delivery.seq
+                                },
+                                {
+                                    $set: {
+                                        locked: false
+                                    }
+                                },
+                                () => {
+                                    this.locks.release(delivery._lock);
+                                    return setImmediate(tryNext);
+                                }
+                            );
+                        }
+
                         let data = {};
                         Object.keys(delivery).forEach(key => {
                             if (!data.hasOwnProperty(key)) {
@@ -527,7 +820,7 @@ class MailQueue {
                             }
                         });
 
-                        log.verbose('Queue', '%s.%s SHIFTED (key="%s" zone="%s")', delivery.id, delivery.seq, lockKey, zone);
+                        log.verbose('Queue', '%s.%s SHIFTED (key="%s" zone="%s" priority="%s")', delivery.id, delivery.seq, lockKey, zone, lane);
 
                         this.mongodb.collection('suppressionlist').findOne(
                             {
@@ -574,6 +867,15 @@ class MailQueue {
                                             recipient: delivery.recipient,
                                             [suppresskey]: suppressvalue
                                         });
+                                        this.events.record({
+                                            id: delivery.id,
+                                            seq: delivery.seq,
+                                            event: 'dropped',
+                                            recipient: delivery.recipient,
+                                            zone: delivery.sendingZone,
+                                            reason: 'Recipient was found from suppression list',
+                                            suppressed: suppressvalue
+                                        });
 
                                         // try to find another delivery
                                         return setImmediate(tryNext);
@@ -588,6 +890,254 @@ class MailQueue {
             );
         };
 
+        let start = () => {
+            if (!selectLane()) {
+                return callback(null, false);
+            }
+            tryNext();
+        };
+
+        if (!tenantOptions.enabled) {
+            return setImmediate(start);
+        }
+
+        this.getTenants(zone, (err, list) => {
+            if (err) {
+                return callback(err);
+            }
+            tenants = list;
+            start();
+        });
+    }
+
+    /**
+     * Lists tenants that have deliveries waiting in a zone. The list is cached for a few seconds,
+     * deliveries without a tenant are listed as an empty string
+     *
+     * @param {String} zone Identifier of the Sending Zone
+     * @param {Function} callback Returns a list of tenants
+     */
+    getTenants(zone, callback) {
+        let cached = this.cache.get('tenants:' + zone);
+        if (cached) {
+            return setImmediate(() => callback(null, cached));
+        }
+
+        this.mongodb.collection(this.options.collection).distinct(
+            'tenant',
+            {
+                sendingZone: zone,
+                queued: {
+                    $lte: new Date()
+                },
+                locked: false,
+                hold: {
+                    $exists: false
+                }
+            },
+            (err, list) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                list = [''].concat((list || []).filter(tenant => tenant && typeof tenant === 'string'));
+                this.tenantScheduler.prune(zone, list);
+                this.cache.set('tenants:' + zone, list, 10 * 1000);
+                return callback(null, list);
+            }
+        );
+    }
+
+    /**
+     * Checks if a tenant is already using all the connections it is allowed to use in a zone
+     *
+     * @param {String} zone Identifier of the Sending Zone
+     * @param {String} tenant Tenant identifier
+     * @returns {Boolean}
+     */
+    isTenantCapped(zone, tenant) {
+        if (!tenant) {
+            // deliveries without a tenant are not limited
+            return false;
+        }
+        let tenantOptions = this.options.tenants || {};
+        let limit = Number((tenantOptions.limits && tenantOptions.limits[tenant]) || tenantOptions.maxConnections) || 0;
+        return limit > 0 && this.locks.countTenantLocks(zone, tenant) >= limit;
+    }
+
+    /**
+     * Forgets that a zone was found to be empty, so it would be checked again on the next shift
+     *
+     * @param {String} zone Identifier of the Sending Zone
+     */
+    clearEmptyCache(zone) {
+        let tenants = this.cache.get('tenants:' + zone) || [];
+
+        this.cache.remove('empty:' + zone);
+        priorities.PRIORITIES.forEach(priority => {
+            this.cache.remove('empty:' + zone + ':' + priority);
+            tenants.forEach(tenant => this.cache.remove('empty:' + zone + ':' + priority + ':' + tenant));
+        });
+
+        // deliveries of tenants that are not listed yet would not be checked until the list expires
+        this.cache.remove('tenants:' + zone);
+    }
+
+    /**
+     * Locks additional deliveries of the same message to the same recipient domain, so these could be sent
+     * in a single SMTP transaction with the shifted delivery. Only deliveries that use the same routing and
+     * DSN options are included
+     *
+     * @param {String} zone Identifier of the Sending Zone
+     * @param {Object} delivery Shifted delivery
+     * @param {Object} options
+     * @param {String} [options.lockOwner] Lock owner identifier
+     * @param {Number} options.maxRecipients Max count of recipients in a single transaction, including the shifted delivery
+     * @param {Function} callback Returns a list of {seq, recipient, _lock, _deferred, queued, created}
+     */
+    shiftBundle(zone, delivery, options, callback) {
+        let maxRecipients = Number(options.maxRecipients) || 0;
+        if (maxRecipients < 2 || delivery.dsnOrcpt) {
+            // ORCPT can not be shared between recipients
+            return setImmediate(() => callback(null, []));
+        }
+
+        let collection = this.mongodb.collection(this.options.collection);
+        let query = {
+            id: delivery.id,
+            domain: delivery.domain,
+            sendingZone: zone,
+            queued: {
+                $lte: new Date()
+            },
+            locked: false,
+            $or: [
+                {
+                    assigned: 'no'
+                },
+                {
+                    assigned: this.instanceId
+                }
+            ],
+            dsnOrcpt: {
+                $exists: false
+            },
+            hold: {
+                $exists: false
+            }
+        };
+
+        BUNDLE_MATCH_KEYS.forEach(key => {
+            query[key] = typeof delivery[key] !== 'undefined' ? delivery[key] : { $exists: false };
+        });
+
+        let bundle = [];
+
+        let checkSuppressed = () => {
+            if (!bundle.length) {
+                return callback(null, bundle);
+            }
+
+            // domain of the shifted delivery was already checked, only addresses are left
+            this.mongodb
+                .collection('suppressionlist')
+                .find({
+                    address: {
+                        $in: bundle.map(entry => (entry.recipient || '').toLowerCase().trim())
+                    }
+                })
+                .toArray((err, suppressed) => {
+                    if (err || !suppressed || !suppressed.length) {
+                        return callback(null, bundle);
+                    }
+
+                    let addresses = new Set(suppressed.map(entry => entry.address));
+                    let pos = 0;
+                    let dropNext = () => {
+                        if (pos >= bundle.length) {
+                            return callback(
+                                null,
+                                bundle.filter(entry => !addresses.has((entry.recipient || '').toLowerCase().trim()))
+                            );
+                        }
+                        let entry = bundle[pos++];
+                        if (!addresses.has((entry.recipient || '').toLowerCase().trim())) {
+                            return setImmediate(dropNext);
+                        }
+
+                        this.releaseDelivery({ id: delivery.id, seq: entry.seq, _lock: entry._lock }, () => {
+                            log.info('Queue', '%s.%s DROP[suppressed] Recipient %s was found from suppression list', delivery.id, entry.seq, entry.recipient);
+                            plugins.handler.remotelog(delivery.id, entry.seq, 'DROP', {
+                                reason: 'Recipient was found from suppression list',
+                                recipient: entry.recipient,
+                                'suppressed address': (entry.recipient || '').toLowerCase().trim()
+                            });
+                            this.events.record({
+                                id: delivery.id,
+                                seq: entry.seq,
+                                event: 'dropped',
+                                recipient: entry.recipient,
+                                zone: delivery.sendingZone,
+                                reason: 'Recipient was found from suppression list',
+                                suppressed: (entry.recipient || '').toLowerCase().trim()
+                            });
+                            return setImmediate(dropNext);
+                        });
+                    };
+                    dropNext();
+                });
+        };
+
+        let tryNext = () => {
+            if (bundle.length >= maxRecipients - 1) {
+                return checkSuppressed();
+            }
+
+            collection.findOneAndUpdate(
+                query,
+                {
+                    $set: {
+                        locked: true,
+                        lockTime: Date.now(),
+                        assigned: this.instanceId
+                    }
+                },
+                {
+                    returnOriginal: false
+                },
+                (err, item) => {
+                    if (err) {
+                        // use whatever was already locked
+                        log.error('Queue', '%s.%s BUNDLEFAIL %s', delivery.id, delivery.seq, err.message);
+                        return checkSuppressed();
+                    }
+
+                    if (!item || !item.value) {
+                        return checkSuppressed();
+                    }
+
+                    let entry = item.value;
+                    let lockKey = 'lock ' + entry.id + ' ' + entry.seq;
+
+                    // bundled deliveries use the connection of the shifted delivery, so these are not counted against maxConnections
+                    if (!this.locks.lock(lockKey, zone, false, options.lockOwner || false, 0, 60 * 60 * 1000)) {
+                        return setImmediate(tryNext);
+                    }
+
+                    bundle.push({
+                        seq: entry.seq,
+                        recipient: entry.recipient,
+                        _lock: lockKey,
+                        _deferred: entry._deferred,
+                        queued: entry.queued,
+                        created: entry.created
+                    });
+
+                    return setImmediate(tryNext);
+                }
+            );
+        };
+
         setImmediate(tryNext);
     }
 
@@ -615,7 +1165,9 @@ class MailQueue {
             projection: {
                 _id: true,
                 id: true,
-                seq: true
+                seq: true,
+                recipient: true,
+                sendingZone: true
             }
         });
 
@@ -654,6 +1206,14 @@ class MailQueue {
                         plugins.handler.remotelog(delivery.id, delivery.seq, 'DELETED', {
                             reason: 'Deletion requested from API'
                         });
+                        this.events.record({
+                            id: delivery.id,
+                            seq: delivery.seq,
+                            event: 'deleted',
+                            recipient: delivery.recipient,
+                            zone: delivery.sendingZone,
+                            reason: 'Deletion requested from API'
+                        });
                     }
                     releaseNext();
                 });
@@ -797,6 +1357,11 @@ class MailQueue {
 
         const now = Date.now();
 
+        if (responseData.rateLimited || responseData.postpone) {
+            // delivery was not attempted, so only move it forward in the queue
+            return this.postponeDelivery(delivery, ttl, callback);
+        }
+
         let updates = {
             $set: {
                 '_deferred.last': now,
@@ -817,6 +1382,10 @@ class MailQueue {
             updates.$set['_deferred.response'] = responseData.response;
         }
 
+        if (responseData.category) {
+            updates.$set['_deferred.category'] = responseData.category;
+        }
+
         if (responseData.log) {
             updates.$set['_deferred.log'] = responseData.log;
         }
@@ -926,25 +1495,792 @@ class MailQueue {
     }
 
     /**
-     * Retrieves info about currently queued deliveries for a queue ID
+     * Moves a delivery forward in the queue without marking it as deferred, used for deliveries that were
+     * not attempted, eg. because of rate limits
      */
-    getInfo(id, callback) {
-        this.mongodb
-            .collection(this.options.collection)
-            .find({
-                id
-            })
-            .sort({
-                seq: 1
-            })
-            .toArray((err, deliveries) => {
+    postponeDelivery(delivery, ttl, callback) {
+        this.mongodb.collection(this.options.collection).updateOne(
+            {
+                id: delivery.id,
+                seq: delivery.seq
+            },
+            {
+                $set: {
+                    queued: new Date(Date.now() + ttl),
+                    locked: false
+                }
+            },
+            (err, result) => {
                 if (err) {
                     return callback(err);
                 }
 
-                if (!deliveries || !deliveries.length) {
-                    return callback(null, false);
-                }
+                log.verbose('Queue', '%s.%s UNLOCK (key="%s")', delivery.id, delivery.seq, delivery._lock);
+                this.locks.release(delivery._lock);
+
+                return callback(null, !!(result && result.matchedCount));
+            }
+        );
+    }
+
+    /**
+     * Pauses deliveries for a Sending Zone, recipient domain, sender address or domain, or a single message.
+     * Paused deliveries stay in the queue untouched until resumed
+     *
+     * @param {String} type One of 'zone', 'domain', 'sender' or 'id'
+     * @param {String} value Zone name, domain name, email address or queue ID
+     * @param {Object} [options]
+     * @param {String} [options.reason] Why deliveries were paused
+     * @param {Function} callback Returns the stored pause entry
+     */
+    pause(type, value, options, callback) {
+        if (!PAUSE_TYPES.includes(type) || !value) {
+            return setImmediate(() => callback(new Error('Invalid pause type or value')));
+        }
+
+        value = type === 'id' ? value : value.toLowerCase().trim();
+
+        let entry = {
+            type,
+            value,
+            reason: (options && options.reason) || false,
+            created: new Date()
+        };
+
+        this.mongodb.collection('pauses').updateOne(
+            {
+                type,
+                value
+            },
+            {
+                $set: entry
+            },
+            {
+                upsert: true
+            },
+            err => {
+                if (err) {
+                    return callback(err);
+                }
+
+                log.info('Queue', 'PAUSE type=%s value=%s reason=%s', type, value, entry.reason || '');
+                this.loadPauses(() => callback(null, entry));
+            }
+        );
+    }
+
+    /**
+     * Resumes paused deliveries
+     *
+     * @param {String} type One of 'zone', 'domain', 'sender' or 'id'
+     * @param {String} value Zone name, domain name, email address or queue ID
+     * @param {Function} callback Returns true if a pause entry was removed
+     */
+    resume(type, value, callback) {
+        value = type === 'id' ? value : (value || '').toLowerCase().trim();
+
+        this.mongodb.collection('pauses').deleteOne(
+            {
+                type,
+                value
+            },
+            (err, result) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                let resumed = !!(result && result.deletedCount);
+                if (resumed) {
+                    log.info('Queue', 'RESUME type=%s value=%s', type, value);
+                    if (type === 'zone') {
+                        this.clearEmptyCache(value);
+                    }
+                }
+
+                this.loadPauses(() => callback(null, resumed));
+            }
+        );
+    }
+
+    /**
+     * Lists current pause entries
+     *
+     * @param {Function} callback Returns a list of {type, value, reason, created}
+     */
+    listPauses(callback) {
+        this.mongodb
+            .collection('pauses')
+            .find({})
+            .project({
+                _id: 0
+            })
+            .sort({
+                created: 1
+            })
+            .toArray(callback);
+    }
+
+    /**
+     * Loads pause entries from the database
+     *
+     * @param {Function} callback
+     */
+    loadPauses(callback) {
+        this.listPauses((err, entries) => {
+            if (err) {
+                log.error('Queue', 'Failed to load paused deliveries: %s', err.message);
+                emitGelf({
+                    short_message: `${gelfCode('QUEUE_PAUSES_LOAD_FAILED')} Failed to load paused deliveries`,
+                    _stack: err && err.stack ? err.stack : undefined,
+                    _logger: 'Queue',
+                    _failure_msg: err.message
+                });
+                return callback(err);
+            }
+
+            this.locks.setPaused(entries);
+            return callback(null, entries);
+        });
+    }
+
+    /**
+     * Lists held deliveries
+     *
+     * @param {Object} [options]
+     * @param {String} [options.zone] Only list deliveries for this Sending Zone
+     * @param {Number} [options.start] Skip this many entries
+     * @param {Number} [options.maxItems] Maximum count of entries to return
+     * @param {Function} callback Returns a list of held deliveries
+     */
+    listHeld(options, callback) {
+        options = options || {};
+
+        let query = {
+            hold: {
+                $exists: true
+            }
+        };
+
+        if (options.zone) {
+            query.sendingZone = options.zone;
+        }
+
+        this.mongodb
+            .collection(this.options.collection)
+            .find(query)
+            .project({
+                id: 1,
+                seq: 1,
+                sendingZone: 1,
+                from: 1,
+                recipient: 1,
+                hold: 1,
+                created: 1
+            })
+            .sort({
+                'hold.created': 1
+            })
+            .skip(options.start || 0)
+            .limit(options.maxItems || 1000)
+            .toArray((err, entries) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                let list = (entries || []).map(entry => this.formatHeld(entry));
+                return callback(null, list);
+            });
+    }
+
+    /**
+     * Retrieves held deliveries and message headers for a queue ID, so these could be reviewed
+     *
+     * @param {String} id Queue ID
+     * @param {Function} callback Returns {meta, headers, deliveries} or false if nothing is held for this message
+     */
+    getHeld(id, callback) {
+        this.mongodb
+            .collection(this.options.collection)
+            .find({
+                id,
+                hold: {
+                    $exists: true
+                }
+            })
+            .sort({
+                seq: 1
+            })
+            .toArray((err, deliveries) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                if (!deliveries || !deliveries.length) {
+                    return callback(null, false);
+                }
+
+                this.getMeta(id, (err, meta) => {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    meta = meta || {};
+                    callback(null, {
+                        id,
+                        from: meta.from,
+                        messageId: meta.messageId,
+                        origin: meta.origin,
+                        interface: meta.interface,
+                        user: meta.user,
+                        headers: [].concat(meta.headers || []).map(header => header.line),
+                        bodySize: meta.bodySize,
+                        deliveries: deliveries.map(delivery => this.formatHeld(delivery))
+                    });
+                });
+            });
+    }
+
+    formatHeld(delivery) {
+        let holdTime = Number(this.options.holdTime) || 0;
+        return {
+            id: delivery.id,
+            seq: delivery.seq,
+            zone: delivery.sendingZone,
+            from: delivery.from,
+            recipient: delivery.recipient,
+            reason: delivery.hold.reason,
+            held: delivery.hold.created,
+            expires: holdTime > 0 ? new Date(delivery.hold.created.getTime() + holdTime) : false
+        };
+    }
+
+    /**
+     * Releases held deliveries for normal delivery
+     *
+     * @param {String} id Queue ID
+     * @param {String} [seq] Optional delivery sequence ID, if not set then all held deliveries for the message are released
+     * @param {Function} callback Returns the count of released deliveries
+     */
+    releaseHeld(id, seq, callback) {
+        let query = {
+            id,
+            hold: {
+                $exists: true
+            },
+            locked: false
+        };
+
+        if (seq) {
+            query.seq = seq;
+        }
+
+        let collection = this.mongodb.collection(this.options.collection);
+        collection
+            .find(query)
+            .project({
+                id: 1,
+                seq: 1,
+                recipient: 1,
+                sendingZone: 1,
+                hold: 1
+            })
+            .toArray((err, deliveries) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                collection.updateMany(
+                    query,
+                    {
+                        $set: {
+                            queued: new Date()
+                        },
+                        $unset: {
+                            hold: true
+                        }
+                    },
+                    (err, r) => {
+                        if (err) {
+                            return callback(err);
+                        }
+
+                        deliveries.forEach(delivery => {
+                            this.clearEmptyCache(delivery.sendingZone);
+                            log.info('Queue', '%s.%s RELEASED held delivery (%s)', delivery.id, delivery.seq, delivery.hold.reason);
+                            plugins.handler.remotelog(delivery.id, delivery.seq, 'RELEASED', {
+                                zone: delivery.sendingZone,
+                                reason: delivery.hold.reason
+                            });
+                            this.events.record({
+                                id: delivery.id,
+                                seq: delivery.seq,
+                                event: 'released',
+                                recipient: delivery.recipient,
+                                zone: delivery.sendingZone,
+                                reason: delivery.hold.reason
+                            });
+                        });
+
+                        return callback(null, (r && r.modifiedCount) || 0);
+                    }
+                );
+            });
+    }
+
+    /**
+     * Rejects held deliveries, a bounce is sent to the sender
+     *
+     * @param {String} id Queue ID
+     * @param {String} [seq] Optional delivery sequence ID, if not set then all held deliveries for the message are rejected
+     * @param {String} reason Bounce response
+     * @param {Function} callback Returns the count of rejected deliveries
+     */
+    rejectHeld(id, seq, reason, callback) {
+        let query = {
+            id,
+            hold: {
+                $exists: true
+            },
+            locked: false
+        };
+
+        if (seq) {
+            query.seq = seq;
+        }
+
+        let collection = this.mongodb.collection(this.options.collection);
+        let cursor = collection.find(query).project({
+            id: 1,
+            seq: 1
+        });
+
+        let rejected = 0;
+        let rejectNext = () => {
+            cursor.next((err, entry) => {
+                if (err) {
+                    return cursor.close(() => callback(err));
+                }
+                if (!entry) {
+                    return cursor.close(() => callback(null, rejected));
+                }
+
+                // lock the delivery, so it would not be released or rejected by someone else at the same time
+                collection.findOneAndUpdate(
+                    {
+                        id: entry.id,
+                        seq: entry.seq,
+                        hold: {
+                            $exists: true
+                        },
+                        locked: false
+                    },
+                    {
+                        $set: {
+                            locked: true,
+                            lockTime: Date.now(),
+                            assigned: this.instanceId
+                        }
+                    },
+                    {
+                        returnOriginal: false
+                    },
+                    (err, item) => {
+                        if (err) {
+                            return cursor.close(() => callback(err));
+                        }
+                        if (!item || !item.value) {
+                            return setImmediate(rejectNext);
+                        }
+
+                        this.rejectDelivery(item.value, { response: reason }, err => {
+                            if (err) {
+                                return cursor.close(() => callback(err));
+                            }
+                            rejected++;
+                            setImmediate(rejectNext);
+                        });
+                    }
+                );
+            });
+        };
+
+        rejectNext();
+    }
+
+    /**
+     * Removes a locked delivery from the queue and sends a bounce to the sender. Used for rejecting held
+     * deliveries, expiring messages and by the bulk bounce action, so all of these are logged and bounced the same way
+     *
+     * @param {Object} delivery Delivery entry from the queue collection
+     * @param {Object} options
+     * @param {String} options.response Bounce response
+     * @param {String} [options.category='other'] Bounce category
+     * @param {String} [options.status='REJECTED'] Status for the remote log
+     * @param {Function} callback
+     */
+    rejectDelivery(delivery, options, callback) {
+        let response = options.response;
+        let category = options.category || 'other';
+        let status = options.status || 'REJECTED';
+
+        this.getMeta(delivery.id, (err, meta) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let deliveryEntry = Object.assign({}, meta || {}, delivery);
+            deliveryEntry.headers = new Headers(deliveryEntry.headers || []);
+            deliveryEntry.envelope = {
+                from: deliveryEntry.from,
+                to: deliveryEntry.recipient
+            };
+
+            delivery._lock = 'lock ' + delivery.id + ' ' + delivery.seq;
+            delivery.skipDelayDelete = true;
+
+            this.releaseDelivery(delivery, err => {
+                if (err) {
+                    return callback(err);
+                }
+
+                log.info(
+                    'Queue',
+                    '%s.%s %s[%s] from=%s to=%s (%s)',
+                    delivery.id,
+                    delivery.seq,
+                    status,
+                    category,
+                    deliveryEntry.from || '<>',
+                    delivery.recipient,
+                    response
+                );
+                plugins.handler.remotelog(delivery.id, delivery.seq, status, {
+                    category,
+                    zone: delivery.sendingZone,
+                    from: deliveryEntry.from,
+                    to: delivery.recipient,
+                    response,
+                    messageId: deliveryEntry.messageId || delivery.id
+                });
+                this.events.record({
+                    id: delivery.id,
+                    seq: delivery.seq,
+                    event: 'bounced',
+                    recipient: delivery.recipient,
+                    zone: delivery.sendingZone,
+                    status,
+                    category,
+                    response
+                });
+
+                if (!bounces.canSendBounce(deliveryEntry, { logName: 'Queue' })) {
+                    return callback(null, true);
+                }
+
+                let bounce = {
+                    id: delivery.id,
+                    sessionId: deliveryEntry.sessionId,
+
+                    zone: delivery.sendingZone,
+                    interface: deliveryEntry.interface,
+                    from: deliveryEntry.from,
+                    to: delivery.recipient,
+                    seq: delivery.seq,
+                    headers: deliveryEntry.headers,
+
+                    returnPath: deliveryEntry.from,
+                    category,
+                    time: Date.now(),
+                    arrivalDate: delivery.created,
+                    response,
+
+                    dsn: deliveryEntry.dsn,
+                    dsnNotify: delivery.dsnNotify,
+                    dsnOrcpt: delivery.dsnOrcpt,
+
+                    fbl: deliveryEntry.fbl
+                };
+
+                plugins.handler.runHooks('queue:bounce', [bounce, this.maildrop], err => {
+                    if (err) {
+                        log.error('Queue', '%s.%s queue:bounce %s', delivery.id, delivery.seq, err.message);
+                    }
+                    return callback(null, true);
+                });
+            });
+        });
+    }
+
+    /**
+     * Rejects or releases deliveries that have been held for longer than holdTime
+     */
+    async expireHeld() {
+        let holdTime = Number(this.options.holdTime) || 0;
+        if (holdTime <= 0) {
+            return;
+        }
+
+        let release = this.options.holdExpireAction === 'release';
+        let cursor = await this.mongodb
+            .collection(this.options.collection)
+            .find({
+                'hold.created': {
+                    $lte: new Date(Date.now() - holdTime)
+                },
+                locked: false
+            })
+            .project({
+                id: 1,
+                seq: 1
+            });
+
+        let delivery;
+        while ((delivery = await cursor.next())) {
+            try {
+                if (release) {
+                    await util.promisify(this.releaseHeld.bind(this))(delivery.id, delivery.seq);
+                } else {
+                    await util.promisify(this.rejectHeld.bind(this))(delivery.id, delivery.seq, 'Message was held for review and not released in time');
+                }
+                log.info('GC', '%s.%s Expired held delivery, %s', delivery.id, delivery.seq, release ? 'released' : 'rejected');
+            } catch (err) {
+                log.info('GC', 'Failed to expire held delivery %s.%s. %s', delivery.id, delivery.seq, err.message);
+            }
+        }
+        await cursor.close();
+    }
+
+    /**
+     * Bounces deliveries of messages that were not delivered before their expiration time
+     */
+    async expireMessages() {
+        let collection = this.mongodb.collection(this.options.collection);
+        let cursor = await collection
+            .find({
+                expires: {
+                    $lte: new Date()
+                },
+                // skip messages that are currently being processed
+                locked: false
+            })
+            .project({
+                id: 1,
+                seq: 1
+            });
+
+        let entry;
+        while ((entry = await cursor.next())) {
+            try {
+                let item = await collection.findOneAndUpdate(
+                    {
+                        id: entry.id,
+                        seq: entry.seq,
+                        locked: false
+                    },
+                    {
+                        $set: {
+                            locked: true,
+                            lockTime: Date.now(),
+                            assigned: this.instanceId
+                        }
+                    },
+                    {
+                        returnOriginal: false
+                    }
+                );
+                if (!item || !item.value) {
+                    continue;
+                }
+
+                let delivery = item.value;
+                await util.promisify(this.rejectDelivery.bind(this))(delivery, {
+                    response: 'Message expired at ' + delivery.expires.toISOString() + ' before it could be delivered',
+                    category: 'expired',
+                    status: 'EXPIRED'
+                });
+            } catch (err) {
+                log.info('GC', 'Failed to expire delivery %s.%s. %s', entry.id, entry.seq, err.message);
+            }
+        }
+        await cursor.close();
+    }
+
+    /**
+     * Lists deliveries that are scheduled to be sent in the future
+     *
+     * @param {Object} [options]
+     * @param {String} [options.zone] Only list deliveries for this Sending Zone
+     * @param {String} [options.id] Only list deliveries for this queue ID
+     * @param {Number} [options.start] Skip this many entries
+     * @param {Number} [options.maxItems] Maximum count of entries to return
+     * @param {Function} callback Returns a list of scheduled deliveries
+     */
+    listScheduled(options, callback) {
+        options = options || {};
+
+        let query = {
+            scheduled: {
+                $gt: new Date()
+            }
+        };
+
+        if (options.zone) {
+            query.sendingZone = options.zone;
+        }
+
+        if (options.id) {
+            query.id = options.id;
+        }
+
+        this.mongodb
+            .collection(this.options.collection)
+            .find(query)
+            .project({
+                id: 1,
+                seq: 1,
+                sendingZone: 1,
+                from: 1,
+                recipient: 1,
+                scheduled: 1,
+                created: 1
+            })
+            .sort({
+                scheduled: 1
+            })
+            .skip(options.start || 0)
+            .limit(options.maxItems || 1000)
+            .toArray((err, entries) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                let list = (entries || []).map(entry => ({
+                    id: entry.id,
+                    seq: entry.seq,
+                    zone: entry.sendingZone,
+                    from: entry.from,
+                    recipient: entry.recipient,
+                    created: entry.created,
+                    scheduled: entry.scheduled
+                }));
+                return callback(null, list);
+            });
+    }
+
+    /**
+     * Cancels scheduled deliveries that have not been sent yet. Cancelled deliveries are removed from the queue
+     *
+     * @param {String} id Queue ID
+     * @param {String} [seq] Optional delivery sequence ID, if not set then all scheduled deliveries for the message are cancelled
+     * @param {Function} callback Returns the count of cancelled deliveries
+     */
+    cancelScheduled(id, seq, callback) {
+        let query = {
+            id,
+            scheduled: {
+                $gt: new Date()
+            },
+            locked: false
+        };
+
+        if (seq) {
+            query.seq = seq;
+        }
+
+        let collection = this.mongodb.collection(this.options.collection);
+        let cursor = collection.find(query).project({
+            id: 1,
+            seq: 1
+        });
+
+        let cancelled = 0;
+        let cancelNext = () => {
+            cursor.next((err, entry) => {
+                if (err) {
+                    return cursor.close(() => callback(err));
+                }
+                if (!entry) {
+                    return cursor.close(() => callback(null, cancelled));
+                }
+
+                // lock the delivery, so it would not be sent while we are removing it
+                collection.findOneAndUpdate(
+                    {
+                        id: entry.id,
+                        seq: entry.seq,
+                        scheduled: query.scheduled,
+                        locked: false
+                    },
+                    {
+                        $set: {
+                            locked: true,
+                            lockTime: Date.now(),
+                            assigned: this.instanceId
+                        }
+                    },
+                    {
+                        returnOriginal: false
+                    },
+                    (err, item) => {
+                        if (err) {
+                            return cursor.close(() => callback(err));
+                        }
+                        if (!item || !item.value) {
+                            return setImmediate(cancelNext);
+                        }
+
+                        let delivery = item.value;
+                        delivery._lock = 'lock ' + delivery.id + ' ' + delivery.seq;
+                        delivery.skipDelayDelete = true;
+
+                        this.releaseDelivery(delivery, err => {
+                            if (err) {
+                                return cursor.close(() => callback(err));
+                            }
+
+                            log.info('Queue', '%s.%s CANCELLED Scheduled delivery cancelled', delivery.id, delivery.seq);
+                            plugins.handler.remotelog(delivery.id, delivery.seq, 'DELETED', {
+                                reason: 'Scheduled delivery cancelled from API'
+                            });
+                            this.events.record({
+                                id: delivery.id,
+                                seq: delivery.seq,
+                                event: 'deleted',
+                                recipient: delivery.recipient,
+                                zone: delivery.sendingZone,
+                                reason: 'Scheduled delivery cancelled from API'
+                            });
+                            cancelled++;
+                            setImmediate(cancelNext);
+                        });
+                    }
+                );
+            });
+        };
+
+        cancelNext();
+    }
+
+    /**
+     * Retrieves info about currently queued deliveries for a queue ID
+     */
+    getInfo(id, callback) {
+        this.mongodb
+            .collection(this.options.collection)
+            .find({
+                id
+            })
+            .sort({
+                seq: 1
+            })
+            .toArray((err, deliveries) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                if (!deliveries || !deliveries.length) {
+                    return callback(null, false);
+                }
 
                 this.getMeta(id, (err, meta) => {
                     if (err) {
@@ -981,20 +2317,7 @@ class MailQueue {
      */
     removeMessage(id, callback) {
         log.verbose('Queue', '%s REMOVE', id);
-        this.mongodb.collection(this.options.gfs + '.files').findOne(
-            {
-                filename: 'message ' + id
-            },
-            (err, entry) => {
-                if (err) {
-                    return callback(err);
-                }
-                if (!entry) {
-                    return callback(null, false);
-                }
-                this.gridstore.delete(entry._id, callback);
-            }
-        );
+        this.storage.remove(id, callback);
     }
 
     async clearGarbage() {
@@ -1027,6 +2350,10 @@ class MailQueue {
             log.verbose('GC', 'Released %s expired locks for queued messages', r.modifiedCount);
         }
 
+        // held and expired deliveries are resolved even if GC is disabled
+        await this.expireHeld();
+        await this.expireMessages();
+
         if (this.options.disableGC) {
             return;
         }
@@ -1040,7 +2367,20 @@ class MailQueue {
                         $lte: releaseObjectId
                     },
                     // skip messages that are currently being processed
-                    locked: false
+                    locked: false,
+                    // queue time for scheduled messages starts from the scheduled time
+                    $or: [
+                        {
+                            scheduled: {
+                                $exists: false
+                            }
+                        },
+                        {
+                            scheduled: {
+                                $lte: new Date(Date.now() - this.options.maxQueueTime)
+                            }
+                        }
+                    ]
                 },
                 {
                     projection: {
@@ -1095,15 +2435,46 @@ class MailQueue {
             }
         };
 
-        r = await this.mongodb.collection(this.options.gfs + '.files').deleteMany(query);
+        // message contents stored outside of GridFS and messages with shared contents must be removed one by one
+        let removed = await this.storage.removeExternal(query);
+        if (removed) {
+            log.info('GC', 'Cleared %s expired messages from message storage', removed);
+        }
+
+        r = await this.mongodb.collection(this.options.gfs + '.files').deleteMany(
+            Object.assign({}, query, {
+                'metadata.storage': {
+                    $in: [null, 'gridfs']
+                },
+                // shared contents are kept for as long as these are referenced
+                'metadata.refs': {
+                    $exists: false
+                },
+                'metadata.body': {
+                    $exists: false
+                }
+            })
+        );
         if (r && r.deletedCount) {
             log.info('GC', 'Cleared %s expired files from GridStore', r.deletedCount);
         }
 
-        r = await this.mongodb.collection(this.options.gfs + '.chunks').deleteMany(query);
+        let referenced = await this.storage.listReferenced(query);
+        r = await this.mongodb.collection(this.options.gfs + '.chunks').deleteMany(
+            Object.assign({}, query, {
+                files_id: {
+                    $nin: referenced
+                }
+            })
+        );
         if (r && r.deletedCount) {
             log.info('GC', 'Cleared %s expired chunks from GridStore', r.deletedCount);
         }
+
+        removed = await this.storage.removeUnreferenced();
+        if (removed) {
+            log.info('GC', 'Cleared %s unreferenced shared message contents', removed);
+        }
     }
 
     /**
@@ -1140,20 +2511,20 @@ class MailQueue {
             this.queueCounterTimer.unref();
         };
 
-        // probably should find a better way than enumerating all cache keys
-        let blacklisted = 0;
-        Array.from(this.cache.data.keys()).forEach(key => {
-            if (/^blacklist:/.test(key)) {
-                blacklisted += 1;
-            }
-        });
-        blacklistedGauge.set(blacklisted);
+        // blacklist is shared between instances, so reload it from Redis to get the current count
+        addressBlacklist.refresh(() => blacklistedGauge.set(addressBlacklist.count()));
+
+        // pauses might have been changed by other instances
+        this.loadPauses(() => false);
 
         let date = new Date();
         this.mongodb.collection(this.options.collection).countDocuments(
             {
                 queued: {
                     $lte: date
+                },
+                hold: {
+                    $exists: false
                 }
             },
             (err, queued) => {
@@ -1172,6 +2543,9 @@ class MailQueue {
                     {
                         queued: {
                             $gt: date
+                        },
+                        hold: {
+                            $exists: false
                         }
                     },
                     (err, deferred) => {
@@ -1200,13 +2574,152 @@ class MailQueue {
                             deferred
                         );
 
-                        return next();
+                        this.mongodb.collection(this.options.collection).countDocuments(
+                            {
+                                hold: {
+                                    $exists: true
+                                }
+                            },
+                            (err, held) => {
+                                if (err) {
+                                    log.error('Queue', 'Error fetching counters: %s', err.message);
+                                    emitGelf({
+                                        short_message: `${gelfCode('QUEUE_COUNTERS_FAILED')} Failed to fetch queue counters`,
+                                        _stack: err && err.stack ? err.stack : undefined,
+                                        _logger: 'Queue',
+                                        _failure_msg: err.message
+                                    });
+                                    return next();
+                                }
+
+                                queueSizeGauge.set(
+                                    {
+                                        type: 'held'
+                                    },
+                                    held
+                                );
+
+                                this.priorityCounterUpdate(date, next);
+                            }
+                        );
                     }
                 );
             }
         );
     }
 
+    /**
+     * Updates queue size gauges for priority lanes
+     *
+     * @param {Date} date Deliveries queued before this time are counted as queued, later ones as deferred
+     * @param {Function} callback
+     */
+    priorityCounterUpdate(date, callback) {
+        this.mongodb
+            .collection(this.options.collection)
+            .aggregate([
+                {
+                    $match: {
+                        hold: {
+                            $exists: false
+                        }
+                    }
+                },
+                {
+                    $group: {
+                        _id: {
+                            priority: '$priority',
+                            deferred: {
+                                $gt: ['$queued', date]
+                            }
+                        },
+                        count: {
+                            $sum: 1
+                        }
+                    }
+                }
+            ])
+            .toArray((err, groups) => {
+                if (err) {
+                    log.error('Queue', 'Error fetching counters: %s', err.message);
+                    emitGelf({
+                        short_message: `${gelfCode('QUEUE_COUNTERS_FAILED')} Failed to fetch queue counters`,
+                        _stack: err && err.stack ? err.stack : undefined,
+                        _logger: 'Queue',
+                        _failure_msg: err.message
+                    });
+                    return callback();
+                }
+
+                ['queued', 'deferred'].forEach(type => {
+                    let typeGroups = groups
+                        .filter(group => group._id.deferred === (type === 'deferred'))
+                        .map(group => ({ _id: group._id.priority, count: group.count }));
+                    let counts = getPriorityCounts(typeGroups);
+                    Object.keys(counts).forEach(priority => queuePriorityGauge.set({ type, priority }, counts[priority]));
+                });
+
+                return callback();
+            });
+    }
+
+    /**
+     * Updates compression ratio gauges for stored messages. This scans every compressed message,
+     * so it runs less often than the queue counters
+     */
+    compressionCounterUpdate() {
+        clearTimeout(this.compressionCounterTimer);
+
+        let next = () => {
+            this.compressionCounterTimer = setTimeout(() => this.compressionCounterUpdate(), 10 * 60 * 1000);
+            this.compressionCounterTimer.unref();
+        };
+
+        this.mongodb
+            .collection(this.options.gfs + '.files')
+            .aggregate([
+                {
+                    $match: {
+                        'metadata.compression': {
+                            $exists: true
+                        }
+                    }
+                },
+                {
+                    $group: {
+                        _id: '$metadata.compression',
+                        stored: {
+                            $sum: '$length'
+                        },
+                        size: {
+                            $sum: '$metadata.size'
+                        }
+                    }
+                }
+            ])
+            .toArray((err, groups) => {
+                if (err) {
+                    log.error('Queue', 'Error fetching counters: %s', err.message);
+                    emitGelf({
+                        short_message: `${gelfCode('QUEUE_COUNTERS_FAILED')} Failed to fetch queue counters`,
+                        _stack: err && err.stack ? err.stack : undefined,
+                        _logger: 'Queue',
+                        _failure_msg: err.message
+                    });
+                    return next();
+                }
+
+                compressionRatioGauge.reset();
+                groups.forEach(group => {
+                    if (group.stored) {
+                        compressionRatioGauge.set({ algorithm: group._id }, group.size / group.stored);
+                    }
+                });
+
+                return next();
+            });
+    }
+
     /**
      * Starts periodic tasks
      */
@@ -1218,6 +2731,12 @@ class MailQueue {
 
         this.queueCounterTimer = setTimeout(() => this.queueCounterUpdate(), 10 * 1000);
         this.queueCounterTimer.unref();
+
+        this.compressionCounterTimer = setTimeout(() => this.compressionCounterUpdate(), 10 * 1000);
+        this.compressionCounterTimer.unref();
+
+        // report heartbeats and adopt deliveries of dead instances
+        this.failover.start();
     }
 
     /**
@@ -1226,9 +2745,10 @@ class MailQueue {
     stopPeriodicCheck() {
         clearTimeout(this.garbageTimer);
         this.garbageTimer = null;
+        this.failover.stop();
     }
 
-    listQueued(zone, type, sort, start, maxItems, callback) {
+    listQueued(zone, type, sort, start, maxItems, priority, callback) {
         sort = sort || {
             _id: 1
         };
@@ -1239,9 +2759,16 @@ class MailQueue {
             sendingZone: zone,
             queued: {
                 [type === 'deferred' ? '$gt' : '$lte']: new Date()
+            },
+            hold: {
+                $exists: false
             }
         };
 
+        if (priority) {
+            query.priority = priorities.getLaneQuery(priority);
+        }
+
         this.mongodb
             .collection(this.options.collection)
             .find(query)
@@ -1251,6 +2778,7 @@ class MailQueue {
                 recipient: 1,
                 queued: 1,
                 created: 1,
+                priority: 1,
                 '_deferred.count': 1
             })
             .sort(sort)
@@ -1273,6 +2801,7 @@ class MailQueue {
                         recipient: entry.recipient,
                         created: entry.created.toISOString(),
                         queued: entry.queued.toISOString(),
+                        priority: entry.priority || priorities.DEFAULT_PRIORITY,
                         deferred: (entry._deferred && entry._deferred.count) || 0
                     }))
                 );
@@ -1297,32 +2826,117 @@ class MailQueue {
                     sendingZone: zone,
                     queued: {
                         [type === 'deferred' ? '$gt' : '$lte']: new Date()
+                    },
+                    hold: {
+                        $exists: false
                     }
                 };
 
-                this.mongodb.collection(this.options.collection).countDocuments(query, (err, count) => {
-                    if (err) {
-                        return reject(err);
-                    }
+                this.mongodb
+                    .collection(this.options.collection)
+                    .aggregate([
+                        {
+                            $match: query
+                        },
+                        {
+                            $group: {
+                                _id: '$priority',
+                                count: {
+                                    $sum: 1
+                                }
+                            }
+                        }
+                    ])
+                    .toArray((err, groups) => {
+                        if (err) {
+                            return reject(err);
+                        }
+
+                        let entry = {
+                            key: zone,
+                            value: 0,
+                            priorities: getPriorityCounts(groups)
+                        };
+                        Object.keys(entry.priorities).forEach(priority => {
+                            entry.value += entry.priorities[priority];
+                        });
 
-                    resolve({
-                        key: zone,
-                        value: count
+                        resolve(entry);
                     });
-                });
             });
 
         Promise.all(zones.map(zone => checkZone(zone, type)))
             .then(entries => {
+                result.priorities = getPriorityCounts([]);
                 entries.forEach(entry => {
                     result.entries.push(entry);
                     result.rows += entry.value;
+                    Object.keys(entry.priorities).forEach(priority => {
+                        result.priorities[priority] += entry.priorities[priority];
+                    });
                 });
                 callback(null, result);
             })
             .catch(err => callback(err));
     }
 
+    /**
+     * Lists queued and deferred delivery counts per tenant
+     *
+     * @param {String} [zone] Identifier of the Sending Zone, if not set then counts deliveries from all zones
+     * @param {Function} callback Returns a list of {tenant, queued, deferred, active}
+     */
+    listTenants(zone, callback) {
+        let match = {
+            hold: {
+                $exists: false
+            }
+        };
+        if (zone) {
+            match.sendingZone = zone;
+        }
+
+        this.mongodb
+            .collection(this.options.collection)
+            .aggregate([
+                {
+                    $match: match
+                },
+                {
+                    $group: {
+                        _id: '$tenant',
+                        deferred: {
+                            $sum: {
+                                $cond: [{ $gt: ['$queued', new Date()] }, 1, 0]
+                            }
+                        },
+                        total: {
+                            $sum: 1
+                        }
+                    }
+                },
+                {
+                    $sort: {
+                        total: -1
+                    }
+                }
+            ])
+            .toArray((err, groups) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                let list = (groups || []).map(group => ({
+                    // deliveries without a tenant are listed with an empty tenant value
+                    tenant: group._id || '',
+                    queued: group.total - group.deferred,
+                    deferred: group.deferred,
+                    active: group._id ? this.locks.countTenantLocks(zone, group._id) : 0
+                }));
+                return callback(null, list);
+            });
+    }
+
     /**
      * Stops all timers and closes database
      *
@@ -1359,9 +2973,20 @@ class MailQueue {
             }
 
             this.mongodb = db.senderDb;
-            this.gridstore = new GridFSBucket(this.mongodb, {
-                bucketName: this.options.gfs
-            });
+            this.events = new MessageEvents(this.mongodb, this.options.events);
+
+            try {
+                this.storage = new MessageStorage(this.mongodb, this.options);
+            } catch (err) {
+                log.error('Queue', 'Could not initialize message storage: %s', err.message);
+                emitGelf({
+                    short_message: `${gelfCode('QUEUE_STORAGE_INIT_FAILED')} Could not initialize message storage`,
+                    full_message: err && err.stack ? err.stack : undefined,
+                    _logger: 'Queue',
+                    _error: err.message
+                });
+                return process.exit(1);
+            }
 
             let indexes = setupIndexes.indexes;
             let indexpos = 0;
@@ -1373,6 +2998,11 @@ class MailQueue {
                 let index = indexes[indexpos++];
                 let collection = index.collection;
 
+                if (collection === MessageEvents.COLLECTION && !this.events.enabled) {
+                    // do not create the events collection unless events are stored
+                    return ensureIndexes(next);
+                }
+
                 if (index.key) {
                     collection = this.options[index.key] + (collection ? '.' + collection : '');
                 }
@@ -1433,8 +3063,11 @@ class MailQueue {
                             log.verbose('GC', 'Released %s expired locks for queued messages', r.modifiedCount);
                         }
 
-                        this.startPeriodicCheck();
-                        return setImmediate(() => callback(null, true));
+                        // paused state survives restarts, load it before any deliveries are processed
+                        this.loadPauses(() => {
+                            this.startPeriodicCheck();
+                            return setImmediate(() => callback(null, true));
+                        });
                     }
                 );
             });
@@ -1446,5 +3079,39 @@ class MailQueue {
     }
 }
 
+/**
+ * Plugins can set a hold reason as a string or as an object with a reason property
+ */
+function getHoldReason(hold) {
+    if (!hold) {
+        return false;
+    }
+    if (typeof hold === 'object') {
+        return (hold.reason || '').toString().trim() || 'Held for review';
+    }
+    return typeof hold === 'string' ? hold.trim() || 'Held for review' : 'Held for review';
+}
+
+/**
+ * Converts aggregated counts to a priority -> count map. Deliveries without a priority are counted as normal priority
+ *
+ * @param {Array} groups List of {_id: priority, count} objects
+ * @returns {Object} Counts for every priority lane
+ */
+function getPriorityCounts(groups) {
+    let counts = {};
+    priorities.PRIORITIES.forEach(priority => {
+        counts[priority] = 0;
+    });
+    (groups || []).forEach(group => {
+        let priority = priorities.parsePriority(group._id) || priorities.DEFAULT_PRIORITY;
+        counts[priority] += group.count;
+    });
+    return counts;
+}
+
 // Expose to the world
 module.exports = MailQueue;
+module.exports.PAUSE_TYPES = PAUSE_TYPES;
+module.exports.getHoldReason = getHoldReason;
+module.exports.getPriorityCounts = getPriorityCounts;
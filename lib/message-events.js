@@ -0,0 +1,110 @@
+'use strict';
+
+const log = require('npmlog');
+const { gelfCode, emitGelf } = require('./log-gelf');
+
+// Events are removed by the TTL index set in indexes.yaml
+const COLLECTION = 'messageevents';
+
+/**
+ * Stores lifecycle events of messages and deliveries, so the full history of a message can be listed
+ * without searching the logs. Writing events never blocks or fails the delivery, errors are only logged
+ */
+class MessageEvents {
+    /**
+     * @constructor
+     * @param {Object} mongodb Database handle
+     * @param {Object} [options] Event options
+     * @param {Boolean} [options.enabled] If true, then events are stored
+     */
+    constructor(mongodb, options) {
+        this.mongodb = mongodb;
+        this.options = options || {};
+        this.enabled = !!this.mongodb && !!this.options.enabled;
+    }
+
+    /**
+     * Stores one or more events
+     *
+     * @param {Array|Object} entries Event objects, eg. {id, seq, event: 'attempt', recipient, zone, mx, ip, response}
+     * @param {Function} [callback] Runs once the events are stored
+     */
+    record(entries, callback) {
+        callback = callback || (() => false);
+        let created = new Date();
+
+        let documents = [].concat(entries || []).map(entry => {
+            let doc = {
+                id: entry.id,
+                seq: entry.seq || false,
+                event: entry.event,
+                created
+            };
+            Object.keys(entry).forEach(key => {
+                if (!(key in doc) && typeof entry[key] !== 'undefined' && entry[key] !== null && entry[key] !== '') {
+                    doc[key] = entry[key];
+                }
+            });
+            if (typeof doc.recipient === 'string') {
+                // recipient addresses are matched case insensitively when listing events
+                doc.recipient = doc.recipient.toLowerCase();
+            }
+            return doc;
+        });
+
+        if (!this.enabled || !documents.length) {
+            return setImmediate(() => callback(null, false));
+        }
+
+        this.mongodb.collection(COLLECTION).insertMany(documents, { ordered: true }, err => {
+            if (err) {
+                log.error('Events', '%s Failed to store %s events. %s', documents[0].id, documents.length, err.message);
+                emitGelf({
+                    short_message: `${gelfCode('QUEUE_EVENTS_FAILED')} Failed to store message events`,
+                    _logger: 'Events',
+                    _message_id: documents[0].id,
+                    _events: documents.map(doc => doc.event).join(','),
+                    _error: err.message
+                });
+                return callback(err);
+            }
+            return callback(null, documents.length);
+        });
+    }
+
+    /**
+     * Lists events of a message in the order these happened
+     *
+     * @param {String} id Queue ID of the message
+     * @param {Object} [options]
+     * @param {String} [options.seq] Only list events of a single delivery
+     * @param {String} [options.recipient] Only list events of a single recipient
+     * @param {Function} callback Returns the list of events
+     */
+    list(id, options, callback) {
+        if (!callback && typeof options === 'function') {
+            callback = options;
+            options = false;
+        }
+        options = options || {};
+
+        let query = { id };
+
+        if (options.seq || options.recipient) {
+            // message level events (eg. "accepted") apply to every delivery of the message
+            let filter = {};
+            if (options.seq) {
+                filter.seq = options.seq;
+            }
+            if (options.recipient) {
+                filter.recipient = options.recipient.toLowerCase();
+            }
+            query.$or = [filter, { seq: false }];
+        }
+
+        this.mongodb.collection(COLLECTION).find(query).sort({ created: 1, _id: 1 }).project({ _id: false }).toArray(callback);
+    }
+}
+
+module.exports = MessageEvents;
+module.exports.COLLECTION = COLLECTION;
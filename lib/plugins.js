@@ -4,11 +4,15 @@ const config = require('@zone-eu/wild-config');
 const log = require('npmlog');
 const PluginHandler = require('@zone-eu/wild-plugins');
 const db = require('./db');
+const TtlCache = require('./ttl-cache');
+
+// descriptions of messages dropped with app.drop(), plugins only report these to the remote log
+const drops = new TtlCache({ defaultTtl: 60 * 1000 });
 
 module.exports.handler = false;
 
 module.exports.init = context => {
-    module.exports.handler = new PluginHandler({
+    let handler = new PluginHandler({
         logger: log,
         pluginsPath: config.pluginsPath,
         corePluginsPath: config.corePluginsPath,
@@ -17,4 +21,26 @@ module.exports.init = context => {
         log: config.log,
         db
     });
+
+    let remotelog = handler.remotelog;
+    handler.remotelog = (id, seq, action, data) => {
+        if (action === 'DROP' && id && data && data.description) {
+            drops.set(id, data.description);
+        }
+        return remotelog.call(handler, id, seq, action, data);
+    };
+
+    module.exports.handler = handler;
+};
+
+/**
+ * Returns the description a plugin used for dropping a message, eg. 'spam'
+ *
+ * @param {String} id Queue ID
+ * @returns {String|Boolean} Drop description or false if not known
+ */
+module.exports.getDropDescription = id => {
+    let description = drops.get(id);
+    drops.remove(id);
+    return description || false;
 };
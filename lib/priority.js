@@ -0,0 +1,78 @@
+'use strict';
+
+// priority lanes, from the highest to the lowest
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// deliveries without a priority value belong to this lane
+const DEFAULT_PRIORITY = 'normal';
+
+/**
+ * Validates a priority value
+ *
+ * @param {String} value Priority name
+ * @returns {String|Boolean} Normalized priority name or false if the value is not set or is invalid
+ */
+function parsePriority(value) {
+    value = (value || '').toString().toLowerCase().trim();
+    return PRIORITIES.includes(value) ? value : false;
+}
+
+/**
+ * Returns the query value for the priority field of a lane. Deliveries queued by older
+ * versions do not have the priority set, these are handled as normal priority
+ *
+ * @param {String} priority Priority name
+ * @returns {String|Object} Query value
+ */
+function getLaneQuery(priority) {
+    if (priority !== DEFAULT_PRIORITY) {
+        return priority;
+    }
+    return {
+        $nin: PRIORITIES.filter(value => value !== DEFAULT_PRIORITY)
+    };
+}
+
+/**
+ * Returns priority lanes in the order these should be checked for the next delivery
+ *
+ * @param {Object} options
+ * @param {Number} [options.active] Count of deliveries currently processed in the Sending Zone
+ * @param {Number} [options.capacity] Count of connections the Sending Zone has in total
+ * @param {Object} [options.reserved] Connections reserved for a lane and higher lanes, eg. {high: 2}
+ * @param {Number} [options.counter] Count of deliveries fetched so far from the Sending Zone
+ * @param {Number} [options.starvationLimit] If set, then every Nth fetch checks lower lanes first
+ * @returns {Array} List of priority names
+ */
+function getLanes(options) {
+    options = options || {};
+
+    let reserved = options.reserved || {};
+    let free = (Number(options.capacity) || 0) - (Number(options.active) || 0);
+
+    let lanes = [];
+    let reservedForHigher = 0;
+    PRIORITIES.forEach((priority, i) => {
+        // lower lanes can not use connections reserved for higher lanes
+        if (!i || !options.capacity || free > reservedForHigher) {
+            lanes.push(priority);
+        }
+        reservedForHigher += Number(reserved[priority]) || 0;
+    });
+
+    if (options.starvationLimit && options.counter && options.counter % options.starvationLimit === 0) {
+        // let lower lanes through every now and then, so a steady stream of higher priority
+        // deliveries would not block these forever
+        lanes.reverse();
+    }
+
+    return lanes;
+}
+
+module.exports = {
+    PRIORITIES,
+    DEFAULT_PRIORITY,
+    parsePriority,
+    getLaneQuery,
+    getLanes
+};
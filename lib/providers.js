@@ -0,0 +1,60 @@
+'use strict';
+
+const config = require('@zone-eu/wild-config');
+const log = require('npmlog');
+
+let providerRules = false;
+// deprecated provider list the rules were built from
+let legacyProviders = false;
+config.on('reload', () => {
+    providerRules = false;
+});
+
+/**
+ * Resolves destination provider for a recipient domain. Domains not listed in config.providers
+ * (or in the deprecated config.ipReputation.providers) are providers by themselves
+ *
+ * @param {String} domain Recipient domain
+ * @returns {String} Provider name
+ */
+function getProvider(domain) {
+    domain = (domain || '').toString().toLowerCase().trim();
+
+    let legacy = (config.ipReputation && config.ipReputation.providers) || false;
+    if (!providerRules || legacy !== legacyProviders) {
+        let providers = config.providers || {};
+        legacyProviders = legacy;
+        if (legacy) {
+            // providers used to be listed in ipReputation.providers, these override the top level list
+            log.warn('Providers', 'ipReputation.providers is deprecated, use the top level providers option instead');
+            providers = Object.assign({}, providers, legacy);
+        }
+
+        providerRules = [];
+        Object.keys(providers).forEach(provider => {
+            [].concat(providers[provider] || []).forEach(pattern => {
+                pattern = (pattern || '').toString().toLowerCase().trim();
+                if (pattern) {
+                    providerRules.push({
+                        provider,
+                        re: new RegExp(
+                            '^' +
+                                pattern
+                                    .split('*')
+                                    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                                    .join('.*') +
+                                '$'
+                        )
+                    });
+                }
+            });
+        });
+    }
+
+    let rule = providerRules.find(rule => rule.re.test(domain));
+    return rule ? rule.provider : domain;
+}
+
+module.exports = {
+    getProvider
+};
@@ -0,0 +1,468 @@
+'use strict';
+
+const log = require('npmlog');
+const crypto = require('crypto');
+const sendingZone = require('./sending-zone');
+const plugins = require('./plugins');
+const addressTools = require('./address-tools');
+const { gelfCode, emitGelf } = require('./log-gelf');
+
+const logName = 'Bulk';
+
+// actions that can be applied to matching deliveries
+const ACTIONS = ['retry', 'reschedule', 'move', 'bounce', 'delete'];
+
+// finished jobs can be polled for this long
+const JOB_TTL = 60 * 60 * 1000;
+
+function validationError(message) {
+    let err = new Error(message);
+    err.code = 'EINVALID';
+    return err;
+}
+
+/**
+ * Validates and normalizes a bulk operation filter
+ *
+ * @param {Object} data Filter values
+ * @param {String} [data.zone] Sending Zone name
+ * @param {String} [data.domain] Recipient domain
+ * @param {String} [data.sender] Envelope sender address or domain
+ * @param {String} [data.messageId] Message-ID header value
+ * @param {Number} [data.minDeferred] Minimum count of deferrals
+ * @param {Number} [data.maxDeferred] Maximum count of deferrals
+ * @param {Number} [data.minAge] Minimum time in seconds since the delivery was queued
+ * @param {Number} [data.maxAge] Maximum time in seconds since the delivery was queued
+ * @param {String} [data.category] Bounce category of the last deferral
+ * @returns {Object} Normalized filter
+ * @throws {Error} If the filter is empty or invalid
+ */
+function parseFilter(data) {
+    data = data || {};
+    let filter = {};
+
+    let getString = key => (data[key] || '').toString().trim();
+
+    if (getString('zone')) {
+        filter.zone = getString('zone').toLowerCase();
+    }
+
+    if (getString('domain')) {
+        filter.domain = addressTools.normalizeDomain(getString('domain'));
+    }
+
+    if (getString('sender')) {
+        let sender = getString('sender');
+        filter.sender = sender.includes('@') ? addressTools.normalizeAddress(sender) : addressTools.normalizeDomain(sender);
+    }
+
+    if (getString('messageId')) {
+        let messageId = getString('messageId').replace(/^<|>$/g, '');
+        filter.messageId = '<' + messageId + '>';
+    }
+
+    ['minDeferred', 'maxDeferred', 'minAge', 'maxAge'].forEach(key => {
+        if (data[key] === undefined || data[key] === null || data[key] === '') {
+            return;
+        }
+        let value = Number(data[key]);
+        if (isNaN(value) || value < 0) {
+            throw new Error('Invalid value for ' + key);
+        }
+        filter[key] = value;
+    });
+
+    if (getString('category')) {
+        filter.category = getString('category').toLowerCase();
+    }
+
+    if (!Object.keys(filter).length) {
+        // refuse to touch the entire queue by accident
+        throw new Error('Empty filter');
+    }
+
+    return filter;
+}
+
+/**
+ * Builds a MongoDB query for the queue collection. Message-ID is not stored in the queue
+ * collection, so it must be resolved to queue IDs before calling this function
+ *
+ * @param {Object} filter Normalized filter
+ * @param {Array} [ids] Queue IDs matching the Message-ID filter
+ * @returns {Object} Query object
+ */
+function buildQuery(filter, ids) {
+    let query = {};
+
+    if (filter.zone) {
+        query.sendingZone = filter.zone;
+    }
+
+    if (filter.domain) {
+        query.domain = filter.domain;
+    }
+
+    if (filter.sender) {
+        let escaped = filter.sender.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.from = new RegExp(filter.sender.includes('@') ? '^' + escaped + '$' : '@' + escaped + '$', 'i');
+    }
+
+    if (ids) {
+        query.id = {
+            $in: ids
+        };
+    }
+
+    if (typeof filter.minDeferred === 'number' && filter.minDeferred > 0) {
+        query['_deferred.count'] = {
+            $gte: filter.minDeferred
+        };
+    }
+
+    if (typeof filter.maxDeferred === 'number') {
+        // deliveries that have never been deferred do not have the counter set
+        query['_deferred.count'] = Object.assign(query['_deferred.count'] || {}, {
+            $not: {
+                $gt: filter.maxDeferred
+            }
+        });
+    }
+
+    if (typeof filter.minAge === 'number') {
+        query.created = {
+            $lte: new Date(Date.now() - filter.minAge * 1000)
+        };
+    }
+
+    if (typeof filter.maxAge === 'number') {
+        query.created = Object.assign(query.created || {}, {
+            $gte: new Date(Date.now() - filter.maxAge * 1000)
+        });
+    }
+
+    if (filter.category) {
+        query['_deferred.category'] = filter.category;
+    }
+
+    return query;
+}
+
+/**
+ * Applies actions to deliveries that match a filter. Larger runs can take a while, so these
+ * are processed in the background as jobs that can be polled for progress
+ */
+class QueueBulk {
+    constructor(queue) {
+        this.queue = queue;
+        this.jobs = new Map();
+    }
+
+    /**
+     * Resolves a filter to a MongoDB query
+     *
+     * @param {Object} filter Normalized filter
+     * @param {Function} callback Returns the query object
+     */
+    getQuery(filter, callback) {
+        if (!filter.messageId) {
+            return setImmediate(() => callback(null, buildQuery(filter)));
+        }
+
+        this.queue.mongodb
+            .collection(this.queue.options.gfs + '.files')
+            .find(
+                {
+                    'metadata.data.messageId': filter.messageId
+                },
+                {
+                    projection: {
+                        filename: true
+                    }
+                }
+            )
+            .toArray((err, files) => {
+                if (err) {
+                    return callback(err);
+                }
+                let ids = files.map(file => file.filename.replace(/^message /, ''));
+                return callback(null, buildQuery(filter, ids));
+            });
+    }
+
+    /**
+     * Counts deliveries matching a filter
+     *
+     * @param {Object} filter Normalized filter
+     * @param {Function} callback Returns the count of matching deliveries
+     */
+    count(filter, callback) {
+        this.getQuery(filter, (err, query) => {
+            if (err) {
+                return callback(err);
+            }
+            this.queue.mongodb.collection(this.queue.options.collection).countDocuments(query, callback);
+        });
+    }
+
+    /**
+     * Starts a background job that applies an action to all matching deliveries
+     *
+     * @param {Object} filter Normalized filter
+     * @param {String} action One of 'retry', 'reschedule', 'move', 'bounce' or 'delete'
+     * @param {Object} [options]
+     * @param {Date} [options.time] Next attempt time for 'reschedule'
+     * @param {String} [options.zone] Target Sending Zone for 'move'
+     * @param {String} [options.reason] Bounce reason for 'bounce'
+     * @param {Function} callback Returns the created job
+     */
+    start(filter, action, options, callback) {
+        options = options || {};
+
+        if (!ACTIONS.includes(action)) {
+            return setImmediate(() => callback(validationError('Unknown action')));
+        }
+
+        if (action === 'reschedule' && (!options.time || isNaN(options.time.getTime()))) {
+            return setImmediate(() => callback(validationError('Next attempt time not set')));
+        }
+
+        if (action === 'move') {
+            let zone = sendingZone.get(options.zone);
+            if (!zone) {
+                return setImmediate(() => callback(validationError('Unknown Sending Zone')));
+            }
+            options.zone = zone.name;
+        }
+
+        this.getQuery(filter, (err, query) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let collection = this.queue.mongodb.collection(this.queue.options.collection);
+            collection.countDocuments(query, (err, total) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                this.expireJobs();
+
+                let job = {
+                    id: crypto.randomBytes(8).toString('hex'),
+                    action,
+                    filter,
+                    status: 'running',
+                    total,
+                    processed: 0,
+                    updated: 0,
+                    skipped: 0,
+                    failed: 0,
+                    created: new Date(),
+                    finished: false
+                };
+
+                if (action === 'reschedule') {
+                    job.time = options.time;
+                } else if (action === 'move') {
+                    job.zone = options.zone;
+                } else if (action === 'bounce') {
+                    job.reason = options.reason;
+                }
+
+                this.jobs.set(job.id, job);
+                log.info(logName, 'START job=%s action=%s total=%s filter=%s', job.id, action, total, JSON.stringify(filter));
+
+                setImmediate(() => this.run(job, collection.find(query), options));
+                return callback(null, this.get(job.id));
+            });
+        });
+    }
+
+    /**
+     * Returns job progress
+     *
+     * @param {String} id Job ID
+     * @returns {Object|Boolean} Job info or false if the job is not found
+     */
+    get(id) {
+        this.expireJobs();
+        let job = this.jobs.get(id);
+        return job ? Object.assign({}, job) : false;
+    }
+
+    expireJobs() {
+        let now = Date.now();
+        this.jobs.forEach((job, id) => {
+            if (job.finished && job.finished.getTime() < now - JOB_TTL) {
+                this.jobs.delete(id);
+            }
+        });
+    }
+
+    run(job, cursor, options) {
+        let finish = err => {
+            job.status = err ? 'failed' : 'finished';
+            job.finished = new Date();
+            if (err) {
+                job.error = err.message;
+                log.error(logName, 'FAILED job=%s %s', job.id, err.message);
+                emitGelf({
+                    short_message: `${gelfCode('QUEUE_BULK_FAILED')} Bulk queue operation failed`,
+                    _stack: err && err.stack ? err.stack : undefined,
+                    _logger: logName,
+                    _job_id: job.id,
+                    _action: job.action,
+                    _failure_msg: err.message
+                });
+            } else {
+                log.info(
+                    logName,
+                    'FINISH job=%s action=%s processed=%s updated=%s skipped=%s failed=%s',
+                    job.id,
+                    job.action,
+                    job.processed,
+                    job.updated,
+                    job.skipped,
+                    job.failed
+                );
+            }
+            cursor.close(() => false);
+        };
+
+        let processNext = () => {
+            if (this.queue.closing) {
+                return finish(new Error('Server shutdown in progress'));
+            }
+
+            cursor.next((err, delivery) => {
+                if (err) {
+                    return finish(err);
+                }
+                if (!delivery) {
+                    return finish();
+                }
+
+                this.apply(job, delivery, options, (err, updated) => {
+                    job.processed++;
+                    if (err) {
+                        job.failed++;
+                        log.error(logName, '%s.%s job=%s action=%s %s', delivery.id, delivery.seq, job.id, job.action, err.message);
+                    } else if (updated) {
+                        job.updated++;
+                    } else {
+                        // delivery is currently processed or already gone
+                        job.skipped++;
+                    }
+                    setImmediate(processNext);
+                });
+            });
+        };
+
+        processNext();
+    }
+
+    apply(job, delivery, options, callback) {
+        let collection = this.queue.mongodb.collection(this.queue.options.collection);
+
+        // deliveries that are currently processed by a sender are skipped
+        let query = {
+            id: delivery.id,
+            seq: delivery.seq,
+            locked: false
+        };
+
+        let update = (data, unset) => {
+            let changes = { $set: data };
+            if (unset) {
+                changes.$unset = unset;
+            }
+            collection.updateOne(query, changes, (err, r) => {
+                if (err) {
+                    return callback(err);
+                }
+                if (r && r.matchedCount && data.sendingZone) {
+                    this.queue.clearEmptyCache(data.sendingZone);
+                    this.queue.events.record({
+                        id: delivery.id,
+                        seq: delivery.seq,
+                        event: 'routed',
+                        recipient: delivery.recipient,
+                        zone: data.sendingZone,
+                        previousZone: delivery.sendingZone,
+                        reason: 'Bulk move requested from API'
+                    });
+                }
+                return callback(null, !!(r && r.matchedCount));
+            });
+        };
+
+        switch (job.action) {
+            // a scheduled delivery is not scheduled anymore once its queue time is changed
+            case 'retry':
+                return update({ queued: new Date() }, { scheduled: true });
+
+            case 'reschedule':
+                return update({ queued: options.time }, { scheduled: true });
+
+            case 'move':
+                return update({ sendingZone: options.zone });
+        }
+
+        // lock the delivery so it would not be sent while we are removing it
+        collection.findOneAndUpdate(
+            query,
+            {
+                $set: {
+                    locked: true,
+                    lockTime: Date.now(),
+                    assigned: this.queue.instanceId
+                }
+            },
+            {
+                returnOriginal: false
+            },
+            (err, item) => {
+                if (err) {
+                    return callback(err);
+                }
+                if (!item || !item.value) {
+                    return callback(null, false);
+                }
+
+                delivery = item.value;
+                delivery._lock = 'lock ' + delivery.id + ' ' + delivery.seq;
+                delivery.skipDelayDelete = true;
+
+                if (job.action === 'delete') {
+                    return this.queue.releaseDelivery(delivery, err => {
+                        if (err) {
+                            return callback(err);
+                        }
+                        log.info(logName, '%s.%s DELSUCCESS Delivery entry deleted job=%s', delivery.id, delivery.seq, job.id);
+                        plugins.handler.remotelog(delivery.id, delivery.seq, 'DELETED', {
+                            reason: 'Bulk deletion requested from API'
+                        });
+                        this.queue.events.record({
+                            id: delivery.id,
+                            seq: delivery.seq,
+                            event: 'deleted',
+                            recipient: delivery.recipient,
+                            zone: delivery.sendingZone,
+                            reason: 'Bulk deletion requested from API'
+                        });
+                        return callback(null, true);
+                    });
+                }
+
+                log.info(logName, '%s.%s BOUNCE job=%s', delivery.id, delivery.seq, job.id);
+                this.queue.rejectDelivery(delivery, { response: options.reason }, callback);
+            }
+        );
+    }
+}
+
+module.exports = QueueBulk;
+module.exports.ACTIONS = ACTIONS;
+module.exports.parseFilter = parseFilter;
+module.exports.buildQuery = buildQuery;
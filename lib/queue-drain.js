@@ -0,0 +1,187 @@
+'use strict';
+
+const log = require('npmlog');
+const EventEmitter = require('events');
+
+const logName = 'Drain';
+
+// how often to check if in-flight deliveries are finished
+const CHECK_INTERVAL = 1000;
+
+/**
+ * Drain mode for maintenance. While draining, the instance does not accept new submissions and does not
+ * start new deliveries. Once in-flight deliveries are finished, the remaining queue can be handed off
+ * to another instance. Emits 'drained' with the status object when done
+ */
+class QueueDrain extends EventEmitter {
+    constructor(queue) {
+        super();
+        this.queue = queue;
+        this.options = this.queue.options.drain || {};
+        this.active = false;
+        this.state = false;
+        this.timer = null;
+    }
+
+    /**
+     * SMTP response for new submissions while draining
+     *
+     * @returns {Object} {responseCode, message}
+     */
+    getResponse() {
+        let responseCode = Number(this.options.responseCode) || 421;
+        if (responseCode < 400 || responseCode >= 500) {
+            // permanent errors would make clients drop the message
+            responseCode = 421;
+        }
+        return {
+            responseCode,
+            message: this.options.message || 'Server is going down for maintenance, try again later'
+        };
+    }
+
+    /**
+     * Starts draining
+     *
+     * @param {Object} [options]
+     * @param {Boolean|String} [options.handoff] Instance ID to move the remaining queue to, true for any live instance
+     * @param {Boolean} [options.exit] If true, then the process is stopped once draining is finished
+     * @returns {Object} Drain status
+     */
+    start(options) {
+        options = options || {};
+
+        if (this.active) {
+            return this.getStatus();
+        }
+
+        this.active = true;
+        this.state = {
+            status: 'draining',
+            started: new Date(),
+            finished: false,
+            handoff: options.handoff || false,
+            exit: !!options.exit,
+            migrated: 0,
+            timedOut: false,
+            error: false
+        };
+
+        log.info(logName, 'START handoff=%s exit=%s', this.state.handoff || 'no', this.state.exit ? 'yes' : 'no');
+
+        this.timer = setTimeout(() => this.check(), CHECK_INTERVAL);
+        this.timer.unref();
+
+        return this.getStatus();
+    }
+
+    /**
+     * Stops draining and resumes normal operation
+     *
+     * @returns {Boolean} true if draining was active
+     */
+    cancel() {
+        if (!this.active) {
+            return false;
+        }
+        clearTimeout(this.timer);
+        this.active = false;
+        this.state = false;
+        log.info(logName, 'CANCEL Resuming normal operation');
+        return true;
+    }
+
+    /**
+     * Returns the current drain status
+     *
+     * @returns {Object} Drain status
+     */
+    getStatus() {
+        let status = Object.assign(
+            {
+                active: this.active,
+                status: 'idle'
+            },
+            this.state || {}
+        );
+        status.inFlight = this.queue.locks.locks.size;
+        return status;
+    }
+
+    check() {
+        clearTimeout(this.timer);
+        if (!this.active || this.state.status !== 'draining') {
+            return;
+        }
+
+        let inFlight = this.queue.locks.locks.size;
+        let timeout = Number(this.options.timeout) || 10 * 60 * 1000;
+
+        if (inFlight) {
+            if (this.state.started.getTime() + timeout > Date.now()) {
+                this.timer = setTimeout(() => this.check(), CHECK_INTERVAL);
+                this.timer.unref();
+                return;
+            }
+            log.info(logName, 'TIMEOUT %s deliveries still in flight, not waiting any longer', inFlight);
+            this.state.timedOut = true;
+        }
+
+        if (!this.state.handoff) {
+            return this.finish();
+        }
+
+        this.state.status = 'handoff';
+        this.getHandoffTarget((err, target) => {
+            if (err) {
+                this.state.error = err.message;
+                return this.finish();
+            }
+
+            this.state.handoff = target;
+            this.queue.failover.migrate(this.queue.instanceId, target, {}, (err, migrated) => {
+                if (err) {
+                    this.state.error = err.message;
+                } else {
+                    this.state.migrated = migrated;
+                }
+                return this.finish();
+            });
+        });
+    }
+
+    getHandoffTarget(callback) {
+        if (typeof this.state.handoff === 'string') {
+            return setImmediate(() => callback(null, this.state.handoff));
+        }
+
+        // pick any other instance that is alive
+        this.queue.failover.list((err, list) => {
+            if (err) {
+                return callback(err);
+            }
+            let instance = (list || []).find(instance => instance.alive && instance.instanceId !== this.queue.instanceId);
+            if (!instance) {
+                return callback(new Error('No live instance found to hand off the queue to'));
+            }
+            return callback(null, instance.instanceId);
+        });
+    }
+
+    finish() {
+        this.state.status = 'drained';
+        this.state.finished = new Date();
+
+        log.info(
+            logName,
+            'FINISHED handoff=%s migrated=%s%s',
+            this.state.handoff || 'no',
+            this.state.migrated,
+            this.state.error ? ' error=' + this.state.error : ''
+        );
+
+        this.emit('drained', this.getStatus());
+    }
+}
+
+module.exports = QueueDrain;
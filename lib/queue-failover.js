@@ -0,0 +1,355 @@
+'use strict';
+
+const log = require('npmlog');
+const os = require('os');
+const { gelfCode, emitGelf } = require('./log-gelf');
+
+const logName = 'Failover';
+
+// adoption lock is released automatically if the adopting instance dies in the middle of it
+const ADOPT_LOCK_TTL = 10 * 60 * 1000;
+
+/**
+ * Keeps track of instances that share the same queue database. Every instance reports its heartbeat
+ * to the "instances" collection. If failover is enabled, then deliveries assigned to an instance
+ * that has not reported a heartbeat for too long are reassigned to a surviving instance
+ */
+class QueueFailover {
+    constructor(queue) {
+        this.queue = queue;
+        this.options = this.queue.options.failover || {};
+        this.heartbeatInterval = Number(this.options.heartbeatInterval) || 10 * 1000;
+        this.timeout = Number(this.options.timeout) || 5 * 60 * 1000;
+        this.started = new Date();
+        this.timer = null;
+    }
+
+    start() {
+        this.stop();
+        this.timer = setTimeout(() => this.check(), 1000);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    check() {
+        clearTimeout(this.timer);
+
+        let next = () => {
+            if (this.queue.closing) {
+                return;
+            }
+            this.timer = setTimeout(() => this.check(), this.heartbeatInterval);
+            this.timer.unref();
+        };
+
+        this.heartbeat(err => {
+            if (err) {
+                log.error(logName, 'Failed to store heartbeat. %s', err.message);
+                emitGelf({
+                    short_message: `${gelfCode('QUEUE_HEARTBEAT_FAILED')} Failed to store instance heartbeat`,
+                    _stack: err && err.stack ? err.stack : undefined,
+                    _logger: logName,
+                    _instance_id: this.queue.instanceId,
+                    _failure_msg: err.message
+                });
+                return next();
+            }
+
+            if (!this.options.enabled) {
+                return next();
+            }
+
+            this.adoptDead(err => {
+                if (err) {
+                    log.error(logName, 'Failed to adopt deliveries of dead instances. %s', err.message);
+                    emitGelf({
+                        short_message: `${gelfCode('QUEUE_FAILOVER_FAILED')} Failed to adopt deliveries of dead instances`,
+                        _stack: err && err.stack ? err.stack : undefined,
+                        _logger: logName,
+                        _instance_id: this.queue.instanceId,
+                        _failure_msg: err.message
+                    });
+                }
+                return next();
+            });
+        });
+    }
+
+    /**
+     * Reports this instance as alive
+     *
+     * @param {Function} callback
+     */
+    heartbeat(callback) {
+        this.queue.mongodb.collection('instances').updateOne(
+            {
+                _id: this.queue.instanceId
+            },
+            {
+                $set: {
+                    hostname: os.hostname(),
+                    pid: process.pid,
+                    started: this.started,
+                    heartbeat: new Date()
+                },
+                // this instance is back, so it is not dead anymore
+                $unset: {
+                    adopted: true,
+                    adoptLock: true
+                }
+            },
+            {
+                upsert: true
+            },
+            err => callback(err)
+        );
+    }
+
+    /**
+     * Lists known instances
+     *
+     * @param {Function} callback Returns a list of {instanceId, hostname, pid, started, heartbeat, alive, adopted, deliveries}
+     */
+    list(callback) {
+        this.queue.mongodb
+            .collection('instances')
+            .find({})
+            .sort({ _id: 1 })
+            .toArray((err, instances) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                this.queue.mongodb
+                    .collection(this.queue.options.collection)
+                    .aggregate([
+                        {
+                            $group: {
+                                _id: '$assigned',
+                                count: {
+                                    $sum: 1
+                                }
+                            }
+                        }
+                    ])
+                    .toArray((err, groups) => {
+                        if (err) {
+                            return callback(err);
+                        }
+
+                        let counts = new Map((groups || []).map(group => [group._id, group.count]));
+                        let deadline = Date.now() - this.timeout;
+
+                        let list = (instances || []).map(instance => ({
+                            instanceId: instance._id,
+                            hostname: instance.hostname,
+                            pid: instance.pid,
+                            started: instance.started,
+                            heartbeat: instance.heartbeat,
+                            alive: instance.heartbeat && instance.heartbeat.getTime() > deadline,
+                            adopted: instance.adopted || false,
+                            deliveries: counts.get(instance._id) || 0
+                        }));
+                        return callback(null, list);
+                    });
+            });
+    }
+
+    /**
+     * Finds instances that have not reported a heartbeat in time and adopts their deliveries,
+     * one instance at a time
+     *
+     * @param {Function} callback
+     */
+    adoptDead(callback) {
+        let now = Date.now();
+
+        // only one surviving instance can hold the adoption lock for a dead instance
+        this.queue.mongodb.collection('instances').findOneAndUpdate(
+            {
+                _id: {
+                    $ne: this.queue.instanceId
+                },
+                heartbeat: {
+                    $lt: new Date(now - this.timeout)
+                },
+                adopted: {
+                    $exists: false
+                },
+                $or: [
+                    {
+                        adoptLock: {
+                            $exists: false
+                        }
+                    },
+                    {
+                        'adoptLock.time': {
+                            $lt: new Date(now - ADOPT_LOCK_TTL)
+                        }
+                    }
+                ]
+            },
+            {
+                $set: {
+                    adoptLock: {
+                        instanceId: this.queue.instanceId,
+                        time: new Date(now)
+                    }
+                }
+            },
+            {
+                returnOriginal: false
+            },
+            (err, item) => {
+                if (err) {
+                    return callback(err);
+                }
+                if (!item || !item.value) {
+                    // nothing to adopt
+                    return callback();
+                }
+
+                let dead = item.value;
+                log.info(logName, 'DEAD instance=%s last heartbeat=%s', dead._id, dead.heartbeat.toISOString());
+
+                // the dead instance can not be processing anything, so locked deliveries are adopted as well
+                this.migrate(dead._id, this.queue.instanceId, { includeLocked: true }, (err, migrated) => {
+                    if (err) {
+                        // release the lock, so adoption could be retried
+                        return this.queue.mongodb
+                            .collection('instances')
+                            .updateOne({ _id: dead._id, 'adoptLock.instanceId': this.queue.instanceId }, { $unset: { adoptLock: true } }, () => callback(err));
+                    }
+
+                    this.queue.mongodb.collection('instances').updateOne(
+                        {
+                            _id: dead._id,
+                            'adoptLock.instanceId': this.queue.instanceId
+                        },
+                        {
+                            $set: {
+                                adopted: {
+                                    instanceId: this.queue.instanceId,
+                                    time: new Date(),
+                                    deliveries: migrated
+                                }
+                            },
+                            $unset: {
+                                adoptLock: true
+                            }
+                        },
+                        err => {
+                            if (err) {
+                                return callback(err);
+                            }
+                            log.info(logName, 'ADOPTED instance=%s deliveries=%s', dead._id, migrated);
+                            // check if there are more dead instances
+                            setImmediate(() => this.adoptDead(callback));
+                        }
+                    );
+                });
+            }
+        );
+    }
+
+    /**
+     * Reassigns deliveries from one instance to another
+     *
+     * @param {String} from Instance ID to take deliveries from
+     * @param {String} to Instance ID to assign deliveries to
+     * @param {Object} [options]
+     * @param {Boolean} [options.includeLocked] If true, then also reassigns deliveries that are currently locked. Only
+     *                                          safe if the source instance is not running
+     * @param {Function} callback Returns the count of migrated deliveries
+     */
+    migrate(from, to, options, callback) {
+        options = options || {};
+
+        if (!from || !to || from === 'no' || to === 'no' || from === to) {
+            let err = new Error('Invalid instance ID');
+            err.code = 'EINVALID';
+            return setImmediate(() => callback(err));
+        }
+
+        let queueCollection = this.queue.mongodb.collection(this.queue.options.collection);
+        let query = {
+            assigned: from
+        };
+        if (!options.includeLocked) {
+            // skip deliveries that are currently being processed
+            query.locked = false;
+        }
+
+        let countLocal = next => {
+            let spool = this.queue.storage.storageOptions.fs || {};
+            if (spool.shared) {
+                // every instance can read messages from a shared spool directory
+                return next(null, 0);
+            }
+
+            // the target instance can not read messages from the local spool directory of the source instance
+            query.storage = {
+                $ne: 'fs'
+            };
+            queueCollection.countDocuments(Object.assign({}, query, { storage: 'fs' }), next);
+        };
+
+        countLocal((err, local) => {
+            if (err) {
+                return callback(err);
+            }
+
+            if (local) {
+                log.error(logName, 'SKIP from=%s to=%s deliveries=%s Message contents are stored in the local spool directory', from, to, local);
+                emitGelf({
+                    short_message: `${gelfCode('QUEUE_MIGRATE_SKIPPED')} Skipped migrating messages stored in a local spool directory`,
+                    _logger: logName,
+                    _from_instance: from,
+                    _to_instance: to,
+                    _deliveries: local
+                });
+            }
+
+            queueCollection.distinct('sendingZone', query, (err, zones) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                queueCollection.updateMany(
+                    query,
+                    {
+                        $set: {
+                            assigned: to,
+                            locked: false,
+                            lockTime: 0
+                        }
+                    },
+                    {
+                        writeConcern: 1
+                    },
+                    (err, r) => {
+                        if (err) {
+                            return callback(err);
+                        }
+
+                        let migrated = (r && r.modifiedCount) || 0;
+                        if (migrated) {
+                            log.info(logName, 'MIGRATE from=%s to=%s deliveries=%s', from, to, migrated);
+                            if (to === this.queue.instanceId) {
+                                // zones might have been marked as empty
+                                (zones || []).forEach(zone => this.queue.clearEmptyCache(zone));
+                            }
+                        }
+                        return callback(null, migrated);
+                    }
+                );
+            });
+        });
+    }
+}
+
+module.exports = QueueFailover;
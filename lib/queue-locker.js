@@ -10,6 +10,13 @@ class QueueLocker {
         this.zones = new Map();
         this.lockOwners = new Map();
 
+        // domains that should not be processed before a set time, zone -> Map(domain -> until)
+        this.delays = new Map();
+
+        // paused zones, recipient domains, senders and messages, type -> Set(value)
+        this.paused = new Map();
+        this.senderPattern = false;
+
         this.nextExpireCheck = Infinity;
         this.lockCheckTimer = false;
     }
@@ -43,7 +50,7 @@ class QueueLocker {
         return false;
     }
 
-    lock(key, zone, domain, lockOwner, maxConnections, ttl) {
+    lock(key, zone, domain, lockOwner, maxConnections, ttl, tenant) {
         if (this.lockExists(key)) {
             return false;
         }
@@ -64,6 +71,7 @@ class QueueLocker {
             domain,
             lockOwner,
             maxConnections: Number(maxConnections) || 0,
+            tenant: tenant || false,
             ttl,
             expires,
             created: new Date()
@@ -87,11 +95,20 @@ class QueueLocker {
         if (!this.zones.has(zone)) {
             this.zones.set(zone, {
                 domains: new Map(),
+                tenants: new Map(),
                 skip: new Set()
             });
         }
         let zoneData = this.zones.get(zone);
 
+        if (lock.tenant) {
+            // store reference for tenant to zone, used for per-tenant concurrency limits
+            if (!zoneData.tenants.has(lock.tenant)) {
+                zoneData.tenants.set(lock.tenant, new Set());
+            }
+            zoneData.tenants.get(lock.tenant).add(lock);
+        }
+
         if (domain) {
             // store reference for domain to zone
             if (!zoneData.domains.has(domain)) {
@@ -132,6 +149,13 @@ class QueueLocker {
 
         if (this.zones.has(lock.zone)) {
             let zoneData = this.zones.get(lock.zone);
+            if (lock.tenant && zoneData.tenants.has(lock.tenant)) {
+                let tenantData = zoneData.tenants.get(lock.tenant);
+                tenantData.delete(lock);
+                if (!tenantData.size) {
+                    zoneData.tenants.delete(lock.tenant);
+                }
+            }
             if (lock.domain && zoneData.domains.has(lock.domain)) {
                 let domainData = zoneData.domains.get(lock.domain);
                 if (domainData.has(lock)) {
@@ -144,7 +168,7 @@ class QueueLocker {
                 if (!domainData.size) {
                     zoneData.domains.delete(lock.domain);
                 }
-                if (!zoneData.domains.size) {
+                if (!zoneData.domains.size && !zoneData.tenants.size) {
                     this.zones.delete(lock.zone);
                 }
             }
@@ -188,18 +212,155 @@ class QueueLocker {
         }
     }
 
+    /**
+     * Counts deliveries that are currently processed in a zone. Bundled recipients are
+     * locked without a domain, so these are not counted
+     *
+     * @param {String} zone Zone name
+     * @returns {Number} Count of active locks
+     */
+    countZoneLocks(zone) {
+        if (!this.zones.has(zone)) {
+            return 0;
+        }
+        let count = 0;
+        this.zones.get(zone).domains.forEach(domainLocks => {
+            count += domainLocks.size;
+        });
+        return count;
+    }
+
+    /**
+     * Counts deliveries of a tenant that are currently processed
+     *
+     * @param {String} [zone] Zone name, if not set then counts deliveries from all zones
+     * @param {String} tenant Tenant identifier
+     * @returns {Number} Count of active locks
+     */
+    countTenantLocks(zone, tenant) {
+        let count = 0;
+        this.zones.forEach((zoneData, name) => {
+            if ((!zone || zone === name) && zoneData.tenants.has(tenant)) {
+                count += zoneData.tenants.get(tenant).size;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Skips a domain in a zone for the next ttl ms regardless of the count of active locks
+     *
+     * @param {String} zone Zone name
+     * @param {String} domain Recipient domain
+     * @param {Number} ttl Delay in ms
+     */
+    delayDomain(zone, domain, ttl) {
+        if (!domain || !ttl) {
+            return false;
+        }
+        if (!this.delays.has(zone)) {
+            this.delays.set(zone, new Map());
+        }
+        let until = Date.now() + ttl;
+        let zoneDelays = this.delays.get(zone);
+        if ((zoneDelays.get(domain) || 0) < until) {
+            zoneDelays.set(domain, until);
+        }
+        return true;
+    }
+
+    listDelayedDomains(zone) {
+        if (!this.delays.has(zone)) {
+            return false;
+        }
+
+        let now = Date.now();
+        let zoneDelays = this.delays.get(zone);
+        let domains = [];
+        zoneDelays.forEach((until, domain) => {
+            if (until <= now) {
+                zoneDelays.delete(domain);
+            } else {
+                domains.push(domain);
+            }
+        });
+        if (!zoneDelays.size) {
+            this.delays.delete(zone);
+        }
+
+        return domains.length ? domains : false;
+    }
+
+    /**
+     * Replaces the list of paused entries
+     *
+     * @param {Array} entries List of {type, value} objects where type is one of 'zone', 'domain', 'sender' or 'id'.
+     *                        Sender value is either an email address or a domain name
+     */
+    setPaused(entries) {
+        this.paused = new Map();
+        [].concat(entries || []).forEach(entry => {
+            if (!entry || !entry.type || !entry.value) {
+                return;
+            }
+            if (!this.paused.has(entry.type)) {
+                this.paused.set(entry.type, new Set());
+            }
+            this.paused.get(entry.type).add(entry.type === 'id' ? entry.value : entry.value.toLowerCase());
+        });
+
+        let senders = this.listPaused('sender').map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        let addresses = senders.filter(value => value.includes('@'));
+        let domains = senders.filter(value => !value.includes('@'));
+        let patterns = [];
+        if (addresses.length) {
+            patterns.push('^(' + addresses.join('|') + ')$');
+        }
+        if (domains.length) {
+            patterns.push('@(' + domains.join('|') + ')$');
+        }
+        this.senderPattern = patterns.length ? new RegExp(patterns.join('|'), 'i') : false;
+    }
+
+    isPaused(type, value) {
+        return !!value && this.paused.has(type) && this.paused.get(type).has(type === 'id' ? value : value.toLowerCase());
+    }
+
+    /**
+     * Checks if an envelope sender address or its domain is paused
+     *
+     * @param {String} address Sender address
+     * @returns {Boolean}
+     */
+    isSenderPaused(address) {
+        return !!this.senderPattern && !!address && this.senderPattern.test(address);
+    }
+
+    listPaused(type) {
+        return this.paused.has(type) ? Array.from(this.paused.get(type)) : [];
+    }
+
     listSkipDomains(zone) {
+        let delayed = this.listDelayedDomains(zone);
+        let pausedDomains = this.listPaused('domain');
+        if (pausedDomains.length) {
+            delayed = (delayed || []).concat(pausedDomains);
+        }
+
         if (this.zones.has(zone)) {
             let zoneData = this.zones.get(zone);
             if (!zoneData.skipCache) {
                 zoneData.skipCache = Array.from(zoneData.skip);
             }
+            if (delayed) {
+                return Array.from(new Set(zoneData.skipCache.concat(delayed)));
+            }
             if (!zoneData.skipCache || !zoneData.skipCache.length) {
                 return false;
             }
             return zoneData.skipCache;
         }
-        return false;
+        return delayed ? Array.from(new Set(delayed)) : false;
     }
 }
 
@@ -7,6 +7,9 @@ const Server = require('./transport/server');
 const MailDrop = require('./mail-drop');
 const plugins = require('./plugins');
 const Headers = require('@zone-eu/mailsplit').Headers;
+const bounces = require('./bounces');
+const addressBlacklist = require('./address-blacklist');
+const adaptiveThrottle = require('./adaptive-throttle');
 
 // setup prometheus probes
 const promClient = require('prom-client');
@@ -132,14 +135,35 @@ class QueueServer {
                             }
 
                             if (delivery) {
-                                delivery.disabledAddresses = client.zone.domainConfig.get(delivery.domain, 'disabledAddresses');
+                                delivery.disabledAddresses = [].concat(client.zone.domainConfig.get(delivery.domain, 'disabledAddresses') || []);
+                                addressBlacklist.getAddresses(delivery.domain).forEach(address => {
+                                    if (!delivery.disabledAddresses.includes(address)) {
+                                        delivery.disabledAddresses.push(address);
+                                    }
+                                });
                                 delivery.dnsOptions = client.zone.domainConfig.get(delivery.domain, 'dnsOptions') || {};
                                 delivery.logger = client.zone.domainConfig.get(delivery.domain, 'logger') || false;
+
+                                let rateLimit = client.zone.domainConfig.get(delivery.domain, 'rateLimit');
+                                if (rateLimit) {
+                                    delivery.rateLimit = rateLimit;
+                                }
+
+                                let retryPolicy = client.zone.domainConfig.get(delivery.domain, 'retryPolicy');
+                                if (retryPolicy) {
+                                    delivery.retryPolicy = retryPolicy;
+                                }
                             }
 
-                            client.send({
-                                req: data.req,
-                                response: delivery
+                            this.findBundle(client.zone, client.id, delivery, () => {
+                                if (!client) {
+                                    // client already errored or closed, locks are released with the client
+                                    return;
+                                }
+                                client.send({
+                                    req: data.req,
+                                    response: delivery
+                                });
                             });
                         });
 
@@ -153,6 +177,9 @@ class QueueServer {
                         let deliveryStatus = 'unknown';
                         if (data && data.status) {
                             deliveryStatus = data.status.delivered ? 'delivered' : 'rejected';
+                            if (data.status.delivered) {
+                                adaptiveThrottle.success(client.zone.name, data.domain, data.status.ip);
+                            }
                         }
                         deliveryStatusCounter.inc({
                             status: deliveryStatus,
@@ -188,10 +215,12 @@ class QueueServer {
                                 error: 'Zone not set'
                             });
                         }
-                        deliveryStatusCounter.inc({
-                            status: 'deferred',
-                            zone: client.zone.name
-                        });
+                        if (!data.postpone) {
+                            deliveryStatusCounter.inc({
+                                status: data.rateLimited ? 'ratelimited' : 'deferred',
+                                zone: client.zone.name
+                            });
+                        }
 
                         return this.deferDelivery(client.zone, client.id, data, (err, response) => {
                             if (!client) {
@@ -229,6 +258,24 @@ class QueueServer {
                         }
                         break;
 
+                    case 'RELAYED':
+                        {
+                            // sender requested a success notification (NOTIFY=SUCCESS) but the next hop does not support DSN
+                            const notification = data;
+                            notification.headers = new Headers(notification.headers || []);
+                            plugins.handler.runHooks(
+                                'queue:relayed',
+                                [notification, this.maildrop],
+                                () =>
+                                    client &&
+                                    client.send({
+                                        req: data.req,
+                                        response: true
+                                    })
+                            );
+                        }
+                        break;
+
                     case 'REMOVE':
                         dropCounter.inc();
                         this.queue.removeMessage(data.id, err => {
@@ -250,6 +297,15 @@ class QueueServer {
                         break;
 
                     case 'INDEX':
+                        if (this.queue.drain.active) {
+                            // new messages are not accepted while draining
+                            let drainResponse = this.queue.drain.getResponse();
+                            return client.send({
+                                req: data.req,
+                                error: drainResponse.message,
+                                responseCode: drainResponse.responseCode
+                            });
+                        }
                         this.queue.generateId((err, id) => {
                             if (!client) {
                                 // client already errored or closed
@@ -339,6 +395,15 @@ class QueueServer {
                         });
                         break;
 
+                    case 'BOUNCEHITS':
+                        // aggregates bounce rule hit counters from sender processes
+                        bounces.addHits(data.hits);
+                        client.send({
+                            req: data.req,
+                            response: true
+                        });
+                        break;
+
                     case 'COUNTMETRICS':
                         if (data.metric && data.func) {
                             try {
@@ -424,6 +489,41 @@ class QueueServer {
         });
     }
 
+    // Adds other recipients of the same message and domain to the delivery if recipient bundling is enabled
+    findBundle(zone, lockOwner, delivery, callback) {
+        if (!delivery) {
+            return setImmediate(callback);
+        }
+
+        let maxRecipients = zone.domainConfig.get(delivery.domain, 'bundleRecipients');
+        if (typeof maxRecipients === 'undefined') {
+            maxRecipients = zone.bundleRecipients;
+        }
+        if (maxRecipients === true) {
+            // RFC5321 requires servers to accept at least 100 recipients per transaction
+            maxRecipients = 100;
+        }
+
+        if (!maxRecipients || delivery.useLMTP) {
+            return setImmediate(callback);
+        }
+
+        this.queue.shiftBundle(zone.name, delivery, { lockOwner, maxRecipients }, (err, bundle) => {
+            if (!err && bundle && bundle.length) {
+                delivery.bundle = bundle;
+                log.verbose(
+                    'Queue',
+                    '%s.%s BUNDLED %s recipients (%s)',
+                    delivery.id,
+                    delivery.seq,
+                    bundle.length + 1,
+                    bundle.map(entry => entry.seq).join(',')
+                );
+            }
+            return callback();
+        });
+    }
+
     // Marks a delivery as done (either bounced or accepted)
     // Does not check the validity of instance id since we need this data
     releaseDelivery(zone, lockOwner, req, callback) {
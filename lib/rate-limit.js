@@ -0,0 +1,184 @@
+'use strict';
+
+const log = require('npmlog');
+const db = require('./db');
+const { gelfCode, emitGelf } = require('./log-gelf');
+
+// Redis key prefix for window counters, full key is ratelimit:<domain>:<scope>:<zone or address>:<window>
+const COUNTER_PREFIX = 'ratelimit:';
+
+const TIME_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 3600 * 1000,
+    d: 24 * 3600 * 1000
+};
+
+const SCOPES = ['ip', 'zone'];
+
+const logName = 'RateLimit/' + process.pid;
+
+// Checks all window counters before counting anything, so a delivery that is blocked by one limit does not
+// use up other limits. KEYS are window counters, ARGV[1] is the count to add, followed by the limit and
+// the TTL of every counter. A window that is still empty allows a count larger than the limit, otherwise
+// a large bundle would never be sent. Returns 0 if counted, otherwise the position of the exceeded limit
+const CONSUME_SCRIPT = `
+local count = tonumber(ARGV[1])
+for i = 1, #KEYS do
+    local current = tonumber(redis.call('GET', KEYS[i]) or '0')
+    if current > 0 and current + count > tonumber(ARGV[i * 2]) then
+        return i
+    end
+end
+for i = 1, #KEYS do
+    redis.call('INCRBY', KEYS[i], count)
+    redis.call('PEXPIRE', KEYS[i], ARGV[i * 2 + 1])
+end
+return 0
+`;
+
+// Returns counted usage. Counters of windows that have already ended are not recreated
+const RELEASE_SCRIPT = `
+for i = 1, #KEYS do
+    if redis.call('EXISTS', KEYS[i]) == 1 then
+        redis.call('DECRBY', KEYS[i], ARGV[1])
+    end
+end
+return 0
+`;
+
+/**
+ * Parses rate limit definitions from domainConfig. A limit is either a string like
+ * "3000 messages/hour per ip" or "20/m per zone", or an object {messages, time, per}
+ * where time is in milliseconds or a unit like 'minute'
+ *
+ * @param {String|Object|Array} value Limit definition or a list of definitions
+ * @returns {Array} List of {messages, time, scope} objects
+ */
+function parseLimits(value) {
+    return []
+        .concat(value || [])
+        .map(limit => {
+            let messages, time, scope;
+
+            if (typeof limit === 'string') {
+                let match = limit.trim().match(/^(\d+)\s*(?:messages?)?\s*\/\s*(\d*)\s*([a-z]+)(?:\s+per\s+([a-z]+))?$/i);
+                if (!match) {
+                    return false;
+                }
+                messages = Number(match[1]);
+                time = (Number(match[2]) || 1) * (TIME_UNITS[match[3].charAt(0).toLowerCase()] || 0);
+                scope = match[4];
+            } else if (limit && typeof limit === 'object') {
+                messages = Number(limit.messages);
+                time = typeof limit.time === 'number' ? limit.time : TIME_UNITS[(limit.time || '').toString().charAt(0).toLowerCase()];
+                scope = limit.per;
+            }
+
+            scope = (scope || 'zone').toLowerCase();
+            if (!messages || messages < 0 || !time || !SCOPES.includes(scope)) {
+                return false;
+            }
+
+            return {
+                messages,
+                time,
+                scope
+            };
+        })
+        .filter(limit => limit);
+}
+
+/**
+ * Counts a delivery attempt against rate limits of the recipient domain. Limits are shared between
+ * all processes and instances. Nothing is counted if any of the limits is exceeded. If Redis is not
+ * available then all deliveries are allowed
+ *
+ * @param {Object} options
+ * @param {String} options.domain Recipient domain
+ * @param {String} options.zone Sending Zone name
+ * @param {String} [options.address] Local IP address
+ * @param {Number} [options.count=1] Count of messages to add, eg. recipients of a bundled transaction
+ * @param {String|Object|Array} options.limits Limit definitions from domainConfig
+ * @param {Function} callback Returns false if delivery is allowed, otherwise {messages, time, scope, ttl} of the exceeded limit.
+ *                            For allowed deliveries the third argument is the counted usage to be used with release()
+ */
+function consume(options, callback) {
+    let limits = parseLimits(options.limits).filter(limit => limit.scope !== 'ip' || options.address);
+    let count = Math.max(Number(options.count) || 1, 1);
+
+    if (!db.redis || !limits.length) {
+        return setImmediate(() => callback(null, false, false));
+    }
+
+    let now = Date.now();
+    let args = [count];
+
+    limits.forEach(limit => {
+        let window = Math.floor(now / limit.time);
+        limit.key = COUNTER_PREFIX + [options.domain, limit.scope, limit.scope === 'ip' ? options.address : options.zone, limit.time, window].join(':');
+        limit.ttl = (window + 1) * limit.time - now;
+        args.push(limit.messages, limit.ttl + 1000);
+    });
+
+    let keys = limits.map(limit => limit.key);
+
+    db.redis.eval(CONSUME_SCRIPT, keys.length, ...keys, ...args, (err, result) => {
+        if (err) {
+            handleError(err, options.domain);
+            // do not block deliveries because of Redis errors
+            return callback(null, false, false);
+        }
+
+        let exceeded = limits[Number(result) - 1];
+        if (!exceeded) {
+            return callback(null, false, { keys, count });
+        }
+
+        return callback(null, {
+            messages: exceeded.messages,
+            time: exceeded.time,
+            scope: exceeded.scope,
+            ttl: exceeded.ttl
+        });
+    });
+}
+
+/**
+ * Returns counted usage to the rate limits, eg. if the delivery was not attempted because connecting failed
+ *
+ * @param {Object} consumed Usage returned by consume()
+ * @param {Function} [callback]
+ */
+function release(consumed, callback) {
+    callback = callback || (() => false);
+
+    if (!db.redis || !consumed || !consumed.keys || !consumed.keys.length) {
+        return setImmediate(() => callback(null, false));
+    }
+
+    db.redis.eval(RELEASE_SCRIPT, consumed.keys.length, ...consumed.keys, consumed.count, err => {
+        if (err) {
+            handleError(err, false);
+            return callback(null, false);
+        }
+        return callback(null, true);
+    });
+}
+
+function handleError(err, domain) {
+    log.error(logName, 'Redis error domain=%s error=%s', domain || '', err.message);
+    emitGelf({
+        short_message: `${gelfCode('RATE_LIMIT_REDIS_ERROR')} Rate limit Redis error`,
+        _stack: err && err.stack ? err.stack : undefined,
+        _logger: logName,
+        _domain: domain || undefined,
+        _failure_msg: err.message
+    });
+}
+
+module.exports = {
+    parseLimits,
+    consume,
+    release
+};
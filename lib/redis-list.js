@@ -0,0 +1,243 @@
+'use strict';
+
+const log = require('npmlog');
+const db = require('./db');
+const { gelfCode, emitGelf } = require('./log-gelf');
+
+/**
+ * List of local addresses that are excluded for a group of recipients (eg. a recipient domain) until
+ * some time. Entries are stored in Redis, members are kept in a sorted set where the score is the
+ * expiration time and entry details are kept in a hash. A local copy of the list is refreshed from
+ * Redis, so that addresses can be checked synchronously
+ */
+class RedisList {
+    /**
+     * @constructor
+     * @param {Object} options
+     * @param {String} options.entriesKey Redis key of the sorted set
+     * @param {String} options.infoKey Redis key of the details hash
+     * @param {String} options.group Entry property that groups addresses, eg. 'domain'
+     * @param {Function} options.getMember Returns the sorted set member for an entry
+     * @param {Function} options.parseMember Returns {address, [group]} for a sorted set member
+     * @param {Function} options.getRefreshInterval Returns how long the local list is used before refreshing it
+     * @param {String} options.logName Logger name
+     * @param {String} options.errorCode GELF code for Redis errors
+     * @param {String} options.errorMessage GELF message for Redis errors
+     */
+    constructor(options) {
+        this.options = options;
+
+        // group -> Map(address -> expires)
+        this.entries = new Map();
+        this.lastRefresh = 0;
+        this.refreshing = false;
+    }
+
+    /**
+     * Replaces the local list
+     *
+     * @param {Array} list List of entries with address, group property and expires
+     */
+    setEntries(list) {
+        let now = Date.now();
+        this.entries = new Map();
+        [].concat(list || []).forEach(entry => {
+            if (!entry || entry.expires <= now) {
+                return;
+            }
+            this.setLocal(entry);
+        });
+    }
+
+    setLocal(entry) {
+        let group = entry[this.options.group];
+        if (!this.entries.has(group)) {
+            this.entries.set(group, new Map());
+        }
+        this.entries.get(group).set(entry.address, entry.expires);
+    }
+
+    /**
+     * Returns listed addresses for a group. Uses the local list and schedules a refresh from Redis
+     * if the local list is too old
+     *
+     * @param {String} group Group value, eg. recipient domain
+     * @returns {Array} List of local addresses
+     */
+    getAddresses(group) {
+        if (Date.now() - this.lastRefresh > this.options.getRefreshInterval()) {
+            this.refresh(() => false);
+        }
+
+        let addresses = this.entries.get(group);
+        if (!addresses || !addresses.size) {
+            return [];
+        }
+
+        let now = Date.now();
+        return Array.from(addresses.keys()).filter(address => addresses.get(address) > now);
+    }
+
+    /**
+     * Returns the count of currently listed entries in the local list
+     *
+     * @returns {Number}
+     */
+    count() {
+        let now = Date.now();
+        let total = 0;
+        this.entries.forEach(addresses => addresses.forEach(expires => (total += expires > now ? 1 : 0)));
+        return total;
+    }
+
+    /**
+     * Loads the list from Redis
+     *
+     * @param {Function} callback
+     */
+    refresh(callback) {
+        if (!db.redis || this.refreshing) {
+            return setImmediate(() => callback(null, false));
+        }
+        this.refreshing = true;
+        this.lastRefresh = Date.now();
+
+        this.list((err, list) => {
+            this.refreshing = false;
+            if (err) {
+                return callback(err);
+            }
+            this.setEntries(list);
+            return callback(null, true);
+        });
+    }
+
+    /**
+     * Stores an entry. Existing entries for the same member are overwritten
+     *
+     * @param {Object} entry Entry to store, must include address, the group property and expires
+     * @param {Function} [update] Adds additional commands to the Redis transaction
+     * @param {Function} callback Returns the stored entry
+     */
+    add(entry, update, callback) {
+        if (!db.redis) {
+            return setImmediate(() => callback(new Error('Redis connection not available')));
+        }
+
+        let member = this.options.getMember(entry);
+        let multi = db.redis.multi().zadd(this.options.entriesKey, entry.expires, member).hset(this.options.infoKey, member, JSON.stringify(entry));
+        if (update) {
+            update(multi);
+        }
+
+        multi.exec(err => {
+            if (err) {
+                return this.handleError(err, 'add', callback);
+            }
+
+            // update local list right away, other processes catch up on next refresh
+            this.setLocal(entry);
+
+            return callback(null, entry);
+        });
+    }
+
+    /**
+     * Removes entries
+     *
+     * @param {Array} list Entries to remove
+     * @param {Function} callback Returns the count of removed entries
+     */
+    remove(list, callback) {
+        if (!list.length) {
+            return setImmediate(() => callback(null, 0));
+        }
+
+        let members = list.map(entry => this.options.getMember(entry));
+
+        db.redis
+            .multi()
+            .zrem(this.options.entriesKey, ...members)
+            .hdel(this.options.infoKey, ...members)
+            .exec(err => {
+                if (err) {
+                    return this.handleError(err, 'remove', callback);
+                }
+
+                list.forEach(entry => {
+                    let addresses = this.entries.get(entry[this.options.group]);
+                    if (addresses) {
+                        addresses.delete(entry.address);
+                    }
+                });
+
+                return callback(null, members.length);
+            });
+    }
+
+    /**
+     * Lists current entries. Expired entries are removed from Redis
+     *
+     * @param {Function} callback Returns a list of entries
+     */
+    list(callback) {
+        if (!db.redis) {
+            return setImmediate(() => callback(new Error('Redis connection not available')));
+        }
+
+        let now = Date.now();
+        db.redis
+            .multi()
+            .zremrangebyscore(this.options.entriesKey, '-inf', now)
+            .zrangebyscore(this.options.entriesKey, now, '+inf', 'WITHSCORES')
+            .hgetall(this.options.infoKey)
+            .exec((err, result) => {
+                if (!err && result) {
+                    err = result.map(res => res && res[0]).find(err => err);
+                }
+                if (err) {
+                    return this.handleError(err, 'list', callback);
+                }
+
+                let members = result[1][1] || [];
+                let info = result[2][1] || {};
+                let list = [];
+                let active = new Set();
+
+                for (let i = 0; i < members.length; i += 2) {
+                    let member = members[i];
+                    let entry;
+                    try {
+                        entry = JSON.parse(info[member]);
+                    } catch (E) {
+                        entry = this.options.parseMember(member);
+                    }
+                    entry.expires = Number(members[i + 1]);
+                    active.add(member);
+                    list.push(entry);
+                }
+
+                // remove details for expired entries
+                let expired = Object.keys(info).filter(member => !active.has(member));
+                if (expired.length) {
+                    db.redis.hdel(this.options.infoKey, ...expired, () => false);
+                }
+
+                return callback(null, list);
+            });
+    }
+
+    handleError(err, action, callback) {
+        log.error(this.options.logName, 'Redis error action=%s error=%s', action, err.message);
+        emitGelf({
+            short_message: `${gelfCode(this.options.errorCode)} ${this.options.errorMessage}`,
+            _stack: err && err.stack ? err.stack : undefined,
+            _logger: this.options.logName,
+            _action: action,
+            _failure_msg: err.message
+        });
+        return callback(err);
+    }
+}
+
+module.exports = RedisList;
@@ -3,24 +3,21 @@
 const config = require('@zone-eu/wild-config');
 const log = require('npmlog');
 const db = require('./db');
-const GridFSBucket = require('mongodb').GridFSBucket;
+const MessageStorage = require('./storage');
+const MessageEvents = require('./message-events');
 const { gelfCode, emitGelf } = require('./log-gelf');
 
 class RemoteQueue {
     constructor() {
         this.mongodb = false;
-        this.gridstore = false;
+        this.storage = false;
+        this.events = new MessageEvents(false);
         this.sendCommand = false;
     }
 
     store(id, stream, callback) {
         let returned = false;
-        let store = this.gridstore.openUploadStream('message ' + id, {
-            contentType: 'message/rfc822',
-            metadata: {
-                created: new Date()
-            }
-        });
+        let store = this.storage.createWriteStream(id);
 
         stream.once('error', err => {
             if (returned) {
@@ -100,7 +97,7 @@ class RemoteQueue {
     }
 
     retrieve(id) {
-        return this.gridstore.openDownloadStreamByName('message ' + id);
+        return this.storage.retrieve(id);
     }
 
     generateId(callback) {
@@ -133,9 +130,21 @@ class RemoteQueue {
             }
 
             this.mongodb = db.senderDb;
-            this.gridstore = new GridFSBucket(this.mongodb, {
-                bucketName: config.queue.gfs
-            });
+            this.events = new MessageEvents(this.mongodb, config.queue.events);
+
+            try {
+                this.storage = new MessageStorage(this.mongodb, config.queue);
+            } catch (err) {
+                log.error('Queue/' + process.pid, 'Could not initialize message storage: %s', err.message);
+                emitGelf({
+                    short_message: `${gelfCode('QUEUE_STORAGE_INIT_FAILED')} Could not initialize message storage`,
+                    full_message: err && err.stack ? err.stack : undefined,
+                    _logger: 'Queue/' + process.pid,
+                    _pid: process.pid,
+                    _error: err.message
+                });
+                return process.exit(1);
+            }
 
             return setImmediate(() => callback(null, true));
         });
@@ -0,0 +1,180 @@
+'use strict';
+
+const config = require('@zone-eu/wild-config');
+const log = require('npmlog');
+
+// Used if the retry policy does not define its own schedule and queue.deferTimes is not set
+const DEFAULT_DEFER_TIMES = [
+    5 /* 5 */, 7 /* 12 */, 8 /* 20 */, 25 /* 45 */, 75 /* 2h */, 120 /* 4h */, 240 /* 8h */, 240 /* 12h */, 240 /* 16h */, 240 /* 20h */, 240 /* 24h */,
+    240 /* 28h */, 240 /* 32h */, 240 /* 36h */, 240 /* 40h */, 240 /* 44h */, 240 /* 48h */
+].map(v => v * 60 * 1000);
+
+const DEFAULT_POLICY = 'default';
+
+// unknown policy names are only reported once, otherwise every deferred delivery would log the same warning
+const warned = new Set();
+
+module.exports = {
+    DEFAULT_DEFER_TIMES,
+    getPolicy,
+    getScheduleDelay,
+    getDeferTime
+};
+
+/**
+ * Returns a retry policy by name. Falls back to the default policy if the named policy does not exist.
+ * Unknown policy names are logged once
+ *
+ * @param {String|Array} names Policy name or a list of names in order of preference
+ * @param {Object} [policies] Policy definitions, defaults to config.retryPolicies
+ * @returns {Object} Policy object with a name property
+ */
+function getPolicy(names, policies) {
+    policies = policies || config.retryPolicies || {};
+
+    let exists = name => name && policies[name] && typeof policies[name] === 'object';
+
+    []
+        .concat(names || [])
+        .filter(name => name && !exists(name) && !warned.has(name))
+        .forEach(name => {
+            warned.add(name);
+            log.warn('RetryPolicy', 'Unknown retry policy "%s", falling back to the next available policy', name);
+        });
+
+    let name = []
+        .concat(names || [])
+        .concat(DEFAULT_POLICY)
+        .find(exists);
+
+    let policy = (name && policies[name]) || {};
+    return Object.assign({}, policy, { name: name || DEFAULT_POLICY });
+}
+
+/**
+ * Calculates the delay for a retry attempt from a schedule definition. A schedule is either a list of
+ * delays in milliseconds or an object like {type: 'flat', delay, retries} or
+ * {type: 'exponential', delay, factor, maxDelay, jitter, retries}
+ *
+ * @param {Array|Object} schedule Schedule definition
+ * @param {Number} count Count of already made retries
+ * @returns {Number|Boolean} Delay in milliseconds or false if there are no retries left
+ */
+function getScheduleDelay(schedule, count) {
+    count = Number(count) || 0;
+
+    if (Array.isArray(schedule)) {
+        return count < schedule.length ? Number(schedule[count]) || 0 : false;
+    }
+
+    if (!schedule || typeof schedule !== 'object') {
+        return false;
+    }
+
+    if (typeof schedule.retries === 'number' && count >= schedule.retries) {
+        return false;
+    }
+
+    let delay = Number(schedule.delay) || 0;
+    switch (schedule.type) {
+        case 'flat':
+            break;
+        case 'exponential':
+            delay = delay * Math.pow(Number(schedule.factor) || 2, count);
+            break;
+        default:
+            return false;
+    }
+
+    if (schedule.maxDelay && delay > schedule.maxDelay) {
+        delay = Number(schedule.maxDelay);
+    }
+
+    let jitter = Number(schedule.jitter) || 0;
+    if (jitter > 0) {
+        // randomize delay by +/- jitter fraction
+        delay = delay * (1 + Math.min(jitter, 1) * (Math.random() * 2 - 1));
+    }
+
+    return Math.max(Math.round(delay), 0);
+}
+
+/**
+ * Resolves the delay before the next delivery attempt for a deferred delivery
+ *
+ * @param {Object} delivery Delivery object, uses deferTimes, retryPolicy, created, scheduled, expires and _deferred properties
+ * @param {String} category Bounce category for the failed attempt
+ * @param {Object} [options]
+ * @param {String} [options.zonePolicy] Policy name set for the sending zone
+ * @param {Object} [options.policies] Policy definitions, defaults to config.retryPolicies
+ * @param {Array|Object} [options.schedule] Schedule from the matching bounce rule, replaces policy schedules
+ * @returns {Object} {ttl, policy, maxQueueTime, expired, messageExpired}, where ttl is false if there are no retries left
+ */
+function getDeferTime(delivery, category, options) {
+    options = options || {};
+    let deferredCount = (delivery._deferred && delivery._deferred.count) || 0;
+
+    if (delivery.deferTimes && Array.isArray(delivery.deferTimes) && delivery.deferTimes.length) {
+        // schedule set by a plugin overrides any policy
+        return checkMessageExpiry(delivery, {
+            ttl: getScheduleDelay(delivery.deferTimes, deferredCount),
+            policy: false,
+            maxQueueTime: false,
+            expired: false
+        });
+    }
+
+    let policy = getPolicy([delivery.retryPolicy, options.zonePolicy], options.policies);
+    let categoryOptions = (category && policy.categories && policy.categories[category]) || false;
+
+    let ttl = false;
+    if (options.schedule) {
+        // bounce rule schedules do not fall back to policy schedules, the delivery is rejected once the rule runs out of retries
+        ttl = getScheduleDelay(options.schedule, deferredCount);
+    } else if (categoryOptions) {
+        ttl = getScheduleDelay(categoryOptions.schedule || categoryOptions, deferredCount);
+    }
+
+    if (ttl === false && !options.schedule) {
+        ttl = getScheduleDelay(policy.schedule || (config.queue && config.queue.deferTimes) || DEFAULT_DEFER_TIMES, deferredCount);
+    }
+
+    let maxQueueTime = (categoryOptions && categoryOptions.maxQueueTime) || policy.maxQueueTime || false;
+    let expired = false;
+    if (ttl !== false && maxQueueTime) {
+        // scheduled time is not counted as queue time
+        let created = new Date(delivery.scheduled || delivery.created || Date.now()).getTime() || Date.now();
+        if (Date.now() + ttl - created > maxQueueTime) {
+            // next attempt would happen after the allowed queue time
+            expired = true;
+            ttl = false;
+        }
+    }
+
+    return checkMessageExpiry(delivery, {
+        ttl,
+        policy: policy.name,
+        maxQueueTime,
+        expired
+    });
+}
+
+/**
+ * Stops retrying if the next attempt would happen after the expiration time of the message
+ *
+ * @param {Object} delivery Delivery object, uses the expires property
+ * @param {Object} retry Result from getDeferTime
+ * @returns {Object} Updated result, messageExpired is true if the message expired
+ */
+function checkMessageExpiry(delivery, retry) {
+    retry.messageExpired = false;
+
+    let expires = delivery.expires ? new Date(delivery.expires).getTime() : false;
+    if (retry.ttl !== false && expires && Date.now() + retry.ttl > expires) {
+        retry.ttl = false;
+        retry.expired = true;
+        retry.messageExpired = true;
+    }
+
+    return retry;
+}
@@ -0,0 +1,84 @@
+'use strict';
+
+// messages can not be scheduled further than this
+const MAX_SCHEDULE_TIME = 365 * 24 * 3600 * 1000;
+
+/**
+ * Parses a time value. Accepts Date objects, date strings (eg. ISO 8601 or RFC 2822)
+ * and unix timestamps either in seconds or in milliseconds
+ *
+ * @param {Date|String|Number} value Time value to parse
+ * @returns {Number|Boolean} Timestamp in milliseconds or false if the value is invalid
+ */
+function parseTime(value) {
+    if (value === undefined || value === null || value === '' || value === false) {
+        return false;
+    }
+
+    let time;
+    if (value instanceof Date) {
+        time = value.getTime();
+    } else if (/^\d+$/.test(value.toString().trim())) {
+        time = Number(value.toString().trim());
+        if (time < 100000000000) {
+            // looks like a timestamp in seconds
+            time = time * 1000;
+        }
+    } else {
+        time = new Date(value.toString().trim()).getTime();
+    }
+
+    if (!time || isNaN(time)) {
+        return false;
+    }
+
+    return time;
+}
+
+/**
+ * Parses a scheduled delivery time
+ *
+ * @param {Date|String|Number} value Time value to parse
+ * @returns {Number|Boolean} Timestamp in milliseconds, 0 if the time is not in the future or false if the value is invalid
+ */
+function parseSendAt(value) {
+    let time = parseTime(value);
+    if (time === false) {
+        return false;
+    }
+
+    let now = Date.now();
+    if (time <= now) {
+        // send out as soon as possible
+        return 0;
+    }
+
+    return Math.min(time, now + MAX_SCHEDULE_TIME);
+}
+
+/**
+ * Parses message expiration time, either as an absolute time or as a TTL in seconds
+ *
+ * @param {Date|String|Number} [expires] Expiration time
+ * @param {Number|String} [ttl] Time to live in seconds, used if expiration time is not set
+ * @returns {Number|Boolean} Timestamp in milliseconds or false if the value is not set or is invalid
+ */
+function parseExpires(expires, ttl) {
+    if (expires) {
+        return parseTime(expires);
+    }
+
+    ttl = Number(ttl);
+    if (ttl > 0) {
+        return Date.now() + Math.round(ttl * 1000);
+    }
+
+    return false;
+}
+
+module.exports = {
+    MAX_SCHEDULE_TIME,
+    parseTime,
+    parseSendAt,
+    parseExpires
+};
@@ -17,9 +17,14 @@ const util = require('util');
 const ByteCounter = require('./byte-counter');
 const mxConnect = require('mx-connect');
 const addressTools = require('./address-tools');
+const dsnTools = require('./dsn');
 const libmime = require('libmime');
 const db = require('./db');
 const tlsRetry = require('./tls-retry');
+const retryPolicy = require('./retry-policy');
+const rateLimit = require('./rate-limit');
+const ipReputation = require('./ip-reputation');
+const ipWarmup = require('./ip-warmup');
 const base32 = require('base32.js');
 const { gelfCode, emitGelf } = require('./log-gelf');
 
@@ -36,18 +41,12 @@ const getConnectionTlsLogData = connection => {
         tlsAuthorizationError: socket?.authorizationError
     };
 };
+
 const nodemailerLogger = require('./nodemailer-logger');
 
 // handle DNS resolving
 require('./ip-tools');
 
-const DEFAULT_DEFER_TIMES =
-    config.queue.deferTimes ||
-    [
-        5 /* 5 */, 7 /* 12 */, 8 /* 20 */, 25 /* 45 */, 75 /* 2h */, 120 /* 4h */, 240 /* 8h */, 240 /* 12h */, 240 /* 16h */, 240 /* 20h */, 240 /* 24h */,
-        240 /* 28h */, 240 /* 32h */, 240 /* 36h */, 240 /* 40h */, 240 /* 44h */, 240 /* 48h */
-    ].map(v => v * 60 * 1000);
-
 const POLICY_RESPONSE = 'Failed to establish a TLS connection to the MX server as requested by policy';
 
 class Sender extends EventEmitter {
@@ -195,6 +194,10 @@ class Sender extends EventEmitter {
                 return;
             }
             responseSent = true;
+            if (delivery.bundle && delivery.bundle.length) {
+                // every recipient of a multi-RCPT transaction gets its own result
+                return this.handleBundleResults(delivery, connection, err, false, err.messageStats, continueSending);
+            }
             plugins.handler.runHooks('sender:responseError', [delivery, connection, err], () => {
                 this.handleResponseError(delivery, connection, err, continueSending);
             });
@@ -263,11 +266,23 @@ class Sender extends EventEmitter {
                 delivery.recipient
             );
 
-            plugins.handler.runHooks('sender:fetch', [delivery], err => {
+            this.runFetchHooks(delivery, err => {
                 if (err) {
                     return handleError(delivery, false, err);
                 }
 
+                let expired = delivery.expires && new Date(delivery.expires).getTime() <= Date.now();
+
+                if (delivery.bundle && delivery.bundle.length && (expired || delivery.isSuppressed === true || delivery.http || delivery.useLMTP)) {
+                    // bundled recipients can only be sent in the same SMTP transaction with this delivery
+                    this.returnBundle(delivery, 0);
+                }
+
+                if (expired) {
+                    // message is not worth sending anymore
+                    return this.expireDelivery(delivery, continueSending);
+                }
+
                 if (delivery.isSuppressed === true) {
                     return this.releaseDelivery(delivery, (/*err, released*/) => {
                         setTimeout(() => continueSending(), 1500).unref();
@@ -297,7 +312,16 @@ class Sender extends EventEmitter {
                         );
                         delivery.headers.addFormatted('Received', receivedHeader, 0);
 
+                        if (err && err.rateLimited) {
+                            // over the domain rate limit, this does not count as a failed delivery attempt
+                            responseSent = true;
+                            return this.deferRateLimited(delivery, err.rateLimited, continueSending);
+                        }
+
                         if (err) {
+                            // nothing was sent to the receiving server, so this does not use up rate limits
+                            rateLimit.release(delivery.rateLimitConsumed);
+                            delivery.rateLimitConsumed = false;
                             return handleError(delivery, connection, err);
                         }
 
@@ -484,15 +508,21 @@ class Sender extends EventEmitter {
                                 // Do the actual delivery
                                 if (!connection.http) {
                                     // normal SMTP delivery
-                                    connection.send(
-                                        {
-                                            from: delivery.envelope.from,
-                                            to: [].concat(delivery.envelope.to || []) //,
-                                            //size: messageSize
-                                        },
-                                        messageStream,
-                                        next
-                                    );
+                                    let sendEnvelope = {
+                                        from: delivery.envelope.from,
+                                        to: []
+                                            .concat(delivery.envelope.to || [])
+                                            .concat((delivery.bundle || []).map(entry => entry.envelopeTo || entry.recipient)) //,
+                                        //size: messageSize
+                                    };
+
+                                    // relay DSN parameters, these are only used if the remote server supports DSN
+                                    let dsn = dsnTools.getSendDsn(delivery);
+                                    if (dsn) {
+                                        sendEnvelope.dsn = dsn;
+                                    }
+
+                                    connection.send(sendEnvelope, messageStream, next);
                                 } else {
                                     // no bounces for HTTP uploads
                                     delivery.skipBounce = true;
@@ -702,6 +732,13 @@ class Sender extends EventEmitter {
 
                                 let messageStats = messageStream.stats();
 
+                                if (delivery.bundle && delivery.bundle.length) {
+                                    messageStream = null;
+                                    messageFetch = null;
+                                    responseSent = true;
+                                    return this.handleBundleResults(delivery, connection, err, info, messageStats, continueSending);
+                                }
+
                                 if (err) {
                                     messageStream = null;
                                     messageFetch = null;
@@ -709,113 +746,266 @@ class Sender extends EventEmitter {
                                     return handleError(delivery, connection, err);
                                 }
 
-                                let envelopeFrom = (delivery.envelope && delivery.envelope.from) || delivery.from;
-                                let envelopeRecipient = (delivery.envelope && delivery.envelope.to) || delivery.recipient;
+                                return this.handleDelivered(delivery, connection, info, messageStats, continueSending);
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
 
-                                log.info(
-                                    this.logName,
-                                    'id=%s %s.%s ACCEPTED from=%s to=%s src=%s mx=%s message-id=%s (%s)',
-                                    delivery.sessionId,
-                                    delivery.id,
-                                    delivery.seq,
-                                    (delivery.from || '') + (delivery.from !== envelopeFrom ? '[' + envelopeFrom + ']' : '') || '<>',
-                                    envelopeRecipient || '',
-                                    delivery.localAddress || (connection && connection.options.localAddress) || '',
-                                    (connection && connection.options.servername + '[' + connection.options.host + ']') || delivery.domain || '',
-                                    delivery.headers.getFirst('Message-ID'),
-                                    bounces.formatSMTPResponse(info.response)
-                                );
+    // resolves results for every recipient of a multi-RCPT transaction, accepted recipients are released
+    // and rejected recipients are handled as if these were sent separately
+    handleBundleResults(delivery, connection, err, info, messageStats, callback) {
+        let rejectedErrors = (err && err.rejectedErrors) || (info && info.rejectedErrors) || [];
+        let deliveries = [delivery].concat(delivery.bundle.map(entry => this.getBundledDelivery(delivery, entry)));
+
+        log.verbose(
+            this.logName,
+            'id=%s %s.%s BUNDLE recipients=%s rejected=%s',
+            delivery.sessionId,
+            delivery.id,
+            delivery.seq,
+            deliveries.length,
+            err && !err.rejectedErrors ? deliveries.length : rejectedErrors.length
+        );
 
-                                plugins.handler.remotelog(delivery.id, delivery.seq, 'ACCEPTED', {
-                                    zone: this.zone.name,
-                                    from: delivery.from,
-                                    returnPath: (delivery.envelope && delivery.envelope.from) || delivery.from,
-                                    to: (delivery.envelope && delivery.envelope.to) || delivery.recipient,
-                                    mx: connection.options.servername || delivery.domain,
-                                    host: connection.options.host,
-                                    ip: connection.options.localAddress,
-                                    response: bounces.formatSMTPResponse(info.response).substr(0, 312),
-                                    size: messageStats.size,
-                                    timer: messageStats.time,
-                                    start: messageStats.start,
-                                    messageId: delivery.messageId || delivery.id,
-
-                                    ...getConnectionTlsLogData(connection),
-
-                                    protocol: info.protocol || (!delivery.useLMTP ? 'smtp' : 'lmtp'),
-                                    httpUrl: info.httpUrl,
-                                    httpResponse: info.httpResponse
-                                });
+        let pos = 0;
+        let processNext = () => {
+            if (pos >= deliveries.length) {
+                return callback();
+            }
 
-                                delivery.status = {
-                                    delivered: true,
-                                    ip: connection.options.localAddress,
-                                    mx: connection.options.servername || delivery.domain,
-                                    response: bounces.formatSMTPResponse(info.response)
-                                };
+            let entry = deliveries[pos++];
+            let recipientError = rejectedErrors.find(rejected => rejected.recipient === entry.envelope.to);
 
-                                this.releaseDelivery(delivery, (err, released) => {
-                                    if (err) {
-                                        log.error(
-                                            this.logName,
-                                            'id=%s %s.%s Can not get message acknowledged. %s',
-                                            delivery.sessionId,
-                                            delivery.id,
-                                            delivery.seq,
-                                            err.message
-                                        );
-                                        emitGelf({
-                                            short_message: `${gelfCode('DELIVERY_ACK_FAILED')} Failed to acknowledge delivered message`,
-                                            full_message: err && err.stack ? err.stack : undefined,
-                                            _logger: this.logName,
-                                            _session_id: delivery.sessionId,
-                                            _delivery_id: delivery.id,
-                                            _delivery_seq: delivery.seq,
-                                            _error: err.message
-                                        });
+            if (!recipientError && err) {
+                recipientError = err;
+                // the whole transaction failed with a single response, so it is counted for reputation
+                // and throttling only once, other recipients are just deferred or bounced
+                entry.sharedResponse = pos > 1;
+            }
 
-                                        this.closing = true;
-                                        return this.emit('error', err);
-                                    }
+            if (!recipientError) {
+                return this.handleDelivered(entry, connection, info, messageStats, () => setImmediate(processNext));
+            }
 
-                                    if (!released) {
-                                        log.info(
-                                            this.logName,
-                                            'id=%s %s.%s NOTFOUND Failed to release delivery',
-                                            delivery.sessionId,
-                                            delivery.id,
-                                            delivery.seq
-                                        );
-                                    }
+            if (messageStats) {
+                recipientError.messageStats = messageStats;
+            }
 
-                                    plugins.handler.runHooks('sender:delivered', [delivery, info], err => {
-                                        if (err) {
-                                            log.error(
-                                                this.logName,
-                                                'id=%s %s.%s Failed to process sender:delivered hook. %s',
-                                                delivery.sessionId,
-                                                delivery.id,
-                                                delivery.seq,
-                                                err.message
-                                            );
-                                            emitGelf({
-                                                short_message: `${gelfCode('SENDER_DELIVERED_HOOK_FAILED')} sender:delivered hook failed`,
-                                                _stack: err && err.stack ? err.stack : undefined,
-                                                _logger: this.logName,
-                                                _session_id: delivery.sessionId,
-                                                _delivery_id: delivery.id,
-                                                _delivery_seq: delivery.seq,
-                                                _failure_msg: err.message
-                                            });
-                                        }
+            plugins.handler.runHooks('sender:responseError', [entry, connection, recipientError], () => {
+                this.handleResponseError(entry, connection, recipientError, () => setImmediate(processNext));
+            });
+        };
 
-                                        return setImmediate(() => continueSending());
-                                    });
-                                });
-                            });
+        processNext();
+    }
+
+    // runs sender:fetch hooks for the delivery and for every bundled recipient, so plugins can process bundled
+    // recipients the same way as separately sent deliveries
+    runFetchHooks(delivery, callback) {
+        plugins.handler.runHooks('sender:fetch', [delivery], err => {
+            if (err || !delivery.bundle || !delivery.bundle.length || delivery.http || delivery.useLMTP || delivery.isSuppressed === true) {
+                // bundle is returned to the queue anyway
+                return callback(err);
+            }
+
+            let bundle = delivery.bundle;
+            let routing = getBundleRouting(delivery);
+            let kept = [];
+            let returned = [];
+
+            let pos = 0;
+            let processNext = () => {
+                if (pos >= bundle.length) {
+                    delivery.bundle = kept;
+                    if (returned.length) {
+                        // these recipients are sent separately
+                        this.returnBundle(Object.assign({}, delivery, { bundle: returned }), 0);
+                    }
+                    return callback();
+                }
+
+                let entry = bundle[pos++];
+                let bundled = this.getBundledDelivery(delivery, entry);
+                // plugins might modify headers, so these can not be shared with the main delivery
+                bundled.headers = new Headers(delivery.headers.getList().map(line => Object.assign({}, line)));
+
+                plugins.handler.runHooks('sender:fetch', [bundled], err => {
+                    if (err || getBundleRouting(bundled) !== routing) {
+                        returned.push(entry);
+                    } else {
+                        // plugins might rewrite the recipient address
+                        entry.envelopeTo = bundled.envelope.to;
+                        kept.push(entry);
+                    }
+                    setImmediate(processNext);
+                });
+            };
+
+            processNext();
+        });
+    }
+
+    // creates a delivery object for a bundled recipient, message data and connection info is shared with the main delivery
+    getBundledDelivery(delivery, entry) {
+        let bundled = Object.assign({}, delivery, entry, {
+            bundle: false,
+            envelope: Object.assign({}, delivery.envelope, {
+                to: entry.envelopeTo || entry.recipient
+            })
+        });
+        delete bundled.envelopeTo;
+
+        if (!entry._deferred) {
+            delete bundled._deferred;
+        }
+
+        return bundled;
+    }
+
+    // returns bundled deliveries to the queue, this does not count as a delivery attempt
+    returnBundle(delivery, ttl) {
+        let bundle = delivery.bundle || [];
+        delivery.bundle = false;
+
+        bundle.forEach(entry => {
+            this.sendCommand(
+                {
+                    cmd: 'DEFER',
+                    id: delivery.id,
+                    seq: entry.seq,
+                    _lock: entry._lock,
+                    ttl: ttl || 0,
+                    postpone: true
+                },
+                err => {
+                    if (err && !this.closing) {
+                        log.error(this.logName, 'id=%s %s.%s %s', delivery.sessionId, delivery.id, entry.seq, err.message);
+                        emitGelf({
+                            short_message: `${gelfCode('DELIVERY_DEFER_FAILED')} Failed to defer delivery`,
+                            full_message: err && err.stack ? err.stack : undefined,
+                            _logger: this.logName,
+                            _session_id: delivery.sessionId,
+                            _delivery_id: delivery.id,
+                            _delivery_seq: entry.seq,
+                            _error: err.message
                         });
-                    });
+
+                        this.closing = true;
+                        this.emit('error', err);
+                    }
+                }
+            );
+        });
+    }
+
+    // stores a successful delivery result and runs delivery hooks
+    handleDelivered(delivery, connection, info, messageStats, callback) {
+        let envelopeFrom = (delivery.envelope && delivery.envelope.from) || delivery.from;
+        let envelopeRecipient = (delivery.envelope && delivery.envelope.to) || delivery.recipient;
+
+        log.info(
+            this.logName,
+            'id=%s %s.%s ACCEPTED from=%s to=%s src=%s mx=%s message-id=%s (%s)',
+            delivery.sessionId,
+            delivery.id,
+            delivery.seq,
+            (delivery.from || '') + (delivery.from !== envelopeFrom ? '[' + envelopeFrom + ']' : '') || '<>',
+            envelopeRecipient || '',
+            delivery.localAddress || (connection && connection.options.localAddress) || '',
+            (connection && connection.options.servername + '[' + connection.options.host + ']') || delivery.domain || '',
+            delivery.headers.getFirst('Message-ID'),
+            bounces.formatSMTPResponse(info.response)
+        );
+
+        plugins.handler.remotelog(delivery.id, delivery.seq, 'ACCEPTED', {
+            zone: this.zone.name,
+            from: delivery.from,
+            returnPath: (delivery.envelope && delivery.envelope.from) || delivery.from,
+            to: (delivery.envelope && delivery.envelope.to) || delivery.recipient,
+            mx: connection.options.servername || delivery.domain,
+            host: connection.options.host,
+            ip: connection.options.localAddress,
+            response: bounces.formatSMTPResponse(info.response).substr(0, 312),
+            size: messageStats.size,
+            timer: messageStats.time,
+            start: messageStats.start,
+            messageId: delivery.messageId || delivery.id,
+
+            ...getConnectionTlsLogData(connection),
+
+            protocol: info.protocol || (!delivery.useLMTP ? 'smtp' : 'lmtp'),
+            httpUrl: info.httpUrl,
+            httpResponse: info.httpResponse
+        });
+
+        this.recordAttempt(delivery, connection, 'delivered', {
+            response: bounces.formatSMTPResponse(info.response),
+            protocol: info.protocol
+        });
+
+        ipWarmup.record(this.zone.name, connection.options.localAddress, delivery.domain);
+
+        delivery.status = {
+            delivered: true,
+            ip: connection.options.localAddress,
+            mx: connection.options.servername || delivery.domain,
+            response: bounces.formatSMTPResponse(info.response)
+        };
+
+        // If the next hop does not support DSN then we have to notify the sender about relaying the message.
+        // If extensions are not known then nothing is sent, otherwise every delivery would be reported as relayed
+        let extensions = dsnTools.getConnectionExtensions(connection);
+        let sendRelayedNotification = !connection.http && !!extensions && !extensions.includes('DSN') && dsnTools.shouldNotify(delivery, 'success');
+
+        this.releaseDelivery(delivery, (err, released) => {
+            if (err) {
+                log.error(this.logName, 'id=%s %s.%s Can not get message acknowledged. %s', delivery.sessionId, delivery.id, delivery.seq, err.message);
+                emitGelf({
+                    short_message: `${gelfCode('DELIVERY_ACK_FAILED')} Failed to acknowledge delivered message`,
+                    full_message: err && err.stack ? err.stack : undefined,
+                    _logger: this.logName,
+                    _session_id: delivery.sessionId,
+                    _delivery_id: delivery.id,
+                    _delivery_seq: delivery.seq,
+                    _error: err.message
                 });
+
+                this.closing = true;
+                return this.emit('error', err);
+            }
+
+            if (!released) {
+                log.info(this.logName, 'id=%s %s.%s NOTFOUND Failed to release delivery', delivery.sessionId, delivery.id, delivery.seq);
+            } else if (sendRelayedNotification) {
+                setImmediate(() => this.sendRelayedMessage(delivery, delivery.status.response));
+            }
+
+            plugins.handler.runHooks('sender:delivered', [delivery, info], err => {
+                if (err) {
+                    log.error(
+                        this.logName,
+                        'id=%s %s.%s Failed to process sender:delivered hook. %s',
+                        delivery.sessionId,
+                        delivery.id,
+                        delivery.seq,
+                        err.message
+                    );
+                    emitGelf({
+                        short_message: `${gelfCode('SENDER_DELIVERED_HOOK_FAILED')} sender:delivered hook failed`,
+                        _stack: err && err.stack ? err.stack : undefined,
+                        _logger: this.logName,
+                        _session_id: delivery.sessionId,
+                        _delivery_id: delivery.id,
+                        _delivery_seq: delivery.seq,
+                        _failure_msg: err.message
+                    });
+                }
+
+                return setImmediate(() => callback());
             });
         });
     }
@@ -855,7 +1045,13 @@ class Sender extends EventEmitter {
                 status: false
             };
         } else {
-            bounce = bounces.check(err.response || err.message, err.category);
+            bounce = bounces.check(err.response || err.message, err.category, {
+                context: {
+                    command: err.command,
+                    mx: delivery.mxHostname || (connection && connection.options.servername),
+                    domain: delivery.domain
+                }
+            });
         }
 
         bounce.action = err.action || bounce.action;
@@ -866,16 +1062,69 @@ class Sender extends EventEmitter {
         let envelopeFrom = (delivery.envelope && delivery.envelope.from) || delivery.from;
         let envelopeRecipient = (delivery.envelope && delivery.envelope.to) || delivery.recipient;
 
+        if (ipReputation.tracks(bounce.category) && !delivery.sharedResponse) {
+            let localAddress =
+                delivery.localAddress || (connection && connection.options.localAddress) || (delivery.zoneAddress && delivery.zoneAddress.address);
+            ipReputation.record(
+                {
+                    address: localAddress,
+                    domain: delivery.domain,
+                    category: bounce.category,
+                    response: smtpResponse
+                },
+                (err, entry) => {
+                    if (!err && entry) {
+                        log.info(
+                            this.logName,
+                            'id=%s %s.%s REPDISABLE Disabled IP %s for %s after %s %s responses',
+                            delivery.sessionId,
+                            delivery.id,
+                            delivery.seq,
+                            entry.address,
+                            entry.provider,
+                            entry.count,
+                            entry.category
+                        );
+                    }
+                }
+            );
+        }
+
         if (bounce.category === 'blacklist' && (delivery.poolDisabled || !envelopeFrom)) {
             // blacklisted IP
             // no available IP addresses left or its a bounce message, give up delivering it
             bounce.action = 'reject';
         }
 
-        const deferTimes = delivery.deferTimes && Array.isArray(delivery.deferTimes) && delivery.deferTimes.length ? delivery.deferTimes : DEFAULT_DEFER_TIMES;
+        const retry = retryPolicy.getDeferTime(delivery, bounce.category, { zonePolicy: this.zone.retryPolicy, schedule: bounce.deferTimes });
+
+        if (bounce.action !== 'reject' && retry.messageExpired) {
+            log.info(
+                this.logName,
+                'id=%s %s.%s EXPIRED[%s] Message expired at %s, not retrying',
+                delivery.sessionId,
+                delivery.id,
+                delivery.seq,
+                bounce.category,
+                new Date(delivery.expires).toISOString()
+            );
+            // use a distinct category, so bounce handlers can tell expired messages apart
+            bounce.category = 'expired';
+        } else if (bounce.action !== 'reject' && retry.expired) {
+            log.info(
+                this.logName,
+                'id=%s %s.%s EXPIRED[%s] Retry policy %s does not allow queueing for longer than %ss',
+                delivery.sessionId,
+                delivery.id,
+                delivery.seq,
+                bounce.category,
+                retry.policy,
+                Math.round(retry.maxQueueTime / 1000)
+            );
+        }
 
-        if (bounce.action !== 'reject' && deferredCount < deferTimes.length) {
-            const ttl = deferTimes[deferredCount];
+        if (bounce.action !== 'reject' && retry.ttl !== false) {
+            const ttl = retry.ttl;
             log.info(
                 this.logName,
                 'id=%s %s.%s DEFERRED[%s] from=%s to=%s src=%s mx=%s message-id=%s (%s)',
@@ -895,6 +1144,7 @@ class Sender extends EventEmitter {
                 category: bounce.category,
                 defcount: deferredCount + 1,
                 nextattempt: Date.now() + ttl,
+                retryPolicy: retry.policy,
                 zone: this.zone.name,
                 from: delivery.from,
                 returnPath: (delivery.envelope && delivery.envelope.from) || delivery.from,
@@ -915,6 +1165,15 @@ class Sender extends EventEmitter {
                 httpResponse: err.httpResponse
             });
 
+            this.recordAttempt(delivery, connection, 'deferred', {
+                response: smtpResponse,
+                protocol: err.protocol,
+                category: bounce.category,
+                defcount: deferredCount + 1,
+                nextAttempt: new Date(Date.now() + ttl),
+                retryPolicy: retry.policy
+            });
+
             return this.deferDelivery(delivery, ttl, smtpLog, smtpResponse, bounce, (err, deferred) => {
                 if (err) {
                     log.error(this.logName, 'id=%s %s.%s %s', delivery.sessionId, delivery.id, delivery.seq, err.message);
@@ -937,12 +1196,15 @@ class Sender extends EventEmitter {
                 return callback();
             });
         } else {
+            let status = bounce.action !== 'reject' && retry.messageExpired ? 'EXPIRED' : 'REJECTED';
+
             log.info(
                 this.logName,
-                'id=%s %s.%s REJECTED[%s] from=%s to=%s src=%s mx=%s message-id=%s (%s)',
+                'id=%s %s.%s %s[%s] from=%s to=%s src=%s mx=%s message-id=%s (%s)',
                 delivery.sessionId,
                 delivery.id,
                 delivery.seq,
+                status,
                 bounce.category,
                 (delivery.from || '') + (delivery.from !== envelopeFrom ? '[' + envelopeFrom + ']' : '') || '<>',
                 envelopeRecipient,
@@ -952,7 +1214,7 @@ class Sender extends EventEmitter {
                 smtpResponse
             );
 
-            plugins.handler.remotelog(delivery.id, delivery.seq, 'REJECTED', {
+            plugins.handler.remotelog(delivery.id, delivery.seq, status, {
                 category: bounce.category,
                 zone: this.zone.name,
                 from: delivery.from,
@@ -974,6 +1236,13 @@ class Sender extends EventEmitter {
                 httpResponse: err.httpResponse
             });
 
+            this.recordAttempt(delivery, connection, 'bounced', {
+                response: smtpResponse,
+                protocol: err.protocol,
+                status,
+                category: bounce.category
+            });
+
             delivery.status = {
                 delivered: false,
                 mx: (connection && connection.options.servername) || delivery.domain,
@@ -1008,6 +1277,38 @@ class Sender extends EventEmitter {
     }
 
     getConnectionWithCache(delivery, callback) {
+        let zoneAddress = delivery.zoneAddress || delivery.zoneAddressIPv4;
+
+        if (delivery.warmupLimited && zoneAddress && delivery.warmupLimited.address === zoneAddress.address) {
+            // daily warm-up volume is used up and there are no established addresses to use instead
+            let err = new Error('Warm-up volume used up for ' + zoneAddress.address);
+            err.rateLimited = delivery.warmupLimited;
+            return callback(err);
+        }
+
+        if (delivery.rateLimit && !delivery.rateLimitChecked) {
+            return rateLimit.consume(
+                {
+                    domain: delivery.domain,
+                    zone: this.zone.name,
+                    address: zoneAddress && zoneAddress.address,
+                    // every recipient of a bundled transaction is a separate message for the receiving server
+                    count: 1 + ((delivery.bundle && delivery.bundle.length) || 0),
+                    limits: delivery.rateLimit
+                },
+                (err, limited, consumed) => {
+                    if (!err && limited) {
+                        err = new Error('Rate limit reached for ' + delivery.domain);
+                        err.rateLimited = limited;
+                        return callback(err);
+                    }
+                    delivery.rateLimitChecked = true;
+                    delivery.rateLimitConsumed = consumed;
+                    return this.getConnectionWithCache(delivery, callback);
+                }
+            );
+        }
+
         if (delivery.http) {
             if (!delivery.targetUrl) {
                 let err = new Error('No target URL defined for HTTP message');
@@ -1601,6 +1902,39 @@ class Sender extends EventEmitter {
         tryConnect();
     }
 
+    /**
+     * Stores a delivery attempt and its outcome to the event timeline of the message
+     *
+     * @param {Object} delivery Delivery object
+     * @param {Object} [connection] SMTP connection, not set if connecting failed
+     * @param {String} event Outcome of the attempt, eg. 'delivered'
+     * @param {Object} data Event data, eg. {response}
+     */
+    recordAttempt(delivery, connection, event, data) {
+        let entry = {
+            id: delivery.id,
+            seq: delivery.seq,
+            recipient: delivery.recipient,
+            zone: this.zone.name
+        };
+
+        let attempt = Object.assign({}, entry, connection ? getConnectionTlsLogData(connection) : {}, {
+            event: 'attempt',
+            result: event,
+            mx: (connection && connection.options.servername) || delivery.domain,
+            host: connection && connection.options.host,
+            ip: (connection && connection.options.localAddress) || delivery.localAddress,
+            protocol: data.protocol || (!delivery.useLMTP ? 'smtp' : 'lmtp'),
+            response: data.response
+        });
+        delete attempt.secure;
+
+        let outcome = Object.assign({}, entry, data, { event });
+        delete outcome.protocol;
+
+        this.queue.events.record([attempt, outcome]);
+    }
+
     releaseDelivery(delivery, callback) {
         this.sendCommand(
             {
@@ -1622,6 +1956,73 @@ class Sender extends EventEmitter {
         );
     }
 
+    // removes a delivery that was not sent before the expiration time of the message
+    expireDelivery(delivery, callback) {
+        let response = 'Message expired at ' + new Date(delivery.expires).toISOString() + ' before it could be delivered';
+
+        log.info(
+            this.logName,
+            'id=%s %s.%s EXPIRED[expired] from=%s to=%s message-id=%s (%s)',
+            delivery.sessionId,
+            delivery.id,
+            delivery.seq,
+            delivery.from || '<>',
+            delivery.recipient,
+            delivery.headers.getFirst('Message-ID'),
+            response
+        );
+
+        plugins.handler.remotelog(delivery.id, delivery.seq, 'EXPIRED', {
+            category: 'expired',
+            zone: this.zone.name,
+            from: delivery.from,
+            to: delivery.recipient,
+            response,
+            messageId: delivery.messageId || delivery.id
+        });
+
+        // no delivery attempt was made, so only the outcome is stored
+        this.queue.events.record({
+            id: delivery.id,
+            seq: delivery.seq,
+            event: 'bounced',
+            recipient: delivery.recipient,
+            zone: this.zone.name,
+            status: 'EXPIRED',
+            category: 'expired',
+            response
+        });
+
+        delivery.status = {
+            delivered: false,
+            mx: delivery.domain,
+            response
+        };
+
+        this.releaseDelivery(delivery, (err, released) => {
+            if (err) {
+                log.error(this.logName, 'id=%s %s.%s %s', delivery.sessionId, delivery.id, delivery.seq, err.message);
+                emitGelf({
+                    short_message: `${gelfCode('DELIVERY_RELEASE_FAILED')} Failed to release delivery`,
+                    full_message: err && err.stack ? err.stack : undefined,
+                    _logger: this.logName,
+                    _session_id: delivery.sessionId,
+                    _delivery_id: delivery.id,
+                    _delivery_seq: delivery.seq,
+                    _error: err.message
+                });
+                this.closing = true;
+                return this.emit('error', err);
+            }
+
+            if (released) {
+                setImmediate(() => this.sendBounceMessage(delivery, { category: 'expired' }, response));
+            }
+
+            return callback();
+        });
+    }
+
     deferDelivery(delivery, ttl, smtpLog, smtpResponse, bounce, callback) {
         this.sendCommand(
             {
@@ -1633,6 +2034,8 @@ class Sender extends EventEmitter {
                 response: smtpResponse,
                 address: delivery.localAddress || (delivery.zoneAddress && delivery.zoneAddress.address),
                 category: bounce.category,
+                action: bounce.action,
+                sharedResponse: delivery.sharedResponse,
                 updates: delivery.updates,
                 log: smtpLog
             },
@@ -1645,6 +2048,58 @@ class Sender extends EventEmitter {
         );
     }
 
+    // defers a delivery until the rate limit window ends without increasing the deferred count
+    deferRateLimited(delivery, limited, callback) {
+        // spread deferred deliveries a bit, so these do not all hit the next window at the same moment
+        let ttl = limited.ttl + Math.round(Math.random() * Math.min(limited.time / 10, 60 * 1000));
+
+        // bundled recipients would be sent in the same transaction, so these wait as well
+        this.returnBundle(delivery, ttl);
+
+        log.info(
+            this.logName,
+            'id=%s %s.%s RATELIMITED to=%s limit=%s/%ss per %s, next attempt in %ss',
+            delivery.sessionId,
+            delivery.id,
+            delivery.seq,
+            delivery.recipient,
+            limited.messages,
+            Math.round(limited.time / 1000),
+            limited.scope,
+            Math.round(ttl / 1000)
+        );
+
+        this.sendCommand(
+            {
+                cmd: 'DEFER',
+                id: delivery.id,
+                seq: delivery.seq,
+                _lock: delivery._lock,
+                ttl,
+                rateLimited: true,
+                category: 'ratelimit'
+            },
+            err => {
+                if (err) {
+                    log.error(this.logName, 'id=%s %s.%s %s', delivery.sessionId, delivery.id, delivery.seq, err.message);
+                    emitGelf({
+                        short_message: `${gelfCode('DELIVERY_DEFER_FAILED')} Failed to defer delivery`,
+                        full_message: err && err.stack ? err.stack : undefined,
+                        _logger: this.logName,
+                        _session_id: delivery.sessionId,
+                        _delivery_id: delivery.id,
+                        _delivery_seq: delivery.seq,
+                        _error: err.message
+                    });
+
+                    this.closing = true;
+                    return this.emit('error', err);
+                }
+                return callback();
+            }
+        );
+    }
+
     signMessage(delivery) {
         if (!delivery.dkim) {
             return;
@@ -1689,6 +2144,10 @@ class Sender extends EventEmitter {
                 arrivalDate: delivery.created,
                 response: smtpResponse,
 
+                dsn: delivery.dsn,
+                dsnNotify: delivery.dsnNotify,
+                dsnOrcpt: delivery.dsnOrcpt,
+
                 fbl: delivery.fbl
             },
             err => {
@@ -1710,6 +2169,71 @@ class Sender extends EventEmitter {
             }
         );
     }
+
+    sendRelayedMessage(delivery, smtpResponse) {
+        if (!bounces.canSendBounce(delivery, { logName: this.logName })) {
+            return false;
+        }
+
+        this.sendCommand(
+            {
+                cmd: 'RELAYED',
+                // LMTP is the final hop, so the message was not relayed but delivered
+                action: delivery.useLMTP ? 'delivered' : 'relayed',
+                id: delivery.id,
+                sessionId: delivery.sessionId,
+
+                zone: this.zone.name,
+                interface: delivery.interface,
+                from: delivery.from,
+                to: delivery.recipient,
+                seq: delivery.seq,
+                headers: delivery.headers.getList(),
+
+                address: delivery.localAddress || (delivery.zoneAddress && delivery.zoneAddress.address),
+                name: (delivery.account && delivery.account.returnPathDomain) || delivery.localHostname || (delivery.zoneAddress && delivery.zoneAddress.name),
+                mxHostname: delivery.mxHostname,
+
+                returnPath: delivery.from,
+                time: Date.now(),
+                arrivalDate: delivery.created,
+                response: smtpResponse,
+
+                dsn: delivery.dsn,
+                dsnNotify: delivery.dsnNotify,
+                dsnOrcpt: delivery.dsnOrcpt
+            },
+            err => {
+                if (err) {
+                    log.error(this.logName, 'id=%s %s.%s %s', delivery.sessionId, delivery.id, delivery.seq, err.message);
+                    emitGelf({
+                        short_message: `${gelfCode('DSN_RELAYED_SEND_FAILED')} Failed to enqueue relayed DSN message`,
+                        _stack: err && err.stack ? err.stack : undefined,
+                        _logger: this.logName,
+                        _session_id: delivery.sessionId,
+                        _delivery_id: delivery.id,
+                        _delivery_seq: delivery.seq,
+                        _failure_msg: err.message
+                    });
+                    return;
+                }
+            }
+        );
+    }
+}
+
+// bundled recipients can only be sent in the same transaction if plugins did not change routing or headers for these
+function getBundleRouting(delivery) {
+    return JSON.stringify({
+        from: delivery.envelope.from,
+        http: delivery.http,
+        targetUrl: delivery.targetUrl,
+        useLMTP: delivery.useLMTP,
+        isSuppressed: delivery.isSuppressed,
+        mx: delivery.mx,
+        mxPort: delivery.mxPort,
+        headers: delivery.headers.build().toString('binary')
+    });
 }
 
 function addressNameDecoder(addr) {
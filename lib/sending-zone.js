@@ -11,6 +11,10 @@ const log = require('npmlog');
 const crypto = require('crypto');
 const punycode = require('punycode/');
 const addressTools = require('./address-tools');
+const ipReputation = require('./ip-reputation');
+const addressBlacklist = require('./address-blacklist');
+const ipWarmup = require('./ip-warmup');
+const adaptiveThrottle = require('./adaptive-throttle');
 const { gelfCode, emitGelf } = require('./log-gelf');
 
 let sendingZonelist = new Map();
@@ -86,7 +90,9 @@ class SendingZone {
             'authMethod',
             'poolHash',
             'disabled',
-            'connectionCache'
+            'connectionCache',
+            'retryPolicy',
+            'bundleRecipients'
         ].forEach(key => {
             if (key in zone) {
                 this[key] = zone[key];
@@ -157,6 +163,8 @@ class SendingZone {
             }
         });
 
+        ipWarmup.register(this.name, this.pool);
+
         this.ipv4Pool = [].concat(this.pool || []).filter(item => net.isIPv4(item.address));
         this.ipv6Pool = [].concat(this.pool || []).filter(item => net.isIPv6(item.address));
 
@@ -181,7 +189,8 @@ class SendingZone {
     getAddress(delivery, useIPv6, disabledAddresses) {
         let key;
 
-        disabledAddresses = disabledAddresses || [];
+        // addresses with bad reputation for the destination provider are shared between all processes and instances
+        disabledAddresses = [].concat(disabledAddresses || []).concat(ipReputation.getDisabledAddresses(delivery.domain));
 
         switch (delivery.poolHash || this.poolHash) {
             case 'from':
@@ -205,7 +214,34 @@ class SendingZone {
         // Return the same IP for the same delivery. This is needed for greylisting
         // where the server expects request from the same source
         let index = Math.abs(crc32.str(key) % pool.length);
-        return pool[index];
+        let address = pool[index];
+
+        let now = Date.now();
+        let exceeded = address.warmup && ipWarmup.isWarming(address, now) && ipWarmup.getExceededLimit(address, delivery.domain, now);
+        if (exceeded) {
+            // daily volume of the warm-up schedule is used up, route overflow to established addresses
+            // or, if the whole pool is warming up, to other warming up addresses that still have capacity
+            let established = pool.filter(entry => !ipWarmup.isWarming(entry, now));
+            if (!established.length) {
+                established = pool.filter(entry => entry !== address && ipWarmup.hasCapacity(entry, delivery.domain, now));
+            }
+
+            if (established.length) {
+                address = established[Math.abs(crc32.str(key) % established.length)];
+            } else {
+                // no address can be used today, so the delivery has to wait until the daily counters are reset
+                delivery.warmupLimited = {
+                    address: address.address,
+                    messages: exceeded.messages,
+                    provider: exceeded.provider,
+                    time: 24 * 3600 * 1000,
+                    ttl: ipWarmup.getDayEnd(now),
+                    scope: 'warmup'
+                };
+            }
+        }
+
+        return address;
     }
 
     spawnSenders(callback) {
@@ -303,6 +339,17 @@ class SendingZone {
         });
     }
 
+    // asks sender processes of this zone to reload bounce rules
+    reloadBounces() {
+        this.children.forEach(child => {
+            try {
+                child.send({ cmd: 'reloadBounces' });
+            } catch (E) {
+                // ignore, child process might be already exiting
+            }
+        });
+    }
+
     getNextDelivery(lockOwner, callback) {
         if (!this.queue) {
             return callback(new Error('Queue missing'));
@@ -311,7 +358,10 @@ class SendingZone {
             this.name,
             {
                 lockOwner,
-                getDomainConfig: (domain, key) => this.domainConfig.get(domain, key)
+                // connections of all sender processes, used to reserve capacity for higher priority lanes
+                capacity: this.connections * this.processes,
+                getDomainConfig: (domain, key) => this.domainConfig.get(domain, key),
+                getThrottling: domain => adaptiveThrottle.get(this.name, domain)
             },
             callback
         );
@@ -324,54 +374,33 @@ class SendingZone {
         this.queue.releaseDelivery(delivery, callback);
     }
 
-    removeFromBlacklist(data) {
-        let disabledAddresses = this.domainConfig.get(data.domain, 'disabledAddresses');
-        if (disabledAddresses.includes(data.address)) {
-            for (let i = 0, len = disabledAddresses.length; i < len; i++) {
-                if (disabledAddresses[i] === data.address) {
-                    disabledAddresses.splice(i, 1);
-                    if (disabledAddresses.length) {
-                        this.domainConfig.set(data.domain, 'disabledAddresses', disabledAddresses);
-                    } else {
-                        this.domainConfig.remove(data.domain, 'disabledAddresses');
-                    }
-                    log.info('Blacklist', '%s.%s DELBLADDRESS De-blacklisting IP %s for %s', data.id, data.seq, data.address, data.domain);
-                    return;
-                }
-            }
-        }
-    }
-
     deferDelivery(delivery, ttl, responseData, callback) {
         if (!this.queue) {
             return callback(new Error('Queue missing'));
         }
 
         if (responseData.category === 'blacklist' && responseData.address && delivery.domain) {
-            // block IP for domain
-            let disabledAddresses = this.domainConfig.get(delivery.domain, 'disabledAddresses');
-            if (!disabledAddresses.includes(responseData.address)) {
+            // block IP for domain in all processes and instances for the next blacklist.ttl ms
+            if (!addressBlacklist.getAddresses(delivery.domain).includes(responseData.address)) {
                 log.info('Blacklist', '%s.%s ADDBLADDRESS Blacklisting IP %s for %s', delivery.id, delivery.seq, responseData.address, delivery.domain);
-                disabledAddresses.push(responseData.address);
-                this.domainConfig.set(delivery.domain, 'disabledAddresses', disabledAddresses);
-
-                // blacklist IP for MX for next 6 hours
-                this.queue.cache.set(
-                    'blacklist:' + delivery.domain + ':' + responseData.address,
+                addressBlacklist.add(
                     {
-                        id: delivery.id,
-                        seq: delivery.seq,
-                        address: responseData.address,
                         domain: delivery.domain,
+                        address: responseData.address,
                         response: responseData.response,
-                        created: Date.now()
+                        id: delivery.id,
+                        seq: delivery.seq
                     },
-                    config.blacklist.ttl,
-                    data => this.removeFromBlacklist(data)
+                    () => false
                 );
             }
         }
 
+        if (!responseData.rateLimited && !responseData.sharedResponse && delivery.domain && adaptiveThrottle.isSlowdown(responseData)) {
+            // reduce concurrency and sending rate for the domain until deliveries succeed again
+            adaptiveThrottle.slowdown(this.name, delivery.domain, responseData.address);
+        }
+
         this.queue.deferDelivery(delivery, ttl, responseData, callback);
     }
 
@@ -444,11 +473,8 @@ class SendingZone {
             delivery.id +
             '.' +
             delivery.seq +
-            '\r\n' +
-            // for <receiver@example.com>
-            ' for <' +
-            delivery.recipient +
-            '>' +
+            // for <receiver@example.com>, omitted if the message is sent to several recipients at once
+            (!delivery.bundle || !delivery.bundle.length ? '\r\n for <' + delivery.recipient + '>' : '') +
             // (version=TLSv1/SSLv3 cipher=ECDHE-RSA-AES128-GCM-SHA256)
             (delivery.tls ? '\r\n (version=' + delivery.tls.version + ' cipher=' + delivery.tls.name + ')' : '') +
             ';' +
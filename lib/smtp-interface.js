@@ -9,6 +9,7 @@ const MailDrop = require('./mail-drop');
 const plugins = require('./plugins');
 const packageData = require('../package.json');
 const addressTools = require('./address-tools');
+const dsnTools = require('./dsn');
 const SizeLimiter = require('./size-limiter');
 const RemoteQueue = require('./remote-queue');
 const { gelfCode, emitGelf } = require('./log-gelf');
@@ -178,6 +179,10 @@ class SMTPInterface {
                         }
 
                         this.sendCommand('INDEX', (err, envelopeId) => {
+                            if (err && err.responseCode) {
+                                // master is draining, client should try again later
+                                return callback(err);
+                            }
                             if (err) {
                                 this.closing = true;
                                 log.error(this.logName, err.message);
@@ -370,6 +375,11 @@ class SMTPInterface {
                     }
                 }
 
+                // smtp-server hides DSN by default, so only override if explicitly set
+                if (typeof this.options.hideDSN === 'boolean') {
+                    serverConfig.hideDSN = this.options.hideDSN;
+                }
+
                 serverConfig.SNICallback = (servername, cb) => {
                     let data = {};
                     plugins.handler.runHooks('smtp:sni', [servername, data], err => {
@@ -439,6 +449,11 @@ class SMTPInterface {
             envelope.tls = session.tlsOptions;
         }
 
+        let dsn = dsnTools.fromSession(session);
+        if (dsn) {
+            envelope.dsn = dsn;
+        }
+
         plugins.handler.runHooks('smtp:data', [envelope, session], err => {
             if (err) {
                 stream.destroy();
@@ -0,0 +1,60 @@
+'use strict';
+
+const zlib = require('zlib');
+
+const ALGORITHMS = ['gzip', 'zstd'];
+
+/**
+ * Validates a compression algorithm name
+ *
+ * @param {String|Boolean} value Algorithm name, false to disable compression
+ * @returns {String|Boolean} Normalized algorithm name or false if compression is disabled
+ * @throws {Error} If the algorithm is not supported
+ */
+function parseCompression(value) {
+    if (!value) {
+        return false;
+    }
+
+    value = value.toString().toLowerCase().trim();
+    if (!ALGORITHMS.includes(value)) {
+        throw new Error('Unknown compression algorithm "' + value + '"');
+    }
+
+    if (value === 'zstd' && typeof zlib.createZstdCompress !== 'function') {
+        throw new Error('zstd compression requires Node.js 22.15 or newer');
+    }
+
+    return value;
+}
+
+function createCompressor(algorithm, level) {
+    level = Number(level);
+    switch (algorithm) {
+        case 'gzip':
+            return zlib.createGzip(level ? { level } : {});
+        case 'zstd':
+            return zlib.createZstdCompress(level ? { params: { [zlib.constants.ZSTD_c_compressionLevel]: level } } : {});
+    }
+    throw new Error('Unknown compression algorithm "' + algorithm + '"');
+}
+
+function createDecompressor(algorithm) {
+    switch (algorithm) {
+        case 'gzip':
+            return zlib.createGunzip();
+        case 'zstd':
+            if (typeof zlib.createZstdDecompress !== 'function') {
+                throw new Error('zstd compression requires Node.js 22.15 or newer');
+            }
+            return zlib.createZstdDecompress();
+    }
+    throw new Error('Unknown compression algorithm "' + algorithm + '"');
+}
+
+module.exports = {
+    ALGORITHMS,
+    parseCompression,
+    createCompressor,
+    createDecompressor
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+const Writable = require('stream').Writable;
+
+/**
+ * Hashes message contents while these are stored. Once the contents are stored, the message is linked
+ * either to the stored copy or to existing shared contents with the same hash. Emits 'finish' once the
+ * message is linked
+ */
+class DedupStream extends Writable {
+    constructor(storage, id, target, metadata) {
+        super();
+        this.storage = storage;
+        this.id = id;
+        this.target = target;
+        this.metadata = metadata;
+        this.size = 0;
+        this.hash = storage.createHash();
+
+        this.target.once('error', err => this.destroy(err));
+    }
+
+    _write(chunk, encoding, callback) {
+        this.size += chunk.length;
+        this.hash.update(chunk);
+        this.target.write(chunk, callback);
+    }
+
+    _final(callback) {
+        // the file entry is written once the target is finished, so metadata can still be updated
+        this.metadata.hash = this.hash.digest('hex');
+        this.metadata.size = this.size;
+        this.target.once('finish', () => this.storage.link(this.id, this.metadata, callback));
+        this.target.end();
+    }
+}
+
+module.exports = DedupStream;
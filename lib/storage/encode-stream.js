@@ -0,0 +1,39 @@
+'use strict';
+
+const Writable = require('stream').Writable;
+
+/**
+ * Passes data through a chain of transform streams (eg. compression and encryption) before writing it
+ * to the target stream. Emits 'finish' once the target stream is finished, so it can be used in place
+ * of the target stream. The size of the original data is stored to metadata.size before the target
+ * stream is ended
+ */
+class EncodeStream extends Writable {
+    constructor(transforms, target, metadata) {
+        super();
+        this.transforms = transforms;
+        this.target = target;
+        this.metadata = metadata;
+        this.size = 0;
+
+        this.target.once('error', err => this.destroy(err));
+        this.transforms.forEach((transform, i) => {
+            transform.once('error', err => this.destroy(err));
+            transform.pipe(this.transforms[i + 1] || this.target);
+        });
+    }
+
+    _write(chunk, encoding, callback) {
+        this.size += chunk.length;
+        this.transforms[0].write(chunk, callback);
+    }
+
+    _final(callback) {
+        // the file entry is written once the target is finished, so metadata can still be updated
+        this.metadata.size = this.size;
+        this.target.once('finish', () => callback());
+        this.transforms[0].end();
+    }
+}
+
+module.exports = EncodeStream;
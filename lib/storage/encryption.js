@@ -0,0 +1,177 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+/**
+ * Parses a master key value. Keys are 32 bytes, either hex or base64 encoded
+ *
+ * @param {String} value Encoded key
+ * @returns {Buffer} Key
+ * @throws {Error} If the key is not valid
+ */
+function parseKey(value) {
+    value = (value || '').toString().trim();
+
+    let key = /^[0-9a-f]+$/i.test(value) && value.length === KEY_LENGTH * 2 ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== KEY_LENGTH) {
+        throw new Error('Encryption key must be ' + KEY_LENGTH + ' bytes long');
+    }
+    return key;
+}
+
+/**
+ * Master keys for envelope encryption. Every message is encrypted with a random data key and the data key
+ * is stored in message metadata, encrypted with a master key. Old master keys can be kept in the keyring
+ * for decryption while new messages are encrypted with the current key
+ */
+class Keyring {
+    /**
+     * @constructor
+     * @param {Object} options Encryption options
+     * @param {String} options.currentKey ID of the key to encrypt new messages with
+     * @param {Object} options.keys Master keys by ID, eg. {key1: {file: '/path/to/key'}, key0: {env: 'ZONEMTA_KEY0'}}
+     */
+    constructor(options) {
+        this.options = options || {};
+        this.keys = new Map();
+
+        Object.keys(this.options.keys || {}).forEach(keyId => {
+            let source = this.options.keys[keyId] || {};
+            let value;
+            if (source.file) {
+                value = fs.readFileSync(source.file, 'utf-8');
+            } else if (source.env) {
+                value = process.env[source.env];
+                if (!value) {
+                    throw new Error('Environment variable ' + source.env + ' for encryption key "' + keyId + '" is not set');
+                }
+            } else {
+                throw new Error('Source not set for encryption key "' + keyId + '"');
+            }
+
+            try {
+                this.keys.set(keyId, parseKey(value));
+            } catch (err) {
+                err.message = 'Invalid encryption key "' + keyId + '". ' + err.message;
+                throw err;
+            }
+        });
+
+        this.currentKey = this.options.currentKey || false;
+        if (this.currentKey && !this.keys.has(this.currentKey)) {
+            throw new Error('Current encryption key "' + this.currentKey + '" not found');
+        }
+    }
+
+    getKey(keyId) {
+        if (!this.keys.has(keyId)) {
+            throw new Error('Encryption key "' + keyId + '" not found');
+        }
+        return this.keys.get(keyId);
+    }
+
+    /**
+     * Encrypts a data key with a master key
+     *
+     * @param {Buffer} dataKey Data key
+     * @param {String} [keyId] Master key ID, defaults to the current key
+     * @returns {Object} Encryption info for message metadata, without the body IV and tag
+     */
+    wrap(dataKey, keyId) {
+        keyId = keyId || this.currentKey;
+
+        let iv = crypto.randomBytes(IV_LENGTH);
+        let cipher = crypto.createCipheriv(ALGORITHM, this.getKey(keyId), iv);
+        let wrapped = Buffer.concat([cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+
+        return {
+            algorithm: ALGORITHM,
+            keyId,
+            key: wrapped.toString('base64'),
+            keyIv: iv.toString('base64')
+        };
+    }
+
+    /**
+     * Decrypts the data key of a message
+     *
+     * @param {Object} encryption Encryption info from message metadata
+     * @returns {Buffer} Data key
+     */
+    unwrap(encryption) {
+        let wrapped = Buffer.from(encryption.key, 'base64');
+        let decipher = crypto.createDecipheriv(ALGORITHM, this.getKey(encryption.keyId), Buffer.from(encryption.keyIv, 'base64'));
+        decipher.setAuthTag(wrapped.slice(-16));
+        return Buffer.concat([decipher.update(wrapped.slice(0, -16)), decipher.final()]);
+    }
+
+    /**
+     * Encrypts the data key of a message with the current master key. Message contents are not changed
+     *
+     * @param {Object} encryption Encryption info from message metadata
+     * @returns {Object} Updated encryption info
+     */
+    rewrap(encryption) {
+        let wrapped = this.wrap(this.unwrap(encryption));
+        return Object.assign({}, encryption, wrapped);
+    }
+
+    /**
+     * Creates a keyed hash for message contents, used instead of a plain SHA-256 hash when contents are
+     * encrypted, so the stored hash can not be used to confirm guesses of the message contents. The hash
+     * key is derived from the current master key, so contents stored before a key rotation are not
+     * shared with contents stored after it
+     *
+     * @returns {Hmac} HMAC-SHA256 object
+     */
+    createHash() {
+        let hashKey = Buffer.from(crypto.hkdfSync('sha256', this.getKey(this.currentKey), Buffer.alloc(0), 'zone-mta deduplication', KEY_LENGTH));
+        return crypto.createHmac('sha256', hashKey);
+    }
+
+    /**
+     * Creates a cipher stream for message contents. Encryption info is stored to metadata.encryption,
+     * the authentication tag is added once the stream ends
+     *
+     * @param {Object} metadata Message metadata
+     * @returns {Stream} Cipher stream
+     */
+    createEncryptor(metadata) {
+        let dataKey = crypto.randomBytes(KEY_LENGTH);
+        let iv = crypto.randomBytes(IV_LENGTH);
+        let cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+
+        metadata.encryption = Object.assign(this.wrap(dataKey), {
+            iv: iv.toString('base64')
+        });
+
+        cipher.once('end', () => {
+            metadata.encryption.tag = cipher.getAuthTag().toString('base64');
+        });
+
+        return cipher;
+    }
+
+    /**
+     * Creates a decipher stream for message contents
+     *
+     * @param {Object} encryption Encryption info from message metadata
+     * @returns {Stream} Decipher stream
+     */
+    createDecryptor(encryption) {
+        if (encryption.algorithm !== ALGORITHM) {
+            throw new Error('Unknown encryption algorithm "' + encryption.algorithm + '"');
+        }
+        let decipher = crypto.createDecipheriv(ALGORITHM, this.unwrap(encryption), Buffer.from(encryption.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(encryption.tag, 'base64'));
+        return decipher;
+    }
+}
+
+module.exports = Keyring;
+module.exports.parseKey = parseKey;
@@ -0,0 +1,123 @@
+'use strict';
+
+const fs = require('fs');
+const pathlib = require('path');
+const Writable = require('stream').Writable;
+
+class FsWriteStream extends Writable {
+    constructor(driver, id, metadata) {
+        super();
+        this.driver = driver;
+        this.id = id;
+        this.metadata = metadata;
+        this.path = driver.getPath(id);
+        this.tmpPath = this.path + '.tmp';
+        this.fd = null;
+        this.length = 0;
+        this.stored = false;
+    }
+
+    _construct(callback) {
+        fs.mkdir(pathlib.dirname(this.path), { recursive: true }, err => {
+            if (err) {
+                return callback(err);
+            }
+            fs.open(this.tmpPath, 'w', (err, fd) => {
+                if (err) {
+                    return callback(err);
+                }
+                this.fd = fd;
+                return callback();
+            });
+        });
+    }
+
+    _write(chunk, encoding, callback) {
+        fs.write(this.fd, chunk, 0, chunk.length, null, err => {
+            if (err) {
+                return callback(err);
+            }
+            this.length += chunk.length;
+            return callback();
+        });
+    }
+
+    _final(callback) {
+        fs.close(this.fd, err => {
+            this.fd = null;
+            if (err) {
+                return callback(err);
+            }
+            fs.rename(this.tmpPath, this.path, err => {
+                if (err) {
+                    return callback(err);
+                }
+                this.driver.storage.addFile(this.id, 'fs', this.length, this.metadata, err => {
+                    if (err) {
+                        // without metadata the file would never be garbage collected
+                        return fs.unlink(this.path, () => callback(err));
+                    }
+                    this.stored = true;
+                    return callback();
+                });
+            });
+        });
+    }
+
+    _destroy(err, callback) {
+        let cleanup = () => {
+            if (this.stored) {
+                return callback(err);
+            }
+            fs.unlink(this.tmpPath, () => callback(err));
+        };
+
+        if (this.fd === null) {
+            return cleanup();
+        }
+        fs.close(this.fd, () => {
+            this.fd = null;
+            cleanup();
+        });
+    }
+}
+
+/**
+ * Stores message contents as files in a local spool directory. Files are written to a temporary
+ * name first and renamed once the message is complete, so partial files are never retrieved
+ */
+class FsStorage {
+    constructor(storage, options) {
+        this.storage = storage;
+        this.options = options || {};
+
+        if (!this.options.path) {
+            throw new Error('Spool directory path not set for the "fs" storage driver');
+        }
+        this.path = pathlib.resolve(this.options.path);
+    }
+
+    getPath(id) {
+        // spread files between subdirectories, the last characters of an ID change the most
+        return pathlib.join(this.path, id.substr(-2), id + '.eml');
+    }
+
+    createWriteStream(id, metadata) {
+        return new FsWriteStream(this, id, metadata);
+    }
+
+    retrieve(id) {
+        return fs.createReadStream(this.getPath(id));
+    }
+
+    remove(id, file, callback) {
+        fs.unlink(this.getPath(id), err => {
+            if (err && err.code !== 'ENOENT') {
+                return callback(err);
+            }
+            return callback(null, true);
+        });
+    }
+}
+
+module.exports = FsStorage;
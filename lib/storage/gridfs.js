@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Stores message contents in MongoDB GridFS. This is the default driver
+ */
+class GridFSStorage {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    createWriteStream(key, metadata) {
+        return this.storage.gridstore.openUploadStream(this.storage.getFilename(key), {
+            contentType: 'message/rfc822',
+            metadata
+        });
+    }
+
+    retrieve(key, file) {
+        return this.storage.gridstore.openDownloadStream(file._id);
+    }
+
+    remove(key, file, callback) {
+        this.storage.gridstore.delete(file._id, callback);
+    }
+}
+
+module.exports = GridFSStorage;
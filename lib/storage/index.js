@@ -0,0 +1,601 @@
+'use strict';
+
+const log = require('npmlog');
+const util = require('util');
+const crypto = require('crypto');
+const PassThrough = require('stream').PassThrough;
+const GridFSBucket = require('mongodb').GridFSBucket;
+const GridFSStorage = require('./gridfs');
+const FsStorage = require('./fs');
+const S3Storage = require('./s3');
+const compression = require('./compression');
+const Keyring = require('./encryption');
+const EncodeStream = require('./encode-stream');
+const DedupStream = require('./dedup-stream');
+
+const DRIVERS = {
+    gridfs: GridFSStorage,
+    fs: FsStorage,
+    s3: S3Storage
+};
+
+// shared contents that are not linked to a message after this time were left over by a failed process
+const PENDING_TIMEOUT = 60 * 60 * 1000;
+
+/**
+ * Stores message contents. Message metadata is always stored in the "<gfs>.files" collection, so
+ * metadata lookups and garbage collection work the same way regardless of where the message body
+ * is stored. Every stored message remembers the driver that was used for it, so changing the driver
+ * does not affect messages that are already queued.
+ *
+ * If deduplication is enabled, then message contents are stored as "body <id>" entries that are shared
+ * between messages with identical contents. Message entries only reference the shared entry and the
+ * shared entry keeps a reference counter in metadata.refs
+ */
+class MessageStorage {
+    /**
+     * @constructor
+     * @param {Object} mongodb MongoDB database handle
+     * @param {Object} options Queue options
+     * @param {String} options.gfs Collection name for GridFS storage
+     * @param {Object} [options.storage] Storage options, eg. {driver: 'fs', fs: {path: '/var/spool/zone-mta'}, compression: 'gzip'}
+     */
+    constructor(mongodb, options) {
+        this.mongodb = mongodb;
+        this.options = options || {};
+        this.storageOptions = this.options.storage || {};
+        this.driver = (this.storageOptions.driver || 'gridfs').toString().toLowerCase().trim();
+
+        if (!DRIVERS[this.driver]) {
+            throw new Error('Unknown storage driver "' + this.driver + '"');
+        }
+
+        this.compression = compression.parseCompression(this.storageOptions.compression);
+
+        // keys are loaded even if encryption is disabled, so already encrypted messages can be read
+        let encryption = this.storageOptions.encryption || {};
+        this.keyring = Object.keys(encryption.keys || {}).length ? new Keyring(encryption) : false;
+        this.encrypt = !!encryption.enabled;
+        if (this.encrypt && (!this.keyring || !this.keyring.currentKey)) {
+            throw new Error('Current encryption key not set');
+        }
+
+        this.deduplicate = !!this.storageOptions.deduplicate;
+
+        this.gridstore = new GridFSBucket(this.mongodb, {
+            bucketName: this.options.gfs
+        });
+
+        this.drivers = new Map();
+        // validate driver options on startup
+        this.getDriver(this.driver);
+    }
+
+    getDriver(name) {
+        if (!this.drivers.has(name)) {
+            if (!DRIVERS[name]) {
+                throw new Error('Unknown storage driver "' + name + '"');
+            }
+            this.drivers.set(name, new DRIVERS[name](this, this.storageOptions[name] || {}));
+        }
+        return this.drivers.get(name);
+    }
+
+    /**
+     * Creates a write stream for message contents. The stream emits 'finish' once the message is stored
+     *
+     * @param {String} id Message ID
+     * @returns {Stream} Writable stream
+     */
+    createWriteStream(id) {
+        let metadata = {
+            created: new Date()
+        };
+
+        if (!this.deduplicate) {
+            return this.createFileStream('message ' + id, metadata);
+        }
+
+        // the message itself is linked to the stored contents once the contents hash is known. Until then
+        // the contents are not referenced and stay pending, so these could be removed if linking never happens
+        metadata.refs = 0;
+        metadata.pending = true;
+        return new DedupStream(this, id, this.createFileStream('body ' + id, metadata), metadata);
+    }
+
+    /**
+     * Creates a hash object for deduplicating message contents. If contents are encrypted, then the hash
+     * is keyed, otherwise the stored hash would reveal if a message matches some known contents
+     *
+     * @returns {Hash} Hash object
+     */
+    createHash() {
+        if (this.encrypt) {
+            return this.keyring.createHash();
+        }
+        return crypto.createHash('sha256');
+    }
+
+    createFileStream(filename, metadata) {
+        let transforms = [];
+
+        if (this.compression) {
+            // compress before encrypting, encrypted data does not compress
+            metadata.compression = this.compression;
+            transforms.push(compression.createCompressor(this.compression, this.storageOptions.compressionLevel));
+        }
+
+        if (this.encrypt) {
+            transforms.push(this.keyring.createEncryptor(metadata));
+        }
+
+        let target = this.getDriver(this.driver).createWriteStream(getKey(filename), metadata);
+        if (!transforms.length) {
+            return target;
+        }
+        return new EncodeStream(transforms, target, metadata);
+    }
+
+    /**
+     * Creates a read stream for message contents
+     *
+     * @param {String} id Message ID
+     * @returns {Stream} Readable stream
+     */
+    retrieve(id) {
+        let stream = new PassThrough();
+
+        this.getContents(id, (err, file) => {
+            if (err) {
+                return stream.emit('error', err);
+            }
+
+            if (!file) {
+                let err = new Error('FileNotFound: file message ' + id + ' was not found');
+                err.code = 'ENOENT';
+                return stream.emit('error', err);
+            }
+
+            let source;
+            let decoders = [];
+            try {
+                let metadata = file.metadata || {};
+                if (metadata.encryption) {
+                    if (!this.keyring) {
+                        throw new Error('Encryption key "' + metadata.encryption.keyId + '" not found');
+                    }
+                    decoders.push(this.keyring.createDecryptor(metadata.encryption));
+                }
+                if (metadata.compression) {
+                    decoders.push(compression.createDecompressor(metadata.compression));
+                }
+                source = this.getDriver(getStorage(file)).retrieve(getKey(file.filename), file);
+            } catch (err) {
+                return stream.emit('error', err);
+            }
+
+            let input = source;
+            decoders.forEach(decoder => {
+                input.once('error', err => stream.emit('error', err));
+                input = input.pipe(decoder);
+            });
+            input.once('error', err => stream.emit('error', err));
+            input.pipe(stream);
+        });
+
+        return stream;
+    }
+
+    /**
+     * Removes message contents and metadata
+     *
+     * @param {String} id Message ID
+     * @param {Function} callback Returns true if the message was found
+     */
+    remove(id, callback) {
+        this.getFile('message ' + id, (err, file) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!file) {
+                return callback(null, false);
+            }
+            this.removeFile(file, callback);
+        });
+    }
+
+    /**
+     * Removes messages that were uploaded before the queried time and can not be removed from the database
+     * directly, ie. messages stored outside of GridFS and messages that reference shared contents. Other
+     * files are removed by the garbage collector directly. Shared contents are never matched, these are
+     * removed by removeUnreferenced() instead
+     *
+     * @param {Object} query Query for the files collection
+     * @returns {Number} Count of removed messages
+     */
+    async removeExternal(query) {
+        let removeFile = util.promisify(this.removeFile.bind(this));
+
+        let cursor = this.mongodb.collection(this.options.gfs + '.files').find(
+            Object.assign({}, query, {
+                'metadata.refs': {
+                    $exists: false
+                },
+                $or: [
+                    {
+                        'metadata.storage': {
+                            $nin: [null, 'gridfs']
+                        }
+                    },
+                    {
+                        'metadata.body': {
+                            $exists: true
+                        }
+                    }
+                ]
+            }),
+            {
+                projection: {
+                    _id: true,
+                    filename: true,
+                    'metadata.storage': true,
+                    'metadata.body': true
+                }
+            }
+        );
+
+        let removed = 0;
+        let file;
+        while ((file = await cursor.next())) {
+            try {
+                await removeFile(file);
+                removed++;
+            } catch (err) {
+                // metadata is kept, so removing is retried on the next run
+                log.error('GC', 'Failed to remove %s from %s storage. %s', file.filename, getStorage(file), err.message);
+            }
+        }
+        await cursor.close();
+
+        return removed;
+    }
+
+    /**
+     * Removes shared contents that are not referenced by any message anymore, including contents that
+     * were never linked to a message
+     *
+     * @returns {Number} Count of removed entries
+     */
+    async removeUnreferenced() {
+        let removeFile = util.promisify(this.removeFile.bind(this));
+        let files = this.mongodb.collection(this.options.gfs + '.files');
+
+        let cursor = files.find(
+            {
+                $or: [
+                    {
+                        'metadata.refs': {
+                            $lte: 0
+                        },
+                        'metadata.pending': {
+                            $exists: false
+                        }
+                    },
+                    {
+                        'metadata.pending': true,
+                        'metadata.created': {
+                            $lt: new Date(Date.now() - PENDING_TIMEOUT)
+                        }
+                    }
+                ]
+            },
+            {
+                projection: {
+                    _id: true,
+                    filename: true,
+                    'metadata.storage': true,
+                    'metadata.pending': true
+                }
+            }
+        );
+
+        let removed = 0;
+        let file;
+        while ((file = await cursor.next())) {
+            try {
+                if (file.metadata && file.metadata.pending) {
+                    // the process might have failed after the message was linked but before the contents were marked as linked
+                    let refs = await files.countDocuments({
+                        'metadata.body': file.filename
+                    });
+                    if (refs) {
+                        await files.updateOne(
+                            {
+                                _id: file._id
+                            },
+                            {
+                                $inc: {
+                                    'metadata.refs': refs
+                                },
+                                $unset: {
+                                    'metadata.pending': true
+                                }
+                            }
+                        );
+                        continue;
+                    }
+                }
+                await removeFile(file);
+                removed++;
+            } catch (err) {
+                log.error('GC', 'Failed to remove %s from %s storage. %s', file.filename, getStorage(file), err.message);
+            }
+        }
+        await cursor.close();
+
+        return removed;
+    }
+
+    /**
+     * Lists IDs of shared contents uploaded before the queried time that are still referenced or not linked
+     * yet. Chunks of these entries must not be removed by the garbage collector
+     *
+     * @param {Object} query Query for the files collection
+     * @returns {Array} List of file IDs
+     */
+    async listReferenced(query) {
+        return await this.mongodb.collection(this.options.gfs + '.files').distinct(
+            '_id',
+            Object.assign({}, query, {
+                $or: [
+                    {
+                        'metadata.refs': {
+                            $gt: 0
+                        }
+                    },
+                    {
+                        'metadata.pending': true
+                    }
+                ]
+            })
+        );
+    }
+
+    /**
+     * Resolves the storage driver that holds message contents. For deduplicated messages this is
+     * the driver of the shared contents
+     *
+     * @param {String} id Message ID
+     * @param {Function} callback Returns the driver name, eg. "gridfs" or "fs"
+     */
+    getStorage(id, callback) {
+        this.getContents(id, (err, file) => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, getStorage(file));
+        });
+    }
+
+    removeFile(file, callback) {
+        if (file.metadata && file.metadata.body) {
+            // remove the message and release the shared contents
+            return this.mongodb.collection(this.options.gfs + '.files').deleteOne({ _id: file._id }, err => {
+                if (err) {
+                    return callback(err);
+                }
+                this.unref(file.metadata.body, callback);
+            });
+        }
+
+        let storage = getStorage(file);
+        if (storage === 'gridfs') {
+            return this.gridstore.delete(file._id, callback);
+        }
+
+        let driver;
+        try {
+            driver = this.getDriver(storage);
+        } catch (err) {
+            return setImmediate(() => callback(err));
+        }
+
+        driver.remove(getKey(file.filename), file, err => {
+            if (err) {
+                return callback(err);
+            }
+            this.mongodb.collection(this.options.gfs + '.files').deleteOne({ _id: file._id }, err => callback(err));
+        });
+    }
+
+    /**
+     * Converts a storage key used by the drivers to a file entry name
+     *
+     * @param {String} key Storage key
+     * @returns {String} File entry name
+     */
+    getFilename(key) {
+        return getFilename(key);
+    }
+
+    getFile(filename, callback) {
+        this.mongodb.collection(this.options.gfs + '.files').findOne(
+            {
+                filename
+            },
+            callback
+        );
+    }
+
+    /**
+     * Finds the entry that holds message contents, either the message entry itself or shared contents
+     *
+     * @param {String} id Message ID
+     * @param {Function} callback Returns the file entry
+     */
+    getContents(id, callback) {
+        this.getFile('message ' + id, (err, file) => {
+            if (err || !file || !file.metadata || !file.metadata.body) {
+                return callback(err, file);
+            }
+            this.getFile(file.metadata.body, callback);
+        });
+    }
+
+    /**
+     * Links a message to stored contents. If there already are shared contents with the same hash,
+     * then the message references these and the freshly stored copy is released
+     *
+     * @param {String} id Message ID
+     * @param {Object} metadata Metadata of the freshly stored contents
+     * @param {Function} callback
+     */
+    link(id, metadata, callback) {
+        let filename = 'body ' + id;
+        let files = this.mongodb.collection(this.options.gfs + '.files');
+
+        files.findOneAndUpdate(
+            {
+                filename: {
+                    $ne: filename
+                },
+                'metadata.hash': metadata.hash,
+                // entries without references are about to be deleted
+                'metadata.refs': {
+                    $gt: 0
+                }
+            },
+            {
+                $inc: {
+                    'metadata.refs': 1
+                }
+            },
+            {
+                sort: {
+                    _id: 1
+                }
+            },
+            (err, r) => {
+                if (err) {
+                    // release the stored copy, so it would be garbage collected
+                    return this.unref(filename, () => callback(err));
+                }
+
+                let body = r && r.value ? r.value.filename : filename;
+                let insertMessage = done =>
+                    files.insertOne(
+                        {
+                            length: metadata.size,
+                            chunkSize: 0,
+                            uploadDate: new Date(),
+                            filename: 'message ' + id,
+                            contentType: 'message/rfc822',
+                            metadata: {
+                                created: metadata.created,
+                                body
+                            }
+                        },
+                        err => {
+                            if (err) {
+                                return this.unref(body, () => callback(err));
+                            }
+                            return done();
+                        }
+                    );
+
+                if (body === filename) {
+                    // the stored copy is marked as linked only after the message references it
+                    return insertMessage(() =>
+                        files.updateOne(
+                            {
+                                filename
+                            },
+                            {
+                                $inc: {
+                                    'metadata.refs': 1
+                                },
+                                $unset: {
+                                    'metadata.pending': true
+                                }
+                            },
+                            err => callback(err)
+                        )
+                    );
+                }
+
+                log.verbose('Queue', '%s DEDUP body=%s', id, body);
+                this.unref(filename, err => {
+                    if (err) {
+                        return this.unref(body, () => callback(err));
+                    }
+                    insertMessage(callback);
+                });
+            }
+        );
+    }
+
+    /**
+     * Decrements the reference counter of shared contents. Unreferenced contents are removed by
+     * the garbage collector, this includes pending contents that are released before being linked
+     *
+     * @param {String} filename Shared contents entry
+     * @param {Function} callback
+     */
+    unref(filename, callback) {
+        this.mongodb.collection(this.options.gfs + '.files').updateOne(
+            {
+                filename
+            },
+            {
+                $inc: {
+                    'metadata.refs': -1
+                },
+                $unset: {
+                    'metadata.pending': true
+                }
+            },
+            err => callback(err)
+        );
+    }
+
+    /**
+     * Stores metadata for a message stored outside of GridFS. The entry looks like a GridFS file
+     * without chunks, so existing tools can still list and inspect queued messages
+     *
+     * @param {String} key Storage key, see getKey()
+     * @param {String} storage Driver name
+     * @param {Number} length Message size in bytes
+     * @param {Object} metadata Metadata for the file entry
+     * @param {Function} callback
+     */
+    addFile(key, storage, length, metadata, callback) {
+        this.mongodb.collection(this.options.gfs + '.files').insertOne(
+            {
+                length,
+                chunkSize: 0,
+                uploadDate: new Date(),
+                filename: getFilename(key),
+                contentType: 'message/rfc822',
+                metadata: Object.assign({}, metadata, {
+                    storage
+                })
+            },
+            err => callback(err)
+        );
+    }
+}
+
+function getStorage(file) {
+    return (file && file.metadata && file.metadata.storage) || 'gridfs';
+}
+
+// storage drivers use "<id>" as the key for message contents and "body-<id>" for shared contents
+function getKey(filename) {
+    return filename.replace(/^message /, '').replace(/^body /, 'body-');
+}
+
+function getFilename(key) {
+    return /^body-/.test(key) ? 'body ' + key.substr(5) : 'message ' + key;
+}
+
+module.exports = MessageStorage;
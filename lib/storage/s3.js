@@ -0,0 +1,372 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const PassThrough = require('stream').PassThrough;
+const Writable = require('stream').Writable;
+
+// S3 does not accept multipart upload parts smaller than 5MB, except for the last part
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+
+const EMPTY_HASH = sha256('');
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * URI encodes a value as required by AWS Signature Version 4
+ *
+ * @param {String} value Value to encode
+ * @param {Boolean} [keepSlash] If true, then slashes are not encoded (for paths)
+ * @returns {String} Encoded value
+ */
+function uriEncode(value, keepSlash) {
+    let encoded = encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+    return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+function formatQuery(query) {
+    query = query || {};
+    return Object.keys(query)
+        .sort()
+        .map(key => uriEncode(key) + '=' + uriEncode(query[key]))
+        .join('&');
+}
+
+/**
+ * Signs a request with AWS Signature Version 4
+ *
+ * @param {Object} options
+ * @param {String} options.method HTTP method
+ * @param {String} options.path Request path, not encoded
+ * @param {Object} [options.query] Query arguments
+ * @param {Object} options.headers Request headers, must include the Host header
+ * @param {String} options.region Region name
+ * @param {String} options.accessKeyId Access key ID
+ * @param {String} options.secretAccessKey Secret access key
+ * @param {Date} [options.date] Request time, defaults to current time
+ * @returns {Object} Request headers including the Authorization header
+ */
+function signRequest(options) {
+    let amzDate = (options.date || new Date()).toISOString().replace(/[:-]|\.\d{3}/g, '');
+    let dateStamp = amzDate.substr(0, 8);
+
+    let headers = {};
+    Object.keys(options.headers || {}).forEach(key => {
+        headers[key.toLowerCase()] = options.headers[key].toString().trim();
+    });
+    headers['x-amz-date'] = amzDate;
+    headers['x-amz-content-sha256'] = headers['x-amz-content-sha256'] || EMPTY_HASH;
+
+    let signedHeaders = Object.keys(headers).sort();
+
+    let canonicalRequest = [
+        options.method,
+        uriEncode(options.path, true),
+        formatQuery(options.query),
+        signedHeaders.map(key => key + ':' + headers[key] + '\n').join(''),
+        signedHeaders.join(';'),
+        headers['x-amz-content-sha256']
+    ].join('\n');
+
+    let scope = [dateStamp, options.region, 's3', 'aws4_request'].join('/');
+    let stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    let signingKey = ['aws4_request', 's3', options.region, dateStamp].reduceRight((key, value) => hmac(key, value), 'AWS4' + options.secretAccessKey);
+    let signature = hmac(signingKey, stringToSign).toString('hex');
+
+    headers.authorization =
+        'AWS4-HMAC-SHA256 Credential=' + options.accessKeyId + '/' + scope + ', SignedHeaders=' + signedHeaders.join(';') + ', Signature=' + signature;
+
+    return headers;
+}
+
+function responseError(res, body) {
+    body = (body || '').toString();
+    let code = (body.match(/<Code>([^<]*)<\/Code>/) || [])[1];
+    let message = (body.match(/<Message>([^<]*)<\/Message>/) || [])[1];
+
+    let err = new Error('S3 request failed with status ' + res.statusCode + (code ? ' ' + code : '') + (message ? ': ' + message : ''));
+    err.statusCode = res.statusCode;
+    err.code = res.statusCode === 404 ? 'ENOENT' : code || 'S3Error';
+    return err;
+}
+
+class S3WriteStream extends Writable {
+    constructor(driver, id, metadata) {
+        super();
+        this.driver = driver;
+        this.id = id;
+        this.metadata = metadata;
+        this.key = driver.getKey(id);
+        this.chunks = [];
+        this.buffered = 0;
+        this.length = 0;
+        this.uploadId = false;
+        this.parts = [];
+        this.stored = false;
+    }
+
+    _write(chunk, encoding, callback) {
+        this.chunks.push(chunk);
+        this.buffered += chunk.length;
+        this.length += chunk.length;
+
+        if (this.buffered < this.driver.partSize) {
+            return callback();
+        }
+        this.uploadPart(callback);
+    }
+
+    _final(callback) {
+        let store = err => {
+            if (err) {
+                return callback(err);
+            }
+            this.driver.storage.addFile(this.id, 's3', this.length, this.metadata, err => {
+                if (err) {
+                    // without metadata the object would never be garbage collected
+                    return this.driver.remove(this.id, null, () => callback(err));
+                }
+                this.stored = true;
+                return callback();
+            });
+        };
+
+        if (!this.uploadId) {
+            // small message, upload with a single request
+            let body = this.flush();
+            return this.driver.request('PUT', this.key, { body, headers: { 'content-type': 'message/rfc822' } }, err => store(err));
+        }
+
+        let complete = err => {
+            if (err) {
+                return store(err);
+            }
+
+            let body = Buffer.from(
+                '<CompleteMultipartUpload>' +
+                    this.parts.map(part => '<Part><PartNumber>' + part.partNumber + '</PartNumber><ETag>' + part.etag + '</ETag></Part>').join('') +
+                    '</CompleteMultipartUpload>'
+            );
+
+            this.driver.request('POST', this.key, { query: { uploadId: this.uploadId }, body }, (err, res, response) => {
+                if (!err && /<Error>/.test(response.toString())) {
+                    // completing can fail even if the response status is 200
+                    err = responseError(res, response);
+                }
+                if (!err) {
+                    this.uploadId = false;
+                }
+                return store(err);
+            });
+        };
+
+        if (!this.buffered) {
+            return complete();
+        }
+        this.uploadPart(complete);
+    }
+
+    _destroy(err, callback) {
+        this.chunks = [];
+        if (this.stored || !this.uploadId) {
+            return callback(err);
+        }
+        // do not leave unfinished uploads behind
+        this.driver.request('DELETE', this.key, { query: { uploadId: this.uploadId } }, () => callback(err));
+    }
+
+    flush() {
+        let body = Buffer.concat(this.chunks, this.buffered);
+        this.chunks = [];
+        this.buffered = 0;
+        return body;
+    }
+
+    uploadPart(callback) {
+        if (!this.uploadId) {
+            return this.driver.request('POST', this.key, { query: { uploads: '' }, headers: { 'content-type': 'message/rfc822' } }, (err, res, response) => {
+                if (err) {
+                    return callback(err);
+                }
+                let uploadId = (response.toString().match(/<UploadId>([^<]+)<\/UploadId>/) || [])[1];
+                if (!uploadId) {
+                    return callback(new Error('Failed to start multipart upload'));
+                }
+                this.uploadId = uploadId;
+                this.uploadPart(callback);
+            });
+        }
+
+        let partNumber = this.parts.length + 1;
+        let body = this.flush();
+        this.driver.request('PUT', this.key, { query: { partNumber, uploadId: this.uploadId }, body }, (err, res) => {
+            if (err) {
+                return callback(err);
+            }
+            this.parts.push({
+                partNumber,
+                etag: res.headers.etag
+            });
+            return callback();
+        });
+    }
+}
+
+/**
+ * Stores message contents in S3 compatible object storage (AWS S3, MinIO etc.). Larger messages
+ * are uploaded in parts, so only a single part is kept in memory at a time
+ */
+class S3Storage {
+    constructor(storage, options) {
+        this.storage = storage;
+        this.options = options || {};
+
+        if (!this.options.bucket) {
+            throw new Error('Bucket not set for the "s3" storage driver');
+        }
+
+        this.bucket = this.options.bucket;
+        this.region = this.options.region || 'us-east-1';
+        this.prefix = this.options.prefix || '';
+        this.endpoint = new URL(this.options.endpoint || 'https://s3.' + this.region + '.amazonaws.com');
+        // MinIO and most other S3 compatible servers expect path-style URLs
+        this.forcePathStyle = this.options.forcePathStyle !== false;
+        this.partSize = Math.max(Number(this.options.partSize) || DEFAULT_PART_SIZE, MIN_PART_SIZE);
+        this.timeout = Number(this.options.timeout) || 60 * 1000;
+
+        this.accessKeyId = this.options.accessKeyId || process.env.AWS_ACCESS_KEY_ID;
+        this.secretAccessKey = this.options.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY;
+        this.sessionToken = this.options.sessionToken || process.env.AWS_SESSION_TOKEN;
+
+        if (!this.accessKeyId || !this.secretAccessKey) {
+            throw new Error('Credentials not set for the "s3" storage driver');
+        }
+
+        this.hostname = this.forcePathStyle ? this.endpoint.hostname : this.bucket + '.' + this.endpoint.hostname;
+        this.host = this.hostname + (this.endpoint.port ? ':' + this.endpoint.port : '');
+        this.client = this.endpoint.protocol === 'http:' ? http : https;
+    }
+
+    getKey(id) {
+        return this.prefix + id + '.eml';
+    }
+
+    /**
+     * Makes a signed request against the bucket
+     *
+     * @param {String} method HTTP method
+     * @param {String} key Object key
+     * @param {Object} [options]
+     * @param {Object} [options.query] Query arguments
+     * @param {Object} [options.headers] Additional request headers
+     * @param {Buffer} [options.body] Request body
+     * @param {Boolean} [options.stream] If true, then the response stream is returned instead of the response body
+     * @param {Function} callback Returns (err, res, body)
+     */
+    request(method, key, options, callback) {
+        options = options || {};
+
+        let returned = false;
+        let done = (...args) => {
+            if (returned) {
+                return;
+            }
+            returned = true;
+            callback(...args);
+        };
+
+        let body = options.body || null;
+        let path = (this.forcePathStyle ? '/' + this.bucket : '') + '/' + key;
+
+        let headers = Object.assign({}, options.headers || {}, {
+            host: this.host,
+            'x-amz-content-sha256': body ? sha256(body) : EMPTY_HASH
+        });
+        if (body || ['PUT', 'POST'].includes(method)) {
+            headers['content-length'] = body ? body.length : 0;
+        }
+        if (this.sessionToken) {
+            headers['x-amz-security-token'] = this.sessionToken;
+        }
+
+        headers = signRequest({
+            method,
+            path,
+            query: options.query,
+            headers,
+            region: this.region,
+            accessKeyId: this.accessKeyId,
+            secretAccessKey: this.secretAccessKey
+        });
+
+        let query = formatQuery(options.query);
+        let req = this.client.request(
+            {
+                protocol: this.endpoint.protocol,
+                hostname: this.hostname,
+                port: this.endpoint.port,
+                method,
+                path: uriEncode(path, true) + (query ? '?' + query : ''),
+                headers,
+                timeout: this.timeout
+            },
+            res => {
+                if (options.stream && res.statusCode >= 200 && res.statusCode < 300) {
+                    return done(null, res);
+                }
+
+                let chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.once('error', done);
+                res.once('end', () => {
+                    let body = Buffer.concat(chunks);
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        return done(responseError(res, body));
+                    }
+                    return done(null, res, body);
+                });
+            }
+        );
+
+        req.once('error', done);
+        req.once('timeout', () => req.destroy(new Error('S3 request timed out')));
+        req.end(body);
+    }
+
+    createWriteStream(id, metadata) {
+        return new S3WriteStream(this, id, metadata);
+    }
+
+    retrieve(id) {
+        let stream = new PassThrough();
+        this.request('GET', this.getKey(id), { stream: true }, (err, res) => {
+            if (err) {
+                return stream.emit('error', err);
+            }
+            res.once('error', err => stream.emit('error', err));
+            res.pipe(stream);
+        });
+        return stream;
+    }
+
+    remove(id, file, callback) {
+        this.request('DELETE', this.getKey(id), {}, err => {
+            if (err && err.code !== 'ENOENT') {
+                return callback(err);
+            }
+            return callback(null, true);
+        });
+    }
+}
+
+module.exports = S3Storage;
+module.exports.signRequest = signRequest;
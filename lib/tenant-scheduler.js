@@ -0,0 +1,98 @@
+'use strict';
+
+// how to identify the tenant of a message if a plugin has not set envelope.tenant
+const TENANT_KEYS = ['user', 'senderDomain'];
+
+/**
+ * Detects the tenant identifier for a message
+ *
+ * @param {Object} envelope Envelope object
+ * @param {String} [key] Either 'user' (authenticated user) or 'senderDomain' (domain of the envelope sender)
+ * @returns {String|Boolean} Tenant identifier or false if the tenant is not known
+ */
+function getTenant(envelope, key) {
+    envelope = envelope || {};
+
+    let tenant;
+    if (envelope.tenant) {
+        // set by a plugin
+        tenant = envelope.tenant;
+    } else if (key === 'user') {
+        tenant = envelope.user;
+    } else if (key === 'senderDomain' && envelope.from && envelope.from.includes('@')) {
+        tenant = envelope.from.substr(envelope.from.lastIndexOf('@') + 1).toLowerCase();
+    }
+
+    tenant = (tenant || '').toString().trim();
+    return tenant || false;
+}
+
+/**
+ * Smooth weighted round-robin between tenants. Every zone keeps its own state, so tenants get their
+ * share of deliveries in every zone separately
+ */
+class TenantScheduler {
+    constructor() {
+        // zone -> Map(tenant -> current weight)
+        this.zones = new Map();
+    }
+
+    /**
+     * Selects the next tenant to fetch a delivery for
+     *
+     * @param {String} zone Zone name
+     * @param {Array} tenants List of tenants to select from
+     * @param {Object} [weights] Tenant weights, eg. {tenant1: 5}. Tenants not listed have the weight of 1
+     * @returns {String|Boolean} Selected tenant or false if the list is empty
+     */
+    next(zone, tenants, weights) {
+        if (!tenants || !tenants.length) {
+            return false;
+        }
+
+        weights = weights || {};
+        if (!this.zones.has(zone)) {
+            this.zones.set(zone, new Map());
+        }
+        let state = this.zones.get(zone);
+
+        let total = 0;
+        let selected = false;
+        let selectedWeight = -Infinity;
+        tenants.forEach(tenant => {
+            let weight = Number(weights[tenant]) > 0 ? Number(weights[tenant]) : 1;
+            let current = (state.get(tenant) || 0) + weight;
+            state.set(tenant, current);
+            total += weight;
+            if (current > selectedWeight) {
+                selected = tenant;
+                selectedWeight = current;
+            }
+        });
+
+        state.set(selected, selectedWeight - total);
+        return selected;
+    }
+
+    /**
+     * Removes state for tenants that do not have any queued deliveries anymore
+     *
+     * @param {String} zone Zone name
+     * @param {Array} tenants List of tenants to keep
+     */
+    prune(zone, tenants) {
+        if (!this.zones.has(zone)) {
+            return;
+        }
+        let state = this.zones.get(zone);
+        state.forEach((current, tenant) => {
+            if (!tenants.includes(tenant)) {
+                state.delete(tenant);
+            }
+        });
+    }
+}
+
+module.exports = TenantScheduler;
+module.exports.TENANT_KEYS = TENANT_KEYS;
+module.exports.getTenant = getTenant;
@@ -4,6 +4,8 @@ const os = require('os');
 const crypto = require('crypto');
 const addressTools = require('../../lib/address-tools');
 const sendingZone = require('../../lib/sending-zone');
+const schedule = require('../../lib/schedule');
+const priorities = require('../../lib/priority');
 const hostname = os.hostname();
 
 module.exports.title = 'Default headers';
@@ -64,10 +66,50 @@ module.exports.init = async app => {
             }
         }
 
-        // Check if Date header indicates a time in the future (+/- 300s clock skew is allowed)
-        if (app.config.futureDate && date && dateVal.toString() !== 'Invalid Date' && dateVal.getTime() > Date.now() + 5 * 60 * 1000) {
-            // The date is in the future, defer the message. Max defer time is 1 year
-            envelope.deferDelivery = Math.min(dateVal.getTime(), Date.now() + 365 * 24 * 3600 * 1000);
+        // Check for scheduled delivery time
+        //   X-Send-At: 2026-10-19T10:00:00Z
+        if (app.config.scheduleHeader) {
+            let sendAt = envelope.headers.getFirst(app.config.scheduleHeader);
+            envelope.headers.remove(app.config.scheduleHeader);
+            if (sendAt && !envelope.sendAt) {
+                sendAt = schedule.parseSendAt(sendAt);
+                if (sendAt) {
+                    app.logger.verbose('Queue', 'Scheduled %s for %s by headers', mId, new Date(sendAt).toISOString());
+                    envelope.sendAt = sendAt;
+                }
+            }
+        }
+
+        // Check for message expiration time
+        //   X-Expires: 2026-10-20T10:00:00Z
+        if (app.config.expiresHeader) {
+            let expires = envelope.headers.getFirst(app.config.expiresHeader);
+            envelope.headers.remove(app.config.expiresHeader);
+            if (expires && !envelope.expires) {
+                expires = schedule.parseTime(expires);
+                if (expires) {
+                    app.logger.verbose('Queue', 'Expiration for %s set to %s by headers', mId, new Date(expires).toISOString());
+                    envelope.expires = expires;
+                }
+            }
+        }
+
+        // Check for delivery priority
+        //   X-Delivery-Priority: high
+        if (app.config.priorityHeader) {
+            let priority = priorities.parsePriority(envelope.headers.getFirst(app.config.priorityHeader));
+            envelope.headers.remove(app.config.priorityHeader);
+            // same as with X-Sending-Zone, senders should not be able to skip the queue on their own
+            if (priority && !envelope.priority && app.config.allowRoutingHeaders.includes(envelope.interface)) {
+                app.logger.verbose('Queue', 'Priority for %s set to %s by headers', mId, priority);
+                envelope.priority = priority;
+            }
+        }
+
+        // Deprecated, use scheduleHeader instead. Check if Date header indicates a time in the future (+/- 300s clock skew is allowed)
+        if (app.config.futureDate && !envelope.sendAt && date && dateVal.toString() !== 'Invalid Date' && dateVal.getTime() > Date.now() + 5 * 60 * 1000) {
+            // The date is in the future, schedule the message
+            envelope.sendAt = schedule.parseSendAt(dateVal);
         }
 
         envelope.date = date;
@@ -119,8 +161,9 @@ module.exports.init = async app => {
 
         if (!hasRecipient && addMissing.includes('to')) {
             // No recipient addresses found, add a To:
-            // This should not conflict DKIM signature
-            delivery.headers.add('To', delivery.envelope.to);
+            // This should not conflict DKIM signature. Bundled recipients share the same message,
+            // so do not reveal the address of a single recipient to others
+            delivery.headers.add('To', delivery.bundle && delivery.bundle.length ? 'undisclosed-recipients:;' : delivery.envelope.to);
         }
 
         if (hasContent && !hasMime && addMissing.includes('mime-version')) {
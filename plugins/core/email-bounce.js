@@ -2,6 +2,16 @@
 
 const os = require('os');
 const MimeNode = require('nodemailer/lib/mime-node');
+const dsnTools = require('../../lib/dsn');
+
+const BounceTemplates = require('../../lib/bounce-templates');
+
+const DSN_ACTIONS = {
+    failed: { status: '5.0.0' },
+    delayed: { status: '4.0.0' },
+    relayed: { status: '2.0.0' },
+    delivered: { status: '2.0.0' }
+};
 
 function formatRecipients(value) {
     return []
@@ -18,18 +28,44 @@ function getFailedRecipient(bounce) {
     return getSingleRecipient(bounce.recipient || bounce.envelope?.to || bounce.to);
 }
 
-function getBounceSubject(bounce, isDelayed) {
-    const failedRecipient = getFailedRecipient(bounce);
-    const status = isDelayed ? 'Delay' : 'Failure';
-    return failedRecipient ? `Delivery Status Notification (${status}: ${failedRecipient})` : `Delivery Status Notification (${status})`;
+function getLanguage(value) {
+    // use the primary subtag of the first listed language, eg. "et-EE, en" -> "et"
+    let lang = (value || '').toString().split(',').shift().trim().split('-').shift().toLowerCase();
+    return /^[a-z]{2,3}$/.test(lang) ? lang : false;
 }
 
 module.exports.title = 'Email Bounce Notification';
 module.exports.init = function (app, done) {
+    const templates = new BounceTemplates({
+        path: app.config.templates && app.config.templates.path,
+        collection: app.config.templates && app.config.templates.collection,
+        cacheTime: app.config.templates && app.config.templates.cacheTime,
+        mongodb: app.mongodb
+    });
+
+    // resolve template name and language for the notification, zone specific options override global ones
+    function getTemplateSelection(bounce, cfg) {
+        const tplConfig = Object.assign({}, app.config.templates || {}, cfg.templates || {});
+        const senderDomain = (bounce.from || '').split('@').pop().toLowerCase();
+
+        let lang = false;
+        if (tplConfig.languageHeader && bounce.headers) {
+            lang = getLanguage(bounce.headers.getFirst(tplConfig.languageHeader));
+        }
+
+        return {
+            name: (tplConfig.senderDomains || {})[senderDomain] || tplConfig.name,
+            lang: lang || (tplConfig.languages || {})[senderDomain],
+            defaultLanguage: tplConfig.defaultLanguage
+        };
+    }
+
     // generate a multipart/report DSN failure response
-    function generateBounceMessage(bounce, opts) {
+    function generateBounceMessage(bounce, opts, callback) {
         opts = opts || {};
         const { isDelayed } = opts;
+        const action = DSN_ACTIONS[opts.action] ? opts.action : isDelayed ? 'delayed' : 'failed';
+        const dsn = bounce.dsn || {};
 
         let headers = bounce.headers;
         let messageId = headers.getFirst('Message-ID');
@@ -44,81 +80,89 @@ module.exports.init = function (app, done) {
         let sendingZone = cfg.sendingZone || app.config.sendingZone;
         let failedRecipient = getFailedRecipient(bounce);
         let originalRecipients = formatRecipients(bounce.to);
-        let originalRecipientsText =
-            originalRecipients.length && !(originalRecipients.length === 1 && originalRecipients[0] === failedRecipient)
-                ? `\nOriginal message recipients:\n    ${originalRecipients.join('\n    ')}\n`
-                : '';
-
-        let rootNode = new MimeNode('multipart/report; report-type=delivery-status');
-
-        // format Mailer Daemon address
-        let fromAddress = rootNode._convertAddresses(rootNode._parseAddresses(from)).replace(/\[HOSTNAME\]/gi, bounce.name || os.hostname());
-
-        rootNode.setHeader('From', fromAddress);
-        rootNode.setHeader('To', to);
-        rootNode.setHeader('X-Sending-Zone', sendingZone);
-        if (originalRecipients.length) {
-            rootNode.setHeader('X-Failed-Recipients', originalRecipients.join(', '));
-        }
-        rootNode.setHeader('Auto-Submitted', 'auto-replied');
-        rootNode.setHeader('Subject', getBounceSubject(bounce, isDelayed));
-
-        if (messageId) {
-            rootNode.setHeader('In-Reply-To', messageId);
-            rootNode.setHeader('References', messageId);
-        }
-
-        let bounceContent = `Delivery to the following recipient failed permanently:
-    ${failedRecipient}${originalRecipientsText}
-
-Technical details of permanent failure:
+        let listOriginalRecipients = originalRecipients.length && !(originalRecipients.length === 1 && originalRecipients[0] === failedRecipient);
+
+        let arrivalDate = new Date(bounce.arrivalDate);
+        let values = {
+            recipient: failedRecipient,
+            originalRecipients: listOriginalRecipients ? originalRecipients.join('\n    ') : '',
+            sender: bounce.from,
+            reason: bounce.response,
+            category: bounce.category,
+            queueId: bounce.id,
+            messageId,
+            arrivalDate: arrivalDate.toUTCString().replace(/GMT/, '+0000'),
+            queueTime: BounceTemplates.formatDuration(Date.now() - arrivalDate.getTime()),
+            reportingMta: bounce.name || os.hostname()
+        };
 
-${bounce.response}
+        templates.get(action, getTemplateSelection(bounce, cfg), (err, template) => {
+            if (err) {
+                return callback(err);
+            }
 
-`;
+            let rootNode = new MimeNode('multipart/report; report-type=delivery-status');
 
-        if (isDelayed) {
-            bounceContent = `Delivery incomplete
+            // format Mailer Daemon address
+            let fromAddress = rootNode._convertAddresses(rootNode._parseAddresses(from)).replace(/\[HOSTNAME\]/gi, bounce.name || os.hostname());
 
-There was a temporary problem delivering your message to:
-    ${failedRecipient}${originalRecipientsText}
+            rootNode.setHeader('From', fromAddress);
+            rootNode.setHeader('To', to);
+            rootNode.setHeader('X-Sending-Zone', sendingZone);
+            if (originalRecipients.length && ['failed', 'delayed'].includes(action)) {
+                rootNode.setHeader('X-Failed-Recipients', originalRecipients.join(', '));
+            }
+            rootNode.setHeader('Auto-Submitted', 'auto-replied');
+            rootNode.setHeader('Subject', BounceTemplates.render(template.subject, values));
 
-Delivery will be retried. You'll be notified if the delivery fails permanently.
+            if (messageId) {
+                rootNode.setHeader('In-Reply-To', messageId);
+                rootNode.setHeader('References', messageId);
+            }
 
-Technical details of the failure:
+            let textNode = rootNode.createChild('text/plain').setHeader('Content-Description', 'Notification');
+            if (template.lang) {
+                textNode.setHeader('Content-Language', template.lang);
+            }
+            textNode.setContent(BounceTemplates.render(template.text, values));
 
-${bounce.response}
+            let messageFields = [];
+            if (dsn.envid) {
+                messageFields.push(`Original-Envelope-Id: ${dsn.envid}`);
+            }
+            messageFields.push(
+                `Reporting-MTA: dns; ${bounce.name || os.hostname()}`,
+                `X-ZoneMTA-Queue-ID: ${bounce.id}`,
+                `X-ZoneMTA-Sender: rfc822; ${bounce.from}`,
+                `Arrival-Date: ${values.arrivalDate}`
+            );
 
-`;
-        }
+            let recipientFields = [];
+            if (bounce.dsnOrcpt) {
+                recipientFields.push(`Original-Recipient: ${bounce.dsnOrcpt}`);
+            }
+            // 4.4.7 - Delivery time expired
+            let status = bounce.category === 'expired' ? '4.4.7' : DSN_ACTIONS[action].status;
+            recipientFields.push(`Final-Recipient: rfc822; ${failedRecipient}`, `Action: ${action}`, `Status: ${status}`);
+            if (bounce.mxHostname) {
+                recipientFields.push(`Remote-MTA: dns; ${bounce.mxHostname}`);
+            }
+            recipientFields.push(`Diagnostic-Code: smtp; ${bounce.response}`);
 
-        rootNode.createChild('text/plain').setHeader('Content-Description', 'Notification').setContent(bounceContent);
-
-        rootNode
-            .createChild('message/delivery-status')
-            .setHeader('Content-Description', 'Delivery report')
-            .setContent(
-                `Reporting-MTA: dns; ${bounce.name || os.hostname()}
-X-ZoneMTA-Queue-ID: ${bounce.id}
-X-ZoneMTA-Sender: rfc822; ${bounce.from}
-Arrival-Date: ${new Date(bounce.arrivalDate).toUTCString().replace(/GMT/, '+0000')}
-
-Final-Recipient: rfc822; ${failedRecipient}
-Action: ${isDelayed ? 'delayed' : 'failed'}
-Status: ${isDelayed ? '4.0.0' : '5.0.0'}
-` +
-                    (bounce.mxHostname
-                        ? `Remote-MTA: dns; ${bounce.mxHostname}
-`
-                        : '') +
-                    `Diagnostic-Code: smtp; ${bounce.response}
-
-`
-            );
+            rootNode
+                .createChild('message/delivery-status')
+                .setHeader('Content-Description', 'Delivery report')
+                .setContent(messageFields.join('\n') + '\n\n' + recipientFields.join('\n') + '\n\n');
 
-        rootNode.createChild('text/rfc822-headers').setHeader('Content-Description', 'Undelivered Message Headers').setContent(headers.build());
+            // Only message headers are returned. This matches RET=HDRS, RET=FULL is not honored as the
+            // message body might already be removed from storage by the time the notification is generated
+            rootNode
+                .createChild('text/rfc822-headers')
+                .setHeader('Content-Description', ['failed', 'delayed'].includes(action) ? 'Undelivered Message Headers' : 'Message Headers')
+                .setContent(headers.build());
 
-        return rootNode;
+            return callback(null, rootNode);
+        });
     }
 
     // Send bounce notification to the MAIL FROM email
@@ -133,6 +177,16 @@ Status: ${isDelayed ? '4.0.0' : '5.0.0'}
             return next();
         }
 
+        if (!dsnTools.shouldNotify(bounce, 'failure')) {
+            // sender did not request failure notifications (NOTIFY=NEVER or NOTIFY without FAILURE)
+            app.remotelog(bounce.id, bounce.seq, 'QUEUE_BOUNCE', {
+                queued: 'no',
+                bounceType: 'failure',
+                error: 'Failure notification not requested by DSN'
+            });
+            return next();
+        }
+
         let headers = bounce.headers;
 
         if (headers.get('Received').length > 25) {
@@ -156,31 +210,35 @@ Status: ${isDelayed ? '4.0.0' : '5.0.0'}
             time: Date.now()
         };
 
-        let mail = generateBounceMessage(bounce);
-
-        app.getQueue().generateId((err, id) => {
+        generateBounceMessage(bounce, {}, (err, mail) => {
             if (err) {
                 return next(err);
             }
-            envelope.id = id;
 
-            maildrop.add(envelope, mail.createReadStream(), err => {
-                if (err && err.name !== 'SMTPResponse') {
-                    app.logger.error('Bounce', err.message);
-                    app.remotelog(bounce.id, bounce.seq, 'QUEUE_BOUNCE', {
-                        queued: 'no',
-                        bounceType: 'failure',
-                        error: err.message
-                    });
-                } else {
-                    app.remotelog(bounce.id, bounce.seq, 'QUEUE_BOUNCE', {
-                        queued: 'yes',
-                        bounceType: 'failure',
-                        bounceId: envelope.id
-                    });
+            app.getQueue().generateId((err, id) => {
+                if (err) {
+                    return next(err);
                 }
-
-                next();
+                envelope.id = id;
+
+                maildrop.add(envelope, mail.createReadStream(), err => {
+                    if (err && err.name !== 'SMTPResponse') {
+                        app.logger.error('Bounce', err.message);
+                        app.remotelog(bounce.id, bounce.seq, 'QUEUE_BOUNCE', {
+                            queued: 'no',
+                            bounceType: 'failure',
+                            error: err.message
+                        });
+                    } else {
+                        app.remotelog(bounce.id, bounce.seq, 'QUEUE_BOUNCE', {
+                            queued: 'yes',
+                            bounceType: 'failure',
+                            bounceId: envelope.id
+                        });
+                    }
+
+                    next();
+                });
             });
         });
     });
@@ -200,6 +258,11 @@ Status: ${isDelayed ? '4.0.0' : '5.0.0'}
             return;
         }
 
+        if (!dsnTools.shouldNotify(bounce, 'delay')) {
+            // sender did not request delay notifications
+            return;
+        }
+
         // check if past required time
         const prevDiff = options.prev - options.first;
         const curDiff = options.last - options.first;
@@ -230,7 +293,15 @@ Status: ${isDelayed ? '4.0.0' : '5.0.0'}
             time: Date.now()
         };
 
-        const mail = generateBounceMessage(bounce, { isDelayed: true });
+        const mail = await new Promise((resolve, reject) => {
+            generateBounceMessage(bounce, { isDelayed: true }, (err, mail) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(mail);
+                }
+            });
+        });
 
         let id = await new Promise((resolve, reject) => {
             app.getQueue().generateId((err, id) => {
@@ -266,5 +337,69 @@ Status: ${isDelayed ? '4.0.0' : '5.0.0'}
         });
     });
 
+    // Send success notification to the MAIL FROM email if it was requested with NOTIFY=SUCCESS
+    // but the next hop does not support DSN and thus can not send it instead
+    app.addHook('queue:relayed', async (notification, maildrop) => {
+        if ((app.config.disableInterfaces || []).includes(notification.interface)) {
+            return;
+        }
+
+        if (!notification.from || !dsnTools.shouldNotify(notification, 'success')) {
+            return;
+        }
+
+        const envelope = {
+            interface: 'bounce',
+            sessionId: notification.sessionId,
+            from: '',
+            to: notification.from,
+            transtype: 'HTTP',
+            time: Date.now()
+        };
+
+        const mail = await new Promise((resolve, reject) => {
+            generateBounceMessage(notification, { action: notification.action === 'delivered' ? 'delivered' : 'relayed' }, (err, mail) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(mail);
+                }
+            });
+        });
+
+        let id = await new Promise((resolve, reject) => {
+            app.getQueue().generateId((err, id) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(id);
+                }
+            });
+        });
+
+        envelope.id = id;
+
+        await new Promise(resolve => {
+            maildrop.add(envelope, mail.createReadStream(), err => {
+                if (err && err.name !== 'SMTPResponse') {
+                    app.logger.error('Bounce', err.message);
+                    app.remotelog(notification.id, notification.seq, 'QUEUE_BOUNCE', {
+                        queued: 'no',
+                        bounceType: 'success',
+                        error: err.message
+                    });
+                } else {
+                    app.remotelog(notification.id, notification.seq, 'QUEUE_BOUNCE', {
+                        queued: 'yes',
+                        bounceType: 'success',
+                        bounceId: envelope.id
+                    });
+                }
+
+                resolve();
+            });
+        });
+    });
+
     done();
 };
@@ -94,6 +94,13 @@ module.exports.init = function (app, done) {
         if (!app.config.ignoreOrigins.includes(envelope.origin) && !envelope.ignoreSpamScore) {
             switch (envelope.spam.default.action) {
                 case 'reject':
+                    if (app.config.holdSpam) {
+                        // accept message but do not send it out before it is reviewed
+                        envelope.hold = {
+                            reason: 'Classified as spam, score ' + score.toFixed(2)
+                        };
+                        break;
+                    }
                     if (app.config.dropSpam) {
                         // accept message and silently drop it
                         return next(app.drop(envelope, 'spam', messageInfo));
@@ -126,7 +126,13 @@ queueClient.connect(err => {
         if (responseHandlers.has(data.req)) {
             callback = responseHandlers.get(data.req);
             responseHandlers.delete(data.req);
-            setImmediate(() => callback(data.error ? data.error : null, !data.error && data.response));
+            let err = data.error ? data.error : null;
+            if (err && data.responseCode) {
+                // error that should be passed on to the SMTP client
+                err = new Error(data.error);
+                err.responseCode = data.responseCode;
+            }
+            setImmediate(() => callback(err, !err && data.response));
         }
         next();
     };
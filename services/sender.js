@@ -25,6 +25,9 @@ const ConnectionPool = require('../lib/connection-pool');
 
 const senders = new Set();
 
+// how often to report bounce rule hit counters to the master process
+const BOUNCE_HITS_INTERVAL = 10 * 1000;
+
 let cmdId = 0;
 let responseHandlers = new Map();
 
@@ -221,6 +224,22 @@ queueClient.connect(err => {
             log.info(logName, '[%s] Configuration reloaded', clientId);
         });
 
+        // report bounce rule hits to the master process
+        let bounceHitsTimer = setInterval(() => {
+            let hits = bounces.flushHits();
+            if (hits.length) {
+                sendCommand({ cmd: 'BOUNCEHITS', hits }, () => false);
+            }
+        }, BOUNCE_HITS_INTERVAL);
+        bounceHitsTimer.unref();
+
+        process.on('message', m => {
+            if (m && m.cmd === 'reloadBounces') {
+                bounces.reloadBounces();
+                log.info(logName, '[%s] Bounce rules reloaded', clientId);
+            }
+        });
+
         setImmediate(() => {
             process.send({ startup: true });
         });
@@ -0,0 +1,69 @@
+'use strict';
+
+const config = require('@zone-eu/wild-config');
+const adaptiveThrottle = require('../lib/adaptive-throttle');
+const QueueLocker = require('../lib/queue-locker');
+
+config.adaptiveThrottling = Object.assign({}, config.adaptiveThrottling, {
+    enabled: true,
+    recoverAfter: 2
+});
+
+module.exports['Detect slowdown responses'] = test => {
+    test.ok(adaptiveThrottle.isSlowdown({ action: 'slowdown', category: 'other' }));
+    test.ok(adaptiveThrottle.isSlowdown({ action: 'defer', category: 'capacity' }));
+    test.ok(!adaptiveThrottle.isSlowdown({ action: 'defer', category: 'greylist' }));
+    test.done();
+};
+
+module.exports['Reduce and recover throttling'] = test => {
+    adaptiveThrottle.slowdown('default', 'example.com', '192.0.2.1');
+    test.deepEqual(adaptiveThrottle.get('default', 'example.com'), { factor: 0.5, delay: 1000 });
+
+    adaptiveThrottle.slowdown('default', 'example.com', '192.0.2.1');
+    test.deepEqual(adaptiveThrottle.get('default', 'example.com'), { factor: 0.25, delay: 2000 });
+
+    // most restrictive values are used for the domain
+    adaptiveThrottle.slowdown('default', 'example.com', '192.0.2.2');
+    test.deepEqual(adaptiveThrottle.get('default', 'example.com'), { factor: 0.25, delay: 2000 });
+    test.equal(adaptiveThrottle.get('other', 'example.com'), false);
+
+    adaptiveThrottle.success('default', 'example.com', '192.0.2.1');
+    test.equal(adaptiveThrottle.get('default', 'example.com').factor, 0.25);
+    adaptiveThrottle.success('default', 'example.com', '192.0.2.1');
+    test.deepEqual(adaptiveThrottle.get('default', 'example.com'), { factor: 0.35, delay: 1000 });
+
+    test.equal(adaptiveThrottle.list('default', 'example.com').length, 2);
+    test.equal(adaptiveThrottle.reset('default', 'example.com'), 2);
+    test.equal(adaptiveThrottle.get('default', 'example.com'), false);
+    test.done();
+};
+
+module.exports['Remove throttling after recovery'] = test => {
+    adaptiveThrottle.slowdown('default', 'example.net', '192.0.2.1');
+    for (let i = 0; i < 20; i++) {
+        adaptiveThrottle.success('default', 'example.net', '192.0.2.1');
+    }
+    test.equal(adaptiveThrottle.get('default', 'example.net'), false);
+    test.done();
+};
+
+module.exports['Skip delayed domains'] = test => {
+    let locks = new QueueLocker();
+
+    test.ok(locks.lock('lock 1', 'default', 'example.com', 'owner', 1));
+    test.deepEqual(locks.listSkipDomains('default'), ['example.com']);
+
+    locks.delayDomain('default', 'example.net', 1000);
+    test.deepEqual(locks.listSkipDomains('default'), ['example.com', 'example.net']);
+    test.deepEqual(locks.listSkipDomains('other'), false);
+
+    locks.release('lock 1');
+    test.deepEqual(locks.listSkipDomains('default'), ['example.net']);
+
+    locks.delayDomain('default', 'example.org', 1);
+    setTimeout(() => {
+        test.deepEqual(locks.listSkipDomains('default'), ['example.net']);
+        test.done();
+    }, 10);
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+const addressBlacklist = require('../lib/address-blacklist');
+
+module.exports['List blacklisted addresses for a domain'] = test => {
+    addressBlacklist.setEntries([
+        { domain: 'example.com', address: '192.0.2.1', expires: Date.now() + 60 * 1000 },
+        { domain: 'example.com', address: '2001:db8::1', expires: Date.now() + 60 * 1000 },
+        { domain: 'example.com', address: '192.0.2.2', expires: Date.now() - 1000 },
+        { domain: 'example.net', address: '192.0.2.1', expires: Date.now() + 60 * 1000 }
+    ]);
+
+    test.deepEqual(addressBlacklist.getAddresses('example.com'), ['192.0.2.1', '2001:db8::1']);
+    test.deepEqual(addressBlacklist.getAddresses('example.org'), []);
+    test.equal(addressBlacklist.count(), 3);
+
+    addressBlacklist.setEntries([]);
+    test.equal(addressBlacklist.count(), 0);
+    test.done();
+};
+
+module.exports['Fail to add entries without Redis'] = test => {
+    addressBlacklist.add({ domain: 'example.com', address: '192.0.2.1' }, err => {
+        test.ok(err);
+        test.deepEqual(addressBlacklist.getAddresses('example.com'), []);
+        test.done();
+    });
+};
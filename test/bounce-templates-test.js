@@ -0,0 +1,62 @@
+'use strict';
+
+const pathlib = require('path');
+const BounceTemplates = require('../lib/bounce-templates');
+
+const templatesPath = pathlib.join(__dirname, 'fixtures', 'bounce-templates');
+
+module.exports['Render template variables and sections'] = test => {
+    test.equal(BounceTemplates.render('To: {{recipient}}{{#extra}} ({{extra}}){{/extra}}', { recipient: 'a@example.com' }), 'To: a@example.com');
+    test.equal(
+        BounceTemplates.render('To: {{recipient}}{{#extra}} ({{extra}}){{/extra}}', { recipient: 'a@example.com', extra: 'b' }),
+        'To: a@example.com (b)'
+    );
+    test.equal(BounceTemplates.render('{{missing}}|{{count}}', { count: 0 }), '|0');
+    test.done();
+};
+
+module.exports['Format queue time'] = test => {
+    test.equal(BounceTemplates.formatDuration(0), '0m');
+    test.equal(BounceTemplates.formatDuration(5 * 60 * 1000), '5m');
+    test.equal(BounceTemplates.formatDuration((27 * 60 + 5) * 60 * 1000), '1d 3h 5m');
+    test.equal(BounceTemplates.formatDuration(2 * 3600 * 1000), '2h');
+    test.done();
+};
+
+module.exports['Use built-in template if nothing else is found'] = test => {
+    let templates = new BounceTemplates();
+    templates.get('delayed', { name: 'brand', lang: 'et' }, (err, template) => {
+        test.ifError(err);
+        test.equal(template.name, 'default');
+        test.equal(template.lang, 'en');
+        test.equal(template.text, BounceTemplates.DEFAULT_TEMPLATES.delayed.text);
+        test.done();
+    });
+};
+
+module.exports['Load templates from files'] = test => {
+    let templates = new BounceTemplates({ path: templatesPath });
+    templates.get('failed', { name: 'brand', lang: 'et' }, (err, template) => {
+        test.ifError(err);
+        test.equal(template.name, 'brand');
+        test.equal(template.lang, 'et');
+        test.ok(/^Kiri jäi kohale toimetamata/.test(template.subject));
+        test.done();
+    });
+};
+
+module.exports['Fall back to default language and built-in subject'] = test => {
+    let templates = new BounceTemplates({ path: templatesPath });
+    templates.get('failed', { name: 'brand', lang: 'lv' }, (err, template) => {
+        test.ifError(err);
+        test.equal(template.lang, 'en');
+        test.equal(template.text, 'Brand notice: {{reason}}\n');
+
+        templates.get('delayed', { name: 'brand', lang: 'et' }, (err, template) => {
+            test.ifError(err);
+            test.equal(template.lang, 'et');
+            test.equal(template.subject, BounceTemplates.DEFAULT_TEMPLATES.delayed.subject);
+            test.done();
+        });
+    });
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const config = require('@zone-eu/wild-config');
+const pathlib = require('path');
 const bounces = require('../lib/bounces');
 
 module.exports['Defer and blacklist a rejection that names the sender IP'] = test => {
@@ -47,3 +49,75 @@ module.exports['Classify a rejection that arrives with a leading newline'] = tes
     test.equal(bounce.category, 'blacklist');
     test.done();
 };
+
+module.exports['Count rule hits and report pending hits once'] = test => {
+    bounces.flushHits();
+
+    let bounce = bounces.check('554 5.7.1 You are not allowed to connect.');
+    let rule = bounces.listRules().find(rule => rule.line === bounce.line);
+    let hits = rule.hits;
+
+    bounces.check('554 5.7.1 You are not allowed to connect.');
+    bounces.check('554 5.7.1 You are not allowed to connect.', false, { count: false });
+
+    rule = bounces.listRules().find(rule => rule.line === bounce.line);
+    test.equal(rule.hits, hits + 1);
+    test.ok(rule.lastHit instanceof Date);
+
+    let pending = bounces.flushHits();
+    test.equal(pending.length, 1);
+    test.equal(pending[0].pattern, rule.pattern);
+    test.equal(pending[0].hits, 2);
+    test.deepEqual(bounces.flushHits(), []);
+
+    test.done();
+};
+
+module.exports['Aggregate rule hits reported by other processes'] = test => {
+    let rule = bounces.listRules()[0];
+
+    bounces.addHits([
+        { pattern: rule.pattern, hits: 5, lastHit: Date.now() },
+        { pattern: 'unknown-pattern', hits: 1 }
+    ]);
+
+    test.equal(bounces.listRules()[0].hits, rule.hits + 5);
+    test.done();
+};
+
+module.exports['Match structured rules on status, command, MX and domain'] = test => {
+    let bouncesFile = config.bouncesFile;
+    config.bouncesFile = [pathlib.join(__dirname, 'fixtures', 'bounces.yaml'), bouncesFile];
+    test.ok(bounces.reloadBounces());
+
+    let response = '421 4.7.0 Too many messages';
+    let context = { command: 'RCPT TO', mx: 'mx1.mail.protection.outlook.com', domain: 'example.org' };
+
+    let bounce = bounces.check(response, false, { count: false, context });
+    test.equal(bounce.rule, 'outlook-rate-limit');
+    test.equal(bounce.category, 'capacity');
+    test.equal(bounce.line, false);
+    test.deepEqual(bounce.deferTimes, [60000, 120000]);
+
+    // wrong SMTP stage, falls through to the legacy rules
+    bounce = bounces.check(response, false, { count: false, context: Object.assign({}, context, { command: 'DATA' }) });
+    test.notEqual(bounce.rule, 'outlook-rate-limit');
+    test.ok(!bounce.deferTimes);
+
+    // condition values missing from context do not match
+    bounce = bounces.check(response, false, { count: false });
+    test.notEqual(bounce.rule, 'outlook-rate-limit');
+
+    bounce = bounces.check('552 5.2.2 mailbox full', false, { count: false, context: { domain: 'EXAMPLE.COM' } });
+    test.equal(bounce.rule, 'bounces.yaml#2');
+    test.equal(bounce.action, 'reject');
+
+    let rules = bounces.listRules();
+    test.equal(rules.filter(rule => rule.source === 'bounces.yaml').length, 2);
+    test.equal(rules[1].index, 2);
+
+    config.bouncesFile = bouncesFile;
+    test.ok(bounces.reloadBounces());
+    test.ok(!bounces.listRules().some(rule => rule.source === 'bounces.yaml'));
+    test.done();
+};
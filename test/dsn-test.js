@@ -0,0 +1,104 @@
+'use strict';
+
+const SMTPServer = require('smtp-server').SMTPServer;
+const SMTPConnection = require('nodemailer/lib/smtp-connection');
+const dsnTools = require('../lib/dsn');
+
+module.exports['Normalize NOTIFY values'] = test => {
+    test.deepEqual(dsnTools.normalizeNotify('success,failure'), ['SUCCESS', 'FAILURE']);
+    test.deepEqual(dsnTools.normalizeNotify(['DELAY', 'delay']), ['DELAY']);
+    test.deepEqual(dsnTools.normalizeNotify('NEVER,SUCCESS'), ['NEVER']);
+    test.equal(dsnTools.normalizeNotify('unknown'), false);
+    test.equal(dsnTools.normalizeNotify(false), false);
+
+    test.done();
+};
+
+module.exports['Extract DSN parameters from SMTP session'] = test => {
+    let dsn = dsnTools.fromSession({
+        envelope: {
+            mailFrom: { address: 'sender@example.com', args: { RET: 'HDRS', ENVID: 'QQ314159' } },
+            dsn: { ret: 'HDRS', envid: 'QQ314159' },
+            rcptTo: [
+                {
+                    address: 'First@Example.com',
+                    args: { NOTIFY: 'SUCCESS,FAILURE', ORCPT: 'rfc822;first@example.com' },
+                    dsn: { notify: ['SUCCESS', 'FAILURE'], orcpt: 'rfc822;first@example.com' }
+                },
+                { address: 'second@example.com', args: false }
+            ]
+        }
+    });
+
+    test.deepEqual(dsn, {
+        ret: 'HDRS',
+        envid: 'QQ314159',
+        recipients: [{ recipient: 'First@example.com', notify: ['SUCCESS', 'FAILURE'], orcpt: 'rfc822;first@example.com' }]
+    });
+
+    test.deepEqual(dsnTools.getRecipientDsn(dsn, 'First@EXAMPLE.com').notify, ['SUCCESS', 'FAILURE']);
+    test.equal(dsnTools.getRecipientDsn(dsn, 'second@example.com'), false);
+
+    test.equal(dsnTools.fromSession({ envelope: { rcptTo: [{ address: 'first@example.com' }] } }), false);
+
+    test.done();
+};
+
+module.exports['Build DSN envelope for sending'] = test => {
+    test.deepEqual(
+        dsnTools.getSendDsn({
+            dsn: { ret: 'FULL', envid: 'QQ314159' },
+            dsnNotify: ['DELAY'],
+            dsnOrcpt: 'rfc822;first@example.com'
+        }),
+        {
+            ret: 'FULL',
+            envid: 'QQ314159',
+            notify: ['DELAY'],
+            orcpt: 'rfc822;first@example.com'
+        }
+    );
+    test.equal(dsnTools.getSendDsn({}), false);
+
+    test.done();
+};
+
+module.exports['Check requested notification types'] = test => {
+    test.ok(dsnTools.shouldNotify({}, 'failure'));
+    test.ok(dsnTools.shouldNotify({}, 'delay'));
+    test.ok(!dsnTools.shouldNotify({}, 'success'));
+
+    test.ok(!dsnTools.shouldNotify({ dsnNotify: ['NEVER'] }, 'failure'));
+    test.ok(!dsnTools.shouldNotify({ dsnNotify: ['NEVER'] }, 'delay'));
+
+    test.ok(dsnTools.shouldNotify({ dsnNotify: ['SUCCESS'] }, 'success'));
+    test.ok(!dsnTools.shouldNotify({ dsnNotify: ['SUCCESS'] }, 'failure'));
+    test.ok(!dsnTools.shouldNotify({ dsnNotify: ['FAILURE'] }, 'delay'));
+
+    test.done();
+};
+
+module.exports['Read extensions of the next hop from nodemailer'] = test => {
+    // getConnectionExtensions() relies on a private property of nodemailer, this fails if it changes
+    let server = new SMTPServer({
+        disabledCommands: ['AUTH', 'STARTTLS'],
+        hideDSN: false,
+        logger: false
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+        let connection = new SMTPConnection({ port: server.server.address().port, host: '127.0.0.1', ignoreTLS: true });
+        test.equal(dsnTools.getConnectionExtensions({ http: true }), null);
+
+        connection.once('error', err => test.ifError(err));
+        connection.connect(() => {
+            let extensions = dsnTools.getConnectionExtensions(connection);
+            test.ok(Array.isArray(extensions));
+            test.ok(extensions.includes('PIPELINING'));
+            test.ok(extensions.includes('DSN'));
+
+            connection.quit();
+            server.close(() => test.done());
+        });
+    });
+};
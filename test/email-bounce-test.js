@@ -1,13 +1,17 @@
 'use strict';
 
+const pathlib = require('path');
 const emailBounce = require('../plugins/core/email-bounce');
 
-function createHeaders() {
+function createHeaders(values) {
     return {
         getFirst(key) {
             if (key === 'Message-ID') {
                 return '<test-message@example.com>';
             }
+            if (values && values[key]) {
+                return values[key];
+            }
             return '';
         },
         get(key) {
@@ -22,15 +26,18 @@ function createHeaders() {
     };
 }
 
-function createApp() {
+function createApp(config) {
     const hooks = new Map();
     return {
         hooks,
-        config: {
-            zoneConfig: {},
-            mailerDaemon: 'Mailer Daemon <mailer-daemon@[HOSTNAME]>',
-            sendingZone: 'default'
-        },
+        config: Object.assign(
+            {
+                zoneConfig: {},
+                mailerDaemon: 'Mailer Daemon <mailer-daemon@[HOSTNAME]>',
+                sendingZone: 'default'
+            },
+            config || {}
+        ),
         addHook(name, handler) {
             hooks.set(name, handler);
         },
@@ -137,3 +144,193 @@ module.exports['Email bounce includes original recipients when it differs from t
         test.done();
     });
 };
+
+module.exports['Email bounce is not sent if failure notification was not requested'] = test => {
+    const app = createApp();
+    emailBounce.init(app, () => {});
+
+    const queueBounce = app.hooks.get('queue:bounce');
+
+    const bounce = {
+        id: 'message-id',
+        sessionId: 'session-id',
+        zone: 'default',
+        from: 'sender@example.com',
+        to: 'failed@example.com',
+        seq: '001',
+        headers: createHeaders(),
+        name: 'mx.example.com',
+        arrivalDate: new Date('2026-03-25T10:00:00Z').toISOString(),
+        response: '550 5.1.1 No such user',
+        dsnNotify: ['SUCCESS', 'DELAY']
+    };
+
+    const maildrop = {
+        add() {
+            test.ok(false, 'bounce should not be queued');
+        }
+    };
+
+    queueBounce(bounce, maildrop, err => {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+module.exports['Email bounce includes DSN envelope id and original recipient'] = test => {
+    const app = createApp();
+    emailBounce.init(app, () => {});
+
+    const queueBounce = app.hooks.get('queue:bounce');
+
+    const bounce = {
+        id: 'message-id',
+        sessionId: 'session-id',
+        zone: 'default',
+        from: 'sender@example.com',
+        to: 'failed@example.com',
+        seq: '001',
+        headers: createHeaders(),
+        name: 'mx.example.com',
+        arrivalDate: new Date('2026-03-25T10:00:00Z').toISOString(),
+        response: '550 5.1.1 No such user',
+        dsn: { ret: 'HDRS', envid: 'QQ314159' },
+        dsnNotify: ['FAILURE'],
+        dsnOrcpt: 'rfc822;original@example.com'
+    };
+
+    const maildrop = {
+        add(envelope, stream, callback) {
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('error', callback);
+            stream.on('end', () => {
+                const message = Buffer.concat(chunks).toString();
+
+                test.ok(/Original-Envelope-Id: QQ314159/.test(message));
+                test.ok(/Original-Recipient: rfc822;original@example\.com/.test(message));
+                test.ok(/Action: failed/.test(message));
+                test.ok(/Content-Type: text\/rfc822-headers/.test(message));
+
+                callback();
+            });
+        }
+    };
+
+    queueBounce(bounce, maildrop, err => {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+module.exports['Email bounce generates relayed notification for NOTIFY=SUCCESS'] = test => {
+    const app = createApp();
+    emailBounce.init(app, () => {});
+
+    const queueRelayed = app.hooks.get('queue:relayed');
+
+    const notification = {
+        action: 'relayed',
+        id: 'message-id',
+        sessionId: 'session-id',
+        zone: 'default',
+        from: 'sender@example.com',
+        to: 'recipient@example.com',
+        seq: '001',
+        headers: createHeaders(),
+        name: 'mx.example.com',
+        arrivalDate: new Date('2026-03-25T10:00:00Z').toISOString(),
+        response: '250 2.0.0 Ok: queued',
+        dsnNotify: ['SUCCESS']
+    };
+
+    let queued = false;
+    const maildrop = {
+        add(envelope, stream, callback) {
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('error', callback);
+            stream.on('end', () => {
+                const message = Buffer.concat(chunks).toString();
+
+                queued = true;
+                test.equal(envelope.to, 'sender@example.com');
+                test.ok(/Subject: Delivery Status Notification \(Relayed: recipient@example\.com\)/.test(message));
+                test.ok(/Action: relayed/.test(message));
+                test.ok(/Status: 2\.0\.0/.test(message));
+                test.ok(!/X-Failed-Recipients/.test(message));
+
+                callback();
+            });
+        }
+    };
+
+    queueRelayed(notification, maildrop)
+        .then(() => {
+            test.ok(queued);
+            test.done();
+        })
+        .catch(err => {
+            test.ifError(err);
+            test.done();
+        });
+};
+
+module.exports['Email bounce uses localized template selected by sender domain and header'] = test => {
+    const app = createApp({
+        templates: {
+            path: pathlib.join(__dirname, 'fixtures', 'bounce-templates'),
+            languageHeader: 'X-Bounce-Language'
+        },
+        zoneConfig: {
+            default: {
+                templates: {
+                    senderDomains: {
+                        'example.com': 'brand'
+                    }
+                }
+            }
+        }
+    });
+    emailBounce.init(app, () => {});
+
+    const queueBounce = app.hooks.get('queue:bounce');
+
+    const bounce = {
+        id: 'message-id',
+        sessionId: 'session-id',
+        zone: 'default',
+        from: 'sender@example.com',
+        to: 'failed@example.com',
+        seq: '001',
+        headers: createHeaders({ 'X-Bounce-Language': 'et-EE' }),
+        name: 'mx.example.com',
+        category: 'recipient',
+        arrivalDate: new Date(Date.now() - 2 * 3600 * 1000).toISOString(),
+        response: '550 5.1.1 No such user'
+    };
+
+    const maildrop = {
+        add(envelope, stream, callback) {
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('error', callback);
+            stream.on('end', () => {
+                const message = Buffer.concat(chunks).toString();
+
+                test.ok(/Subject: =\?UTF-8\?Q\?Kiri/.test(message));
+                test.ok(/Content-Language: et/.test(message));
+                test.ok(/\(recipient\): 550 5\.1\.1/.test(message));
+                test.ok(/2h\./.test(message));
+                test.ok(/Action: failed/.test(message));
+
+                callback();
+            });
+        }
+    };
+
+    queueBounce(bounce, maildrop, err => {
+        test.ifError(err);
+        test.done();
+    });
+};
@@ -0,0 +1,350 @@
+'use strict';
+
+// In-memory stand-in for the MongoDB database object. Supports the query and update operators used by
+// ZoneMTA, every method accepts a callback or returns a promise like the MongoDB driver does
+
+function getValue(doc, path) {
+    return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), doc);
+}
+
+function setValue(doc, path, value) {
+    let keys = path.split('.');
+    let last = keys.pop();
+    let target = keys.reduce((target, key) => {
+        if (!target[key] || typeof target[key] !== 'object') {
+            target[key] = {};
+        }
+        return target[key];
+    }, doc);
+    target[last] = value;
+}
+
+function unsetValue(doc, path) {
+    let keys = path.split('.');
+    let last = keys.pop();
+    let target = getValue(doc, keys.join('.')) || (keys.length ? false : doc);
+    if (target) {
+        delete target[last];
+    }
+}
+
+function compare(a, b) {
+    a = a instanceof Date ? a.getTime() : a;
+    b = b instanceof Date ? b.getTime() : b;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function isEqual(value, expected) {
+    if (expected === null) {
+        return value === null || value === undefined;
+    }
+    if (expected instanceof RegExp) {
+        return typeof value === 'string' && expected.test(value);
+    }
+    if (Array.isArray(value) && !Array.isArray(expected)) {
+        return value.some(entry => isEqual(entry, expected));
+    }
+    if (value instanceof Date || expected instanceof Date) {
+        return compare(value, expected) === 0;
+    }
+    return value === expected;
+}
+
+function matchOperators(value, condition) {
+    return Object.keys(condition).every(op => {
+        let expected = condition[op];
+        switch (op) {
+            case '$in':
+                return expected.some(entry => isEqual(value, entry));
+            case '$nin':
+                return !expected.some(entry => isEqual(value, entry));
+            case '$ne':
+                return !isEqual(value, expected);
+            case '$exists':
+                return (value !== undefined) === !!expected;
+            case '$gt':
+                return value !== undefined && compare(value, expected) > 0;
+            case '$gte':
+                return value !== undefined && compare(value, expected) >= 0;
+            case '$lt':
+                return value !== undefined && compare(value, expected) < 0;
+            case '$lte':
+                return value !== undefined && compare(value, expected) <= 0;
+            case '$not':
+                return !matchOperators(value, expected);
+            default:
+                throw new Error('Unsupported query operator ' + op);
+        }
+    });
+}
+
+function matches(doc, query) {
+    return Object.keys(query || {}).every(key => {
+        let condition = query[key];
+        switch (key) {
+            case '$or':
+                return condition.some(entry => matches(doc, entry));
+            case '$and':
+                return condition.every(entry => matches(doc, entry));
+        }
+
+        let value = getValue(doc, key);
+        if (condition && typeof condition === 'object' && !(condition instanceof Date) && !(condition instanceof RegExp) && !Array.isArray(condition)) {
+            if (Object.keys(condition).some(op => op.charAt(0) === '$')) {
+                return matchOperators(value, condition);
+            }
+        }
+        return isEqual(value, condition);
+    });
+}
+
+function applyUpdate(doc, update) {
+    Object.keys(update.$set || {}).forEach(path => setValue(doc, path, update.$set[path]));
+    Object.keys(update.$inc || {}).forEach(path => setValue(doc, path, (Number(getValue(doc, path)) || 0) + update.$inc[path]));
+    Object.keys(update.$unset || {}).forEach(path => unsetValue(doc, path));
+}
+
+function sortDocs(docs, sort) {
+    let keys = Object.keys(sort || {});
+    return docs.slice().sort((a, b) => {
+        for (let key of keys) {
+            let result = compare(getValue(a, key), getValue(b, key)) * (sort[key] < 0 ? -1 : 1);
+            if (result) {
+                return result;
+            }
+        }
+        return 0;
+    });
+}
+
+function projectDoc(doc, projection) {
+    let keys = Object.keys(projection || {});
+    if (!keys.length) {
+        return doc;
+    }
+    if (keys.every(key => !projection[key])) {
+        let result = Object.assign({}, doc);
+        keys.forEach(key => delete result[key]);
+        return result;
+    }
+    let result = {};
+    if (projection._id !== false && projection._id !== 0 && '_id' in doc) {
+        result._id = doc._id;
+    }
+    keys.filter(key => projection[key] && key !== '_id').forEach(key => {
+        let value = getValue(doc, key);
+        if (value !== undefined) {
+            setValue(result, key, value);
+        }
+    });
+    return result;
+}
+
+// resolves the result either with a callback or as a promise
+function respond(callback, run) {
+    let result = new Promise((resolve, reject) => {
+        setImmediate(() => {
+            try {
+                resolve(run());
+            } catch (err) {
+                reject(err);
+            }
+        });
+    });
+    if (typeof callback !== 'function') {
+        return result;
+    }
+    result.then(
+        value => callback(null, value),
+        err => callback(err)
+    );
+}
+
+class Cursor {
+    constructor(collection, query, options) {
+        this.collection = collection;
+        this.query = query;
+        this.options = Object.assign({}, options);
+        this.list = null;
+    }
+
+    sort(sort) {
+        this.options.sort = sort;
+        return this;
+    }
+
+    project(projection) {
+        this.options.projection = projection;
+        return this;
+    }
+
+    skip(skip) {
+        this.options.skip = skip;
+        return this;
+    }
+
+    limit(limit) {
+        this.options.limit = limit;
+        return this;
+    }
+
+    getList() {
+        if (!this.list) {
+            let list = sortDocs(this.collection.filter(this.query), this.options.sort).slice(this.options.skip || 0);
+            if (this.options.limit) {
+                list = list.slice(0, this.options.limit);
+            }
+            this.list = list.map(doc => projectDoc(doc, this.options.projection));
+        }
+        return this.list;
+    }
+
+    toArray(callback) {
+        return respond(callback, () => this.getList().slice());
+    }
+
+    next(callback) {
+        return respond(callback, () => this.getList().shift() || null);
+    }
+
+    close(callback) {
+        return respond(callback, () => true);
+    }
+}
+
+class Collection {
+    constructor(name, docs) {
+        this.name = name;
+        this.docs = docs || [];
+        // every query run against the collection, newest last
+        this.queries = [];
+        this.counter = 0;
+    }
+
+    filter(query) {
+        this.queries.push(query);
+        return this.docs.filter(doc => matches(doc, query));
+    }
+
+    insert(doc) {
+        if (!('_id' in doc)) {
+            doc._id = ++this.counter;
+        }
+        this.docs.push(doc);
+        return doc._id;
+    }
+
+    insertOne(doc, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+        }
+        return respond(callback, () => ({ insertedId: this.insert(doc) }));
+    }
+
+    insertMany(docs, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+        }
+        return respond(callback, () => ({ insertedCount: docs.map(doc => this.insert(doc)).length }));
+    }
+
+    find(query, options) {
+        return new Cursor(this, query, options);
+    }
+
+    findOne(query, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        return new Cursor(this, query, options).limit(1).next(callback);
+    }
+
+    findOneAndUpdate(query, update, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        return respond(callback, () => {
+            let doc = sortDocs(this.filter(query), options.sort)[0];
+            if (!doc) {
+                return { value: null };
+            }
+            let original = structuredClone(doc);
+            applyUpdate(doc, update);
+            return { value: options.returnOriginal === false || options.returnDocument === 'after' ? doc : original };
+        });
+    }
+
+    updateOne(query, update, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+        }
+        return respond(callback, () => {
+            let doc = this.filter(query)[0];
+            if (doc) {
+                applyUpdate(doc, update);
+            }
+            return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+        });
+    }
+
+    updateMany(query, update, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+        }
+        return respond(callback, () => {
+            let list = this.filter(query);
+            list.forEach(doc => applyUpdate(doc, update));
+            return { matchedCount: list.length, modifiedCount: list.length };
+        });
+    }
+
+    deleteOne(query, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+        }
+        return respond(callback, () => {
+            let doc = this.filter(query)[0];
+            if (doc) {
+                this.docs.splice(this.docs.indexOf(doc), 1);
+            }
+            return { deletedCount: doc ? 1 : 0 };
+        });
+    }
+
+    countDocuments(query, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+        }
+        return respond(callback, () => this.filter(query).length);
+    }
+
+    distinct(key, query, callback) {
+        return respond(callback, () => Array.from(new Set(this.filter(query).map(doc => getValue(doc, key)))).filter(value => value !== undefined));
+    }
+}
+
+/**
+ * Creates an in-memory database
+ *
+ * @param {Object} [data] Initial documents by collection name. Arrays are used as is, so tests can inspect these
+ * @returns {Object} Database object with collection(name) and docs(name) methods
+ */
+function getMongodb(data) {
+    let collections = new Map();
+    let collection = name => {
+        if (!collections.has(name)) {
+            collections.set(name, new Collection(name, data && data[name]));
+        }
+        return collections.get(name);
+    };
+
+    return {
+        collection,
+        docs: name => collection(name).docs
+    };
+}
+
+module.exports = { getMongodb };
@@ -0,0 +1,172 @@
+'use strict';
+
+const EventEmitter = require('events');
+const config = require('@zone-eu/wild-config');
+const db = require('../lib/db');
+const ipReputation = require('../lib/ip-reputation');
+const providers = require('../lib/providers');
+const SendingZone = require('../lib/sending-zone').SendingZone;
+
+module.exports['Resolve destination provider from recipient domain'] = test => {
+    test.equal(providers.getProvider('gmail.com'), 'google');
+    test.equal(providers.getProvider('Hotmail.co.uk'), 'microsoft');
+    test.equal(providers.getProvider('example.com'), 'example.com');
+    test.done();
+};
+
+module.exports['Use deprecated provider list as fallback'] = test => {
+    config.ipReputation.providers = {
+        example: ['example.com', 'example.net']
+    };
+    test.equal(providers.getProvider('example.net'), 'example');
+    test.equal(providers.getProvider('gmail.com'), 'google');
+
+    delete config.ipReputation.providers;
+    test.equal(providers.getProvider('example.net'), 'example.net');
+    test.done();
+};
+
+module.exports['Track only configured categories when enabled'] = test => {
+    let enabled = config.ipReputation.enabled;
+
+    config.ipReputation.enabled = false;
+    test.ok(!ipReputation.tracks('blacklist'));
+
+    config.ipReputation.enabled = true;
+    test.ok(ipReputation.tracks('blacklist'));
+    test.ok(!ipReputation.tracks('recipient'));
+
+    config.ipReputation.enabled = enabled;
+    test.done();
+};
+
+module.exports['Skip disabled addresses in pool rotation'] = test => {
+    let enabled = config.ipReputation.enabled;
+    config.ipReputation.enabled = true;
+
+    let zone = new SendingZone('reputation', {
+        pool: [
+            { name: 'mx1.example.com', address: '192.0.2.1' },
+            { name: 'mx2.example.com', address: '192.0.2.2' }
+        ]
+    });
+
+    ipReputation.setDisabled([
+        { address: '192.0.2.1', provider: 'google', expires: Date.now() + 60 * 1000 },
+        { address: '192.0.2.2', provider: 'example.com', expires: Date.now() - 1000 }
+    ]);
+
+    test.deepEqual(ipReputation.getDisabledAddresses('googlemail.com'), ['192.0.2.1']);
+    test.deepEqual(ipReputation.getDisabledAddresses('example.com'), []);
+
+    for (let i = 0; i < 10; i++) {
+        let delivery = { id: 'test' + i, seq: '001', domain: 'gmail.com' };
+        test.equal(zone.getAddress(delivery, false).address, '192.0.2.2');
+        test.ok(!delivery.poolDisabled);
+    }
+
+    ipReputation.setDisabled([]);
+    config.ipReputation.enabled = enabled;
+    test.done();
+};
+
+// Redis client that keeps hashes in memory, only supports commands used for counters
+let getRedis = () => {
+    let hashes = new Map();
+    let commands = {
+        hincrby: (key, field, count) => {
+            let hash = hashes.get(key) || {};
+            hash[field] = (Number(hash[field]) || 0) + count;
+            hashes.set(key, hash);
+            return hash[field];
+        },
+        hgetall: key => Object.assign({}, hashes.get(key) || {}),
+        pttl: () => -1,
+        zremrangebyscore: () => 0,
+        zrangebyscore: () => [],
+        zrem: () => 0,
+        hdel: () => 0
+    };
+
+    let redis = {
+        hashes,
+        multi() {
+            let queued = [];
+            let multi = {
+                exec: callback =>
+                    setImmediate(() =>
+                        callback(
+                            null,
+                            queued.map(cmd => [null, cmd()])
+                        )
+                    )
+            };
+            Object.keys(commands).forEach(name => {
+                multi[name] = (...args) => {
+                    queued.push(() => commands[name](...args));
+                    return multi;
+                };
+            });
+            return multi;
+        },
+        pexpire: (key, ttl, callback) => setImmediate(() => callback(null, 1)),
+        del: (...args) => {
+            let callback = args.pop();
+            args.forEach(key => hashes.delete(key));
+            setImmediate(() => callback(null, args.length));
+        },
+        scanStream: options => {
+            let stream = new EventEmitter();
+            // glob to regex, escaped characters are matched literally
+            let re = new RegExp(
+                '^' +
+                    options.match
+                        .split(/(\\.|\*)/)
+                        .map(part => (part === '*' ? '.*' : part.replace(/^\\/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+                        .join('') +
+                    '$'
+            );
+            setImmediate(() => {
+                stream.emit(
+                    'data',
+                    Array.from(hashes.keys()).filter(key => re.test(key))
+                );
+                stream.emit('end');
+            });
+            return stream;
+        }
+    };
+    return redis;
+};
+
+module.exports['Keep counters of similar IPv6 addresses separate'] = test => {
+    let enabled = config.ipReputation.enabled;
+    config.ipReputation.enabled = true;
+    db.redis = getRedis();
+
+    let record = (address, next) => ipReputation.record({ address, domain: 'example.com', category: 'blacklist' }, next);
+
+    record('2001:db8::1', err => {
+        test.ifError(err);
+        record('2001:db8::1:5', err => {
+            test.ifError(err);
+
+            ipReputation.getAddressInfo('2001:db8::1', (err, info) => {
+                test.ifError(err);
+                test.deepEqual(
+                    info.counters.map(counter => [counter.provider, counter.count]),
+                    [['example.com', 1]]
+                );
+
+                ipReputation.reset('2001:db8::1', false, err => {
+                    test.ifError(err);
+                    test.deepEqual(Array.from(db.redis.hashes.keys()), ['iprep:count:2001:db8::1:5|example.com']);
+
+                    db.redis = false;
+                    config.ipReputation.enabled = enabled;
+                    test.done();
+                });
+            });
+        });
+    });
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+const ipWarmup = require('../lib/ip-warmup');
+const SendingZone = require('../lib/sending-zone').SendingZone;
+
+const DAY = 24 * 3600 * 1000;
+
+let getEntry = (address, startDaysAgo) => ({
+    name: 'warmup.example.com',
+    address,
+    warmup: {
+        start: new Date(Date.now() - startDaysAgo * DAY).toISOString(),
+        schedule: [1, 2, 3],
+        providers: {
+            google: [0, 1]
+        }
+    }
+});
+
+module.exports['Resolve daily limit from schedule'] = test => {
+    let entry = getEntry('192.0.2.10', 1);
+
+    test.equal(ipWarmup.getWarmupDay(entry), 1);
+    test.equal(ipWarmup.getDailyLimit(entry, ipWarmup.ALL_PROVIDERS), 2);
+    test.equal(ipWarmup.getDailyLimit(entry, 'google'), 1);
+    test.equal(ipWarmup.getDailyLimit(entry, 'example.com'), false);
+    test.ok(ipWarmup.isWarming(entry));
+
+    // not started yet
+    test.equal(ipWarmup.getDailyLimit(getEntry('192.0.2.10', -1), ipWarmup.ALL_PROVIDERS), 0);
+
+    // schedule is over
+    test.ok(!ipWarmup.isWarming(getEntry('192.0.2.10', 3)));
+    test.ok(!ipWarmup.isWarming({ address: '192.0.2.10' }));
+    test.done();
+};
+
+module.exports['Route overflow to established addresses'] = test => {
+    let zone = new SendingZone('warmup', {
+        pool: [getEntry('192.0.2.10', 0), { name: 'mx.example.com', address: '192.0.2.11' }]
+    });
+
+    let getAddress = (id, domain) => zone.getAddress({ id, seq: '001', domain }, false).address;
+
+    // find a delivery that is routed to the warming up address
+    let id = 0;
+    while (getAddress('test' + id, 'example.com') !== '192.0.2.10') {
+        id++;
+    }
+
+    // provider limit for the first day is 0
+    test.equal(getAddress('test' + id, 'gmail.com'), '192.0.2.11');
+
+    // total limit for the first day is 1
+    ipWarmup.record('warmup', '192.0.2.10', 'example.com');
+    test.equal(getAddress('test' + id, 'example.com'), '192.0.2.11');
+
+    test.deepEqual(ipWarmup.getProgress(), [
+        {
+            zone: 'warmup',
+            address: '192.0.2.10',
+            day: 0,
+            providers: [
+                { provider: 'all', sent: 1, limit: 1 },
+                { provider: 'google', sent: 0, limit: 0 }
+            ]
+        }
+    ]);
+    test.done();
+};
+
+module.exports['Postpone overflow if the whole pool is warming up'] = test => {
+    let zone = new SendingZone('warmup-only', {
+        pool: [getEntry('192.0.2.20', 0), getEntry('192.0.2.21', 0)]
+    });
+
+    let delivery = { id: 'test', seq: '001', domain: 'example.com' };
+    let address = zone.getAddress(delivery, false).address;
+    let other = address === '192.0.2.20' ? '192.0.2.21' : '192.0.2.20';
+    test.ok(!delivery.warmupLimited);
+
+    // other warming up address still has capacity
+    ipWarmup.record('warmup-only', address, 'example.com');
+    test.equal(zone.getAddress(delivery, false).address, other);
+    test.ok(!delivery.warmupLimited);
+
+    // no address can be used today
+    ipWarmup.record('warmup-only', other, 'example.com');
+    test.equal(zone.getAddress(delivery, false).address, address);
+    test.equal(delivery.warmupLimited.address, address);
+    test.equal(delivery.warmupLimited.messages, 1);
+    test.equal(delivery.warmupLimited.provider, ipWarmup.ALL_PROVIDERS);
+    test.equal(delivery.warmupLimited.scope, 'warmup');
+    test.ok(delivery.warmupLimited.ttl > 0 && delivery.warmupLimited.ttl <= DAY);
+    test.equal(ipWarmup.getDayEnd(Date.parse('2024-01-01T23:00:00Z')), 3600 * 1000);
+
+    // provider limit is reported if that was exceeded
+    let providerZone = new SendingZone('warmup-provider', {
+        pool: [getEntry('192.0.2.30', 0), getEntry('192.0.2.31', 0)]
+    });
+    let gmail = { id: 'test', seq: '002', domain: 'gmail.com' };
+    providerZone.getAddress(gmail, false);
+    test.equal(gmail.warmupLimited.provider, 'google');
+    test.equal(gmail.warmupLimited.messages, 0);
+    test.done();
+};
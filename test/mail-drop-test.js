@@ -0,0 +1,64 @@
+'use strict';
+
+const plugins = require('../lib/plugins');
+const MailDrop = require('../lib/mail-drop');
+
+module.exports['Record messages dropped by plugins'] = test => {
+    let handler = plugins.handler;
+    plugins.init('test');
+
+    let recorded = [];
+    let queue = {
+        events: {
+            record: entry => recorded.push(entry)
+        },
+        store: (id, stream, callback) => {
+            stream.on('end', () => callback(null, id));
+            stream.resume();
+        },
+        setMeta: (id, data, callback) => setImmediate(() => callback()),
+        removeMessage: (id, callback) => setImmediate(() => callback())
+    };
+
+    // simulate a plugin that drops the message with app.drop()
+    Object.assign(plugins.handler, {
+        runAnalyzerHooks: (envelope, source, destination) => source.pipe(destination),
+        runRewriteHooks: (envelope, source, destination) => source.pipe(destination),
+        runStreamHooks: (envelope, source, destination) => source.pipe(destination),
+        runHooks: (name, args, next) => {
+            if (name !== 'message:queue') {
+                return next();
+            }
+            let envelope = args[0];
+            plugins.handler.remotelog(envelope.id, false, 'DROP', { description: 'spam' });
+            let err = new Error('Message queued as ' + envelope.id);
+            err.name = 'SMTPResponse';
+            next(err);
+        }
+    });
+
+    let envelope = {
+        id: '17a1b2c3d4e0000001',
+        from: 'sender@example.com',
+        to: ['recipient@example.com']
+    };
+
+    new MailDrop(queue).add(envelope, 'Subject: test\r\n\r\nHello world!\r\n', err => {
+        plugins.handler = handler;
+
+        test.equal(err.name, 'SMTPResponse');
+        test.equal(recorded.length, 1);
+        test.deepEqual(recorded[0], {
+            id: '17a1b2c3d4e0000001',
+            event: 'dropped',
+            from: 'sender@example.com',
+            to: ['recipient@example.com'],
+            reason: 'spam',
+            response: 'Message queued as 17a1b2c3d4e0000001'
+        });
+
+        // description is only used once
+        test.equal(plugins.getDropDescription(envelope.id), false);
+        test.done();
+    });
+};
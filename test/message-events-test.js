@@ -0,0 +1,96 @@
+'use strict';
+
+const MessageEvents = require('../lib/message-events');
+const { getMongodb } = require('./fixtures/mongodb');
+
+module.exports['Store events'] = test => {
+    let mongodb = getMongodb();
+    let events = new MessageEvents(mongodb, { enabled: true });
+
+    events.record(
+        [
+            { id: 'abc', event: 'accepted', from: 'sender@example.com', user: undefined, origin: '' },
+            { id: 'abc', seq: '001', event: 'queued', recipient: 'User@Example.com', zone: 'default' }
+        ],
+        (err, stored) => {
+            test.ifError(err);
+            test.equal(stored, 2);
+            let [accepted, queued] = mongodb.docs(MessageEvents.COLLECTION);
+            test.equal(accepted.seq, false);
+            test.equal(accepted.from, 'sender@example.com');
+            // empty values are not stored
+            test.ok(!('user' in accepted));
+            test.ok(!('origin' in accepted));
+            test.ok(accepted.created instanceof Date);
+
+            test.equal(queued.recipient, 'user@example.com');
+            test.equal(queued.zone, 'default');
+            test.done();
+        }
+    );
+};
+
+module.exports['Skip events if disabled'] = test => {
+    let mongodb = getMongodb();
+
+    // events are only stored if explicitly enabled
+    test.equal(new MessageEvents(mongodb).enabled, false);
+
+    new MessageEvents(mongodb, { enabled: false }).record({ id: 'abc', event: 'accepted' }, (err, stored) => {
+        test.ifError(err);
+        test.equal(stored, false);
+
+        // without a database events are not stored either
+        new MessageEvents(false).record({ id: 'abc', event: 'accepted' }, (err, stored) => {
+            test.ifError(err);
+            test.equal(stored, false);
+            test.equal(mongodb.docs(MessageEvents.COLLECTION).length, 0);
+            test.done();
+        });
+    });
+};
+
+module.exports['List events of a recipient'] = test => {
+    let mongodb = getMongodb();
+    let events = new MessageEvents(mongodb, { enabled: true });
+
+    events.record(
+        [
+            { id: 'abc', event: 'accepted' },
+            { id: 'abc', seq: '001', event: 'queued', recipient: 'a@example.com' },
+            { id: 'abc', seq: '002', event: 'queued', recipient: 'b@example.com' },
+            { id: 'abc', seq: '001', event: 'delivered', recipient: 'a@example.com' },
+            { id: 'def', event: 'accepted' }
+        ],
+        err => {
+            test.ifError(err);
+
+            events.list('abc', (err, list) => {
+                test.ifError(err);
+                test.deepEqual(
+                    list.map(event => event.event),
+                    ['accepted', 'queued', 'queued', 'delivered']
+                );
+
+                events.list('abc', { recipient: 'A@example.com' }, (err, list) => {
+                    test.ifError(err);
+                    // message level events are included
+                    test.deepEqual(
+                        list.map(event => event.event),
+                        ['accepted', 'queued', 'delivered']
+                    );
+                    test.deepEqual(mongodb.collection(MessageEvents.COLLECTION).queries.pop().$or, [{ recipient: 'a@example.com' }, { seq: false }]);
+
+                    events.list('abc', { seq: '002' }, (err, list) => {
+                        test.ifError(err);
+                        test.deepEqual(
+                            list.map(event => event.event),
+                            ['accepted', 'queued']
+                        );
+                        test.done();
+                    });
+                });
+            });
+        }
+    );
+};
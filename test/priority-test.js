@@ -0,0 +1,65 @@
+'use strict';
+
+const priorities = require('../lib/priority');
+const QueueLocker = require('../lib/queue-locker');
+const MailQueue = require('../lib/mail-queue');
+
+module.exports['Parse priority'] = test => {
+    test.equal(priorities.parsePriority('High'), 'high');
+    test.equal(priorities.parsePriority(' low '), 'low');
+    test.strictEqual(priorities.parsePriority('urgent'), false);
+    test.strictEqual(priorities.parsePriority(''), false);
+    test.done();
+};
+
+module.exports['Query normal lane'] = test => {
+    test.equal(priorities.getLaneQuery('high'), 'high');
+    // entries without a priority belong to the normal lane
+    test.deepEqual(priorities.getLaneQuery('normal'), { $nin: ['high', 'low'] });
+    test.done();
+};
+
+module.exports['Order lanes'] = test => {
+    test.deepEqual(priorities.getLanes(), ['high', 'normal', 'low']);
+    test.deepEqual(priorities.getLanes({ counter: 9, starvationLimit: 10 }), ['high', 'normal', 'low']);
+    test.deepEqual(priorities.getLanes({ counter: 10, starvationLimit: 10 }), ['low', 'normal', 'high']);
+    test.deepEqual(priorities.getLanes({ counter: 10, starvationLimit: 0 }), ['high', 'normal', 'low']);
+    test.done();
+};
+
+module.exports['Reserve capacity for higher lanes'] = test => {
+    let reserved = { high: 2, normal: 1 };
+
+    test.deepEqual(priorities.getLanes({ active: 6, capacity: 10, reserved }), ['high', 'normal', 'low']);
+    test.deepEqual(priorities.getLanes({ active: 7, capacity: 10, reserved }), ['high', 'normal']);
+    test.deepEqual(priorities.getLanes({ active: 8, capacity: 10, reserved }), ['high']);
+    // highest lane is never blocked
+    test.deepEqual(priorities.getLanes({ active: 12, capacity: 10, reserved }), ['high']);
+    test.done();
+};
+
+module.exports['Count zone locks'] = test => {
+    let locks = new QueueLocker();
+
+    test.equal(locks.countZoneLocks('default'), 0);
+    locks.lock('lock 1 001', 'default', 'example.com', 'owner', 5);
+    locks.lock('lock 1 002', 'default', 'example.net', 'owner', 5);
+    // bundled recipients are locked without a domain
+    locks.lock('lock 1 003', 'default', false, 'owner', 0);
+    locks.lock('lock 2 001', 'other', 'example.com', 'owner', 5);
+
+    test.equal(locks.countZoneLocks('default'), 2);
+    locks.release('lock 1 001');
+    test.equal(locks.countZoneLocks('default'), 1);
+    test.done();
+};
+
+module.exports['Count deliveries by priority'] = test => {
+    let counts = MailQueue.getPriorityCounts([
+        { _id: 'high', count: 2 },
+        { _id: null, count: 3 },
+        { _id: 'normal', count: 4 }
+    ]);
+    test.deepEqual(counts, { high: 2, normal: 7, low: 0 });
+    test.done();
+};
@@ -0,0 +1,184 @@
+'use strict';
+
+const QueueBulk = require('../lib/queue-bulk');
+const MailQueue = require('../lib/mail-queue');
+const MessageEvents = require('../lib/message-events');
+const plugins = require('../lib/plugins');
+
+module.exports['Parse filter'] = test => {
+    let filter = QueueBulk.parseFilter({
+        zone: 'Default',
+        domain: 'Example.COM',
+        sender: 'News@Example.net',
+        messageId: 'abc@example.net',
+        minDeferred: '2',
+        maxAge: 3600,
+        category: 'Capacity'
+    });
+
+    test.deepEqual(filter, {
+        zone: 'default',
+        domain: 'example.com',
+        // local part is kept as is, sender matching is case insensitive
+        sender: 'News@example.net',
+        messageId: '<abc@example.net>',
+        minDeferred: 2,
+        maxAge: 3600,
+        category: 'capacity'
+    });
+
+    test.deepEqual(QueueBulk.parseFilter({ messageId: '<abc@example.net>' }), { messageId: '<abc@example.net>' });
+    test.throws(() => QueueBulk.parseFilter({}), /Empty filter/);
+    test.throws(() => QueueBulk.parseFilter({ minAge: 'abc' }), /minAge/);
+    test.throws(() => QueueBulk.parseFilter({ maxDeferred: -1 }), /maxDeferred/);
+    test.done();
+};
+
+module.exports['Build query'] = test => {
+    let query = QueueBulk.buildQuery(
+        {
+            zone: 'default',
+            domain: 'example.com',
+            sender: 'example.net',
+            minDeferred: 1,
+            maxDeferred: 5,
+            category: 'rate'
+        },
+        ['17a1b2c3d4e0000001']
+    );
+
+    test.equal(query.sendingZone, 'default');
+    test.equal(query.domain, 'example.com');
+    test.deepEqual(query.id, { $in: ['17a1b2c3d4e0000001'] });
+    test.deepEqual(query['_deferred.count'], { $gte: 1, $not: { $gt: 5 } });
+    test.equal(query['_deferred.category'], 'rate');
+
+    test.ok(query.from.test('news@Example.NET'));
+    test.ok(!query.from.test('news@example.net.evil'));
+    test.ok(!query.from.test('news@notexample.net'));
+
+    let addressQuery = QueueBulk.buildQuery({ sender: 'news@example.net' });
+    test.ok(addressQuery.from.test('NEWS@example.net'));
+    test.ok(!addressQuery.from.test('other.news@example.net'));
+    test.done();
+};
+
+module.exports['Build age query'] = test => {
+    let now = Date.now();
+    let query = QueueBulk.buildQuery({ minAge: 60, maxAge: 3600 });
+
+    test.ok(Math.abs(query.created.$lte.getTime() - (now - 60 * 1000)) < 1000);
+    test.ok(Math.abs(query.created.$gte.getTime() - (now - 3600 * 1000)) < 1000);
+    test.done();
+};
+
+module.exports['Validate actions'] = test => {
+    let bulk = new QueueBulk({});
+
+    bulk.start({ zone: 'default' }, 'explode', {}, err => {
+        test.equal(err.code, 'EINVALID');
+
+        bulk.start({ zone: 'default' }, 'reschedule', { time: new Date('invalid') }, err => {
+            test.equal(err.code, 'EINVALID');
+            test.equal(bulk.get('unknown'), false);
+            test.done();
+        });
+    });
+};
+
+module.exports['Bounce delivery'] = test => {
+    let handler = plugins.handler;
+    let bounces = [];
+    plugins.handler = {
+        runHooks: (name, args, next) => {
+            if (name === 'queue:bounce') {
+                bounces.push(args[0]);
+            }
+            next();
+        },
+        remotelog: () => false
+    };
+
+    let entry = {
+        id: '17a1b2c3d4e0000001',
+        seq: '001',
+        sendingZone: 'default',
+        from: 'sender@example.com',
+        recipient: 'recipient@example.com',
+        locked: false
+    };
+
+    let queue = new MailQueue({ collection: 'queue' });
+    queue.mongodb = {
+        collection: () => ({
+            findOneAndUpdate: (query, update, options, callback) => setImmediate(() => callback(null, { value: Object.assign({}, entry, update.$set) }))
+        })
+    };
+    queue.events = new MessageEvents(false);
+    queue.getMeta = (id, callback) => setImmediate(() => callback(null, { headers: [], sessionId: 'session' }));
+
+    let released = [];
+    queue.releaseDelivery = (delivery, callback) => {
+        released.push(delivery);
+        setImmediate(() => callback(null, true));
+    };
+
+    // bulk bounces use the same reject path as held deliveries and expired messages
+    new QueueBulk(queue).apply({ id: 'job', action: 'bounce' }, entry, { reason: 'Bulk bounce requested from API' }, (err, updated) => {
+        plugins.handler = handler;
+
+        test.ifError(err);
+        test.ok(updated);
+        test.equal(released.length, 1);
+        test.equal(released[0]._lock, 'lock 17a1b2c3d4e0000001 001');
+        test.ok(released[0].skipDelayDelete);
+
+        test.equal(bounces.length, 1);
+        test.equal(bounces[0].to, 'recipient@example.com');
+        test.equal(bounces[0].category, 'other');
+        test.equal(bounces[0].response, 'Bulk bounce requested from API');
+        test.done();
+    });
+};
+
+module.exports['Retry scheduled delivery'] = test => {
+    let entry = {
+        id: '17a1b2c3d4e0000001',
+        seq: '001',
+        sendingZone: 'default',
+        recipient: 'recipient@example.com',
+        scheduled: new Date(Date.now() + 3600 * 1000),
+        queued: new Date(Date.now() + 3600 * 1000),
+        locked: false
+    };
+
+    let queue = new MailQueue({ collection: 'queue' });
+    queue.mongodb = {
+        collection: () => ({
+            updateOne: (query, update, callback) => {
+                Object.assign(entry, update.$set);
+                Object.keys(update.$unset || {}).forEach(key => delete entry[key]);
+                setImmediate(() => callback(null, { matchedCount: 1 }));
+            }
+        })
+    };
+
+    let bulk = new QueueBulk(queue);
+    bulk.apply({ id: 'job', action: 'retry' }, entry, {}, (err, updated) => {
+        test.ifError(err);
+        test.ok(updated);
+        test.ok(entry.queued <= new Date());
+        // retried delivery is not listed as scheduled anymore
+        test.ok(!entry.scheduled);
+
+        entry.scheduled = entry.queued;
+        let time = new Date(Date.now() + 60 * 1000);
+        bulk.apply({ id: 'job', action: 'reschedule' }, entry, { time }, (err, updated) => {
+            test.ifError(err);
+            test.ok(updated);
+            test.equal(entry.queued, time);
+            test.ok(!entry.scheduled);
+            test.done();
+        });
+    });
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+const QueueDrain = require('../lib/queue-drain');
+
+let getQueue = options => ({
+    instanceId: 'mta2',
+    options: {
+        drain: options || {}
+    },
+    locks: {
+        locks: new Map()
+    },
+    failover: {
+        migrated: [],
+        list: callback =>
+            setImmediate(() =>
+                callback(null, [
+                    { instanceId: 'mta1', alive: false },
+                    { instanceId: 'mta2', alive: true },
+                    { instanceId: 'mta3', alive: true }
+                ])
+            ),
+        migrate(from, to, options, callback) {
+            this.migrated.push([from, to]);
+            setImmediate(() => callback(null, 5));
+        }
+    }
+});
+
+module.exports['Use temporary response code'] = test => {
+    test.deepEqual(new QueueDrain(getQueue({ responseCode: 451, message: 'Try later' })).getResponse(), { responseCode: 451, message: 'Try later' });
+    test.equal(new QueueDrain(getQueue({ responseCode: 550 })).getResponse().responseCode, 421);
+    test.done();
+};
+
+module.exports['Wait for in-flight deliveries'] = test => {
+    let queue = getQueue();
+    queue.locks.locks.set('lock 1 001', {});
+
+    let drain = new QueueDrain(queue);
+    test.equal(drain.getStatus().status, 'idle');
+
+    drain.on('drained', status => {
+        test.equal(status.status, 'drained');
+        test.equal(status.inFlight, 0);
+        test.ok(!status.timedOut);
+        test.deepEqual(queue.failover.migrated, []);
+        test.done();
+    });
+
+    let status = drain.start();
+    test.ok(drain.active);
+    test.equal(status.status, 'draining');
+    test.equal(status.inFlight, 1);
+
+    drain.check();
+    test.equal(drain.getStatus().status, 'draining');
+
+    queue.locks.locks.clear();
+    drain.check();
+};
+
+module.exports['Hand off the queue to a live instance'] = test => {
+    let queue = getQueue();
+    let drain = new QueueDrain(queue);
+
+    drain.on('drained', status => {
+        test.equal(status.handoff, 'mta3');
+        test.equal(status.migrated, 5);
+        test.ok(status.exit);
+        test.deepEqual(queue.failover.migrated, [['mta2', 'mta3']]);
+        test.done();
+    });
+
+    drain.start({ handoff: true, exit: true });
+    drain.check();
+};
+
+module.exports['Cancel draining'] = test => {
+    let queue = getQueue();
+    queue.locks.locks.set('lock 1 001', {});
+
+    let drain = new QueueDrain(queue);
+    drain.start();
+    test.ok(drain.cancel());
+    test.ok(!drain.active);
+    test.equal(drain.getStatus().status, 'idle');
+    test.ok(!drain.cancel());
+    test.done();
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+const QueueFailover = require('../lib/queue-failover');
+
+// minimal stand-in for the MongoDB collections used by QueueFailover
+let getQueue = (instances, deliveries, spool) => {
+    let matches = (delivery, query) =>
+        delivery.assigned === query.assigned &&
+        (query.locked === undefined || delivery.locked === query.locked) &&
+        (!query.storage || (query.storage.$ne ? delivery.storage !== query.storage.$ne : delivery.storage === query.storage));
+
+    let queue = {
+        instanceId: 'mta1',
+        options: {
+            collection: 'zone-queue',
+            failover: {
+                enabled: true,
+                timeout: 60 * 1000
+            }
+        },
+        cleared: [],
+        clearEmptyCache: zone => queue.cleared.push(zone),
+        storage: {
+            storageOptions: {
+                fs: spool || {}
+            }
+        },
+        mongodb: {
+            collection: name => {
+                if (name === 'instances') {
+                    return {
+                        findOneAndUpdate: (query, update, options, callback) => {
+                            let instance = instances.find(
+                                entry =>
+                                    entry._id !== query._id.$ne &&
+                                    entry.heartbeat < query.heartbeat.$lt &&
+                                    !entry.adopted &&
+                                    (!entry.adoptLock || entry.adoptLock.time < query.$or[1]['adoptLock.time'].$lt)
+                            );
+                            if (instance) {
+                                Object.assign(instance, update.$set);
+                            }
+                            setImmediate(() => callback(null, { value: instance }));
+                        },
+                        updateOne: (query, update, callback) => {
+                            let instance = instances.find(entry => entry._id === query._id);
+                            Object.assign(instance, update.$set || {});
+                            Object.keys(update.$unset || {}).forEach(key => delete instance[key]);
+                            setImmediate(() => callback(null));
+                        }
+                    };
+                }
+                return {
+                    countDocuments: (query, callback) => {
+                        setImmediate(() => callback(null, deliveries.filter(delivery => matches(delivery, query)).length));
+                    },
+                    distinct: (key, query, callback) => {
+                        let matching = deliveries.filter(delivery => matches(delivery, query));
+                        setImmediate(() => callback(null, Array.from(new Set(matching.map(delivery => delivery[key])))));
+                    },
+                    updateMany: (query, update, options, callback) => {
+                        let matching = deliveries.filter(delivery => matches(delivery, query));
+                        matching.forEach(delivery => Object.assign(delivery, update.$set));
+                        setImmediate(() => callback(null, { modifiedCount: matching.length }));
+                    }
+                };
+            }
+        }
+    };
+    return queue;
+};
+
+module.exports['Adopt deliveries of dead instances'] = test => {
+    let instances = [
+        { _id: 'mta1', heartbeat: new Date() },
+        { _id: 'mta2', heartbeat: new Date(Date.now() - 2 * 60 * 1000) },
+        { _id: 'mta3', heartbeat: new Date() }
+    ];
+    let deliveries = [
+        { id: 'a', assigned: 'mta2', locked: false, sendingZone: 'default' },
+        { id: 'b', assigned: 'mta2', locked: true, sendingZone: 'bulk' },
+        { id: 'c', assigned: 'mta3', locked: false, sendingZone: 'default' }
+    ];
+    let queue = getQueue(instances, deliveries);
+    let failover = new QueueFailover(queue);
+
+    failover.adoptDead(err => {
+        test.ifError(err);
+        test.deepEqual(
+            deliveries.map(delivery => delivery.assigned),
+            ['mta1', 'mta1', 'mta3']
+        );
+        test.ok(!deliveries[1].locked);
+        test.equal(instances[1].adopted.instanceId, 'mta1');
+        test.equal(instances[1].adopted.deliveries, 2);
+        test.ok(!instances[1].adoptLock);
+        test.deepEqual(queue.cleared.sort(), ['bulk', 'default']);
+        test.done();
+    });
+};
+
+module.exports['Do not adopt locked instances'] = test => {
+    let instances = [
+        { _id: 'mta1', heartbeat: new Date() },
+        { _id: 'mta2', heartbeat: new Date(Date.now() - 2 * 60 * 1000), adoptLock: { instanceId: 'mta3', time: new Date() } }
+    ];
+    let deliveries = [{ id: 'a', assigned: 'mta2', locked: false, sendingZone: 'default' }];
+    let failover = new QueueFailover(getQueue(instances, deliveries));
+
+    failover.adoptDead(err => {
+        test.ifError(err);
+        test.equal(deliveries[0].assigned, 'mta2');
+        test.done();
+    });
+};
+
+module.exports['Migrate only unlocked deliveries'] = test => {
+    let deliveries = [
+        { id: 'a', assigned: 'mta2', locked: false, sendingZone: 'default' },
+        { id: 'b', assigned: 'mta2', locked: true, sendingZone: 'default' }
+    ];
+    let failover = new QueueFailover(getQueue([], deliveries));
+
+    failover.migrate('mta2', 'mta3', {}, (err, migrated) => {
+        test.ifError(err);
+        test.equal(migrated, 1);
+        test.deepEqual(
+            deliveries.map(delivery => delivery.assigned),
+            ['mta3', 'mta2']
+        );
+
+        failover.migrate('mta2', 'mta2', {}, err => {
+            test.equal(err.code, 'EINVALID');
+            failover.migrate('no', 'mta1', {}, err => {
+                test.equal(err.code, 'EINVALID');
+                test.done();
+            });
+        });
+    });
+};
+
+module.exports['Do not migrate messages stored in a local spool'] = test => {
+    let instances = [
+        { _id: 'mta1', heartbeat: new Date() },
+        { _id: 'mta2', heartbeat: new Date(Date.now() - 2 * 60 * 1000) }
+    ];
+    let deliveries = [
+        { id: 'a', assigned: 'mta2', locked: false, sendingZone: 'default', storage: 'gridfs' },
+        { id: 'b', assigned: 'mta2', locked: false, sendingZone: 'default', storage: 'fs' },
+        { id: 'b', assigned: 'mta2', locked: true, sendingZone: 'default', storage: 'fs' }
+    ];
+    let failover = new QueueFailover(getQueue(instances, deliveries));
+
+    failover.adoptDead(err => {
+        test.ifError(err);
+        test.deepEqual(
+            deliveries.map(delivery => delivery.assigned),
+            ['mta1', 'mta2', 'mta2']
+        );
+        test.equal(instances[1].adopted.deliveries, 1);
+
+        // every instance can read messages from a shared spool directory
+        failover = new QueueFailover(getQueue([], deliveries, { shared: true }));
+        failover.migrate('mta2', 'mta3', {}, (err, migrated) => {
+            test.ifError(err);
+            test.equal(migrated, 1);
+            test.equal(deliveries[1].assigned, 'mta3');
+            test.done();
+        });
+    });
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+const MailQueue = require('../lib/mail-queue');
+const MessageEvents = require('../lib/message-events');
+const plugins = require('../lib/plugins');
+const { getMongodb } = require('./fixtures/mongodb');
+
+plugins.handler = plugins.handler || {
+    runHooks: (name, args, next) => next(),
+    remotelog: () => false
+};
+
+module.exports['Detect hold reason'] = test => {
+    test.equal(MailQueue.getHoldReason(false), false);
+    test.equal(MailQueue.getHoldReason(''), false);
+    test.equal(MailQueue.getHoldReason(true), 'Held for review');
+    test.equal(MailQueue.getHoldReason('Suspicious login'), 'Suspicious login');
+    test.equal(MailQueue.getHoldReason({ reason: 'Classified as spam' }), 'Classified as spam');
+    test.equal(MailQueue.getHoldReason({}), 'Held for review');
+    test.done();
+};
+
+module.exports['Format held delivery'] = test => {
+    let queue = new MailQueue({ holdTime: 60 * 1000 });
+    let created = new Date('2026-10-19T10:00:00.000Z');
+
+    let entry = queue.formatHeld({
+        id: '17a1b2c3d4e0000001',
+        seq: '001',
+        sendingZone: 'default',
+        from: 'sender@example.com',
+        recipient: 'recipient@example.com',
+        hold: {
+            reason: 'Classified as spam',
+            created
+        }
+    });
+
+    test.deepEqual(entry, {
+        id: '17a1b2c3d4e0000001',
+        seq: '001',
+        zone: 'default',
+        from: 'sender@example.com',
+        recipient: 'recipient@example.com',
+        reason: 'Classified as spam',
+        held: created,
+        expires: new Date('2026-10-19T10:01:00.000Z')
+    });
+
+    queue.options.holdTime = 0;
+    test.equal(queue.formatHeld({ hold: { reason: 'test', created } }).expires, false);
+    test.done();
+};
+
+module.exports['Record released deliveries'] = test => {
+    let queue = new MailQueue({ collection: 'queue' });
+    queue.mongodb = getMongodb({
+        queue: [
+            {
+                id: '17a1b2c3d4e0000001',
+                seq: '001',
+                sendingZone: 'default',
+                from: 'sender@example.com',
+                recipient: 'Recipient@example.com',
+                locked: false,
+                hold: {
+                    reason: 'Classified as spam',
+                    created: new Date()
+                }
+            }
+        ]
+    });
+    queue.events = new MessageEvents(queue.mongodb, { enabled: true });
+
+    // events are stored in the background, check these once stored
+    let record = queue.events.record.bind(queue.events);
+    queue.events.record = entries =>
+        record(entries, err => {
+            test.ifError(err);
+            queue.events.list('17a1b2c3d4e0000001', { recipient: 'recipient@example.com' }, (err, list) => {
+                test.ifError(err);
+                test.equal(list.length, 1);
+                test.equal(list[0].event, 'released');
+                test.equal(list[0].seq, '001');
+                test.equal(list[0].recipient, 'recipient@example.com');
+                test.equal(list[0].reason, 'Classified as spam');
+                test.done();
+            });
+        });
+
+    queue.releaseHeld('17a1b2c3d4e0000001', false, (err, released) => {
+        test.ifError(err);
+        test.equal(released, 1);
+    });
+};
+
+module.exports['Check released zones again'] = test => {
+    let queue = new MailQueue({ collection: 'queue' });
+    queue.mongodb = getMongodb({
+        queue: [
+            {
+                id: '17a1b2c3d4e0000002',
+                seq: '001',
+                sendingZone: 'default',
+                tenant: 'tenant2',
+                recipient: 'recipient@example.com',
+                locked: false,
+                hold: {
+                    reason: 'Classified as spam',
+                    created: new Date()
+                }
+            }
+        ]
+    });
+
+    queue.cache.set('tenants:default', ['', 'tenant1'], 10 * 1000);
+    queue.cache.set('empty:default', true, 5 * 1000);
+    queue.cache.set('empty:default:normal', true, 5 * 1000);
+    queue.cache.set('empty:default:normal:tenant1', true, 5 * 1000);
+    queue.cache.set('empty:default:low:', true, 5 * 1000);
+
+    queue.releaseHeld('17a1b2c3d4e0000002', false, (err, released) => {
+        test.ifError(err);
+        test.equal(released, 1);
+        test.ok(!queue.cache.get('empty:default'));
+        test.ok(!queue.cache.get('empty:default:normal'));
+        test.ok(!queue.cache.get('empty:default:normal:tenant1'));
+        test.ok(!queue.cache.get('empty:default:low:'));
+        // released delivery belongs to a tenant that was not listed
+        test.ok(!queue.cache.get('tenants:default'));
+        test.done();
+    });
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+const QueueLocker = require('../lib/queue-locker');
+
+module.exports['Skip paused domains'] = test => {
+    let locks = new QueueLocker();
+
+    test.equal(locks.listSkipDomains('default'), false);
+
+    locks.setPaused([
+        { type: 'domain', value: 'Gmail.com' },
+        { type: 'zone', value: 'bulk' }
+    ]);
+    test.deepEqual(locks.listSkipDomains('default'), ['gmail.com']);
+
+    test.ok(locks.lock('lock 1', 'default', 'example.com', 'owner', 1));
+    test.deepEqual(locks.listSkipDomains('default').sort(), ['example.com', 'gmail.com']);
+
+    test.ok(locks.isPaused('zone', 'bulk'));
+    test.ok(locks.isPaused('domain', 'GMAIL.COM'));
+    test.ok(!locks.isPaused('zone', 'default'));
+
+    locks.setPaused([]);
+    test.deepEqual(locks.listSkipDomains('default'), ['example.com']);
+    test.ok(!locks.isPaused('zone', 'bulk'));
+    test.done();
+};
+
+module.exports['Match paused senders'] = test => {
+    let locks = new QueueLocker();
+
+    test.ok(!locks.isSenderPaused('sender@example.com'));
+
+    locks.setPaused([
+        { type: 'sender', value: 'news@example.com' },
+        { type: 'sender', value: 'spam.example' },
+        { type: 'id', value: '17a1b2c3d4e0000001' }
+    ]);
+
+    test.ok(locks.isSenderPaused('News@Example.com'));
+    test.ok(!locks.isSenderPaused('other@example.com'));
+    test.ok(!locks.isSenderPaused('news@example.com.evil'));
+    test.ok(locks.isSenderPaused('anyone@spam.example'));
+    test.ok(!locks.isSenderPaused('anyone@notspam.example'));
+    test.ok(!locks.isSenderPaused(''));
+
+    test.ok(locks.isPaused('id', '17a1b2c3d4e0000001'));
+    test.deepEqual(locks.listPaused('id'), ['17a1b2c3d4e0000001']);
+    test.done();
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+const db = require('../lib/db');
+const rateLimit = require('../lib/rate-limit');
+
+module.exports['Parse rate limit definitions'] = test => {
+    test.deepEqual(rateLimit.parseLimits('3000 messages/hour per IP'), [{ messages: 3000, time: 3600 * 1000, scope: 'ip' }]);
+    test.deepEqual(rateLimit.parseLimits(['20/m', '100 messages / 10 minutes per zone']), [
+        { messages: 20, time: 60 * 1000, scope: 'zone' },
+        { messages: 100, time: 10 * 60 * 1000, scope: 'zone' }
+    ]);
+    test.deepEqual(rateLimit.parseLimits({ messages: 500, time: 'hour', per: 'ip' }), [{ messages: 500, time: 3600 * 1000, scope: 'ip' }]);
+    test.deepEqual(rateLimit.parseLimits({ messages: 5, time: 1000 }), [{ messages: 5, time: 1000, scope: 'zone' }]);
+
+    // invalid definitions are ignored
+    test.deepEqual(rateLimit.parseLimits(['many messages/hour', '10/h per domain', { messages: 10 }]), []);
+    test.deepEqual(rateLimit.parseLimits(false), []);
+    test.done();
+};
+
+module.exports['Allow deliveries without Redis'] = test => {
+    rateLimit.consume({ domain: 'example.com', zone: 'default', limits: '1/h' }, (err, limited) => {
+        test.ifError(err);
+        test.equal(limited, false);
+        test.done();
+    });
+};
+
+// Redis client that keeps counters in memory. eval() does the same as the Lua scripts in lib/rate-limit.js
+let getRedis = () => {
+    let counters = new Map();
+    return {
+        counters,
+        eval(script, numKeys, ...args) {
+            let callback = args.pop();
+            let keys = args.slice(0, numKeys);
+            let argv = args.slice(numKeys).map(Number);
+
+            if (/DECRBY/.test(script)) {
+                keys.filter(key => counters.has(key)).forEach(key => counters.set(key, counters.get(key) - argv[0]));
+                return setImmediate(() => callback(null, 0));
+            }
+
+            let count = argv[0];
+            let exceeded = keys.findIndex((key, i) => (counters.get(key) || 0) > 0 && (counters.get(key) || 0) + count > argv[i * 2 + 1]);
+            if (exceeded < 0) {
+                keys.forEach(key => counters.set(key, (counters.get(key) || 0) + count));
+            }
+            setImmediate(() => callback(null, exceeded + 1));
+        }
+    };
+};
+
+let getCount = (redis, pattern) =>
+    Array.from(redis.counters.keys())
+        .filter(key => pattern.test(key))
+        .map(key => redis.counters.get(key))[0] || 0;
+
+module.exports['Count deliveries only if allowed by all limits'] = test => {
+    let redis = getRedis();
+    db.redis = redis;
+
+    let options = {
+        domain: 'example.com',
+        zone: 'default',
+        address: '192.0.2.1',
+        limits: ['2/m per zone', '10/h per zone', '100/h per ip']
+    };
+
+    let consume = (count, next) => rateLimit.consume(Object.assign({}, options, { count }), next);
+
+    consume(1, (err, limited, consumed) => {
+        test.ifError(err);
+        test.equal(limited, false);
+        test.equal(consumed.keys.length, 3);
+
+        consume(1, (err, limited) => {
+            test.ifError(err);
+            test.equal(limited, false);
+
+            // minute limit is reached, other limits are not counted
+            consume(1, (err, limited) => {
+                test.ifError(err);
+                test.equal(limited.scope, 'zone');
+                test.equal(limited.messages, 2);
+                test.equal(getCount(redis, /:zone:default:3600000:/), 2);
+                test.equal(getCount(redis, /:ip:192\.0\.2\.1:/), 2);
+
+                db.redis = false;
+                test.done();
+            });
+        });
+    });
+};
+
+module.exports['Release usage of failed attempts'] = test => {
+    let redis = getRedis();
+    db.redis = redis;
+
+    let options = {
+        domain: 'example.com',
+        zone: 'default',
+        limits: '5/h'
+    };
+
+    rateLimit.consume(Object.assign({ count: 3 }, options), (err, limited, consumed) => {
+        test.ifError(err);
+        test.equal(limited, false);
+        test.equal(consumed.count, 3);
+
+        rateLimit.release(consumed, err => {
+            test.ifError(err);
+            test.equal(getCount(redis, /:zone:default:/), 0);
+
+            // a bundle larger than the limit can use an empty window
+            rateLimit.consume(Object.assign({ count: 8 }, options), (err, limited) => {
+                test.ifError(err);
+                test.equal(limited, false);
+
+                rateLimit.consume(options, (err, limited) => {
+                    test.ifError(err);
+                    test.equal(limited.messages, 5);
+
+                    db.redis = false;
+                    test.done();
+                });
+            });
+        });
+    });
+};
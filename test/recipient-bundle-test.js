@@ -0,0 +1,223 @@
+'use strict';
+
+const plugins = require('../lib/plugins');
+const Sender = require('../lib/sender');
+const ipReputation = require('../lib/ip-reputation');
+const MessageEvents = require('../lib/message-events');
+const Headers = require('@zone-eu/mailsplit').Headers;
+
+plugins.handler = plugins.handler || {
+    runHooks: (name, args, next) => next(),
+    remotelog: () => false
+};
+
+let createSender = commands => {
+    let zone = {
+        name: 'bundle-test',
+        generateReceivedHeader: () => 'Received: test'
+    };
+    let sender = new Sender('client', 1, zone, (cmd, callback) => {
+        if (cmd.cmd === 'GET') {
+            // stop the delivery loop
+            sender.closing = true;
+            return setImmediate(() => callback(null, false));
+        }
+        commands.push(cmd);
+        setImmediate(() => callback(null, cmd.id + '.' + cmd.seq));
+    });
+    sender.queue = {
+        // events are not stored without a database
+        events: new MessageEvents(false)
+    };
+    return sender;
+};
+
+let getDelivery = () => ({
+    id: 'test',
+    seq: '001',
+    domain: 'example.com',
+    from: 'sender@example.net',
+    recipient: 'a@example.com',
+    envelope: {
+        from: 'sender@example.net',
+        to: 'a@example.com'
+    },
+    headers: new Headers([]),
+    _lock: 'lock test 001',
+    _deferred: {
+        count: 1
+    },
+    bundle: [
+        {
+            seq: '002',
+            recipient: 'b@example.com',
+            _lock: 'lock test 002'
+        },
+        {
+            seq: '003',
+            recipient: 'c@example.com',
+            _lock: 'lock test 003'
+        }
+    ]
+});
+
+let connection = {
+    id: 'conn',
+    options: {
+        servername: 'mx.example.com',
+        host: '192.0.2.1',
+        localAddress: '192.0.2.10'
+    }
+};
+
+module.exports['Create bundled delivery'] = test => {
+    let commands = [];
+    let sender = createSender(commands);
+    let delivery = getDelivery();
+
+    let bundled = sender.getBundledDelivery(delivery, delivery.bundle[0]);
+    test.equal(bundled.seq, '002');
+    test.equal(bundled.recipient, 'b@example.com');
+    test.equal(bundled._lock, 'lock test 002');
+    test.equal(bundled.envelope.to, 'b@example.com');
+    test.equal(bundled.envelope.from, 'sender@example.net');
+    test.ok(!bundled._deferred);
+    test.ok(!bundled.bundle);
+    test.equal(delivery.envelope.to, 'a@example.com');
+    test.done();
+};
+
+module.exports['Handle partial accept'] = test => {
+    let commands = [];
+    let sender = createSender(commands);
+    let delivery = getDelivery();
+
+    let rejected = new Error('Recipient command failed: 550 5.1.1 User unknown');
+    rejected.response = '550 5.1.1 User unknown';
+    rejected.responseCode = 550;
+    rejected.command = 'RCPT TO';
+    rejected.recipient = 'b@example.com';
+
+    let info = {
+        accepted: ['a@example.com', 'c@example.com'],
+        rejected: ['b@example.com'],
+        rejectedErrors: [rejected],
+        response: '250 2.0.0 Ok: queued'
+    };
+
+    sender.handleBundleResults(delivery, connection, null, info, { size: 100 }, () => {
+        let results = {};
+        commands.filter(cmd => ['RELEASE', 'DEFER'].includes(cmd.cmd)).forEach(cmd => (results[cmd.seq] = cmd));
+
+        test.equal(results['001'].cmd, 'RELEASE');
+        test.ok(results['001'].status.delivered);
+        test.equal(results['002'].cmd, 'RELEASE');
+        test.ok(!results['002'].status.delivered);
+        test.equal(results['002']._lock, 'lock test 002');
+        test.equal(results['003'].cmd, 'RELEASE');
+        test.ok(results['003'].status.delivered);
+        test.done();
+    });
+};
+
+module.exports['Handle transaction failure'] = test => {
+    let commands = [];
+    let sender = createSender(commands);
+    let delivery = getDelivery();
+
+    let err = new Error('Message failed: 451 4.3.0 Temporary failure');
+    err.response = '451 4.3.0 Temporary failure';
+    err.responseCode = 451;
+    err.command = 'DATA';
+
+    let { tracks, record } = ipReputation;
+    let recorded = [];
+    ipReputation.tracks = () => true;
+    ipReputation.record = (data, callback) => {
+        recorded.push(data);
+        setImmediate(() => callback(null, false));
+    };
+
+    sender.handleBundleResults(delivery, connection, err, false, false, () => {
+        Object.assign(ipReputation, { tracks, record });
+
+        let deferred = commands.filter(cmd => cmd.cmd === 'DEFER');
+        test.deepEqual(
+            deferred.map(cmd => cmd.seq),
+            ['001', '002', '003']
+        );
+        test.deepEqual(
+            deferred.map(cmd => cmd._lock),
+            ['lock test 001', 'lock test 002', 'lock test 003']
+        );
+
+        // a single response is counted once for the whole transaction
+        test.equal(recorded.length, 1);
+        test.deepEqual(
+            deferred.map(cmd => !!cmd.sharedResponse),
+            [false, true, true]
+        );
+        test.done();
+    });
+};
+
+module.exports['Return bundle to queue'] = test => {
+    let commands = [];
+    let sender = createSender(commands);
+    let delivery = getDelivery();
+
+    sender.returnBundle(delivery, 1000);
+    test.ok(!delivery.bundle);
+    setTimeout(() => {
+        test.deepEqual(
+            commands.map(cmd => [cmd.cmd, cmd.seq, cmd.ttl, cmd.postpone]),
+            [
+                ['DEFER', '002', 1000, true],
+                ['DEFER', '003', 1000, true]
+            ]
+        );
+        test.done();
+    }, 10);
+};
+
+module.exports['Run fetch hooks for bundled recipients'] = test => {
+    let commands = [];
+    let sender = createSender(commands);
+    let delivery = getDelivery();
+
+    let handler = plugins.handler;
+    plugins.handler = {
+        runHooks: (name, args, next) => {
+            let entry = args[0];
+            if (entry.envelope.to === 'b@example.com') {
+                entry.envelope.to = 'b+rewritten@example.com';
+            }
+            if (entry.envelope.to === 'c@example.com') {
+                entry.headers.add('X-Recipient', entry.envelope.to);
+            }
+            next();
+        },
+        remotelog: () => false
+    };
+
+    sender.runFetchHooks(delivery, err => {
+        plugins.handler = handler;
+        test.ifError(err);
+
+        // recipient with modified headers is sent separately
+        test.deepEqual(
+            delivery.bundle.map(entry => entry.seq),
+            ['002']
+        );
+        test.equal(sender.getBundledDelivery(delivery, delivery.bundle[0]).envelope.to, 'b+rewritten@example.com');
+        test.ok(!delivery.headers.getFirst('X-Recipient'));
+
+        setImmediate(() => {
+            test.deepEqual(
+                commands.map(cmd => [cmd.cmd, cmd.seq, cmd.postpone]),
+                [['DEFER', '003', true]]
+            );
+            test.done();
+        });
+    });
+};
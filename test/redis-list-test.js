@@ -0,0 +1,124 @@
+'use strict';
+
+const db = require('../lib/db');
+const RedisList = require('../lib/redis-list');
+
+// minimal stand-in for the sorted set and hash commands used by RedisList
+let getRedis = () => {
+    let scores = new Map();
+    let info = new Map();
+    let commands = {
+        zadd: (key, score, member) => scores.set(member, score),
+        hset: (key, member, value) => info.set(member, value),
+        del: () => 1,
+        zrem: (key, ...members) => members.forEach(member => scores.delete(member)),
+        hdel: (key, ...members) => members.forEach(member => info.delete(member)),
+        zremrangebyscore: (key, min, max) => scores.forEach((score, member) => score <= max && scores.delete(member)),
+        zrangebyscore: () => [].concat(...Array.from(scores.entries()).map(([member, score]) => [member, String(score)])),
+        hgetall: () => Object.fromEntries(info)
+    };
+    return {
+        scores,
+        info,
+        executed: [],
+        multi() {
+            let queued = [];
+            let multi = {
+                exec: callback =>
+                    setImmediate(() =>
+                        callback(
+                            null,
+                            queued.map(cmd => [null, cmd()])
+                        )
+                    )
+            };
+            Object.keys(commands).forEach(name => {
+                multi[name] = (...args) => {
+                    this.executed.push(name);
+                    queued.push(() => commands[name](...args));
+                    return multi;
+                };
+            });
+            return multi;
+        },
+        hdel(key, ...args) {
+            let callback = args.pop();
+            commands.hdel(key, ...args);
+            setImmediate(() => callback(null, args.length));
+        }
+    };
+};
+
+let getList = () =>
+    new RedisList({
+        entriesKey: 'test:entries',
+        infoKey: 'test:info',
+        group: 'domain',
+        getMember: entry => entry.domain + '|' + entry.address,
+        parseMember: member => ({ domain: member.split('|')[0], address: member.split('|')[1] }),
+        getRefreshInterval: () => 60 * 1000,
+        logName: 'Test',
+        errorCode: 'BLACKLIST_REDIS_ERROR',
+        errorMessage: 'Test Redis error'
+    });
+
+module.exports['Store, list and remove entries'] = test => {
+    db.redis = getRedis();
+    let list = getList();
+    let expires = Date.now() + 60 * 1000;
+
+    list.add(
+        { domain: 'example.com', address: '192.0.2.1', expires },
+        multi => multi.del('counter'),
+        (err, entry) => {
+            test.ifError(err);
+            test.equal(entry.address, '192.0.2.1');
+            test.ok(db.redis.executed.includes('del'));
+            // local list is updated right away
+            test.deepEqual(list.getAddresses('example.com'), ['192.0.2.1']);
+
+            // expired entries and their details are removed when listing
+            db.redis.scores.set('example.com|192.0.2.2', Date.now() - 1000);
+            db.redis.info.set('example.com|192.0.2.2', '{}');
+
+            list.list((err, entries) => {
+                test.ifError(err);
+                test.deepEqual(
+                    entries.map(entry => [entry.domain, entry.address, entry.expires]),
+                    [['example.com', '192.0.2.1', expires]]
+                );
+                test.ok(!db.redis.info.has('example.com|192.0.2.2'));
+
+                list.remove(entries, (err, removed) => {
+                    test.ifError(err);
+                    test.equal(removed, 1);
+                    test.equal(db.redis.scores.size, 0);
+                    test.deepEqual(list.getAddresses('example.com'), []);
+                    test.equal(list.count(), 0);
+
+                    db.redis = false;
+                    test.done();
+                });
+            });
+        }
+    );
+};
+
+module.exports['Refresh local list from Redis'] = test => {
+    db.redis = getRedis();
+    let list = getList();
+
+    // entries stored by another process
+    db.redis.scores.set('example.net|2001:db8::1', Date.now() + 60 * 1000);
+
+    list.refresh((err, refreshed) => {
+        test.ifError(err);
+        test.ok(refreshed);
+        // entries without details are parsed from the member
+        test.deepEqual(list.getAddresses('example.net'), ['2001:db8::1']);
+        test.equal(list.count(), 1);
+
+        db.redis = false;
+        test.done();
+    });
+};
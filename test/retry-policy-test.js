@@ -0,0 +1,141 @@
+'use strict';
+
+const log = require('npmlog');
+const retryPolicy = require('../lib/retry-policy');
+
+const policies = {
+    default: {
+        schedule: [1000, 2000, 3000],
+        categories: {
+            greylist: { type: 'flat', delay: 300 * 1000, retries: 2 },
+            capacity: { schedule: { type: 'exponential', delay: 1000, factor: 3, maxDelay: 20 * 1000 } }
+        }
+    },
+    short: {
+        schedule: { type: 'flat', delay: 60 * 1000 },
+        maxQueueTime: 3600 * 1000
+    }
+};
+
+module.exports['Calculate delays from schedules'] = test => {
+    test.equal(retryPolicy.getScheduleDelay([1, 2], 1), 2);
+    test.equal(retryPolicy.getScheduleDelay([1, 2], 2), false);
+    test.equal(retryPolicy.getScheduleDelay({ type: 'flat', delay: 10, retries: 2 }, 1), 10);
+    test.equal(retryPolicy.getScheduleDelay({ type: 'flat', delay: 10, retries: 2 }, 2), false);
+    test.equal(retryPolicy.getScheduleDelay({ type: 'exponential', delay: 10 }, 3), 80);
+    test.equal(retryPolicy.getScheduleDelay({ type: 'exponential', delay: 10, maxDelay: 50 }, 3), 50);
+    test.equal(retryPolicy.getScheduleDelay({ type: 'unknown', delay: 10 }, 0), false);
+
+    for (let i = 0; i < 20; i++) {
+        let delay = retryPolicy.getScheduleDelay({ type: 'flat', delay: 1000, jitter: 0.2 }, 0);
+        test.ok(delay >= 800 && delay <= 1200);
+    }
+
+    test.done();
+};
+
+module.exports['Resolve policy by name with fallback to default'] = test => {
+    test.equal(retryPolicy.getPolicy(['missing', 'short'], policies).name, 'short');
+    test.equal(retryPolicy.getPolicy([false, 'missing'], policies).name, 'default');
+    test.equal(retryPolicy.getPolicy('missing', {}).name, 'default');
+    test.done();
+};
+
+module.exports['Warn once about unknown policy names'] = test => {
+    let warn = log.warn;
+    let warnings = [];
+    log.warn = (...args) => warnings.push(args);
+
+    retryPolicy.getPolicy(['typo', 'short'], policies);
+    retryPolicy.getPolicy('typo', policies);
+    retryPolicy.getPolicy(['short', 'other'], policies);
+    log.warn = warn;
+
+    test.deepEqual(
+        warnings.map(args => args[2]),
+        ['typo', 'other']
+    );
+    test.done();
+};
+
+module.exports['Use category specific schedule'] = test => {
+    let delivery = { _deferred: { count: 1 }, created: new Date() };
+
+    test.equal(retryPolicy.getDeferTime(delivery, 'greylist', { policies }).ttl, 300 * 1000);
+    test.equal(retryPolicy.getDeferTime(delivery, 'capacity', { policies }).ttl, 3000);
+    test.equal(retryPolicy.getDeferTime(delivery, 'other', { policies }).ttl, 2000);
+
+    // category schedule is exhausted, use the default schedule
+    delivery._deferred.count = 2;
+    test.equal(retryPolicy.getDeferTime(delivery, 'greylist', { policies }).ttl, 3000);
+
+    delivery._deferred.count = 3;
+    test.equal(retryPolicy.getDeferTime(delivery, 'greylist', { policies }).ttl, false);
+
+    test.done();
+};
+
+module.exports['Domain policy overrides zone policy'] = test => {
+    let delivery = { retryPolicy: 'short', created: new Date() };
+
+    let retry = retryPolicy.getDeferTime(delivery, 'other', { zonePolicy: 'default', policies });
+    test.equal(retry.policy, 'short');
+    test.equal(retry.ttl, 60 * 1000);
+
+    retry = retryPolicy.getDeferTime({ created: new Date() }, 'other', { zonePolicy: 'short', policies });
+    test.equal(retry.policy, 'short');
+
+    test.done();
+};
+
+module.exports['Expire delivery after policy maxQueueTime'] = test => {
+    let retry = retryPolicy.getDeferTime({ retryPolicy: 'short', created: new Date(Date.now() - 3590 * 1000) }, 'other', { policies });
+    test.equal(retry.ttl, false);
+    test.ok(retry.expired);
+    test.equal(retry.maxQueueTime, 3600 * 1000);
+    test.done();
+};
+
+module.exports['Do not count scheduled time as queue time'] = test => {
+    let retry = retryPolicy.getDeferTime(
+        { retryPolicy: 'short', created: new Date(Date.now() - 2 * 3600 * 1000), scheduled: new Date(Date.now() - 60 * 1000) },
+        'other',
+        { policies }
+    );
+    test.equal(retry.ttl, 60 * 1000);
+    test.ok(!retry.expired);
+    test.done();
+};
+
+module.exports['Stop retrying after message expiration time'] = test => {
+    let delivery = { created: new Date(), expires: new Date(Date.now() + 1500) };
+
+    let retry = retryPolicy.getDeferTime(delivery, 'other', { policies });
+    test.equal(retry.ttl, 1000);
+    test.ok(!retry.messageExpired);
+
+    delivery._deferred = { count: 1 };
+    retry = retryPolicy.getDeferTime(delivery, 'other', { policies });
+    test.equal(retry.ttl, false);
+    test.ok(retry.expired);
+    test.ok(retry.messageExpired);
+    test.done();
+};
+
+module.exports['Plugin provided deferTimes override policies'] = test => {
+    let retry = retryPolicy.getDeferTime({ deferTimes: [42], retryPolicy: 'short' }, 'greylist', { policies });
+    test.equal(retry.ttl, 42);
+    test.equal(retry.policy, false);
+    test.done();
+};
+
+module.exports['Bounce rule schedule replaces policy schedules'] = test => {
+    let delivery = { _deferred: { count: 1 }, created: new Date() };
+
+    test.equal(retryPolicy.getDeferTime(delivery, 'greylist', { policies, schedule: [10, 20] }).ttl, 20);
+
+    // rule schedule is exhausted, do not fall back to the policy schedule
+    delivery._deferred.count = 2;
+    test.equal(retryPolicy.getDeferTime(delivery, 'greylist', { policies, schedule: [10, 20] }).ttl, false);
+    test.done();
+};
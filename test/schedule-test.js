@@ -0,0 +1,41 @@
+'use strict';
+
+const schedule = require('../lib/schedule');
+
+module.exports['Parse scheduled time'] = test => {
+    let future = Date.now() + 3600 * 1000;
+
+    test.equal(schedule.parseSendAt(new Date(future)), future);
+    test.equal(schedule.parseSendAt(new Date(future).toISOString()), future);
+    test.equal(schedule.parseSendAt(String(future)), future);
+    test.equal(schedule.parseSendAt(Math.round(future / 1000)), Math.round(future / 1000) * 1000);
+    test.equal(schedule.parseSendAt(new Date(future).toUTCString()), Math.floor(future / 1000) * 1000);
+    test.done();
+};
+
+module.exports['Send past and invalid times immediately'] = test => {
+    test.strictEqual(schedule.parseSendAt(''), false);
+    test.strictEqual(schedule.parseSendAt(undefined), false);
+    test.strictEqual(schedule.parseSendAt('tomorrow-ish'), false);
+    test.strictEqual(schedule.parseSendAt('2001-01-01T00:00:00Z'), 0);
+    test.done();
+};
+
+module.exports['Limit scheduled time'] = test => {
+    let time = schedule.parseSendAt(new Date(Date.now() + 3 * schedule.MAX_SCHEDULE_TIME));
+    test.ok(time <= Date.now() + schedule.MAX_SCHEDULE_TIME);
+    test.ok(time > Date.now() + schedule.MAX_SCHEDULE_TIME - 1000);
+    test.done();
+};
+
+module.exports['Parse expiration time'] = test => {
+    let future = Date.now() + 3600 * 1000;
+
+    test.equal(schedule.parseExpires(new Date(future).toISOString()), future);
+    test.equal(schedule.parseExpires(String(future), 60), future);
+    test.ok(Math.abs(schedule.parseExpires(false, '60') - (Date.now() + 60 * 1000)) < 1000);
+    test.strictEqual(schedule.parseExpires('', 0), false);
+    test.strictEqual(schedule.parseExpires(undefined, 'abc'), false);
+    test.strictEqual(schedule.parseExpires('not a date'), false);
+    test.done();
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+const TenantScheduler = require('../lib/tenant-scheduler');
+const QueueLocker = require('../lib/queue-locker');
+const MailQueue = require('../lib/mail-queue');
+
+module.exports['Detect tenant'] = test => {
+    test.equal(TenantScheduler.getTenant({ user: 'customer1', from: 'a@example.com' }, 'user'), 'customer1');
+    test.equal(TenantScheduler.getTenant({ user: 'customer1', from: 'a@Example.COM' }, 'senderDomain'), 'example.com');
+    test.equal(TenantScheduler.getTenant({ tenant: 'plugin-tenant', user: 'customer1' }, 'user'), 'plugin-tenant');
+    test.strictEqual(TenantScheduler.getTenant({ from: 'a@example.com' }, 'user'), false);
+    test.strictEqual(TenantScheduler.getTenant({ user: 'customer1' }, false), false);
+    test.done();
+};
+
+module.exports['Round-robin between tenants'] = test => {
+    let scheduler = new TenantScheduler();
+    let selected = [];
+    for (let i = 0; i < 6; i++) {
+        selected.push(scheduler.next('default', ['a', 'b', 'c']));
+    }
+    test.deepEqual(selected, ['a', 'b', 'c', 'a', 'b', 'c']);
+    test.strictEqual(scheduler.next('default', []), false);
+    test.done();
+};
+
+module.exports['Use tenant weights'] = test => {
+    let scheduler = new TenantScheduler();
+    let counts = { a: 0, b: 0 };
+    for (let i = 0; i < 40; i++) {
+        counts[scheduler.next('default', ['a', 'b'], { a: 3 })]++;
+    }
+    test.deepEqual(counts, { a: 30, b: 10 });
+
+    // weighted tenant does not get all its turns in a row
+    scheduler = new TenantScheduler();
+    let selected = [];
+    for (let i = 0; i < 4; i++) {
+        selected.push(scheduler.next('default', ['a', 'b'], { a: 3 }));
+    }
+    test.deepEqual(selected, ['a', 'a', 'b', 'a']);
+    test.done();
+};
+
+module.exports['Count tenant locks'] = test => {
+    let locks = new QueueLocker();
+
+    locks.lock('lock 1 001', 'default', 'example.com', 'owner', 5, false, 'customer1');
+    locks.lock('lock 1 002', 'default', 'example.net', 'owner', 5, false, 'customer1');
+    locks.lock('lock 2 001', 'other', 'example.com', 'owner', 5, false, 'customer1');
+    locks.lock('lock 3 001', 'default', 'example.com', 'owner', 5);
+
+    test.equal(locks.countTenantLocks('default', 'customer1'), 2);
+    test.equal(locks.countTenantLocks(false, 'customer1'), 3);
+
+    locks.release('lock 1 001');
+    locks.release('lock 2 001');
+    test.equal(locks.countTenantLocks('default', 'customer1'), 1);
+    test.equal(locks.countTenantLocks('other', 'customer1'), 0);
+    test.done();
+};
+
+module.exports['Limit tenant connections'] = test => {
+    let queue = new MailQueue({
+        tenants: {
+            maxConnections: 1,
+            limits: {
+                customer2: 2
+            }
+        }
+    });
+
+    test.ok(!queue.isTenantCapped('default', 'customer1'));
+    queue.locks.lock('lock 1 001', 'default', 'example.com', 'owner', 5, false, 'customer1');
+    queue.locks.lock('lock 2 001', 'default', 'example.com', 'owner', 5, false, 'customer2');
+    test.ok(queue.isTenantCapped('default', 'customer1'));
+    test.ok(!queue.isTenantCapped('default', 'customer2'));
+    test.ok(!queue.isTenantCapped('other', 'customer1'));
+    // deliveries without a tenant are not limited
+    test.ok(!queue.isTenantCapped('default', ''));
+    test.done();
+};